@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { parseArgs } from 'util';
+import { LIGHTHOUSE_CATEGORIES } from '../src/services/categories.js';
+
+/**
+ * upgs-perf: scan pages on an UPGS Perf server from CI and fail the build when they miss their scores.
+ * Starts a scan per URL through the REST API (/api/v1, authenticated with an API token), waits for the jobs, prints a
+ * summary table and exits 1 when a scan failed, a score is under its --min threshold or a scan broke the budget set
+ * for its page in the web app. --junit writes each check, and each failed Lighthouse audit, as a JUnit test case so
+ * CI shows what failed.
+ * Needs only Node: no npm install on the CI machine.
+ */
+
+const USAGE = `Usage: upgs-perf [options] <url>...
+
+Scans each URL on an UPGS Perf server and exits 1 when a scan fails, a score is under its
+threshold or a scan breaks its page's budget (set in the web app).
+
+Options:
+  --server <url>          Server address (default: $UPGS_SERVER, else http://localhost:3000)
+  --token <token>         API token with the Read and Start scans scopes (default: $UPGS_TOKEN)
+  --device <id>           Device to scan on: mobile, desktop, tablet, tablet-landscape or custom:<id>;
+                          repeat for several (default: mobile)
+  --runs <n>              Lighthouse runs per device: 1, 3, 5 or 7 (default: the server's)
+  --categories <ids>      Audit only these categories, comma-separated (default: all)
+  --throttling <profile>  none, fast-4g, slow-4g, 3g or custom (default: slow-4g)
+  --min <category=score>  Fail when a category scores lower, e.g. --min performance=90; repeat or
+                          comma-separate for several
+  --ignore-budgets        Don't fail on budget limits (they are still reported)
+  --junit <file>          Write the results as JUnit XML: the scans, thresholds and budget limits,
+                          plus each failed Lighthouse audit (listed only; it doesn't fail the run)
+  --timeout <minutes>     Give up (and cancel the scans) after this long (default: 30)
+  --poll <seconds>        How often to check on the scans (default: 5)
+  -h, --help              Show this help
+
+Exit codes: 0 all checks passed, 1 a check failed, 2 usage, connection or API error, or timeout.`;
+
+const CATEGORY_IDS = Object.keys(LIGHTHOUSE_CATEGORIES);
+const TABLE_METRICS = [
+  { id: 'largest-contentful-paint', label: 'LCP' },
+  { id: 'total-blocking-time', label: 'TBT' },
+  { id: 'cumulative-layout-shift', label: 'CLS' },
+];
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+/** Lighthouse runs per device the server accepts (RUN_COUNTS in src/services/lighthouse.js, which needs Lighthouse). */
+const RUN_COUNTS = [1, 3, 5, 7];
+/** Attempts for a request that failed on the network or with a 5xx (e.g. during a server restart). */
+const MAX_ATTEMPTS = 4;
+
+class UsageError extends Error {}
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+/** Command line as { server, token, urls, devices, runs, categories, throttling, thresholds, ... }; throws UsageError. */
+function parseCommandLine(argv, env) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        server: { type: 'string' },
+        token: { type: 'string' },
+        device: { type: 'string', multiple: true },
+        runs: { type: 'string' },
+        categories: { type: 'string' },
+        throttling: { type: 'string' },
+        min: { type: 'string', multiple: true },
+        'ignore-budgets': { type: 'boolean' },
+        junit: { type: 'string' },
+        timeout: { type: 'string' },
+        poll: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const server = (values.server || env.UPGS_SERVER || 'http://localhost:3000').replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/]/.test(server)) throw new UsageError(`--server must be an http or https URL, not "${server}".`);
+  const token = values.token || env.UPGS_TOKEN;
+  if (!token) throw new UsageError('Pass an API token with --token or $UPGS_TOKEN (create one in Settings → API tokens).');
+  if (positionals.length === 0) throw new UsageError('Give at least one URL to scan.');
+
+  const thresholds = {};
+  for (const item of (values.min || []).flatMap((v) => v.split(','))) {
+    const match = /^\s*([a-z-]+)\s*=\s*(\d{1,3})\s*$/.exec(item);
+    if (!match || !CATEGORY_IDS.includes(match[1]) || Number(match[2]) > 100) {
+      throw new UsageError(`--min takes category=score with a category of ${CATEGORY_IDS.join(', ')} and a score of 0-100, not "${item}".`);
+    }
+    thresholds[match[1]] = Number(match[2]);
+  }
+  const categories = values.categories ? values.categories.split(',').map((id) => id.trim()).filter(Boolean) : undefined;
+  const unaudited = categories && Object.keys(thresholds).find((id) => !categories.includes(id));
+  if (unaudited) throw new UsageError(`--min ${unaudited} needs ${unaudited} in --categories.`);
+
+  const number = (name, fallback) => {
+    if (values[name] == null) return fallback;
+    const n = Number(values[name]);
+    if (!(n > 0)) throw new UsageError(`--${name} must be a positive number.`);
+    return n;
+  };
+  const runs = values.runs != null ? Number(values.runs) : undefined;
+  if (runs !== undefined && !RUN_COUNTS.includes(runs)) throw new UsageError(`--runs must be ${RUN_COUNTS.join(', ')}, not "${values.runs}".`);
+  return {
+    server,
+    token,
+    urls: positionals,
+    devices: values.device || ['mobile'],
+    runs,
+    categories,
+    throttling: values.throttling,
+    thresholds,
+    ignoreBudgets: Boolean(values['ignore-budgets']),
+    junit: values.junit,
+    timeoutMs: number('timeout', 30) * 60 * 1000,
+    pollMs: number('poll', 5) * 1000,
+  };
+}
+
+/**
+ * REST API client. Waits out rate limits (429) and retries network errors and 5xx responses; other errors throw an
+ * ApiError with the API's code and message.
+ */
+function apiClient(server, token, deadline) {
+  return async function request(method, path, body) {
+    for (let attempt = 1; ; attempt++) {
+      let res;
+      try {
+        res = await fetch(`${server}/api/v1${path}`, {
+          method,
+          headers: { Authorization: `Bearer ${token}`, Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}) },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(30000),
+        });
+      } catch (err) {
+        if (attempt >= MAX_ATTEMPTS || Date.now() > deadline) throw new ApiError(0, 'connection_failed', `Could not reach ${server}: ${err.cause?.message || err.message}`);
+        await sleep(1000 * 2 ** attempt);
+        continue;
+      }
+      const payload = await res.json().catch(() => null);
+      if (res.ok) return payload;
+      if (res.status === 429 && Date.now() < deadline) {
+        const wait = Number(res.headers.get('ratelimit-reset') || res.headers.get('retry-after')) || 60;
+        log(`Rate limited: ${payload?.error?.message || 'too many requests'} Waiting ${wait} s.`);
+        await sleep(Math.min(wait * 1000, Math.max(0, deadline - Date.now())));
+        continue;
+      }
+      if (res.status >= 500 && attempt < MAX_ATTEMPTS && Date.now() < deadline) {
+        await sleep(1000 * 2 ** attempt);
+        continue;
+      }
+      throw new ApiError(res.status, payload?.error?.code || 'http_error', payload?.error?.message || `HTTP ${res.status} from ${method} ${path}`);
+    }
+  };
+}
+
+/**
+ * The checks of one scan: --min thresholds and the limits of its page's budget, each
+ * { name, passed, message, budget?, skipped? (not measured), ignored? (failed budget limit with --ignore-budgets) }.
+ */
+function scanChecks(scan, { thresholds, ignoreBudgets }) {
+  const checks = [];
+  const categories = (scan.summary && scan.summary.categories) || {};
+  for (const [id, min] of Object.entries(thresholds)) {
+    const label = LIGHTHOUSE_CATEGORIES[id].label;
+    const score = categories[id];
+    if (typeof score !== 'number') {
+      checks.push({ name: `${label} ≥ ${min}`, passed: false, message: `${label} has no score` });
+    } else {
+      checks.push({ name: `${label} ≥ ${min}`, passed: score >= min, message: `${label} scored ${score}, under ${min}` });
+    }
+  }
+  if (scan.budget) {
+    for (const check of scan.budget.checks) {
+      checks.push({
+        name: `Budget: ${check.label} ${check.limitText}`,
+        passed: check.passed,
+        budget: true,
+        ignored: ignoreBudgets && !check.passed,
+        message: `${check.label} was ${check.actualText} (${check.overText}), budget ${check.limitText}`,
+      });
+    }
+    for (const label of scan.budget.unmeasured || []) {
+      checks.push({ name: `Budget: ${label}`, passed: true, budget: true, skipped: true, message: `${label} wasn’t measured` });
+    }
+  }
+  return checks;
+}
+
+/** "Label: error" of a failed scan, without repeating the label when the error starts with it. */
+function failureMessage(failure) {
+  const { label, error } = failure || {};
+  if (label && error) return error.startsWith(label) ? error : `${label}: ${error}`;
+  return error || label || 'The scan failed.';
+}
+
+/**
+ * One result per device of a job: { url, device, scan, error, checks, seconds }. Devices without a scan (the job
+ * failed, was cancelled or timed out before them) get the job's error.
+ */
+async function jobResults(request, item, options) {
+  const { job } = item;
+  const seconds = job.startedAt && job.finishedAt ? (Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000 : 0;
+  const results = [];
+  for (const { id } of job.scans) {
+    const { data: scan } = await request('GET', `/scans/${id}`);
+    let error = null;
+    if (scan.status === 'cancelled') error = item.error || 'The scan was cancelled.';
+    else if (scan.status !== 'completed') error = failureMessage(scan.failure);
+    results.push({ url: scan.url, device: scan.device.name, scan, error, checks: error ? [] : scanChecks(scan, options), seconds });
+  }
+  /* A job that fails on one device doesn't go on to the next. */
+  job.devices.forEach((key, i) => {
+    if (job.scans.some((s) => s.device === key)) return;
+    const error = item.error || job.error || (job.status === 'cancelled' ? 'The scan was cancelled.' : 'The device wasn’t scanned.');
+    results.push({ url: job.url, device: job.deviceNames[i], scan: null, error, checks: [], seconds: 0 });
+  });
+  return results;
+}
+
+function resultFailed(result) {
+  return Boolean(result.error) || result.checks.some((c) => !c.passed && !c.ignored);
+}
+
+/** Fixed-width text table; numbers right-aligned. */
+function formatTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => String(row[i]).length)));
+  const line = (cells) => cells.map((cell, i) => (typeof cell === 'number' ? String(cell).padStart(widths[i]) : String(cell).padEnd(widths[i]))).join('  ').trimEnd();
+  return [line(header), widths.map((w) => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function summaryTable(results) {
+  const header = ['URL', 'Device', ...CATEGORY_IDS.map((id) => LIGHTHOUSE_CATEGORIES[id].short), ...TABLE_METRICS.map((m) => m.label), 'Budget', 'Result'];
+  const rows = results.map((r) => {
+    const summary = (r.scan && r.scan.summary) || {};
+    const categories = summary.categories || {};
+    const metrics = summary.metrics || {};
+    const budget = r.scan && r.scan.budget;
+    return [
+      r.url,
+      r.device,
+      ...CATEGORY_IDS.map((id) => (typeof categories[id] === 'number' ? categories[id] : '-')),
+      ...TABLE_METRICS.map((m) => (metrics[m.id] ? metrics[m.id].displayValue || String(metrics[m.id].value) : '-')),
+      budget ? (budget.failed ? `${budget.failed} over` : 'ok') : '-',
+      r.error ? 'ERROR' : resultFailed(r) ? 'FAIL' : 'pass',
+    ];
+  });
+  return formatTable(header, rows);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c])
+    /* Control characters aren't allowed in XML 1.0. */
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * JUnit XML: a test suite per scan (URL and device) whose test cases are "Scan completed", each --min threshold,
+ * each budget limit and each Lighthouse audit the scan failed (its recommendations, scored under 90). Ignored budget
+ * failures are reported as skipped. Failed audits are there to show what to fix; they don't change the exit code.
+ */
+function junitXml(results, totalSeconds) {
+  const suites = results.map((r) => {
+    const name = `${r.url} (${r.device})`;
+    const report = r.scan ? `\nReport: ${r.scan.links.report}` : '';
+    const audits = (!r.error && r.scan && r.scan.summary && r.scan.summary.recommendations) || [];
+    const cases = [`    <testcase classname="${escapeXml(name)}" name="Scan completed" time="${r.seconds}">${r.error ? `\n      <error message="${escapeXml(r.error)}" type="ScanFailed">${escapeXml(`${r.error}${report}`)}</error>\n    ` : ''}</testcase>`];
+    for (const check of r.checks) {
+      let body = '';
+      if (check.skipped || check.ignored) body = `\n      <skipped message="${escapeXml(check.ignored ? `${check.message} (budgets ignored)` : check.message)}"/>\n    `;
+      else if (!check.passed) body = `\n      <failure message="${escapeXml(check.message)}" type="${check.budget ? 'BudgetExceeded' : 'ThresholdNotMet'}">${escapeXml(`${check.message}${report}`)}</failure>\n    `;
+      cases.push(`    <testcase classname="${escapeXml(name)}" name="${escapeXml(check.name)}" time="0">${body}</testcase>`);
+    }
+    for (const audit of audits) {
+      const message = `${audit.title}${audit.displayValue ? `: ${audit.displayValue}` : ''} (score ${audit.score})`;
+      const body = `\n      <failure message="${escapeXml(message)}" type="AuditFailed">${escapeXml(`${message}${report}`)}</failure>\n    `;
+      cases.push(`    <testcase classname="${escapeXml(name)}" name="${escapeXml(`Audit: ${audit.title}`)}" time="0">${body}</testcase>`);
+    }
+    const failures = r.checks.filter((c) => !c.passed && !c.ignored && !c.skipped).length + audits.length;
+    const skipped = r.checks.filter((c) => c.skipped || c.ignored).length;
+    return `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="${r.error ? 1 : 0}" skipped="${skipped}" time="${r.seconds}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+  const count = (key) => suites.reduce((sum, suite) => sum + Number(new RegExp(` ${key}="(\\d+)"`).exec(suite)[1]), 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="upgs-perf" tests="${count('tests')}" failures="${count('failures')}" errors="${count('errors')}" time="${totalSeconds}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+async function main(argv, env) {
+  const options = parseCommandLine(argv, env);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const startedAt = Date.now();
+  const deadline = startedAt + options.timeoutMs;
+  const request = apiClient(options.server, options.token, deadline);
+
+  const { data: me } = await request('GET', '/me');
+  const missing = ['scans:read', 'scans:write'].filter((scope) => !me.token.scopes.includes(scope));
+  if (missing.length) throw new ApiError(403, 'insufficient_scope', `The token "${me.token.name}" lacks the ${missing.join(' and ')} scope.`);
+  log(`Scanning ${options.urls.length} URL(s) on ${options.server} as ${me.user.email}.`);
+
+  /* Start everything first: the server queues the jobs and runs them as browsers free up. */
+  const items = [];
+  const cancelUnfinished = async () => {
+    for (const item of items.filter((i) => !FINISHED.includes(i.job.status))) {
+      try {
+        item.job = (await request('POST', `/jobs/${item.job.id}/cancel`)).data;
+      } catch (err) {
+        if (!(err instanceof ApiError && err.code === 'conflict')) log(`Could not cancel job ${item.job.id}: ${err.message}`);
+      }
+    }
+  };
+  const onSignal = (signal) => {
+    log(`${signal}: cancelling the scans.`);
+    cancelUnfinished().finally(() => process.exit(signal === 'SIGINT' ? 130 : 143));
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+
+  for (const url of options.urls) {
+    const { data: job } = await request('POST', '/scans', {
+      url,
+      devices: options.devices,
+      runs: options.runs,
+      categories: options.categories,
+      throttling: options.throttling,
+    });
+    items.push({ job, status: job.status });
+    log(`Job ${job.id}: ${url} on ${job.deviceNames.join(', ')} ${job.status}${job.position ? ` (#${job.position} in the queue)` : ''}.`);
+  }
+
+  while (items.some((i) => !FINISHED.includes(i.job.status))) {
+    if (Date.now() > deadline) {
+      log(`Timed out after ${options.timeoutMs / 60000} min: cancelling the unfinished scans.`);
+      await cancelUnfinished();
+      for (const item of items.filter((i) => i.job.status !== 'succeeded')) item.error = `Timed out after ${options.timeoutMs / 60000} min.`;
+      break;
+    }
+    await sleep(options.pollMs);
+    for (const item of items.filter((i) => !FINISHED.includes(i.job.status))) {
+      item.job = (await request('GET', `/jobs/${item.job.id}`)).data;
+      if (item.job.status !== item.status) {
+        item.status = item.job.status;
+        log(`Job ${item.job.id}: ${item.job.status}${item.job.error ? ` (${item.job.error})` : ''}.`);
+      }
+    }
+  }
+
+  const results = [];
+  for (const item of items) results.push(...(await jobResults(request, item, options)));
+  const timedOut = items.some((i) => i.error);
+
+  console.log(summaryTable(results));
+  const problems = results.flatMap((r) => (r.error ? [`${r.url} (${r.device}): ${r.error}`]
+    : r.checks.filter((c) => !c.passed && !c.ignored).map((c) => `${r.url} (${r.device}): ${c.message}`)));
+  if (problems.length) console.log(`\n${problems.map((p) => `✗ ${p}`).join('\n')}`);
+  const failedReports = results.filter((r) => r.scan && resultFailed(r)).map((r) => r.scan.links.report);
+  if (failedReports.length) console.log(`\nReports:\n${failedReports.map((link) => `  ${link}`).join('\n')}`);
+
+  if (options.junit) {
+    await mkdir(dirname(options.junit), { recursive: true });
+    await writeFile(options.junit, junitXml(results, (Date.now() - startedAt) / 1000));
+    log(`JUnit XML written to ${options.junit}.`);
+  }
+  if (timedOut) return 2;
+  const failed = results.filter(resultFailed).length;
+  console.log(failed ? `\n${failed} of ${results.length} scan(s) failed their checks.` : `\nAll ${results.length} scan(s) passed.`);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2), process.env).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    if (err instanceof UsageError) log(`${err.message}\nRun upgs-perf --help for the options.`);
+    else if (err instanceof ApiError) log(`Error: ${err.message}`);
+    else log(err.stack || String(err));
+    process.exitCode = 2;
+  }
+);
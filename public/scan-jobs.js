@@ -0,0 +1,130 @@
+(function () {
+  var POLL_MS = 2000;
+  var MAX_POLL_ERRORS = 3;
+
+  var TERMINAL = ['succeeded', 'failed', 'cancelled'];
+
+  function settle(job, resolve, reject) {
+    if (job.status === 'succeeded' || ((job.status === 'failed' || job.status === 'cancelled') && job.redirect)) resolve(job);
+    else reject(new Error(job.error || 'Scan failed. Try again.'));
+  }
+
+  /** Fallback when the event stream can't be used: poll the job's JSON status until it finishes. */
+  function pollStatus(statusUrl, handlers, resolve, reject) {
+    var errors = 0;
+    function poll() {
+      fetch(statusUrl, { headers: { 'Accept': 'application/json' }, credentials: 'same-origin' })
+        .then(function (r) {
+          if (r.status === 404 || r.status === 401) throw Object.assign(new Error('Scan not found. It may have been removed.'), { fatal: true });
+          if (!r.ok) throw new Error('Could not check scan status.');
+          return r.json();
+        })
+        .then(function (job) {
+          errors = 0;
+          if (TERMINAL.indexOf(job.status) !== -1) return settle(job, resolve, reject);
+          if (handlers.onStatus) handlers.onStatus(job);
+          setTimeout(poll, POLL_MS);
+        })
+        .catch(function (err) {
+          errors++;
+          if (err.fatal || errors >= MAX_POLL_ERRORS) return reject(err);
+          setTimeout(poll, POLL_MS);
+        });
+    }
+    poll();
+  }
+
+  /**
+   * Follow a scan job over Server-Sent Events until it finishes.
+   * handlers.onStatus(job) on queue updates; handlers.onProgress({ phase, message }) on each phase change.
+   * Resolves with the final job when there is somewhere to go (job.redirect); rejects with the job's error otherwise.
+   * If the stream drops (e.g. a proxy that buffers or times out) it falls back to polling urls.statusUrl.
+   */
+  window.followScanJob = function (urls, handlers) {
+    handlers = handlers || {};
+    return new Promise(function (resolve, reject) {
+      if (!window.EventSource) return pollStatus(urls.statusUrl, handlers, resolve, reject);
+      var source = new EventSource(urls.eventsUrl);
+      var finished = false;
+      source.addEventListener('status', function (e) {
+        if (handlers.onStatus) handlers.onStatus(JSON.parse(e.data));
+      });
+      source.addEventListener('progress', function (e) {
+        if (handlers.onProgress) handlers.onProgress(JSON.parse(e.data));
+      });
+      source.addEventListener('done', function (e) {
+        finished = true;
+        source.close();
+        settle(JSON.parse(e.data), resolve, reject);
+      });
+      source.onerror = function () {
+        if (finished) return;
+        source.close();
+        pollStatus(urls.statusUrl, handlers, resolve, reject);
+      };
+    });
+  };
+
+  /** Follow a signed-in user's scan job by id. */
+  window.waitForScanJob = function (jobId, handlers) {
+    var base = '/scans/jobs/' + encodeURIComponent(jobId);
+    return window.followScanJob({ eventsUrl: base + '/events', statusUrl: base }, handlers);
+  };
+
+  /** Ask the server to cancel a job. Whoever follows the job then gets a 'cancelled' finish (redirect to history). */
+  window.cancelScanJob = function (jobId) {
+    var csrfMeta = document.querySelector('meta[name="csrf-token"]');
+    var csrf = csrfMeta ? csrfMeta.getAttribute('content') : '';
+    return fetch('/scans/jobs/' + encodeURIComponent(jobId) + '/cancel', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+      credentials: 'same-origin',
+      body: csrf ? new URLSearchParams({ _csrf: csrf }).toString() : ''
+    }).then(function (r) {
+      if (r.status === 409) throw new Error('This scan has already finished.');
+      if (!r.ok) throw new Error('Could not cancel the scan. Try again.');
+      return r.json();
+    });
+  };
+
+  /** Show an overlay's cancel button for jobId; a click confirms, then cancels the job. */
+  window.showScanJobCancel = function (button, jobId) {
+    if (!button) return;
+    button.hidden = false;
+    button.disabled = false;
+    button.textContent = 'Cancel scan';
+    button.onclick = function () {
+      var confirmed = window.showConfirm
+        ? window.showConfirm('Stop this scan? Nothing from the unfinished run is saved.', { title: 'Cancel scan', okLabel: 'Cancel scan', danger: true })
+        : Promise.resolve(true);
+      confirmed.then(function (ok) {
+        if (!ok) return;
+        button.disabled = true;
+        button.textContent = 'Cancelling…';
+        window.cancelScanJob(jobId).catch(function (err) {
+          button.disabled = false;
+          button.textContent = 'Cancel scan';
+          if (window.showAlert) window.showAlert(err.message);
+        });
+      });
+    };
+  };
+
+  /** Overlay step text for a job that hasn't started yet. */
+  window.scanJobQueuedText = function (job) {
+    return job && job.position > 1 ? 'Waiting in queue (' + (job.position - 1) + ' ahead)…' : 'Waiting to start…';
+  };
+
+  /** Handlers that keep an overlay's step line in sync with the job. */
+  window.scanJobStepHandlers = function (stepEl) {
+    return {
+      onStatus: function (job) {
+        if (stepEl && job.status === 'queued') stepEl.textContent = window.scanJobQueuedText(job);
+        else if (stepEl && job.status === 'running' && /^(Starting|Waiting)/.test(stepEl.textContent)) stepEl.textContent = 'Starting Lighthouse…';
+      },
+      onProgress: function (progress) {
+        if (stepEl && progress && progress.message) stepEl.textContent = progress.message + '…';
+      }
+    };
+  };
+})();
@@ -3,12 +3,44 @@ import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+const port = parseInt(process.env.PORT || '3000', 10);
+
 export default {
-  port: parseInt(process.env.PORT || '3000', 10),
+  port,
+  /** Address the app is reached at, for links in webhook payloads (no trailing slash). */
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
   dbPath: process.env.DB_PATH || resolve(__dirname, '../data/upgs.db'),
   sessionSecret: process.env.SESSION_SECRET || 'change-me-in-production',
+  /** Key material for encrypting saved site logins; falls back to sessionSecret. Changing it makes saved logins unreadable. */
+  credentialsSecret: process.env.CREDENTIALS_SECRET || undefined,
   /** Path to Chrome/Chromium binary; required for screenshots and PDF export. */
   chromePath: process.env.CHROME_PATH || undefined,
+  /**
+   * Max Chrome instances running at once (Lighthouse runs, PDF export); also how many scan jobs run in parallel.
+   * Parallel Lighthouse runs compete for CPU and skew performance scores, so keep 1 unless the host has cores to spare.
+   */
+  chromePoolSize: Math.max(1, parseInt(process.env.CHROME_POOL_SIZE || '1', 10) || 1),
+  /** Automatic retries for a device scan that failed for a transient reason (timeout, HTTP 5xx, connection, Chrome launch). 0 disables. */
+  scanRetries: Math.max(0, parseInt(process.env.SCAN_RETRIES || '1', 10) || 0),
+  /**
+   * Outgoing email (scan alerts, weekly digest). Email is off unless SMTP_HOST is set; SMTP_SECURE=1 uses TLS from the
+   * start (port 465), otherwise STARTTLS is used when the server offers it. A local catcher like MailHog listens on 1025.
+   */
+  smtp: {
+    host: process.env.SMTP_HOST || undefined,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === '1',
+    user: process.env.SMTP_USER || undefined,
+    pass: process.env.SMTP_PASS || undefined,
+    from: process.env.MAIL_FROM || 'UPGS Perf <no-reply@localhost>',
+  },
+  /**
+   * Check JSON responses of documented endpoints against the OpenAPI document and log mismatches (a development aid;
+   * requests are always validated). On unless NODE_ENV=production; OPENAPI_VALIDATE_RESPONSES=1 or 0 overrides.
+   */
+  validateApiResponses: process.env.OPENAPI_VALIDATE_RESPONSES
+    ? process.env.OPENAPI_VALIDATE_RESPONSES === '1'
+    : process.env.NODE_ENV !== 'production',
   /** Use in-memory only when SESSION_STORE=memory; default is SQLite so multiple processes (e.g. PM2) share the same sessions. */
   useMemorySession: process.env.SESSION_STORE === 'memory',
   chromeFlags: [
@@ -35,6 +35,97 @@ export function getDb() {
     } catch (e) {
       if (!/duplicate column name/i.test(e.message)) throw e;
     }
+    try {
+      db.exec('ALTER TABLE scans ADD COLUMN job_id INTEGER');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec("ALTER TABLE scans ADD COLUMN status TEXT NOT NULL DEFAULT 'completed'");
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scans ADD COLUMN failure_reason TEXT');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scans ADD COLUMN error TEXT');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scan_jobs ADD COLUMN schedule_id INTEGER');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scan_jobs ADD COLUMN flow_id INTEGER');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scan_jobs ADD COLUMN crawl_id INTEGER');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_scan_jobs_crawl_id ON scan_jobs(crawl_id) WHERE crawl_id IS NOT NULL');
+    try {
+      db.exec('ALTER TABLE scan_jobs ADD COLUMN project_id INTEGER');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE user_flows ADD COLUMN project_id INTEGER');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scans ADD COLUMN budget_result TEXT');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scans ADD COLUMN regression_result TEXT');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE scans ADD COLUMN baseline_pinned INTEGER NOT NULL DEFAULT 0');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec("ALTER TABLE users ADD COLUMN regression_baseline TEXT NOT NULL DEFAULT 'previous'");
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE users ADD COLUMN regression_window INTEGER NOT NULL DEFAULT 5');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE users ADD COLUMN email_scan_failures INTEGER NOT NULL DEFAULT 0');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE users ADD COLUMN email_regressions INTEGER NOT NULL DEFAULT 0');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE users ADD COLUMN email_digest INTEGER NOT NULL DEFAULT 0');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
+    try {
+      db.exec('ALTER TABLE users ADD COLUMN digest_sent_at TEXT');
+    } catch (e) {
+      if (!/duplicate column name/i.test(e.message)) throw e;
+    }
   }
   return db;
 }
@@ -91,13 +182,27 @@ export function updateUser(userId, updates) {
 }
 
 // --- Scans ---
-export function createScan(userId, url, options, reportJson, summary, runId = null) {
+export function createScan(userId, url, options, reportJson, summary, runId = null, jobId = null) {
   const stmt = getDb().prepare(
-    'INSERT INTO scans (user_id, url, options, report_json, summary, run_id) VALUES (?, ?, ?, ?, ?, ?)'
+    'INSERT INTO scans (user_id, url, options, report_json, summary, run_id, job_id) VALUES (?, ?, ?, ?, ?, ?, ?)'
   );
   const optionsStr = options ? JSON.stringify(options) : null;
   const summaryStr = typeof summary === 'string' ? summary : JSON.stringify(summary);
-  const result = stmt.run(userId, url, optionsStr, reportJson, summaryStr, runId || null);
+  const result = stmt.run(userId, url, optionsStr, reportJson, summaryStr, runId || null, jobId || null);
+  return result.lastInsertRowid;
+}
+
+/**
+ * Record a scan that didn't produce a report (status 'failed' or 'cancelled') so it still shows in history.
+ * It has no report and an empty summary; options keep the device so it can be re-scanned.
+ * failureReason is a classifyScanError category (e.g. 'dns', 'timeout'); error is the message shown with it.
+ */
+export function createUnfinishedScan(userId, url, options, status, { runId = null, jobId = null, failureReason = null, error = null } = {}) {
+  const stmt = getDb().prepare(
+    "INSERT INTO scans (user_id, url, options, report_json, summary, run_id, job_id, status, failure_reason, error) VALUES (?, ?, ?, NULL, '{}', ?, ?, ?, ?, ?)"
+  );
+  const optionsStr = options ? JSON.stringify(options) : null;
+  const result = stmt.run(userId, url, optionsStr, runId || null, jobId || null, status, failureReason || null, error || null);
   return result.lastInsertRowid;
 }
 
@@ -108,6 +213,21 @@ export function updateScanScreenshot(scanId, screenshotPath) {
   return stmt.run(screenshotPath, scanId);
 }
 
+/**
+ * SQL for a scan's device key, as deviceKey() in services/devices.js computes it: the device profile id, or the
+ * form factor for scans saved before profiles.
+ * @param {string} alias - Table alias of scans
+ */
+function deviceKeySql(alias) {
+  return `COALESCE(json_extract(${alias}.options, '$.device.id'), CASE WHEN json_extract(${alias}.options, '$.formFactor') = 'desktop' THEN 'desktop' ELSE 'mobile' END)`;
+}
+
+/** Save the outcome of checking a scan against its budget (see services/budgets.js). */
+export function updateScanBudgetResult(scanId, result) {
+  const stmt = getDb().prepare('UPDATE scans SET budget_result = ? WHERE id = ?');
+  return stmt.run(result ? JSON.stringify(result) : null, scanId);
+}
+
 export function getScanCountByUserId(userId) {
   const stmt = getDb().prepare(
     'SELECT COUNT(*) AS count FROM scans WHERE user_id = ?'
@@ -125,14 +245,14 @@ export function getScanGroupCountByUserId(userId) {
   return row ? row.count : 0;
 }
 
-export function getScanGroupCountByUserIdSearch(userId, searchQuery) {
-  const term = escapeLike(searchQuery.trim());
-  if (!term) return getScanGroupCountByUserId(userId);
-  const pattern = `%${term}%`;
+/** Group count for history filtered by URL search and/or project (projectId: the page URLs of that project). */
+export function getScanGroupCountByUserIdSearch(userId, searchQuery, projectId = null) {
+  const filter = scanFilter(userId, searchQuery, projectId);
+  if (!filter) return getScanGroupCountByUserId(userId);
   const stmt = getDb().prepare(
-    'SELECT COUNT(DISTINCT COALESCE(run_id, id)) AS count FROM scans WHERE user_id = ? AND url LIKE ? ESCAPE \'\\\''
+    `SELECT COUNT(DISTINCT COALESCE(run_id, id)) AS count FROM scans WHERE ${filter.where}`
   );
-  const row = stmt.get(userId, pattern);
+  const row = stmt.get(...filter.params);
   return row ? row.count : 0;
 }
 
@@ -146,67 +266,95 @@ function escapeLike(raw) {
   return raw.replace(/\\/g, '\\\\').replace(/%/g, '\\%').replace(/_/g, '\\_');
 }
 
-export function getScanCountByUserIdSearch(userId, searchQuery) {
-  const term = escapeLike(searchQuery.trim());
-  if (!term) return getScanCountByUserId(userId);
-  const pattern = `%${term}%`;
-  const stmt = getDb().prepare(
-    'SELECT COUNT(*) AS count FROM scans WHERE user_id = ? AND url LIKE ? ESCAPE \'\\\''
-  );
-  const row = stmt.get(userId, pattern);
+/**
+ * WHERE clause (and its parameters) for a user's scans whose URL contains searchQuery and, with projectId, is one of
+ * that project's pages. Returns null when neither filter applies.
+ */
+function scanFilter(userId, searchQuery, projectId) {
+  const clauses = ['user_id = ?'];
+  const params = [userId];
+  const term = escapeLike(String(searchQuery || '').trim());
+  if (term) {
+    clauses.push("url LIKE ? ESCAPE '\\'");
+    params.push(`%${term}%`);
+  }
+  if (projectId) {
+    clauses.push('url IN (SELECT url FROM project_pages WHERE project_id = ?)');
+    params.push(projectId);
+  }
+  return params.length > 1 ? { where: clauses.join(' AND '), params } : null;
+}
+
+/** Scans matching a URL search and/or project (see scanFilter). */
+export function getScanCountByUserIdSearch(userId, searchQuery, projectId = null) {
+  const filter = scanFilter(userId, searchQuery, projectId);
+  if (!filter) return getScanCountByUserId(userId);
+  const row = getDb().prepare(`SELECT COUNT(*) AS count FROM scans WHERE ${filter.where}`).get(...filter.params);
   return row ? row.count : 0;
 }
 
-export function getScansByUserIdSearch(userId, searchQuery, limit = 50, offset = 0) {
-  const term = escapeLike(searchQuery.trim());
-  if (!term) return getScansByUserId(userId, limit, offset);
-  const pattern = `%${term}%`;
+/** Scans for history filtered by URL search and/or project (see getScanGroupCountByUserIdSearch). */
+export function getScansByUserIdSearch(userId, searchQuery, limit = 50, offset = 0, projectId = null) {
+  const filter = scanFilter(userId, searchQuery, projectId);
+  if (!filter) return getScansByUserId(userId, limit, offset);
   const stmt = getDb().prepare(
-    'SELECT id, url, options, summary, created_at, run_id FROM scans WHERE user_id = ? AND url LIKE ? ESCAPE \'\\\' ORDER BY created_at DESC LIMIT ? OFFSET ?'
+    `SELECT id, url, options, summary, created_at, run_id, status, failure_reason, error, budget_result, regression_result FROM scans WHERE ${filter.where} ORDER BY created_at DESC LIMIT ? OFFSET ?`
   );
-  const rows = stmt.all(userId, pattern, limit, offset);
+  const rows = stmt.all(...filter.params, limit, offset);
   return rows.map((row) => {
     let summary = null;
     let options = null;
+    let budgetResult = null;
+    let regressionResult = null;
     try {
       summary = row.summary ? JSON.parse(row.summary) : null;
       options = row.options ? JSON.parse(row.options) : null;
+      budgetResult = row.budget_result ? JSON.parse(row.budget_result) : null;
+      regressionResult = row.regression_result ? JSON.parse(row.regression_result) : null;
     } catch {
       /* corrupted JSON: keep null summary/options */
     }
-    return { ...row, summary, options };
+    return { ...row, summary, options, budget_result: budgetResult, regression_result: regressionResult };
   });
 }
 
 export function getScansByUserId(userId, limit = 50, offset = 0) {
   const stmt = getDb().prepare(
-    'SELECT id, url, options, summary, created_at, run_id FROM scans WHERE user_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'
+    'SELECT id, url, options, summary, created_at, run_id, status, failure_reason, error, budget_result, regression_result FROM scans WHERE user_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'
   );
   const rows = stmt.all(userId, limit, offset);
   return rows.map((row) => {
     let summary = null;
     let options = null;
+    let budgetResult = null;
+    let regressionResult = null;
     try {
       summary = row.summary ? JSON.parse(row.summary) : null;
       options = row.options ? JSON.parse(row.options) : null;
+      budgetResult = row.budget_result ? JSON.parse(row.budget_result) : null;
+      regressionResult = row.regression_result ? JSON.parse(row.regression_result) : null;
     } catch {
       /* corrupted JSON: keep null summary/options */
     }
-    return { ...row, summary, options };
+    return { ...row, summary, options, budget_result: budgetResult, regression_result: regressionResult };
   });
 }
 
 export function getScanByIdAndUserId(scanId, userId) {
   const stmt = getDb().prepare(
-    'SELECT id, user_id, url, options, report_json, summary, screenshot_path, share_token, created_at, run_id FROM scans WHERE id = ? AND user_id = ?'
+    'SELECT id, user_id, url, options, report_json, summary, screenshot_path, share_token, created_at, run_id, status, failure_reason, error, budget_result, regression_result, baseline_pinned FROM scans WHERE id = ? AND user_id = ?'
   );
   const row = stmt.get(scanId, userId);
   if (!row) return null;
   let summary = null;
   let options = null;
+  let budgetResult = null;
+  let regressionResult = null;
   try {
     summary = row.summary ? JSON.parse(row.summary) : null;
     options = row.options ? JSON.parse(row.options) : null;
+    budgetResult = row.budget_result ? JSON.parse(row.budget_result) : null;
+    regressionResult = row.regression_result ? JSON.parse(row.regression_result) : null;
   } catch {
     /* corrupted JSON: keep null so report still renders URL/meta */
   }
@@ -214,6 +362,8 @@ export function getScanByIdAndUserId(scanId, userId) {
     ...row,
     summary,
     options,
+    budget_result: budgetResult,
+    regression_result: regressionResult,
     report_json: row.report_json,
   };
 }
@@ -222,26 +372,30 @@ export function getScanByIdAndUserId(scanId, userId) {
 export function getScansByRunIdAndUserId(runId, userId) {
   if (!runId || typeof runId !== 'string') return [];
   const stmt = getDb().prepare(
-    'SELECT id, user_id, url, options, report_json, summary, screenshot_path, share_token, created_at, run_id FROM scans WHERE run_id = ? AND user_id = ? ORDER BY id ASC'
+    'SELECT id, user_id, url, options, report_json, summary, screenshot_path, share_token, created_at, run_id, status, failure_reason, error, budget_result, regression_result, baseline_pinned FROM scans WHERE run_id = ? AND user_id = ? ORDER BY id ASC'
   );
   const rows = stmt.all(runId, userId);
   return rows.map((row) => {
     let summary = null;
     let options = null;
+    let budgetResult = null;
+    let regressionResult = null;
     try {
       summary = row.summary ? JSON.parse(row.summary) : null;
       options = row.options ? JSON.parse(row.options) : null;
+      budgetResult = row.budget_result ? JSON.parse(row.budget_result) : null;
+      regressionResult = row.regression_result ? JSON.parse(row.regression_result) : null;
     } catch {
       /* ignore */
     }
-    return { ...row, summary, options, report_json: row.report_json };
+    return { ...row, summary, options, budget_result: budgetResult, regression_result: regressionResult, report_json: row.report_json };
   });
 }
 
 export function getScanByShareToken(token) {
   if (!token || typeof token !== 'string') return null;
   const stmt = getDb().prepare(
-    'SELECT id, user_id, url, options, summary, screenshot_path, created_at FROM scans WHERE share_token = ?'
+    'SELECT id, user_id, url, options, summary, screenshot_path, created_at, status, failure_reason, error FROM scans WHERE share_token = ?'
   );
   const row = stmt.get(token.trim());
   if (!row) return null;
@@ -265,22 +419,77 @@ export function updateScanShareToken(scanId, userId, token) {
 }
 
 export function deleteScan(scanId, userId) {
-  const stmt = getDb().prepare(
-    'DELETE FROM scans WHERE id = ? AND user_id = ?'
-  );
-  const result = stmt.run(scanId, userId);
-  return result.changes > 0;
+  const database = getDb();
+  return database.transaction(() => {
+    const result = database.prepare('DELETE FROM scans WHERE id = ? AND user_id = ?').run(scanId, userId);
+    if (result.changes > 0) {
+      database.prepare('DELETE FROM scan_comparisons WHERE user_id = ? AND (scan_a_id = ? OR scan_b_id = ?)').run(userId, scanId, scanId);
+    }
+    return result.changes > 0;
+  })();
 }
 
 /** Delete multiple scans by id; all must belong to userId. */
 export function deleteScansByIds(userId, ids) {
   if (!Array.isArray(ids) || ids.length === 0) return 0;
   const placeholders = ids.map(() => '?').join(',');
+  const database = getDb();
+  return database.transaction(() => {
+    const result = database.prepare(`DELETE FROM scans WHERE user_id = ? AND id IN (${placeholders})`).run(userId, ...ids);
+    database.prepare(
+      `DELETE FROM scan_comparisons WHERE user_id = ? AND (scan_a_id IN (${placeholders}) OR scan_b_id IN (${placeholders}))`
+    ).run(userId, ...ids, ...ids);
+    return result.changes;
+  })();
+}
+
+/** The user's latest completed scans (without reports), newest first: the choices for comparing two scans. */
+export function getCompletedScansForCompare(userId, limit = 100) {
   const stmt = getDb().prepare(
-    `DELETE FROM scans WHERE user_id = ? AND id IN (${placeholders})`
+    "SELECT id, url, options, created_at FROM scans WHERE user_id = ? AND status = 'completed' ORDER BY created_at DESC, id DESC LIMIT ?"
   );
-  const result = stmt.run(userId, ...ids);
-  return result.changes;
+  return stmt.all(userId, limit).map((row) => {
+    let options = null;
+    try {
+      options = row.options ? JSON.parse(row.options) : null;
+    } catch {
+      /* ignore */
+    }
+    return { ...row, options };
+  });
+}
+
+/** The share token of a user's comparison of scan A with scan B, or null when it isn't shared. */
+export function getScanComparisonShareToken(userId, scanAId, scanBId) {
+  const row = getDb().prepare(
+    'SELECT share_token FROM scan_comparisons WHERE user_id = ? AND scan_a_id = ? AND scan_b_id = ?'
+  ).get(userId, scanAId, scanBId);
+  return row ? row.share_token : null;
+}
+
+/** Share the comparison of scan A with scan B under token, unless it already is. Returns its token. */
+export function createScanComparisonShare(userId, scanAId, scanBId, token) {
+  const database = getDb();
+  database.prepare(
+    'INSERT OR IGNORE INTO scan_comparisons (user_id, scan_a_id, scan_b_id, share_token) VALUES (?, ?, ?, ?)'
+  ).run(userId, scanAId, scanBId, token);
+  return getScanComparisonShareToken(userId, scanAId, scanBId);
+}
+
+export function deleteScanComparisonShare(userId, scanAId, scanBId) {
+  const stmt = getDb().prepare('DELETE FROM scan_comparisons WHERE user_id = ? AND scan_a_id = ? AND scan_b_id = ?');
+  return stmt.run(userId, scanAId, scanBId).changes > 0;
+}
+
+/** A shared comparison's two scans ({ a, b }, as getScanByIdAndUserId without report_json), or null. */
+export function getScanComparisonByShareToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const row = getDb().prepare('SELECT user_id, scan_a_id, scan_b_id FROM scan_comparisons WHERE share_token = ?').get(token.trim());
+  if (!row) return null;
+  const a = getScanByIdAndUserId(row.scan_a_id, row.user_id);
+  const b = getScanByIdAndUserId(row.scan_b_id, row.user_id);
+  if (!a || !b) return null;
+  return { a: { ...a, report_json: undefined }, b: { ...b, report_json: undefined } };
 }
 
 /** Scan ids and screenshot paths for a user (for account deletion / file cleanup). */
@@ -291,38 +500,20 @@ export function getScanScreenshotPathsByUserId(userId) {
   return stmt.all(userId);
 }
 
-/** Distinct URLs the user has scanned (for trends / website selector). */
-export function getDistinctUrlsByUserId(userId) {
+/** Distinct URLs the user has scanned (for trends / website selector), optionally only a project's pages. */
+export function getDistinctUrlsByUserId(userId, projectId = null) {
+  const filter = scanFilter(userId, '', projectId) || { where: 'user_id = ?', params: [userId] };
   const stmt = getDb().prepare(
-    'SELECT DISTINCT url FROM scans WHERE user_id = ? ORDER BY url ASC'
+    `SELECT DISTINCT url FROM scans WHERE ${filter.where} ORDER BY url ASC`
   );
-  const rows = stmt.all(userId);
+  const rows = stmt.all(...filter.params);
   return rows.map((r) => r.url);
 }
 
-/** Scans for a given URL and user, chronological (oldest first) for trend charts. */
-export function getScansByUrlAndUserId(userId, url, limit = 200) {
-  const stmt = getDb().prepare(
-    'SELECT id, url, options, summary, created_at, run_id FROM scans WHERE user_id = ? AND url = ? ORDER BY created_at ASC LIMIT ?'
-  );
-  const rows = stmt.all(userId, url, limit);
-  return rows.map((row) => {
-    let summary = null;
-    let options = null;
-    try {
-      summary = row.summary ? JSON.parse(row.summary) : null;
-      options = row.options ? JSON.parse(row.options) : null;
-    } catch {
-      /* keep null */
-    }
-    return { ...row, summary, options };
-  });
-}
-
 /** All scans for a user (metadata + summary only, no report_json) for data export. */
 export function getScansForUserExport(userId) {
   const stmt = getDb().prepare(
-    'SELECT id, url, options, summary, created_at, run_id FROM scans WHERE user_id = ? ORDER BY created_at DESC'
+    'SELECT id, url, options, summary, created_at, run_id, status, failure_reason, error FROM scans WHERE user_id = ? ORDER BY created_at DESC'
   );
   const rows = stmt.all(userId);
   return rows.map((row) => {
@@ -341,10 +532,1324 @@ export function getScansForUserExport(userId) {
       summary,
       created_at: row.created_at,
       run_id: row.run_id,
+      status: row.status,
+      failure_reason: row.failure_reason,
+      error: row.error,
     };
   });
 }
 
+// --- Scan jobs ---
+function parseScanJobRow(row) {
+  if (!row) return null;
+  let devices = [];
+  let options = null;
+  let result = null;
+  try {
+    devices = row.devices ? JSON.parse(row.devices) : [];
+    options = row.options ? JSON.parse(row.options) : null;
+    result = row.result ? JSON.parse(row.result) : null;
+  } catch {
+    /* corrupted JSON: keep defaults */
+  }
+  return { ...row, devices, options, result };
+}
+
+export function createScanJob(userId, url, devices, options, runId = null, scheduleId = null) {
+  const stmt = getDb().prepare(
+    'INSERT INTO scan_jobs (user_id, url, devices, options, run_id, schedule_id) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  const optionsStr = options ? JSON.stringify(options) : null;
+  const result = stmt.run(userId, url, JSON.stringify(devices), optionsStr, runId || null, scheduleId || null);
+  return result.lastInsertRowid;
+}
+
+/** Job running a user flow: devices holds its one device, options the steps and settings snapshot it runs with. */
+export function createFlowScanJob(userId, flowId, url, devices, options) {
+  const stmt = getDb().prepare(
+    'INSERT INTO scan_jobs (user_id, flow_id, url, devices, options) VALUES (?, ?, ?, ?, ?)'
+  );
+  const result = stmt.run(userId, flowId, url, JSON.stringify(devices), JSON.stringify(options));
+  return result.lastInsertRowid;
+}
+
+/** Guest scan job (landing page free scan); no user, addressed by its unguessable token. */
+export function createGuestScanJob(guestToken, url, formFactor) {
+  const stmt = getDb().prepare(
+    'INSERT INTO scan_jobs (guest_token, url, devices, options) VALUES (?, ?, ?, ?)'
+  );
+  const result = stmt.run(guestToken, url, JSON.stringify([formFactor]), JSON.stringify({ formFactor }));
+  return result.lastInsertRowid;
+}
+
+export function getScanJobByGuestToken(guestToken) {
+  if (!guestToken || typeof guestToken !== 'string') return null;
+  const stmt = getDb().prepare('SELECT * FROM scan_jobs WHERE guest_token = ?');
+  return parseScanJobRow(stmt.get(guestToken.trim()));
+}
+
+export function getScanJobById(jobId) {
+  const stmt = getDb().prepare('SELECT * FROM scan_jobs WHERE id = ?');
+  return parseScanJobRow(stmt.get(jobId));
+}
+
+export function getScanJobByIdAndUserId(jobId, userId) {
+  const stmt = getDb().prepare('SELECT * FROM scan_jobs WHERE id = ? AND user_id = ?');
+  return parseScanJobRow(stmt.get(jobId, userId));
+}
+
+/**
+ * Order in which queued jobs (aliased j) are claimed. Fair across owners (guests count as one owner): fewest running
+ * jobs first, then whoever was served longest ago, then oldest, except that an owner's crawl jobs wait behind their
+ * other scans.
+ */
+const SCAN_JOB_CLAIM_ORDER = `
+  (SELECT COUNT(*) FROM scan_jobs r WHERE r.status = 'running' AND r.user_id IS j.user_id) ASC,
+  (SELECT MAX(r.started_at) FROM scan_jobs r WHERE r.user_id IS j.user_id AND r.id != j.id) ASC,
+  j.crawl_id IS NOT NULL ASC,
+  j.id ASC`;
+
+/**
+ * 1-based place of a queued job in claim order (1 = claimed next), or null when it isn't queued. A snapshot: the order
+ * shifts as other owners' jobs start, finish or are queued.
+ */
+export function getScanJobQueuePosition(jobId) {
+  const stmt = getDb().prepare(
+    `SELECT position FROM (
+       SELECT j.id, ROW_NUMBER() OVER (ORDER BY ${SCAN_JOB_CLAIM_ORDER}) AS position
+       FROM scan_jobs j WHERE j.status = 'queued'
+     ) WHERE id = ?`
+  );
+  const row = stmt.get(jobId);
+  return row ? row.position : null;
+}
+
+/** Mark the next queued job (see SCAN_JOB_CLAIM_ORDER) running and count the attempt. Returns null when the queue is empty. */
+export function claimNextScanJob() {
+  const database = getDb();
+  const claim = database.transaction(() => {
+    const row = database.prepare(
+      `SELECT j.id FROM scan_jobs j WHERE j.status = 'queued' ORDER BY ${SCAN_JOB_CLAIM_ORDER} LIMIT 1`
+    ).get();
+    if (!row) return null;
+    database.prepare(
+      "UPDATE scan_jobs SET status = 'running', attempts = attempts + 1, started_at = datetime('now') WHERE id = ?"
+    ).run(row.id);
+    return parseScanJobRow(database.prepare('SELECT * FROM scan_jobs WHERE id = ?').get(row.id));
+  });
+  return claim.immediate();
+}
+
+/** Cancel a job that hasn't started. Returns false if it was claimed (or finished) in the meantime. */
+export function cancelQueuedScanJob(jobId) {
+  const stmt = getDb().prepare(
+    "UPDATE scan_jobs SET status = 'cancelled', finished_at = datetime('now') WHERE id = ? AND status = 'queued'"
+  );
+  return stmt.run(jobId).changes > 0;
+}
+
+/** Set a job's final status ('succeeded' | 'failed' | 'cancelled'). result is stored as JSON (guest jobs keep their report there). */
+export function finishScanJob(jobId, status, { resultScanId = null, result = null, error = null } = {}) {
+  const stmt = getDb().prepare(
+    "UPDATE scan_jobs SET status = ?, result_scan_id = ?, result = ?, error = ?, finished_at = datetime('now') WHERE id = ?"
+  );
+  const resultStr = result ? JSON.stringify(result) : null;
+  return stmt.run(status, resultScanId || null, resultStr, error || null, jobId);
+}
+
+/**
+ * Jobs still marked running belong to a process that has exited (restart/reload).
+ * Requeue them to resume, or fail them once they've used maxAttempts.
+ */
+export function recoverInterruptedScanJobs(maxAttempts) {
+  const database = getDb();
+  const recover = database.transaction(() => {
+    const failed = database.prepare(
+      "UPDATE scan_jobs SET status = 'failed', error = 'Scan was interrupted by a server restart.', finished_at = datetime('now') WHERE status = 'running' AND attempts >= ?"
+    ).run(maxAttempts).changes;
+    const requeued = database.prepare(
+      "UPDATE scan_jobs SET status = 'queued' WHERE status = 'running'"
+    ).run().changes;
+    return { requeued, failed };
+  });
+  return recover();
+}
+
+/** Number of queued and running jobs (all users), for queue/pool status. */
+export function getScanJobCountsByStatus() {
+  const rows = getDb().prepare(
+    "SELECT status, COUNT(*) AS count FROM scan_jobs WHERE status IN ('queued', 'running') GROUP BY status"
+  ).all();
+  const counts = { queued: 0, running: 0 };
+  for (const row of rows) counts[row.status] = row.count;
+  return counts;
+}
+
+/** Scans already saved by a job (used to skip finished devices when a job resumes). */
+export function getScansByJobId(jobId) {
+  const stmt = getDb().prepare('SELECT id, options, status, failure_reason, error FROM scans WHERE job_id = ? ORDER BY id ASC');
+  return stmt.all(jobId).map((row) => {
+    let options = null;
+    try {
+      options = row.options ? JSON.parse(row.options) : null;
+    } catch {
+      /* keep null */
+    }
+    return { ...row, options };
+  });
+}
+
+// --- Scan schedules ---
+function parseScanScheduleRow(row) {
+  if (!row) return null;
+  let devices = [];
+  let options = null;
+  try {
+    devices = row.devices ? JSON.parse(row.devices) : [];
+    options = row.options ? JSON.parse(row.options) : null;
+  } catch {
+    /* corrupted JSON: keep defaults */
+  }
+  return { ...row, devices, options, paused: Boolean(row.paused) };
+}
+
+/** Schedule columns plus the status of the job its latest run queued (to show the outcome and detect overlaps). */
+const SCHEDULE_SELECT = `SELECT s.*, j.status AS last_job_status, j.error AS last_job_error, j.result_scan_id AS last_result_scan_id
+  FROM scan_schedules s LEFT JOIN scan_jobs j ON j.id = s.last_job_id`;
+
+/** fields: { url, devices, options, frequency, cron, nextRunAt } */
+export function createScanSchedule(userId, { url, devices, options, frequency, cron, nextRunAt }) {
+  const stmt = getDb().prepare(
+    'INSERT INTO scan_schedules (user_id, url, devices, options, frequency, cron, next_run_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  );
+  const optionsStr = options ? JSON.stringify(options) : null;
+  const result = stmt.run(userId, url, JSON.stringify(devices), optionsStr, frequency, cron, nextRunAt || null);
+  return result.lastInsertRowid;
+}
+
+export function getScanSchedulesByUserId(userId) {
+  const stmt = getDb().prepare(`${SCHEDULE_SELECT} WHERE s.user_id = ? ORDER BY s.url ASC, s.id ASC`);
+  return stmt.all(userId).map(parseScanScheduleRow);
+}
+
+export function getScanScheduleCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM scan_schedules WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+export function getScanScheduleByIdAndUserId(scheduleId, userId) {
+  const stmt = getDb().prepare(`${SCHEDULE_SELECT} WHERE s.id = ? AND s.user_id = ?`);
+  return parseScanScheduleRow(stmt.get(scheduleId, userId));
+}
+
+/** Replace a schedule's URL, devices, options and timing. Returns true if updated. */
+export function updateScanSchedule(scheduleId, userId, { url, devices, options, frequency, cron, nextRunAt }) {
+  const stmt = getDb().prepare(
+    "UPDATE scan_schedules SET url = ?, devices = ?, options = ?, frequency = ?, cron = ?, next_run_at = ?, updated_at = datetime('now') WHERE id = ? AND user_id = ?"
+  );
+  const optionsStr = options ? JSON.stringify(options) : null;
+  const result = stmt.run(url, JSON.stringify(devices), optionsStr, frequency, cron, nextRunAt || null, scheduleId, userId);
+  return result.changes > 0;
+}
+
+/** Pause or resume. Resuming sets nextRunAt so missed runs aren't caught up. Returns true if updated. */
+export function setScanSchedulePaused(scheduleId, userId, paused, nextRunAt = null) {
+  const stmt = getDb().prepare(
+    "UPDATE scan_schedules SET paused = ?, next_run_at = COALESCE(?, next_run_at), updated_at = datetime('now') WHERE id = ? AND user_id = ?"
+  );
+  const result = stmt.run(paused ? 1 : 0, nextRunAt, scheduleId, userId);
+  return result.changes > 0;
+}
+
+export function deleteScanSchedule(scheduleId, userId) {
+  const stmt = getDb().prepare('DELETE FROM scan_schedules WHERE id = ? AND user_id = ?');
+  return stmt.run(scheduleId, userId).changes > 0;
+}
+
+/** Active schedules whose next run is at or before now (ISO string), oldest first. Schedules of deleted users are skipped. */
+export function getDueScanSchedules(now) {
+  const stmt = getDb().prepare(
+    `${SCHEDULE_SELECT} JOIN users u ON u.id = s.user_id WHERE s.paused = 0 AND s.next_run_at IS NOT NULL AND s.next_run_at <= ? ORDER BY s.next_run_at ASC`
+  );
+  return stmt.all(now).map(parseScanScheduleRow);
+}
+
+/**
+ * Move a due schedule on to its next run. Only succeeds if next_run_at is still dueAt, so when several processes
+ * share the database exactly one of them runs each occurrence.
+ */
+export function advanceScanSchedule(scheduleId, dueAt, nextRunAt) {
+  const stmt = getDb().prepare(
+    'UPDATE scan_schedules SET next_run_at = ? WHERE id = ? AND next_run_at = ? AND paused = 0'
+  );
+  return stmt.run(nextRunAt, scheduleId, dueAt).changes > 0;
+}
+
+/** Record the job queued by a schedule run. */
+export function recordScanScheduleRun(scheduleId, jobId, ranAt) {
+  getDb().prepare('UPDATE scan_schedules SET last_job_id = ?, last_run_at = ? WHERE id = ?').run(jobId, ranAt, scheduleId);
+}
+
+/** Record a run skipped because the previous one was still queued or running. */
+export function recordScanScheduleSkip(scheduleId, skippedAt) {
+  getDb().prepare('UPDATE scan_schedules SET last_skipped_at = ? WHERE id = ?').run(skippedAt, scheduleId);
+}
+
+// --- Device profiles ---
+export function getDeviceProfilesByUserId(userId) {
+  const stmt = getDb().prepare('SELECT * FROM device_profiles WHERE user_id = ? ORDER BY name ASC, id ASC');
+  return stmt.all(userId);
+}
+
+export function getDeviceProfileCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM device_profiles WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+/** profile: { name, width, height, deviceScaleFactor, mobile, userAgent } */
+export function createDeviceProfile(userId, { name, width, height, deviceScaleFactor, mobile, userAgent }) {
+  const stmt = getDb().prepare(
+    'INSERT INTO device_profiles (user_id, name, width, height, device_scale_factor, mobile, user_agent) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  );
+  const result = stmt.run(userId, name, width, height, deviceScaleFactor, mobile ? 1 : 0, userAgent || null);
+  return result.lastInsertRowid;
+}
+
+/** Delete a profile. Scans and schedules keep their own copy of it. */
+export function deleteDeviceProfile(profileId, userId) {
+  const stmt = getDb().prepare('DELETE FROM device_profiles WHERE id = ? AND user_id = ?');
+  return stmt.run(profileId, userId).changes > 0;
+}
+
+// --- Saved site logins (secrets are encrypted by services/site-auth.js) ---
+export function getSiteAuthsByUserId(userId) {
+  const stmt = getDb().prepare('SELECT * FROM site_auth WHERE user_id = ? ORDER BY scope ASC');
+  return stmt.all(userId);
+}
+
+export function getSiteAuthCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM site_auth WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+/** Save the login for a scope, replacing the one already saved for it. */
+export function upsertSiteAuth(userId, scope, encryptedSecrets) {
+  const stmt = getDb().prepare(`
+    INSERT INTO site_auth (user_id, scope, secrets) VALUES (?, ?, ?)
+    ON CONFLICT (user_id, scope) DO UPDATE SET secrets = excluded.secrets, updated_at = datetime('now')
+  `);
+  stmt.run(userId, scope, encryptedSecrets);
+}
+
+/** Delete a saved login. Projects that used it go back to the login matching each URL. */
+export function deleteSiteAuth(id, userId) {
+  const database = getDb();
+  const remove = database.transaction(() => {
+    const deleted = database.prepare('DELETE FROM site_auth WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+    if (deleted) database.prepare('UPDATE projects SET site_auth_id = NULL WHERE site_auth_id = ? AND user_id = ?').run(id, userId);
+    return deleted;
+  });
+  return remove();
+}
+
+/** A saved login by id (for a project's login). */
+export function getSiteAuthByIdAndUserId(id, userId) {
+  return getDb().prepare('SELECT * FROM site_auth WHERE id = ? AND user_id = ?').get(id, userId) || null;
+}
+
+// --- User flows ---
+function parseUserFlowRow(row) {
+  if (!row) return null;
+  let steps = [];
+  let options = null;
+  try {
+    steps = row.steps ? JSON.parse(row.steps) : [];
+    options = row.options ? JSON.parse(row.options) : null;
+  } catch {
+    /* corrupted JSON: keep defaults */
+  }
+  return { ...row, steps, options };
+}
+
+/** Flow columns plus its latest run (to show the outcome in the list) and its project's name. */
+const FLOW_SELECT = `SELECT f.*, r.id AS last_run_id, r.status AS last_run_status, r.created_at AS last_run_at, p.name AS project_name
+  FROM user_flows f LEFT JOIN flow_runs r ON r.id = (SELECT MAX(id) FROM flow_runs WHERE flow_id = f.id)
+  LEFT JOIN projects p ON p.id = f.project_id AND p.user_id = f.user_id`;
+
+/** fields: { name, steps, options, projectId } */
+export function createUserFlow(userId, { name, steps, options, projectId = null }) {
+  const stmt = getDb().prepare('INSERT INTO user_flows (user_id, name, steps, options, project_id) VALUES (?, ?, ?, ?, ?)');
+  const result = stmt.run(userId, name, JSON.stringify(steps), options ? JSON.stringify(options) : null, projectId || null);
+  return result.lastInsertRowid;
+}
+
+export function getUserFlowsByUserId(userId) {
+  const stmt = getDb().prepare(`${FLOW_SELECT} WHERE f.user_id = ? ORDER BY f.name COLLATE NOCASE ASC, f.id ASC`);
+  return stmt.all(userId).map(parseUserFlowRow);
+}
+
+export function getUserFlowsByProjectId(projectId, userId) {
+  const stmt = getDb().prepare(`${FLOW_SELECT} WHERE f.project_id = ? AND f.user_id = ? ORDER BY f.name COLLATE NOCASE ASC, f.id ASC`);
+  return stmt.all(projectId, userId).map(parseUserFlowRow);
+}
+
+export function getUserFlowCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM user_flows WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+export function getUserFlowByIdAndUserId(flowId, userId) {
+  const stmt = getDb().prepare(`${FLOW_SELECT} WHERE f.id = ? AND f.user_id = ?`);
+  return parseUserFlowRow(stmt.get(flowId, userId));
+}
+
+/** Replace a flow's name, steps, options and project. Returns true if updated. */
+export function updateUserFlow(flowId, userId, { name, steps, options, projectId = null }) {
+  const stmt = getDb().prepare(
+    "UPDATE user_flows SET name = ?, steps = ?, options = ?, project_id = ?, updated_at = datetime('now') WHERE id = ? AND user_id = ?"
+  );
+  const result = stmt.run(name, JSON.stringify(steps), options ? JSON.stringify(options) : null, projectId || null, flowId, userId);
+  return result.changes > 0;
+}
+
+/** Delete a flow and its runs. */
+export function deleteUserFlow(flowId, userId) {
+  const database = getDb();
+  const remove = database.transaction(() => {
+    const deleted = database.prepare('DELETE FROM user_flows WHERE id = ? AND user_id = ?').run(flowId, userId).changes > 0;
+    if (deleted) database.prepare('DELETE FROM flow_runs WHERE flow_id = ? AND user_id = ?').run(flowId, userId);
+    return deleted;
+  });
+  return remove();
+}
+
+// --- Flow runs ---
+function parseFlowRunRow(row) {
+  if (!row) return null;
+  let steps = [];
+  let options = null;
+  let summary = null;
+  try {
+    steps = row.steps ? JSON.parse(row.steps) : [];
+    options = row.options ? JSON.parse(row.options) : null;
+    summary = row.summary ? JSON.parse(row.summary) : null;
+  } catch {
+    /* corrupted JSON: keep defaults */
+  }
+  return { ...row, steps, options, summary };
+}
+
+/**
+ * Save a flow run. status: 'completed' (with summary and reportJson) or 'failed' | 'cancelled' (with failureReason/error).
+ * fields: { jobId, status, steps, options, summary, reportJson, failureReason, error }
+ */
+export function createFlowRun(userId, flowId, { jobId = null, status, steps, options, summary = null, reportJson = null, failureReason = null, error = null }) {
+  const stmt = getDb().prepare(
+    `INSERT INTO flow_runs (flow_id, user_id, job_id, status, steps, options, summary, report_json, failure_reason, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const result = stmt.run(
+    flowId,
+    userId,
+    jobId || null,
+    status,
+    JSON.stringify(steps || []),
+    options ? JSON.stringify(options) : null,
+    summary ? JSON.stringify(summary) : null,
+    reportJson || null,
+    failureReason || null,
+    error || null
+  );
+  return result.lastInsertRowid;
+}
+
+/** Runs of a flow, newest first, without their reports. */
+export function getFlowRunsByFlowId(flowId, userId, limit = 50) {
+  const stmt = getDb().prepare(
+    `SELECT id, flow_id, user_id, job_id, status, steps, options, summary, failure_reason, error, created_at,
+       report_json IS NOT NULL AS has_report
+     FROM flow_runs WHERE flow_id = ? AND user_id = ? ORDER BY id DESC LIMIT ?`
+  );
+  return stmt.all(flowId, userId, limit).map(parseFlowRunRow);
+}
+
+/** One run without its report (hasReport tells whether the full Lighthouse flow report was stored). */
+export function getFlowRunByIdAndUserId(runId, userId) {
+  const stmt = getDb().prepare(
+    `SELECT r.id, r.flow_id, r.user_id, r.job_id, r.status, r.steps, r.options, r.summary, r.failure_reason, r.error, r.created_at,
+       r.report_json IS NOT NULL AS has_report, f.name AS flow_name
+     FROM flow_runs r LEFT JOIN user_flows f ON f.id = r.flow_id WHERE r.id = ? AND r.user_id = ?`
+  );
+  return parseFlowRunRow(stmt.get(runId, userId));
+}
+
+export function getFlowRunReportJson(runId, userId) {
+  const row = getDb().prepare('SELECT report_json FROM flow_runs WHERE id = ? AND user_id = ?').get(runId, userId);
+  return row ? row.report_json : null;
+}
+
+/** Whether a job already saved its flow run (a resumed job doesn't run the flow twice). */
+export function getFlowRunByJobId(jobId) {
+  const row = getDb().prepare('SELECT id, status FROM flow_runs WHERE job_id = ? ORDER BY id DESC LIMIT 1').get(jobId);
+  return row || null;
+}
+
+// --- Crawls ---
+function parseCrawlRow(row) {
+  if (!row) return null;
+  let devices = [];
+  let options = null;
+  try {
+    devices = row.devices ? JSON.parse(row.devices) : [];
+    options = row.options ? JSON.parse(row.options) : null;
+  } catch {
+    /* corrupted JSON: keep defaults */
+  }
+  return { ...row, devices, options };
+}
+
+/** Crawl columns plus how its jobs are doing (pending = queued or running). */
+const CRAWL_SELECT = `SELECT c.*, COUNT(j.id) AS url_count,
+    COALESCE(SUM(j.status IN ('queued', 'running')), 0) AS pending_count,
+    COALESCE(SUM(j.status = 'failed'), 0) AS failed_count,
+    COALESCE(SUM(j.status = 'cancelled'), 0) AS cancelled_count
+  FROM crawls c LEFT JOIN scan_jobs j ON j.crawl_id = c.id`;
+
+/**
+ * Save a crawl and queue its scan jobs, one per URL, in one transaction.
+ * fields: { sitemapUrl, devices, options, filters, discoveredCount, jobs: [{ url, runId }] }. Each job gets the scan
+ * options; the crawl keeps them together with its filters.
+ */
+export function createCrawl(userId, { sitemapUrl, devices, options, filters, discoveredCount, jobs }) {
+  const database = getDb();
+  const insert = database.transaction(() => {
+    const crawlId = database.prepare(
+      'INSERT INTO crawls (user_id, sitemap_url, devices, options, discovered_count) VALUES (?, ?, ?, ?, ?)'
+    ).run(userId, sitemapUrl, JSON.stringify(devices), JSON.stringify({ ...options, filters }), discoveredCount).lastInsertRowid;
+    const insertJob = database.prepare(
+      'INSERT INTO scan_jobs (user_id, crawl_id, url, devices, options, run_id) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const devicesStr = JSON.stringify(devices);
+    const optionsStr = JSON.stringify(options);
+    for (const job of jobs) insertJob.run(userId, crawlId, job.url, devicesStr, optionsStr, job.runId || null);
+    return crawlId;
+  });
+  return insert();
+}
+
+export function getCrawlsByUserId(userId, limit = 50) {
+  const stmt = getDb().prepare(`${CRAWL_SELECT} WHERE c.user_id = ? GROUP BY c.id ORDER BY c.id DESC LIMIT ?`);
+  return stmt.all(userId, limit).map(parseCrawlRow);
+}
+
+export function getCrawlByIdAndUserId(crawlId, userId) {
+  const stmt = getDb().prepare(`${CRAWL_SELECT} WHERE c.id = ? AND c.user_id = ? GROUP BY c.id`);
+  return parseCrawlRow(stmt.get(crawlId, userId));
+}
+
+/** Crawls of a user that still have queued or running jobs. */
+export function getActiveCrawlCountByUserId(userId) {
+  const row = getDb().prepare(
+    `SELECT COUNT(DISTINCT crawl_id) AS count FROM scan_jobs
+     WHERE user_id = ? AND crawl_id IS NOT NULL AND status IN ('queued', 'running')`
+  ).get(userId);
+  return row ? row.count : 0;
+}
+
+/** A crawl's jobs in queue order. */
+export function getCrawlJobs(crawlId, userId) {
+  const stmt = getDb().prepare('SELECT * FROM scan_jobs WHERE crawl_id = ? AND user_id = ? ORDER BY id ASC');
+  return stmt.all(crawlId, userId).map(parseScanJobRow);
+}
+
+/** Row with options, budget and regression results and the categories/metrics extracted from a scan's summary, parsed. */
+function parseScanScoresRow(row) {
+  let options = null;
+  let categories = null;
+  let metrics = null;
+  let budgetResult = null;
+  let regressionResult = null;
+  try {
+    options = row.options ? JSON.parse(row.options) : null;
+    categories = row.categories ? JSON.parse(row.categories) : null;
+    metrics = row.metrics ? JSON.parse(row.metrics) : null;
+    budgetResult = row.budget_result ? JSON.parse(row.budget_result) : null;
+    regressionResult = row.regression_result ? JSON.parse(row.regression_result) : null;
+  } catch {
+    /* keep defaults */
+  }
+  return { ...row, options, categories, metrics, budget_result: budgetResult, regression_result: regressionResult };
+}
+
+/** Scans saved by a crawl's jobs, with only the scores and metrics of their summary. */
+export function getCrawlScans(crawlId, userId) {
+  const stmt = getDb().prepare(
+    `SELECT s.id, s.job_id, s.url, s.options, s.status, s.failure_reason, s.error, s.created_at,
+       json_extract(s.summary, '$.categories') AS categories, json_extract(s.summary, '$.metrics') AS metrics
+     FROM scans s JOIN scan_jobs j ON j.id = s.job_id
+     WHERE j.crawl_id = ? AND s.user_id = ? ORDER BY s.id ASC`
+  );
+  return stmt.all(crawlId, userId).map(parseScanScoresRow);
+}
+
+/** Delete a crawl. Its jobs are detached (their scans stay in history). */
+export function deleteCrawl(crawlId, userId) {
+  const database = getDb();
+  const remove = database.transaction(() => {
+    const deleted = database.prepare('DELETE FROM crawls WHERE id = ? AND user_id = ?').run(crawlId, userId).changes > 0;
+    if (deleted) database.prepare('UPDATE scan_jobs SET crawl_id = NULL WHERE crawl_id = ? AND user_id = ?').run(crawlId, userId);
+    return deleted;
+  });
+  return remove();
+}
+
+// --- Projects ---
+function parseProjectRow(row) {
+  if (!row) return null;
+  let devices = [];
+  let options = null;
+  try {
+    devices = row.devices ? JSON.parse(row.devices) : [];
+    options = row.options ? JSON.parse(row.options) : null;
+  } catch {
+    /* corrupted JSON: keep defaults */
+  }
+  return { ...row, devices, options };
+}
+
+/** Project columns plus its page count and the scope of its saved login (null when it has none or it was deleted). */
+const PROJECT_SELECT = `SELECT p.*, (SELECT COUNT(*) FROM project_pages WHERE project_id = p.id) AS page_count, a.scope AS site_auth_scope
+  FROM projects p LEFT JOIN site_auth a ON a.id = p.site_auth_id AND a.user_id = p.user_id`;
+
+/** fields: { name, devices, options, siteAuthId, urls }. Saves the project and its pages in one transaction. */
+export function createProject(userId, { name, devices, options, siteAuthId, urls }) {
+  const database = getDb();
+  const insert = database.transaction(() => {
+    const projectId = database.prepare(
+      'INSERT INTO projects (user_id, name, devices, options, site_auth_id) VALUES (?, ?, ?, ?, ?)'
+    ).run(userId, name, JSON.stringify(devices), options ? JSON.stringify(options) : null, siteAuthId || null).lastInsertRowid;
+    addProjectPages(projectId, urls || []);
+    return projectId;
+  });
+  return insert();
+}
+
+export function getProjectsByUserId(userId) {
+  const stmt = getDb().prepare(`${PROJECT_SELECT} WHERE p.user_id = ? ORDER BY p.name COLLATE NOCASE ASC, p.id ASC`);
+  return stmt.all(userId).map(parseProjectRow);
+}
+
+export function getProjectCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM projects WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+export function getProjectByIdAndUserId(projectId, userId) {
+  const stmt = getDb().prepare(`${PROJECT_SELECT} WHERE p.id = ? AND p.user_id = ?`);
+  return parseProjectRow(stmt.get(projectId, userId));
+}
+
+/** Replace a project's name and settings. Returns true if updated. */
+export function updateProject(projectId, userId, { name, devices, options, siteAuthId }) {
+  const stmt = getDb().prepare(
+    "UPDATE projects SET name = ?, devices = ?, options = ?, site_auth_id = ?, updated_at = datetime('now') WHERE id = ? AND user_id = ?"
+  );
+  const result = stmt.run(name, JSON.stringify(devices), options ? JSON.stringify(options) : null, siteAuthId || null, projectId, userId);
+  return result.changes > 0;
+}
+
+/** Delete a project, its page list and budget. Scans stay in history; its flows and jobs are detached. */
+export function deleteProject(projectId, userId) {
+  const database = getDb();
+  const remove = database.transaction(() => {
+    const deleted = database.prepare('DELETE FROM projects WHERE id = ? AND user_id = ?').run(projectId, userId).changes > 0;
+    if (deleted) {
+      database.prepare('DELETE FROM project_pages WHERE project_id = ?').run(projectId);
+      database.prepare('UPDATE user_flows SET project_id = NULL WHERE project_id = ? AND user_id = ?').run(projectId, userId);
+      database.prepare('UPDATE scan_jobs SET project_id = NULL WHERE project_id = ? AND user_id = ?').run(projectId, userId);
+      database.prepare('DELETE FROM budgets WHERE project_id = ? AND user_id = ?').run(projectId, userId);
+    }
+    return deleted;
+  });
+  return remove();
+}
+
+/** A project's pages, by URL. */
+export function getProjectPages(projectId, userId) {
+  const stmt = getDb().prepare(
+    'SELECT pp.* FROM project_pages pp JOIN projects p ON p.id = pp.project_id WHERE pp.project_id = ? AND p.user_id = ? ORDER BY pp.url ASC'
+  );
+  return stmt.all(projectId, userId);
+}
+
+/** Add page URLs to a project, skipping ones it already has. Returns how many were added. */
+export function addProjectPages(projectId, urls) {
+  const stmt = getDb().prepare('INSERT OR IGNORE INTO project_pages (project_id, url) VALUES (?, ?)');
+  let added = 0;
+  for (const url of urls) added += stmt.run(projectId, url).changes;
+  return added;
+}
+
+export function deleteProjectPage(pageId, projectId, userId) {
+  const stmt = getDb().prepare(
+    'DELETE FROM project_pages WHERE id = ? AND project_id = (SELECT id FROM projects WHERE id = ? AND user_id = ?)'
+  );
+  return stmt.run(pageId, projectId, userId).changes > 0;
+}
+
+/** Queue one scan job per project page with the project's devices and options, in one transaction. Returns the job ids. */
+export function createProjectScanJobs(userId, projectId, devices, options, jobs) {
+  const database = getDb();
+  const insert = database.transaction(() => {
+    const insertJob = database.prepare(
+      'INSERT INTO scan_jobs (user_id, project_id, url, devices, options, run_id) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const devicesStr = JSON.stringify(devices);
+    const optionsStr = options ? JSON.stringify(options) : null;
+    return jobs.map((job) => insertJob.run(userId, projectId, job.url, devicesStr, optionsStr, job.runId || null).lastInsertRowid);
+  });
+  return insert();
+}
+
+/** Queued and running jobs a project started, oldest first. */
+export function getActiveProjectJobs(projectId, userId) {
+  const stmt = getDb().prepare(
+    "SELECT * FROM scan_jobs WHERE project_id = ? AND user_id = ? AND status IN ('queued', 'running') ORDER BY id ASC"
+  );
+  return stmt.all(projectId, userId).map(parseScanJobRow);
+}
+
+/**
+ * The latest finished or failed scan of each project page on each device (cancelled ones are skipped), with only the
+ * scores and metrics of its summary. Scans count whether or not the project started them.
+ */
+export function getLatestProjectScans(projectId, userId) {
+  const stmt = getDb().prepare(
+    `SELECT id, job_id, url, options, status, failure_reason, error, created_at, budget_result, regression_result, categories, metrics FROM (
+       SELECT s.id, s.job_id, s.url, s.options, s.status, s.failure_reason, s.error, s.created_at, s.budget_result, s.regression_result,
+         json_extract(s.summary, '$.categories') AS categories, json_extract(s.summary, '$.metrics') AS metrics,
+         ROW_NUMBER() OVER (
+           PARTITION BY s.url, ${deviceKeySql('s')}
+           ORDER BY s.created_at DESC, s.id DESC
+         ) AS position
+       FROM scans s JOIN project_pages pp ON pp.url = s.url
+       WHERE pp.project_id = ? AND s.user_id = ? AND s.status != 'cancelled'
+     ) WHERE position = 1 ORDER BY url ASC, id ASC`
+  );
+  return stmt.all(projectId, userId).map(parseScanScoresRow);
+}
+
+// --- Budgets ---
+function parseBudgetRow(row) {
+  if (!row) return null;
+  let rules = {};
+  try {
+    rules = row.rules ? JSON.parse(row.rules) : {};
+  } catch {
+    /* corrupted JSON: no limits */
+  }
+  return { ...row, rules };
+}
+
+/** Budget columns plus the name of the project it targets (null for URL budgets). */
+const BUDGET_SELECT = 'SELECT b.*, p.name AS project_name FROM budgets b LEFT JOIN projects p ON p.id = b.project_id AND p.user_id = b.user_id';
+
+/** fields: { projectId, url, rules } with exactly one of projectId and url set. */
+export function createBudget(userId, { projectId = null, url = null, rules }) {
+  const stmt = getDb().prepare('INSERT INTO budgets (user_id, project_id, url, rules) VALUES (?, ?, ?, ?)');
+  return stmt.run(userId, projectId || null, url || null, JSON.stringify(rules)).lastInsertRowid;
+}
+
+/** Project budgets first (by project name), then URL budgets (by URL). */
+export function getBudgetsByUserId(userId) {
+  const stmt = getDb().prepare(
+    `${BUDGET_SELECT} WHERE b.user_id = ? ORDER BY b.project_id IS NULL, p.name COLLATE NOCASE ASC, b.url ASC`
+  );
+  return stmt.all(userId).map(parseBudgetRow);
+}
+
+export function getBudgetCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM budgets WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+export function getBudgetByIdAndUserId(budgetId, userId) {
+  return parseBudgetRow(getDb().prepare(`${BUDGET_SELECT} WHERE b.id = ? AND b.user_id = ?`).get(budgetId, userId));
+}
+
+/** The budget that targets exactly this project or URL, if any. */
+export function getBudgetByTarget(userId, { projectId = null, url = null }) {
+  const stmt = projectId
+    ? getDb().prepare(`${BUDGET_SELECT} WHERE b.user_id = ? AND b.project_id = ?`)
+    : getDb().prepare(`${BUDGET_SELECT} WHERE b.user_id = ? AND b.url = ?`);
+  return parseBudgetRow(stmt.get(userId, projectId || url));
+}
+
+/**
+ * The budget a scan of url is checked against: the URL's own budget, otherwise the budget of the first project
+ * (lowest id) that has url as a page. Null when neither exists.
+ */
+export function getBudgetForScanUrl(userId, url) {
+  const stmt = getDb().prepare(
+    `${BUDGET_SELECT} WHERE b.user_id = ? AND (b.url = ? OR b.project_id IN (SELECT project_id FROM project_pages WHERE url = ?))
+     ORDER BY b.url IS NULL, b.project_id ASC LIMIT 1`
+  );
+  return parseBudgetRow(stmt.get(userId, url, url));
+}
+
+/** Replace a budget's target and limits. Returns true if updated. */
+export function updateBudget(budgetId, userId, { projectId = null, url = null, rules }) {
+  const stmt = getDb().prepare(
+    "UPDATE budgets SET project_id = ?, url = ?, rules = ?, updated_at = datetime('now') WHERE id = ? AND user_id = ?"
+  );
+  return stmt.run(projectId || null, url || null, JSON.stringify(rules), budgetId, userId).changes > 0;
+}
+
+/** Delete a budget. Results already saved on scans stay. */
+export function deleteBudget(budgetId, userId) {
+  return getDb().prepare('DELETE FROM budgets WHERE id = ? AND user_id = ?').run(budgetId, userId).changes > 0;
+}
+
+// --- Regressions ---
+/** How new scans pick their baseline: mode 'previous' or 'median' and the window of scans the median is taken over. */
+export function getRegressionSettings(userId) {
+  const row = getDb().prepare('SELECT regression_baseline, regression_window FROM users WHERE id = ?').get(userId);
+  return row ? { mode: row.regression_baseline, window: row.regression_window } : null;
+}
+
+export function updateRegressionSettings(userId, { mode, window }) {
+  const stmt = getDb().prepare('UPDATE users SET regression_baseline = ?, regression_window = ? WHERE id = ?');
+  return stmt.run(mode, window, userId).changes > 0;
+}
+
+/**
+ * Scans that may serve as a baseline for url on a device: completed, saved with one of the stored throttling settings
+ * given (the JSON texts getTrendThrottlings lists, as for trendFilter) and auditing category.
+ */
+function baselineFilter(userId, url, deviceKey, { throttlings, category }) {
+  return {
+    where: `s.user_id = ? AND s.url = ? AND ${deviceKeySql('s')} = ? AND s.status = 'completed'
+      AND ${TREND_THROTTLING_SQL} IN (SELECT value FROM json_each(?))
+      AND (json_type(s.options, '$.categories') IS NOT 'array' OR EXISTS (SELECT 1 FROM json_each(s.options, '$.categories') WHERE value = ?))`,
+    params: [userId, url, deviceKey, JSON.stringify(throttlings), category],
+  };
+}
+
+function parseBaselineRow(row) {
+  let summary = null;
+  try {
+    summary = row.summary ? JSON.parse(row.summary) : null;
+  } catch {
+    /* corrupted JSON: no values */
+  }
+  return { ...row, summary };
+}
+
+/**
+ * The latest baseline candidates for a new scan (newest first), with their summary parsed: scans of url on the same
+ * device before scanId that match filter ({ throttlings, category }, see baselineFilter).
+ */
+export function getBaselineScans(userId, url, deviceKey, beforeScanId, limit, filter) {
+  const { where, params } = baselineFilter(userId, url, deviceKey, filter);
+  const stmt = getDb().prepare(
+    `SELECT s.id, s.summary, s.created_at FROM scans s WHERE ${where} AND s.id < ?
+     ORDER BY s.created_at DESC, s.id DESC LIMIT ?`
+  );
+  return stmt.all(...params, beforeScanId, limit).map(parseBaselineRow);
+}
+
+/** The scan pinned as baseline for url on this device, if any and if it matches filter (see getBaselineScans). */
+export function getPinnedBaselineScan(userId, url, deviceKey, filter) {
+  const { where, params } = baselineFilter(userId, url, deviceKey, filter);
+  const stmt = getDb().prepare(
+    `SELECT s.id, s.summary, s.created_at FROM scans s WHERE ${where} AND s.baseline_pinned = 1 ORDER BY s.id DESC LIMIT 1`
+  );
+  const row = stmt.get(...params);
+  return row ? parseBaselineRow(row) : null;
+}
+
+/** Pin a completed scan as the baseline of its URL and device (unpinning any other), or unpin it. Returns true if changed. */
+export function setScanBaselinePinned(scanId, userId, pinned) {
+  const database = getDb();
+  const update = database.transaction(() => {
+    const scan = database.prepare(
+      `SELECT s.url, ${deviceKeySql('s')} AS device_key FROM scans s WHERE s.id = ? AND s.user_id = ? AND s.status = 'completed'`
+    ).get(scanId, userId);
+    if (!scan) return false;
+    if (pinned) {
+      database.prepare(
+        `UPDATE scans SET baseline_pinned = 0 WHERE user_id = ? AND url = ? AND baseline_pinned = 1 AND ${deviceKeySql('scans')} = ?`
+      ).run(userId, scan.url, scan.device_key);
+    }
+    return database.prepare('UPDATE scans SET baseline_pinned = ? WHERE id = ? AND user_id = ?').run(pinned ? 1 : 0, scanId, userId).changes > 0;
+  });
+  return update();
+}
+
+/** Save the outcome of comparing a scan with its baseline (see services/regressions.js). */
+export function updateScanRegressionResult(scanId, result) {
+  const stmt = getDb().prepare('UPDATE scans SET regression_result = ? WHERE id = ?');
+  return stmt.run(result ? JSON.stringify(result) : null, scanId);
+}
+
+/** Where clause for a user's scans with at least one recorded regression. */
+const REGRESSED_WHERE = "user_id = ? AND json_extract(regression_result, '$.regressed') > 0";
+
+export function getRegressedScanCount(userId) {
+  const row = getDb().prepare(`SELECT COUNT(*) AS count FROM scans WHERE ${REGRESSED_WHERE}`).get(userId);
+  return row ? row.count : 0;
+}
+
+/** Scans with regressions, newest first, with options and regression result parsed. */
+export function getRegressedScans(userId, limit = 50, offset = 0) {
+  const stmt = getDb().prepare(
+    `SELECT id, url, options, created_at, run_id, regression_result FROM scans WHERE ${REGRESSED_WHERE} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`
+  );
+  return stmt.all(userId, limit, offset).map((row) => {
+    let options = null;
+    let regressionResult = null;
+    try {
+      options = row.options ? JSON.parse(row.options) : null;
+      regressionResult = row.regression_result ? JSON.parse(row.regression_result) : null;
+    } catch {
+      /* corrupted JSON: keep null */
+    }
+    return { ...row, options, regression_result: regressionResult };
+  });
+}
+
+// --- Email notifications (sent by services/notifications.js and services/digest.js) ---
+/** Which emails a user gets: scan failure and regression alerts, the weekly digest, and when the last digest went out (ISO). */
+export function getNotificationSettings(userId) {
+  const row = getDb().prepare(
+    'SELECT email_scan_failures, email_regressions, email_digest, digest_sent_at FROM users WHERE id = ?'
+  ).get(userId);
+  if (!row) return null;
+  return {
+    scanFailures: !!row.email_scan_failures,
+    regressions: !!row.email_regressions,
+    digest: !!row.email_digest,
+    digestSentAt: row.digest_sent_at,
+  };
+}
+
+/** Save email preferences. digestSentAt (ISO) is only written when given, e.g. when the digest is turned on. */
+export function updateNotificationSettings(userId, { scanFailures, regressions, digest, digestSentAt }) {
+  const database = getDb();
+  const update = database.transaction(() => {
+    database.prepare('UPDATE users SET email_scan_failures = ?, email_regressions = ?, email_digest = ? WHERE id = ?')
+      .run(scanFailures ? 1 : 0, regressions ? 1 : 0, digest ? 1 : 0, userId);
+    if (digestSentAt !== undefined) database.prepare('UPDATE users SET digest_sent_at = ? WHERE id = ?').run(digestSentAt, userId);
+  });
+  update();
+}
+
+/** Users who get the weekly digest and haven't been sent one since sentBefore (ISO). */
+export function getDigestRecipients(sentBefore) {
+  const stmt = getDb().prepare(
+    'SELECT id, email, name, digest_sent_at FROM users WHERE email_digest = 1 AND (digest_sent_at IS NULL OR digest_sent_at < ?) ORDER BY id ASC'
+  );
+  return stmt.all(sentBefore);
+}
+
+/**
+ * Record a digest as sent at sentAt unless one was already sent since sentBefore (another tick or process got there
+ * first). Returns true if this caller should send it.
+ */
+export function claimDigest(userId, sentBefore, sentAt) {
+  const stmt = getDb().prepare(
+    'UPDATE users SET digest_sent_at = ? WHERE id = ? AND (digest_sent_at IS NULL OR digest_sent_at < ?)'
+  );
+  return stmt.run(sentAt, userId, sentBefore).changes > 0;
+}
+
+/** Put back the previous digest time after a claimed digest could not be sent, so it is tried again. */
+export function releaseDigest(userId, previousSentAt) {
+  getDb().prepare('UPDATE users SET digest_sent_at = ? WHERE id = ?').run(previousSentAt, userId);
+}
+
+function parseDigestScanRow(row) {
+  let options = null;
+  let categories = {};
+  try {
+    options = row.options ? JSON.parse(row.options) : null;
+    categories = row.categories ? JSON.parse(row.categories) : {};
+  } catch {
+    /* corrupted JSON: no scores */
+  }
+  return { ...row, options, categories };
+}
+
+/**
+ * What a digest covers: the user's completed scans since `since` (oldest first) and, per URL and device, the last
+ * completed scan before it (the starting point for score changes). Each row has its device key, category scores
+ * and the number of budget limits it broke (0 without a budget).
+ * @param {number} userId
+ * @param {string} since - SQLite datetime ("YYYY-MM-DD HH:MM:SS", UTC)
+ */
+export function getDigestScans(userId, since) {
+  const columns = `s.id, s.url, s.options, s.created_at, ${deviceKeySql('s')} AS device_key,
+    json_extract(s.summary, '$.categories') AS categories,
+    COALESCE(json_extract(s.budget_result, '$.failed'), 0) AS budget_failed`;
+  const database = getDb();
+  const scans = database.prepare(
+    `SELECT ${columns} FROM scans s WHERE s.user_id = ? AND s.status = 'completed' AND s.created_at >= ? ORDER BY s.created_at ASC, s.id ASC`
+  ).all(userId, since);
+  const before = database.prepare(`
+    SELECT ${columns} FROM scans s WHERE s.id IN (
+      SELECT MAX(id) FROM scans WHERE user_id = ? AND status = 'completed' AND created_at < ?
+        AND url IN (SELECT url FROM scans WHERE user_id = ? AND status = 'completed' AND created_at >= ?)
+      GROUP BY url, ${deviceKeySql('scans')}
+    )
+  `).all(userId, since, userId, since);
+  return { scans: scans.map(parseDigestScanRow), before: before.map(parseDigestScanRow) };
+}
+
+// --- Trends (built by services/trends.js; values are read from the summary JSON in SQL) ---
+/** Charted values and where they sit in a scan's summary: category scores, then metric values (ms; CLS unitless). */
+const TREND_SERIES = [
+  ['performance', '$.categories.performance'],
+  ['accessibility', '$.categories.accessibility'],
+  ['best-practices', '$.categories."best-practices"'],
+  ['seo', '$.categories.seo'],
+  ['first-contentful-paint', '$.metrics."first-contentful-paint".value'],
+  ['largest-contentful-paint', '$.metrics."largest-contentful-paint".value'],
+  ['total-blocking-time', '$.metrics."total-blocking-time".value'],
+  ['cumulative-layout-shift', '$.metrics."cumulative-layout-shift".value'],
+  ['speed-index', '$.metrics."speed-index".value'],
+  ['interactive', '$.metrics.interactive.value'],
+];
+const TREND_METRIC_SERIES = TREND_SERIES.filter(([, path]) => path.startsWith('$.metrics'));
+
+/** A scan's throttling as stored (JSON text; 'null' for scans saved before profiles existed). */
+const TREND_THROTTLING_SQL = "COALESCE(s.options -> '$.throttling', 'null')";
+
+/** Scans of one page in one throttling profile and date range ([from, to), SQLite UTC times, either may be null). */
+function trendFilter(userId, url, { throttlings, from = null, to = null }) {
+  return {
+    where: `s.user_id = ? AND s.url = ? AND s.status != 'cancelled' AND ${TREND_THROTTLING_SQL} IN (SELECT value FROM json_each(?))
+      AND (? IS NULL OR s.created_at >= ?) AND (? IS NULL OR s.created_at < ?)`,
+    params: [userId, url, JSON.stringify(throttlings), from, from, to, to],
+  };
+}
+
+/** Scores and metric values of a scan (categories: the summary's; metrics: { id: value }). */
+const TREND_SCORES_SQL = `json_extract(s.summary, '$.categories') AS categories,
+  json_object(${TREND_METRIC_SERIES.map(([id, path]) => `'${id}', json_extract(s.summary, '${path}')`).join(', ')}) AS metrics`;
+
+function parseTrendRow(row) {
+  let options = null;
+  let categories = {};
+  let metrics = {};
+  try {
+    options = row.options ? JSON.parse(row.options) : null;
+    categories = row.categories ? JSON.parse(row.categories) : {};
+    metrics = row.metrics ? JSON.parse(row.metrics) : {};
+  } catch {
+    /* keep defaults */
+  }
+  for (const id of Object.keys(metrics)) {
+    if (metrics[id] == null) delete metrics[id];
+  }
+  return { ...row, options, categories, metrics };
+}
+
+/** Throttling settings a page was scanned with (JSON text as stored), with how many scans used each and when last. */
+export function getTrendThrottlings(userId, url) {
+  const stmt = getDb().prepare(
+    `SELECT ${TREND_THROTTLING_SQL} AS throttling, COUNT(*) AS count, MAX(s.created_at) AS last_at
+     FROM scans s WHERE s.user_id = ? AND s.url = ? AND s.status != 'cancelled' GROUP BY 1`
+  );
+  return stmt.all(userId, url);
+}
+
+/** A scan without its summary: metadata, scores and metric values, and how many budget limits and metrics it broke. */
+const SCAN_SCORES_ROW_SQL = `s.id, s.url, s.created_at, s.run_id, s.status, s.failure_reason, s.error, s.options, ${deviceKeySql('s')} AS device_key,
+  ${TREND_SCORES_SQL}, json_extract(s.budget_result, '$.failed') AS budget_failed, json_extract(s.regression_result, '$.regressed') AS regressed`;
+
+/**
+ * The latest scans (at most limit) of a page matching filter (see trendFilter), oldest first, failed ones included,
+ * with only their scores and metric values.
+ */
+export function getTrendScans(userId, url, filter, limit = 500) {
+  const { where, params } = trendFilter(userId, url, filter);
+  const stmt = getDb().prepare(
+    `SELECT * FROM (
+       SELECT ${SCAN_SCORES_ROW_SQL} FROM scans s WHERE ${where} ORDER BY s.created_at DESC, s.id DESC LIMIT ?
+     ) ORDER BY created_at ASC, id ASC`
+  );
+  return stmt.all(...params, limit).map(parseTrendRow);
+}
+
+/**
+ * History scans (newest first) matching a URL search and/or project, as getTrendScans rows, for exports and the API.
+ */
+export function getScanRowsByUserIdSearch(userId, searchQuery, projectId, limit, offset = 0) {
+  const filter = scanFilter(userId, searchQuery, projectId) || { where: 'user_id = ?', params: [userId] };
+  const stmt = getDb().prepare(
+    `SELECT ${SCAN_SCORES_ROW_SQL} FROM scans s WHERE ${filter.where} ORDER BY s.created_at DESC, s.id DESC LIMIT ? OFFSET ?`
+  );
+  return stmt.all(...filter.params, limit, offset).map(parseTrendRow);
+}
+
+/** First day (YYYY-MM-DD, UTC) of the bucket a scan falls in: its day, or the Monday of its week. */
+const TREND_BUCKET_SQL = {
+  day: 'date(s.created_at)',
+  week: "date(s.created_at, '-6 days', 'weekday 1')",
+};
+
+/**
+ * Completed scans of a page matching filter, aggregated per day or week, device and value: how many scans had the
+ * value, its median (mean of the middle two for an even count) and 75th percentile (nearest rank). options is one of
+ * the device's scans' options, to name the device.
+ * @param {'day'|'week'} granularity
+ * @returns {{ bucket: string, device_key: string, series: string, count: number, median: number, p75: number, options: string }[]}
+ */
+export function getTrendBuckets(userId, url, filter, granularity) {
+  const { where, params } = trendFilter(userId, url, filter);
+  const series = TREND_SERIES.map(([id, path]) => `('${id}', '${path}')`).join(', ');
+  const stmt = getDb().prepare(`
+    WITH series(id, path) AS (VALUES ${series}),
+    vals AS (
+      SELECT ${TREND_BUCKET_SQL[granularity]} AS bucket, ${deviceKeySql('s')} AS device_key, s.options, series.id AS series,
+        json_extract(s.summary, series.path) AS value
+      FROM scans s CROSS JOIN series
+      WHERE ${where} AND s.status = 'completed'
+    ),
+    ranked AS (
+      SELECT *, ROW_NUMBER() OVER w AS position, COUNT(*) OVER (PARTITION BY bucket, device_key, series) AS n
+      FROM vals WHERE value IS NOT NULL
+      WINDOW w AS (PARTITION BY bucket, device_key, series ORDER BY value)
+    )
+    SELECT bucket, device_key, series, n AS count, MAX(options) AS options,
+      AVG(CASE WHEN position IN ((n + 1) / 2, (n + 2) / 2) THEN value END) AS median,
+      MAX(CASE WHEN position = (3 * n + 3) / 4 THEN value END) AS p75
+    FROM ranked GROUP BY bucket, device_key, series ORDER BY bucket ASC
+  `);
+  return stmt.all(...params);
+}
+
+/**
+ * Per device, for a page's completed scans matching filter: latest (the newest scan, whatever the range), previous
+ * (the newest at or before the given time), and best and worst (highest and lowest Performance score in the range).
+ * @param {string} before - SQLite UTC time
+ */
+export function getTrendHighlights(userId, url, filter, before) {
+  const database = getDb();
+  const pick = (extraWhere, order, rangeFilter, extraParams = []) => {
+    const { where, params } = trendFilter(userId, url, rangeFilter);
+    return database.prepare(
+      `SELECT * FROM (
+         SELECT s.id, s.created_at, s.options, ${deviceKeySql('s')} AS device_key, ${TREND_SCORES_SQL},
+           ROW_NUMBER() OVER (PARTITION BY ${deviceKeySql('s')} ORDER BY ${order}, s.created_at DESC, s.id DESC) AS position
+         FROM scans s WHERE ${where} AND s.status = 'completed' ${extraWhere}
+       ) WHERE position = 1`
+    ).all(...params, ...extraParams).map(parseTrendRow);
+  };
+  const anyTime = { throttlings: filter.throttlings };
+  const performance = "json_extract(s.summary, '$.categories.performance')";
+  return {
+    latest: pick('', 's.created_at DESC', anyTime),
+    previous: pick('AND s.created_at <= ?', 's.created_at DESC', anyTime, [before]),
+    best: pick(`AND ${performance} IS NOT NULL`, `${performance} DESC`, filter),
+    worst: pick(`AND ${performance} IS NOT NULL`, `${performance} ASC`, filter),
+  };
+}
+
+// --- Webhooks (secrets are encrypted by services/site-auth.js, deliveries sent by services/webhooks.js) ---
+function parseWebhookRow(row) {
+  if (!row) return null;
+  let events = [];
+  try {
+    events = row.events ? JSON.parse(row.events) : [];
+  } catch {
+    /* corrupted JSON: no events */
+  }
+  return { ...row, events };
+}
+
+/** fields: { url, events, secret } with secret already encrypted. */
+export function createWebhook(userId, { url, events, secret }) {
+  const stmt = getDb().prepare('INSERT INTO webhooks (user_id, url, events, secret) VALUES (?, ?, ?, ?)');
+  return stmt.run(userId, url, JSON.stringify(events), secret).lastInsertRowid;
+}
+
+/** A user's webhooks, oldest first, with the status and time of their latest delivery. */
+export function getWebhooksByUserId(userId) {
+  const stmt = getDb().prepare(`
+    SELECT w.*, d.status AS last_delivery_status, d.response_status AS last_response_status, d.created_at AS last_delivery_at
+    FROM webhooks w
+    LEFT JOIN webhook_deliveries d ON d.id = (SELECT MAX(id) FROM webhook_deliveries WHERE webhook_id = w.id)
+    WHERE w.user_id = ? ORDER BY w.id ASC
+  `);
+  return stmt.all(userId).map(parseWebhookRow);
+}
+
+export function getWebhookCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM webhooks WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+export function getWebhookByIdAndUserId(webhookId, userId) {
+  return parseWebhookRow(getDb().prepare('SELECT * FROM webhooks WHERE id = ? AND user_id = ?').get(webhookId, userId));
+}
+
+/** The user's enabled webhooks that receive event. */
+export function getWebhooksForEvent(userId, event) {
+  const stmt = getDb().prepare(
+    'SELECT * FROM webhooks WHERE user_id = ? AND enabled = 1 AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)'
+  );
+  return stmt.all(userId, event).map(parseWebhookRow);
+}
+
+/** Replace a webhook's URL, events and enabled flag. Returns true if updated. */
+export function updateWebhook(webhookId, userId, { url, events, enabled }) {
+  const stmt = getDb().prepare(
+    "UPDATE webhooks SET url = ?, events = ?, enabled = ?, updated_at = datetime('now') WHERE id = ? AND user_id = ?"
+  );
+  return stmt.run(url, JSON.stringify(events), enabled ? 1 : 0, webhookId, userId).changes > 0;
+}
+
+/** Replace a webhook's (encrypted) signing secret. */
+export function updateWebhookSecret(webhookId, userId, secret) {
+  const stmt = getDb().prepare("UPDATE webhooks SET secret = ?, updated_at = datetime('now') WHERE id = ? AND user_id = ?");
+  return stmt.run(secret, webhookId, userId).changes > 0;
+}
+
+/** Delete a webhook and its delivery log. Returns true if deleted. */
+export function deleteWebhook(webhookId, userId) {
+  const database = getDb();
+  const remove = database.transaction(() => {
+    const deleted = database.prepare('DELETE FROM webhooks WHERE id = ? AND user_id = ?').run(webhookId, userId).changes > 0;
+    if (deleted) database.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ? AND user_id = ?').run(webhookId, userId);
+    return deleted;
+  });
+  return remove();
+}
+
+/**
+ * Queue one delivery of payload to each webhook, due at nextAttemptAt (ISO), and drop each webhook's oldest finished
+ * deliveries beyond keep. Returns the new delivery ids.
+ */
+export function createWebhookDeliveries(userId, webhookIds, event, payload, nextAttemptAt, keep) {
+  const database = getDb();
+  const insert = database.prepare(
+    'INSERT INTO webhook_deliveries (webhook_id, user_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?)'
+  );
+  const prune = database.prepare(`
+    DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status != 'pending' AND id NOT IN (
+      SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `);
+  const create = database.transaction(() => webhookIds.map((webhookId) => {
+    const id = insert.run(webhookId, userId, event, payload, nextAttemptAt).lastInsertRowid;
+    prune.run(webhookId, webhookId, keep);
+    return id;
+  }));
+  return create();
+}
+
+/**
+ * Claim pending deliveries due at now (ISO) by moving their next attempt to leaseUntil, so another tick or process
+ * doesn't send them too. Returns them with their webhook's url and secret.
+ */
+export function claimDueWebhookDeliveries(now, leaseUntil, limit) {
+  const database = getDb();
+  const claim = database.transaction(() => {
+    const due = database.prepare(`
+      SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? ORDER BY d.next_attempt_at ASC, d.id ASC LIMIT ?
+    `).all(now, limit);
+    const lease = database.prepare('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?');
+    for (const delivery of due) lease.run(leaseUntil, delivery.id);
+    return due;
+  });
+  return claim();
+}
+
+/**
+ * Record an attempt at a delivery. fields: { status, attempts, nextAttemptAt, responseStatus, responseBody, error,
+ * durationMs } where nextAttemptAt is null unless status is 'pending'.
+ */
+export function recordWebhookAttempt(deliveryId, { status, attempts, nextAttemptAt = null, responseStatus = null, responseBody = null, error = null, durationMs = null }) {
+  const stmt = getDb().prepare(`
+    UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, response_body = ?,
+      error = ?, duration_ms = ?, last_attempt_at = datetime('now')
+    WHERE id = ?
+  `);
+  return stmt.run(status, attempts, nextAttemptAt, responseStatus, responseBody, error, durationMs, deliveryId);
+}
+
+/** A webhook's latest deliveries, newest first. */
+export function getWebhookDeliveries(webhookId, userId, limit = 50) {
+  const stmt = getDb().prepare(
+    'SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND user_id = ? ORDER BY id DESC LIMIT ?'
+  );
+  return stmt.all(webhookId, userId, limit);
+}
+
+export function getWebhookDeliveryByIdAndUserId(deliveryId, userId) {
+  return getDb().prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND user_id = ?').get(deliveryId, userId) || null;
+}
+
+/** Send a finished delivery again: reset it to pending, due at nextAttemptAt, with a fresh set of attempts. */
+export function retryWebhookDelivery(deliveryId, userId, nextAttemptAt) {
+  const stmt = getDb().prepare(
+    "UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND user_id = ? AND status != 'pending'"
+  );
+  return stmt.run(nextAttemptAt, deliveryId, userId).changes > 0;
+}
+
+// --- API tokens (generated and checked by services/api-tokens.js; only their hash is stored) ---
+function parseApiTokenRow(row) {
+  if (!row) return null;
+  let scopes = [];
+  try {
+    scopes = JSON.parse(row.scopes);
+  } catch {
+    /* corrupted JSON: no scopes */
+  }
+  return { ...row, scopes };
+}
+
+export function createApiToken(userId, { name, tokenHash, prefix, scopes }) {
+  const stmt = getDb().prepare('INSERT INTO api_tokens (user_id, name, token_hash, prefix, scopes) VALUES (?, ?, ?, ?, ?)');
+  return stmt.run(userId, name, tokenHash, prefix, JSON.stringify(scopes)).lastInsertRowid;
+}
+
+/** A user's tokens, newest first, without their hashes. */
+export function getApiTokensByUserId(userId) {
+  const stmt = getDb().prepare(
+    'SELECT id, name, prefix, scopes, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY id DESC'
+  );
+  return stmt.all(userId).map(parseApiTokenRow);
+}
+
+export function getApiTokenCountByUserId(userId) {
+  const row = getDb().prepare('SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ?').get(userId);
+  return row ? row.count : 0;
+}
+
+/** The token with this hash, if its user still exists. */
+export function getApiTokenByHash(tokenHash) {
+  const stmt = getDb().prepare(
+    'SELECT t.id, t.user_id, t.name, t.scopes, t.last_used_at FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?'
+  );
+  return parseApiTokenRow(stmt.get(tokenHash));
+}
+
+/** Record that a token was used, at most once a minute (so busy scripts don't write on every request). */
+export function touchApiToken(tokenId) {
+  getDb()
+    .prepare("UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))")
+    .run(tokenId);
+}
+
+/** Revoke a token. Returns true if deleted. */
+export function deleteApiToken(tokenId, userId) {
+  return getDb().prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(tokenId, userId).changes > 0;
+}
+
 /** Permanently delete a user. Scans are removed by CASCADE. Returns true if deleted. */
 export function deleteUser(userId) {
   const stmt = getDb().prepare('DELETE FROM users WHERE id = ?');
@@ -20,3 +20,239 @@ CREATE TABLE IF NOT EXISTS scans (
 
 CREATE INDEX IF NOT EXISTS idx_scans_user_id ON scans(user_id);
 CREATE INDEX IF NOT EXISTS idx_scans_created_at ON scans(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scans_user_url ON scans(user_id, url);
+
+-- Scan jobs: one queued submission (URL + devices), run in the background by the scan worker.
+-- status: queued | running | succeeded | failed | cancelled. result_scan_id is the first device's scan (redirect target).
+-- Guest jobs have no user_id; they are addressed by guest_token and keep their report in result (JSON) instead of a scan row.
+-- Flow jobs (flow_id set) run a user flow and keep { flowRunId } in result. Crawl jobs (crawl_id set) scan one URL of a crawl.
+-- Project jobs (project_id set) scan a project page and send the project's saved login.
+CREATE TABLE IF NOT EXISTS scan_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  guest_token TEXT,
+  url TEXT NOT NULL,
+  devices TEXT NOT NULL,
+  options TEXT,
+  run_id TEXT,
+  status TEXT NOT NULL DEFAULT 'queued',
+  error TEXT,
+  result_scan_id INTEGER,
+  result TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  started_at TEXT,
+  finished_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON scan_jobs(status, id);
+CREATE INDEX IF NOT EXISTS idx_scan_jobs_user_id ON scan_jobs(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scan_jobs_guest_token ON scan_jobs(guest_token) WHERE guest_token IS NOT NULL;
+
+-- Scan schedules: re-scan a URL (on one or both devices) on a recurring schedule.
+-- frequency: hourly | daily | weekly | cron. cron always holds the expression (the other frequencies are shorthands for it).
+-- next_run_at / last_run_at / last_skipped_at are ISO 8601 (UTC); last_job_id is the job queued by the latest run.
+CREATE TABLE IF NOT EXISTS scan_schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  devices TEXT NOT NULL,
+  options TEXT,
+  frequency TEXT NOT NULL,
+  cron TEXT NOT NULL,
+  paused INTEGER NOT NULL DEFAULT 0,
+  next_run_at TEXT,
+  last_run_at TEXT,
+  last_job_id INTEGER,
+  last_skipped_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_schedules_user_id ON scan_schedules(user_id);
+CREATE INDEX IF NOT EXISTS idx_scan_schedules_next_run_at ON scan_schedules(paused, next_run_at);
+
+-- Device profiles: user-defined viewports for scans (besides the built-in mobile, desktop and tablet presets).
+-- mobile (0/1) picks Lighthouse's mobile or desktop form factor; user_agent overrides the emulated one when set.
+CREATE TABLE IF NOT EXISTS device_profiles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  device_scale_factor REAL NOT NULL DEFAULT 1,
+  mobile INTEGER NOT NULL DEFAULT 0,
+  user_agent TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_profiles_user_id ON device_profiles(user_id);
+
+-- Saved logins for scanning authenticated pages. scope is an origin or origin + path prefix;
+-- secrets (headers, cookies, basic auth) are AES-256-GCM encrypted by src/services/site-auth.js.
+CREATE TABLE IF NOT EXISTS site_auth (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scope TEXT NOT NULL,
+  secrets TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (user_id, scope)
+);
+
+-- User flows: a scripted journey through a site, measured with Lighthouse's user flow API.
+-- steps is a JSON array of { type, target, value } (see src/services/user-flows.js); options holds the device
+-- snapshot and throttling the flow runs with. project_id optionally files the flow under a project.
+CREATE TABLE IF NOT EXISTS user_flows (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  steps TEXT NOT NULL,
+  options TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_flows_user_id ON user_flows(user_id);
+
+-- Flow runs: one execution of a flow. status: completed | failed | cancelled.
+-- steps/options are the snapshots it ran with; summary holds per-step scores and metrics (JSON);
+-- report_json is Lighthouse's flow result (null when it failed or was too large to store).
+CREATE TABLE IF NOT EXISTS flow_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  flow_id INTEGER NOT NULL REFERENCES user_flows(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  job_id INTEGER,
+  status TEXT NOT NULL,
+  steps TEXT NOT NULL,
+  options TEXT,
+  summary TEXT,
+  report_json TEXT,
+  failure_reason TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_runs_flow_id ON flow_runs(flow_id, id DESC);
+
+-- Crawls: a batch of scans of the URLs found in a sitemap, one scan job per URL (scan_jobs.crawl_id).
+-- options holds the filters (include/exclude patterns, limit) and the scan options every URL was queued with;
+-- discovered_count is how many URLs the sitemap listed before filtering and the cap.
+CREATE TABLE IF NOT EXISTS crawls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sitemap_url TEXT NOT NULL,
+  devices TEXT NOT NULL,
+  options TEXT,
+  discovered_count INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_crawls_user_id ON crawls(user_id, id DESC);
+
+-- Projects: a site whose pages are scanned and tracked together. A scan belongs to a project when its URL is one of
+-- the project's pages (project_pages), so history from before the page was added counts too.
+-- devices/options are the settings the project's scans run with (runs, throttling, categories, device snapshots);
+-- site_auth_id picks the saved login its scans send instead of the one matching each URL.
+CREATE TABLE IF NOT EXISTS projects (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  devices TEXT NOT NULL,
+  options TEXT,
+  site_auth_id INTEGER,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
+
+CREATE TABLE IF NOT EXISTS project_pages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (project_id, url)
+);
+
+-- Performance budgets: limits a scan is checked against when it is saved (scans.budget_result). A budget targets
+-- either one URL or every page of a project (project_id); a URL's own budget wins over its projects' budgets.
+-- rules is JSON: { categories: { performance: 90 }, metrics: { 'largest-contentful-paint': 2500 }, resources: { script: 300 } }
+-- with category score minimums, metric maximums (ms, CLS unitless) and transfer size maximums in KB per resource type.
+CREATE TABLE IF NOT EXISTS budgets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  project_id INTEGER,
+  url TEXT,
+  rules TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_user_url ON budgets(user_id, url) WHERE url IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_project_id ON budgets(project_id) WHERE project_id IS NOT NULL;
+
+-- Outgoing webhooks: scan events are POSTed as JSON to url, signed with HMAC-SHA256 under the webhook's secret
+-- (encrypted like saved site logins). events is a JSON array of the event names it receives.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  events TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+
+-- One event sent (or being retried) to one webhook. status: 'pending' until a 2xx response ('succeeded') or the last
+-- attempt fails ('failed'); next_attempt_at (ISO) is when a pending delivery is tried again.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  last_attempt_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+
+-- A shared side-by-side comparison of two of a user's scans (A, the "before", and B). Anyone with the token can view
+-- it read-only, like a shared report; deleting either scan removes it.
+CREATE TABLE IF NOT EXISTS scan_comparisons (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scan_a_id INTEGER NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+  scan_b_id INTEGER NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+  share_token TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scan_comparisons_pair ON scan_comparisons(user_id, scan_a_id, scan_b_id);
+
+-- Personal access tokens for the REST API (/api/v1). Only the SHA-256 of a token is stored; prefix is its first
+-- characters, shown on the settings page to tell tokens apart. scopes is a JSON array (services/api-tokens.js).
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  prefix TEXT NOT NULL,
+  scopes TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  last_used_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
@@ -9,6 +9,24 @@ import { mkdirSync, existsSync } from 'fs';
 import config from './config.js';
 import authRoutes from './routes/auth.js';
 import scanRoutes from './routes/scans.js';
+import scheduleRoutes from './routes/schedules.js';
+import flowRoutes from './routes/flows.js';
+import crawlRoutes from './routes/crawls.js';
+import projectRoutes from './routes/projects.js';
+import budgetRoutes from './routes/budgets.js';
+import regressionRoutes from './routes/regressions.js';
+import webhookRoutes from './routes/webhooks.js';
+import apiRoutes, { apiErrorHandler } from './routes/api.js';
+import docsRoutes from './routes/docs.js';
+import { openApiRouteProblems } from './services/openapi.js';
+import { startScanWorker } from './services/scan-queue.js';
+import { startScheduler } from './services/scheduler.js';
+import { startWebhookWorker } from './services/webhooks.js';
+import { startDigestScheduler } from './services/digest.js';
+import { scanFailureLabel } from './services/scan-errors.js';
+import { THROTTLING_PROFILES, throttlingLabel, throttlingDetails } from './services/throttling.js';
+import { MAX_DEVICES_PER_SCAN, deviceName, deviceShortName, deviceDetails } from './services/devices.js';
+import { LIGHTHOUSE_CATEGORIES, categoriesLabel } from './services/categories.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -17,6 +35,17 @@ if (process.env.NODE_ENV === 'production' && config.sessionSecret === 'change-me
   process.exit(1);
 }
 
+/* The OpenAPI document must describe the routes as they are: every REST API route, and only routes that exist. */
+const openApiProblems = openApiRouteProblems([
+  { prefix: '/api/v1', router: apiRoutes, complete: true },
+  { prefix: '', router: docsRoutes },
+  { prefix: '', router: scanRoutes },
+]);
+if (openApiProblems.length) {
+  console.error(`Fatal: the OpenAPI document (src/services/openapi.js) doesn't match the routes:\n  ${openApiProblems.join('\n  ')}`);
+  process.exit(1);
+}
+
 const app = express();
 
 app.set('trust proxy', 1);
@@ -36,9 +65,24 @@ const sessionStore = config.useMemorySession
 
 app.set('view engine', 'ejs');
 app.set('views', join(__dirname, '..', 'views'));
+/* Failed scans show their reason in history, reports and partials rendered for live search. */
+app.locals.scanFailureLabel = scanFailureLabel;
+/* Scan forms list the throttling profiles; reports show which one a scan used. */
+app.locals.throttlingProfiles = THROTTLING_PROFILES;
+app.locals.throttlingLabel = throttlingLabel;
+app.locals.throttlingDetails = throttlingDetails;
+app.locals.maxDevicesPerScan = MAX_DEVICES_PER_SCAN;
+app.locals.deviceName = deviceName;
+app.locals.deviceShortName = deviceShortName;
+app.locals.deviceDetails = deviceDetails;
+/* Scan and schedule forms offer a category subset; reports note when a scan audited only some. */
+app.locals.lighthouseCategories = LIGHTHOUSE_CATEGORIES;
+app.locals.categoriesLabel = categoriesLabel;
 
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(express.json({ limit: '1mb' }));
+/* Token-authenticated, so mounted before the session: API calls neither read nor create sessions. */
+app.use('/api/v1', apiRoutes, apiErrorHandler);
 app.use(
   session({
     store: sessionStore,
@@ -79,16 +123,27 @@ app.get('/', (req, res) => {
   }
   const guestScansUsed = typeof req.session?.guestScansCount === 'number' ? req.session.guestScansCount : 0;
   const guestError = req.query.guest_error;
+  const guestJob = typeof req.query.guest_job === 'string' && /^[a-f0-9]{48}$/.test(req.query.guest_job) ? req.query.guest_job : null;
   res.render('landing', {
     title: 'UPGS Perf – Lighthouse performance, simplified',
     guestScansUsed,
     guestScansLimit: 2,
     guestError: guestError || null,
+    guestJob,
   });
 });
 
 app.use(authRoutes);
+/* Before scanRoutes, which requires a session for everything that reaches it. */
+app.use(docsRoutes);
 app.use(scanRoutes);
+app.use(scheduleRoutes);
+app.use(flowRoutes);
+app.use(crawlRoutes);
+app.use(projectRoutes);
+app.use(budgetRoutes);
+app.use(regressionRoutes);
+app.use(webhookRoutes);
 
 app.use((err, req, res, next) => {
   console.error(err);
@@ -97,4 +152,8 @@ app.use((err, req, res, next) => {
 
 app.listen(config.port, () => {
   console.log(`UPGS Perf listening on port ${config.port} (session store: ${config.useMemorySession ? 'memory' : 'sqlite'})`);
+  startScanWorker();
+  startScheduler();
+  startWebhookWorker();
+  startDigestScheduler();
 });
@@ -0,0 +1,34 @@
+import config from '../config.js';
+import { checkRequest, checkResponse, findOperation } from '../services/openapi.js';
+
+/**
+ * Validate requests to documented endpoints against the OpenAPI document (services/openapi.js) and, when
+ * config.validateApiResponses is on, their JSON responses too (mismatches are logged, the response is sent as is).
+ * Requests to paths the document doesn't describe pass through untouched.
+ * @param {{ sendError: (res: import('express').Response, status: number, message: string, asJson: boolean) => void }} options
+ *   sendError answers an invalid request (400) or an unsupported body media type (415) in the router's error format;
+ *   asJson tells whether the document gives that answer as JSON (for a client that accepts JSON when it also allows text)
+ */
+export function validateOpenApi({ sendError }) {
+  return (req, res, next) => {
+    const found = findOperation(req.method, `${req.baseUrl}${req.path}`);
+    if (!found) return next();
+    const contentType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase() || null;
+    const problem = checkRequest(found, { query: req.query, body: req.body, contentType });
+    if (problem) {
+      const content = (found.operation.responses[problem.status] || {}).content || {};
+      const acceptsJson = req.xhr || (req.get('accept') || '').includes('application/json');
+      const asJson = Boolean(content['application/json']) && (!content['text/plain'] || acceptsJson);
+      return sendError(res, problem.status, `${problem.errors.join('; ')}.`, asJson);
+    }
+    if (config.validateApiResponses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const errors = checkResponse(found, res.statusCode, body);
+        if (errors.length) console.error(`OpenAPI: ${req.method} ${found.path} ${res.statusCode} response doesn't match the document: ${errors.join('; ')}`);
+        return json(body);
+      };
+    }
+    next();
+  };
+}
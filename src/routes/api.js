@@ -0,0 +1,309 @@
+import { Router } from 'express';
+import rateLimit from 'express-rate-limit';
+import config from '../config.js';
+import * as db from '../db/index.js';
+import { validateOpenApi } from '../middleware/openapi.js';
+import { authenticateApiToken } from '../services/api-tokens.js';
+import { cancelScanJob, describeScanJob, enqueueScanJob } from '../services/scan-queue.js';
+import { RUN_COUNTS, normalizeRunCount } from '../services/lighthouse.js';
+import { THROTTLING_PROFILES, missingCustomThrottling, resolveThrottling } from '../services/throttling.js';
+import { MAX_DEVICES_PER_SCAN, deviceChoices, deviceKey, deviceName, resolveDevices } from '../services/devices.js';
+import { LIGHTHOUSE_CATEGORIES, resolveCategories } from '../services/categories.js';
+import { scanFailureLabel } from '../services/scan-errors.js';
+import { buildTrends, parseTrendsQuery } from '../services/trends.js';
+
+/**
+ * REST API, mounted at /api/v1. Requests are authenticated with a personal access token (services/api-tokens.js)
+ * rather than the session, so no CSRF token is needed. Successful responses are { data } (lists add pagination);
+ * every error is { error: { code, message } } with the matching HTTP status. Every route is described in the OpenAPI
+ * document (services/openapi.js); the server won't start when they disagree.
+ */
+
+const router = Router();
+
+const MAX_URL_LENGTH = 2048;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/** Send an error envelope. */
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+function isValidUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/** SQLite UTC time ("YYYY-MM-DD HH:MM:SS") as ISO 8601. */
+function isoTime(value) {
+  return value ? `${value.replace(' ', 'T')}Z` : null;
+}
+
+/** Per-token limits; errors use the envelope like everything else. */
+function tokenLimiter(windowMs, max, message) {
+  return rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `token:${req.apiToken.id}`,
+    handler: (req, res, next, options) => apiError(res, options.statusCode, 'rate_limited', message),
+  });
+}
+
+const apiLimiter = tokenLimiter(60 * 1000, 120, 'Too many requests for this token. Try again in a minute.');
+const startScanLimiter = tokenLimiter(15 * 60 * 1000, 20, 'Too many scans started with this token. Try again in 15 minutes.');
+
+function requireApiToken(req, res, next) {
+  const token = authenticateApiToken(req.get('authorization'));
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return apiError(res, 401, 'unauthorized', 'Send a valid API token as "Authorization: Bearer <token>". Create one in Settings.');
+  }
+  req.apiToken = token;
+  next();
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiToken.scopes.includes(scope)) return next();
+    res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+    apiError(res, 403, 'insufficient_scope', `This token lacks the ${scope} scope.`);
+  };
+}
+
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+router.use(requireApiToken, apiLimiter);
+/* Parameters and bodies are first checked against the OpenAPI document (services/openapi.js); the handlers still
+   check what it can't express (known devices, ids that exist). */
+router.use(validateOpenApi({
+  sendError: (res, status, message) => apiError(res, status, status === 415 ? 'unsupported_media_type' : 'invalid_request', message),
+}));
+
+function scanLinks(id) {
+  return {
+    self: `${config.publicUrl}/api/v1/scans/${id}`,
+    lhr: `${config.publicUrl}/api/v1/scans/${id}/lhr`,
+    report: `${config.publicUrl}/scans/${id}`,
+  };
+}
+
+function scanFailure(scan) {
+  return scan.status === 'failed' ? { reason: scan.failure_reason || null, label: scanFailureLabel(scan), error: scan.error || null } : null;
+}
+
+/** A scan in lists: scores and metric values only (row from db.getScanRowsByUserIdSearch). */
+function apiScanRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    status: row.status,
+    createdAt: isoTime(row.created_at),
+    runId: row.run_id || null,
+    device: { key: row.device_key, name: deviceName(row.options) },
+    throttling: resolveThrottling(row.options && row.options.throttling),
+    categories: row.categories,
+    metrics: row.metrics,
+    budgetFailed: row.budget_failed ?? null,
+    regressed: row.regressed ?? null,
+    failure: scanFailure(row),
+    links: scanLinks(row.id),
+  };
+}
+
+/** A scan with its whole summary, budget and regression results (row from db.getScanByIdAndUserId). */
+function apiScan(scan) {
+  return {
+    id: scan.id,
+    url: scan.url,
+    status: scan.status,
+    createdAt: isoTime(scan.created_at),
+    runId: scan.run_id || null,
+    device: { key: deviceKey(scan.options), name: deviceName(scan.options) },
+    throttling: resolveThrottling(scan.options && scan.options.throttling),
+    options: scan.options || {},
+    summary: scan.summary,
+    budget: scan.budget_result || null,
+    regression: scan.regression_result || null,
+    failure: scanFailure(scan),
+    links: scanLinks(scan.id),
+  };
+}
+
+/** A scan job and the scans it has saved so far (one per device once it has finished). */
+function apiJob(job) {
+  const described = describeScanJob(job);
+  return {
+    id: described.id,
+    status: described.status,
+    url: described.url,
+    devices: described.devices,
+    deviceNames: described.deviceNames,
+    position: described.position,
+    error: described.error,
+    createdAt: isoTime(described.created_at),
+    startedAt: isoTime(described.started_at),
+    finishedAt: isoTime(described.finished_at),
+    scans: db.getScansByJobId(job.id).map((s) => ({ id: s.id, status: s.status, device: deviceKey(s.options), links: scanLinks(s.id) })),
+    links: { self: `${config.publicUrl}/api/v1/jobs/${job.id}` },
+  };
+}
+
+function parseId(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/** limit and offset query parameters, or { error }. */
+function parsePage(query) {
+  const limit = query.limit == null ? DEFAULT_PAGE_SIZE : parseId(String(query.limit));
+  const offset = query.offset == null ? 0 : parseId(String(query.offset));
+  if (!limit || limit > MAX_PAGE_SIZE) return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}.` };
+  if (offset == null) return { error: 'offset must be 0 or more.' };
+  return { limit, offset };
+}
+
+/**
+ * A scan request body: { url, devices?, runs?, categories?, throttling? }. Unlike the web form, unknown values are
+ * rejected rather than replaced by defaults. Returns { error } or { url, devices, options } for enqueueScanJob.
+ */
+function parseScanRequest(userId, body) {
+  const url = typeof body.url === 'string' ? body.url.trim() : '';
+  if (!isValidUrl(url)) return { error: 'url must be an http or https URL.' };
+
+  const requestedDevices = body.devices == null ? ['mobile'] : [].concat(body.devices);
+  if (requestedDevices.length === 0 || requestedDevices.length > MAX_DEVICES_PER_SCAN) {
+    return { error: `devices must list 1 to ${MAX_DEVICES_PER_SCAN} devices.` };
+  }
+  const { devices, deviceProfiles } = resolveDevices(userId, requestedDevices);
+  const unknownDevice = requestedDevices.find((id) => !devices.includes(id));
+  if (unknownDevice !== undefined) {
+    return { error: `Unknown device "${unknownDevice}". Use one of: ${deviceChoices(userId).map((d) => d.id).join(', ')}.` };
+  }
+
+  if (body.runs != null && !RUN_COUNTS.includes(Number(body.runs))) return { error: `runs must be one of ${RUN_COUNTS.join(', ')}.` };
+
+  let categories;
+  if (body.categories != null) {
+    const requested = [].concat(body.categories);
+    const unknown = requested.find((id) => !Object.prototype.hasOwnProperty.call(LIGHTHOUSE_CATEGORIES, id));
+    if (unknown !== undefined) return { error: `Unknown category "${unknown}". Use: ${Object.keys(LIGHTHOUSE_CATEGORIES).join(', ')}.` };
+    categories = resolveCategories(requested);
+  }
+
+  const throttling = typeof body.throttling === 'string' ? { profile: body.throttling } : body.throttling;
+  if (throttling != null && (typeof throttling !== 'object' || !Object.prototype.hasOwnProperty.call(THROTTLING_PROFILES, throttling.profile))) {
+    return { error: `throttling.profile must be one of: ${Object.keys(THROTTLING_PROFILES).join(', ')}.` };
+  }
+  const missing = missingCustomThrottling(throttling);
+  if (missing.length) return { error: `The custom throttling profile needs ${missing.map((key) => `throttling.${key}`).join(', ')}.` };
+
+  return {
+    url,
+    devices,
+    options: { categories, runs: normalizeRunCount(body.runs), throttling: resolveThrottling(throttling), deviceProfiles },
+  };
+}
+
+/** Who the token belongs to and what it may do. */
+router.get('/me', (req, res) => {
+  const user = db.findUserById(req.apiToken.user_id);
+  if (!user) return apiError(res, 401, 'unauthorized', 'This token’s account no longer exists.');
+  res.json({
+    data: {
+      user: { id: user.id, email: user.email, name: user.name || null },
+      token: { id: req.apiToken.id, name: req.apiToken.name, scopes: req.apiToken.scopes },
+    },
+  });
+});
+
+/** Queue a scan of one URL on one or more devices. Poll the returned job until it is no longer queued or running. */
+router.post('/scans', requireScope('scans:write'), startScanLimiter, (req, res) => {
+  const request = parseScanRequest(req.apiToken.user_id, req.body || {});
+  if (request.error) return apiError(res, 400, 'invalid_request', request.error);
+  const jobId = enqueueScanJob(req.apiToken.user_id, request.url, request.devices, request.options);
+  const job = db.getScanJobByIdAndUserId(jobId, req.apiToken.user_id);
+  res.status(202).location(`/api/v1/jobs/${jobId}`).json({ data: apiJob(job) });
+});
+
+/** Scans, newest first, filtered by ?q= (URL contains) and ?project= (id), paged with ?limit= and ?offset=. */
+router.get('/scans', requireScope('scans:read'), (req, res) => {
+  const userId = req.apiToken.user_id;
+  const page = parsePage(req.query);
+  if (page.error) return apiError(res, 400, 'invalid_request', page.error);
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+  let projectId = null;
+  if (req.query.project != null) {
+    projectId = parseId(String(req.query.project));
+    if (!projectId || !db.getProjectByIdAndUserId(projectId, userId)) return apiError(res, 404, 'not_found', 'Project not found.');
+  }
+  res.json({
+    data: db.getScanRowsByUserIdSearch(userId, q, projectId, page.limit, page.offset).map(apiScanRow),
+    pagination: { limit: page.limit, offset: page.offset, total: db.getScanCountByUserIdSearch(userId, q, projectId) },
+  });
+});
+
+router.get('/scans/:id', requireScope('scans:read'), (req, res) => {
+  const id = parseId(req.params.id);
+  const scan = id && db.getScanByIdAndUserId(id, req.apiToken.user_id);
+  if (!scan) return apiError(res, 404, 'not_found', 'Scan not found.');
+  res.json({ data: apiScan(scan) });
+});
+
+/** The scan's full Lighthouse result (LHR) as saved, not wrapped in { data }. */
+router.get('/scans/:id/lhr', requireScope('scans:read'), (req, res) => {
+  const id = parseId(req.params.id);
+  const scan = id && db.getScanByIdAndUserId(id, req.apiToken.user_id);
+  if (!scan) return apiError(res, 404, 'not_found', 'Scan not found.');
+  if (!scan.report_json) return apiError(res, 404, 'not_found', 'This scan has no Lighthouse result (it failed or was cancelled).');
+  res.type('application/json').send(scan.report_json);
+});
+
+router.get('/jobs/:id', requireScope('scans:read'), (req, res) => {
+  const id = parseId(req.params.id);
+  const job = id && db.getScanJobByIdAndUserId(id, req.apiToken.user_id);
+  if (!job) return apiError(res, 404, 'not_found', 'Job not found.');
+  res.json({ data: apiJob(job) });
+});
+
+/** Cancel a queued or running job; devices that hadn't finished are saved as cancelled scans. */
+router.post('/jobs/:id/cancel', requireScope('scans:write'), (req, res) => {
+  const id = parseId(req.params.id);
+  const job = id && db.getScanJobByIdAndUserId(id, req.apiToken.user_id);
+  if (!job) return apiError(res, 404, 'not_found', 'Job not found.');
+  if (!cancelScanJob(job)) return apiError(res, 409, 'conflict', 'This job has already finished.');
+  res.status(202).json({ data: apiJob(db.getScanJobByIdAndUserId(id, req.apiToken.user_id)) });
+});
+
+/** Trends of a page, as on the trends page: ?url= plus optional from, to, granularity and throttling. */
+router.get('/trends', requireScope('scans:read'), (req, res) => {
+  const query = parseTrendsQuery(req.query);
+  if (query.error) return apiError(res, 400, 'invalid_request', `${query.error}.`);
+  res.json({ data: buildTrends(req.apiToken.user_id, query.url, query) });
+});
+
+router.use((req, res) => {
+  apiError(res, 404, 'not_found', `No API endpoint ${req.method} ${req.baseUrl}${req.path}.`);
+});
+
+/**
+ * Error handler for /api/v1 (mounted after the router so it also catches body parsing errors): errors keep the
+ * envelope instead of the app's HTML error page.
+ */
+export function apiErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return apiError(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+  if (err.type === 'entity.too.large') return apiError(res, 413, 'payload_too_large', 'The request body is too large.');
+  console.error('API error:', err);
+  apiError(res, 500, 'internal_error', 'Something went wrong. Check the server logs.');
+}
+
+export default router;
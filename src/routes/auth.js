@@ -7,6 +7,12 @@ import config from '../config.js';
 import * as db from '../db/index.js';
 import { requireAuth, redirectIfAuthenticated } from '../middleware/auth.js';
 import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import { MAX_DEVICE_PROFILES_PER_USER, deviceChoices, parseDeviceProfileForm } from '../services/devices.js';
+import { MAX_SITE_AUTHS_PER_USER, describeSiteAuth, encryptSecrets, parseSiteAuthForm } from '../services/site-auth.js';
+import { API_TOKEN_SCOPES, MAX_API_TOKENS_PER_USER, createApiToken, parseApiTokenForm } from '../services/api-tokens.js';
+import { isMailConfigured } from '../services/mailer.js';
+import { notificationSettingsFromForm, sendTestEmail } from '../services/notifications.js';
+import { sendWeeklyDigest } from '../services/digest.js';
 
 const router = Router();
 
@@ -33,6 +39,25 @@ function isSafeScreenshotPath(filename) {
   return /^\d+\.(png|jpg|jpeg|webp)$/i.test(filename);
 }
 
+/** Device profiles, saved site logins and API tokens listed on the settings page (logins described without their values). */
+function settingsLists(userId) {
+  return {
+    devices: deviceChoices(userId),
+    siteAuths: db.getSiteAuthsByUserId(userId).map((row) => ({ id: row.id, scope: row.scope, updated_at: row.updated_at, description: describeSiteAuth(row) })),
+    apiTokens: db.getApiTokensByUserId(userId),
+    apiTokenScopes: API_TOKEN_SCOPES,
+    notifications: db.getNotificationSettings(userId),
+    mailConfigured: isMailConfigured(),
+  };
+}
+
+const NOTIFICATION_NOTICES = {
+  saved: 'Email settings saved.',
+  test: 'Test email sent. Check your inbox.',
+  digest: 'Digest of the last 7 days sent.',
+  nodigest: 'No scans completed in the last 7 days, so there was no digest to send.',
+};
+
 const SALT_ROUNDS = 12;
 const MIN_PASSWORD_LENGTH = 8;
 const MAX_PASSWORD_LENGTH = 256;
@@ -162,9 +187,14 @@ router.get('/settings', requireAuth, ensureCsrfToken, (req, res, next) => {
   res.render('settings', {
     title: 'Settings',
     email: req.session.email,
+    ...settingsLists(req.session.userId),
     user: { name: user.name || '', email: user.email },
     success: req.query.updated === '1',
     error: errorParam,
+    deviceNotice: req.query.device === 'added' ? 'Device profile added.' : req.query.device === 'deleted' ? 'Device profile deleted.' : null,
+    siteAuthNotice: req.query.login === 'saved' ? 'Login saved. Scans of matching URLs will send it.' : req.query.login === 'deleted' ? 'Login deleted.' : null,
+    apiTokenNotice: req.query.token === 'revoked' ? 'Token revoked. Requests made with it are now refused.' : null,
+    notificationNotice: NOTIFICATION_NOTICES[req.query.email] || null,
   });
 });
 
@@ -225,6 +255,7 @@ router.post('/settings', requireAuth, validateCsrf, async (req, res) => {
     return res.render('settings', {
       title: 'Settings',
       email: req.session.email,
+      ...settingsLists(req.session.userId),
       user: { name: name || user.name || '', email: email || user.email },
       success: false,
       error,
@@ -247,6 +278,7 @@ router.post('/settings', requireAuth, validateCsrf, async (req, res) => {
       return res.render('settings', {
         title: 'Settings',
         email: req.session.email,
+        ...settingsLists(req.session.userId),
         user: { name: updates.name !== undefined ? updates.name : user.name || '', email: updates.email || user.email },
         success: false,
         error: 'Settings saved but session update failed. Please log in again.',
@@ -256,6 +288,169 @@ router.post('/settings', requireAuth, validateCsrf, async (req, res) => {
   });
 });
 
+/** Add a custom device profile (Settings → Devices). It can then be picked in the scan and schedule forms. */
+router.post('/settings/devices', requireAuth, validateCsrf, (req, res) => {
+  const user = db.findUserById(req.session.userId);
+  if (!user) return res.redirect('/login');
+  const { error, profile } = parseDeviceProfileForm(req.body || {});
+  const limitError = !error && db.getDeviceProfileCountByUserId(user.id) >= MAX_DEVICE_PROFILES_PER_USER
+    ? `You can have up to ${MAX_DEVICE_PROFILES_PER_USER} device profiles. Delete one to add another.`
+    : null;
+  if (error || limitError) {
+    return res.status(400).render('settings', {
+      title: 'Settings',
+      email: req.session.email,
+      ...settingsLists(user.id),
+      user: { name: user.name || '', email: user.email },
+      success: false,
+      error: null,
+      deviceError: error || limitError,
+      deviceValues: req.body || {},
+    });
+  }
+  db.createDeviceProfile(user.id, profile);
+  res.redirect('/settings?device=added#settings-devices-heading');
+});
+
+/** Delete a custom device profile. Past scans and schedules keep the copy they were made with. */
+router.post('/settings/devices/:id/delete', requireAuth, validateCsrf, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id) || !db.deleteDeviceProfile(id, req.session.userId)) {
+    return res.status(404).send('Device profile not found');
+  }
+  res.redirect('/settings?device=deleted#settings-devices-heading');
+});
+
+/**
+ * Save a site login (headers, cookies, basic auth) for a URL scope, replacing the one already saved for that scope.
+ * Submitted values are never echoed back: on an error only the scope is refilled.
+ */
+router.post('/settings/site-auth', requireAuth, validateCsrf, (req, res) => {
+  const user = db.findUserById(req.session.userId);
+  if (!user) return res.redirect('/login');
+  const { error, scope, secrets } = parseSiteAuthForm(req.body || {});
+  const isNewScope = !error && !db.getSiteAuthsByUserId(user.id).some((row) => row.scope === scope);
+  const limitError = isNewScope && db.getSiteAuthCountByUserId(user.id) >= MAX_SITE_AUTHS_PER_USER
+    ? `You can save up to ${MAX_SITE_AUTHS_PER_USER} logins. Delete one to add another.`
+    : null;
+  if (error || limitError) {
+    return res.status(400).render('settings', {
+      title: 'Settings',
+      email: req.session.email,
+      ...settingsLists(user.id),
+      user: { name: user.name || '', email: user.email },
+      success: false,
+      error: null,
+      siteAuthError: error || limitError,
+      siteAuthScope: typeof req.body?.scope === 'string' ? req.body.scope : '',
+    });
+  }
+  db.upsertSiteAuth(user.id, scope, encryptSecrets(secrets));
+  res.redirect('/settings?login=saved#settings-site-auth-heading');
+});
+
+router.post('/settings/site-auth/:id/delete', requireAuth, validateCsrf, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id) || !db.deleteSiteAuth(id, req.session.userId)) {
+    return res.status(404).send('Login not found');
+  }
+  res.redirect('/settings?login=deleted#settings-site-auth-heading');
+});
+
+/** Create an API token. The page this renders is the only place the token is ever shown. */
+router.post('/settings/api-tokens', requireAuth, validateCsrf, (req, res) => {
+  const user = db.findUserById(req.session.userId);
+  if (!user) return res.redirect('/login');
+  const { error, name, scopes } = parseApiTokenForm(req.body || {});
+  const limitError = !error && db.getApiTokenCountByUserId(user.id) >= MAX_API_TOKENS_PER_USER
+    ? `You can have up to ${MAX_API_TOKENS_PER_USER} API tokens. Revoke one to create another.`
+    : null;
+  if (error || limitError) {
+    return res.status(400).render('settings', {
+      title: 'Settings',
+      email: req.session.email,
+      ...settingsLists(user.id),
+      user: { name: user.name || '', email: user.email },
+      success: false,
+      error: null,
+      apiTokenError: error || limitError,
+      apiTokenName: typeof req.body?.name === 'string' ? req.body.name : '',
+    });
+  }
+  const token = createApiToken(user.id, { name, scopes });
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(201).render('settings', {
+    title: 'Settings',
+    email: req.session.email,
+    ...settingsLists(user.id),
+    user: { name: user.name || '', email: user.email },
+    success: false,
+    error: null,
+    apiTokenCreated: { name, token },
+  });
+});
+
+router.post('/settings/api-tokens/:id/delete', requireAuth, validateCsrf, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id) || !db.deleteApiToken(id, req.session.userId)) {
+    return res.status(404).send('Token not found');
+  }
+  res.redirect('/settings?token=revoked#settings-api-tokens-heading');
+});
+
+/** Save which emails the user gets. Turning the digest on starts it from next week's, not a catch-up one now. */
+router.post('/settings/notifications', requireAuth, validateCsrf, (req, res) => {
+  const current = db.getNotificationSettings(req.session.userId);
+  if (!current) return res.redirect('/login');
+  const settings = notificationSettingsFromForm(req.body || {});
+  db.updateNotificationSettings(req.session.userId, {
+    ...settings,
+    digestSentAt: settings.digest && !current.digest ? new Date().toISOString() : undefined,
+  });
+  res.redirect('/settings?email=saved#settings-notifications-heading');
+});
+
+function renderNotificationError(req, res, user, status, notificationError) {
+  res.status(status).render('settings', {
+    title: 'Settings',
+    email: req.session.email,
+    ...settingsLists(user.id),
+    user: { name: user.name || '', email: user.email },
+    success: false,
+    error: null,
+    notificationError,
+  });
+}
+
+/** Send a test email to the account's address, to check the SMTP settings. */
+router.post('/settings/notifications/test', requireAuth, validateCsrf, async (req, res) => {
+  const user = db.findUserById(req.session.userId);
+  if (!user) return res.redirect('/login');
+  if (!isMailConfigured()) return renderNotificationError(req, res, user, 400, 'Email is not set up on this server (SMTP_HOST).');
+  try {
+    await sendTestEmail(user.email);
+  } catch (err) {
+    console.error('Test email failed:', err.message);
+    return renderNotificationError(req, res, user, 502, `The test email could not be sent: ${err.message}`);
+  }
+  res.redirect('/settings?email=test#settings-notifications-heading');
+});
+
+/** Send the digest of the last 7 days now, whatever the digest setting. The weekly schedule is unchanged. */
+router.post('/settings/notifications/digest', requireAuth, validateCsrf, async (req, res) => {
+  const user = db.findUserById(req.session.userId);
+  if (!user) return res.redirect('/login');
+  if (!isMailConfigured()) return renderNotificationError(req, res, user, 400, 'Email is not set up on this server (SMTP_HOST).');
+  let sent;
+  try {
+    sent = await sendWeeklyDigest(user);
+  } catch (err) {
+    console.error('Digest email failed:', err.message);
+    return renderNotificationError(req, res, user, 502, `The digest could not be sent: ${err.message}`);
+  }
+  res.redirect(`/settings?email=${sent ? 'digest' : 'nodigest'}#settings-notifications-heading`);
+});
+
 router.get('/account/export', requireAuth, (req, res) => {
   const user = db.findUserById(req.session.userId);
   if (!user) {
@@ -0,0 +1,134 @@
+import { Router } from 'express';
+import * as db from '../db/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import {
+  BUDGET_METRICS,
+  BUDGET_RESOURCE_TYPES,
+  MAX_BUDGETS_PER_USER,
+  budgetFormValues,
+  describeBudgetRules,
+  newBudgetValues,
+  parseBudgetForm,
+} from '../services/budgets.js';
+
+const router = Router();
+
+router.use('/budgets', requireAuth, ensureCsrfToken, validateCsrf);
+
+/** Locals shared by the new and edit budget forms. */
+function budgetFormLocals(req, values) {
+  return {
+    values,
+    projects: db.getProjectsByUserId(req.session.userId).map((p) => ({ id: p.id, name: p.name })),
+    budgetMetrics: BUDGET_METRICS,
+    budgetResourceTypes: BUDGET_RESOURCE_TYPES,
+  };
+}
+
+function renderBudgets(req, res, { status = 200, values, error = null, notice = null } = {}) {
+  const budgets = db.getBudgetsByUserId(req.session.userId).map((b) => ({ ...b, limits: describeBudgetRules(b.rules) }));
+  res.status(status).render('budgets', {
+    title: 'Budgets',
+    email: req.session.email,
+    budgets,
+    ...budgetFormLocals(req, values || newBudgetValues()),
+    error,
+    notice,
+  });
+}
+
+const NOTICES = {
+  created: 'Budget saved. Scans of its pages are checked against it from now on.',
+  updated: 'Budget saved. Scans already checked keep their result.',
+  deleted: 'Budget deleted.',
+};
+
+/** Error when another budget already targets the same project or URL (a target has at most one budget). */
+function targetTakenError(userId, budget, exceptId = null) {
+  const existing = db.getBudgetByTarget(userId, budget);
+  if (!existing || existing.id === exceptId) return null;
+  return budget.projectId ? 'That project already has a budget. Edit it instead.' : 'That URL already has a budget. Edit it instead.';
+}
+
+/** Budgets page: list the user's budgets and create one (?project= or ?url= picks its target). */
+router.get('/budgets', (req, res, next) => {
+  try {
+    const projectId = parseInt(req.query.project, 10);
+    const values = newBudgetValues({
+      projectId: Number.isNaN(projectId) ? '' : projectId,
+      url: typeof req.query.url === 'string' ? req.query.url.trim() : '',
+    });
+    renderBudgets(req, res, { values, notice: NOTICES[req.query.done] || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/budgets', (req, res, next) => {
+  try {
+    const userId = req.session.userId;
+    const { values, error, budget } = parseBudgetForm(req.body || {}, userId);
+    if (error) return renderBudgets(req, res, { status: 400, values, error });
+    const taken = targetTakenError(userId, budget);
+    if (taken) return renderBudgets(req, res, { status: 400, values, error: taken });
+    if (db.getBudgetCountByUserId(userId) >= MAX_BUDGETS_PER_USER) {
+      return renderBudgets(req, res, { status: 400, values, error: `You can have up to ${MAX_BUDGETS_PER_USER} budgets. Delete one to add another.` });
+    }
+    db.createBudget(userId, budget);
+    res.redirect('/budgets?done=created');
+  } catch (err) {
+    next(err);
+  }
+});
+
+function loadBudget(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).send('Invalid budget ID');
+    return null;
+  }
+  const budget = db.getBudgetByIdAndUserId(id, req.session.userId);
+  if (!budget) {
+    res.status(404).send('Budget not found');
+    return null;
+  }
+  return budget;
+}
+
+function renderBudgetEdit(req, res, budget, { status = 200, values, error = null } = {}) {
+  res.status(status).render('budget-edit', {
+    title: 'Edit budget',
+    email: req.session.email,
+    budget,
+    ...budgetFormLocals(req, values || budgetFormValues(budget)),
+    error,
+  });
+}
+
+router.get('/budgets/:id/edit', (req, res) => {
+  const budget = loadBudget(req, res);
+  if (!budget) return;
+  renderBudgetEdit(req, res, budget);
+});
+
+/** Save a budget's target and limits. Scans checked before keep the result they were given. */
+router.post('/budgets/:id', (req, res) => {
+  const existing = loadBudget(req, res);
+  if (!existing) return;
+  const { values, error, budget } = parseBudgetForm(req.body || {}, req.session.userId);
+  if (error) return renderBudgetEdit(req, res, existing, { status: 400, values, error });
+  const taken = targetTakenError(req.session.userId, budget, existing.id);
+  if (taken) return renderBudgetEdit(req, res, existing, { status: 400, values, error: taken });
+  db.updateBudget(existing.id, req.session.userId, budget);
+  res.redirect('/budgets?done=updated');
+});
+
+router.post('/budgets/:id/delete', (req, res) => {
+  const budget = loadBudget(req, res);
+  if (!budget) return;
+  db.deleteBudget(budget.id, req.session.userId);
+  res.redirect('/budgets?done=deleted');
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import { Router } from 'express';
+import * as db from '../db/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import { RUN_COUNTS } from '../services/lighthouse.js';
+import { resolveThrottling } from '../services/throttling.js';
+import { deviceChoices, jobDevice } from '../services/devices.js';
+import { enqueueCrawl, cancelScanJob, TERMINAL_JOB_STATUSES } from '../services/scan-queue.js';
+import {
+  DEFAULT_CRAWL_LIMIT,
+  MAX_ACTIVE_CRAWLS,
+  MAX_CRAWL_URLS,
+  discoverCrawlUrls,
+  parseCrawlForm,
+  summarizeCrawl,
+} from '../services/crawls.js';
+
+const router = Router();
+
+router.use('/crawls', requireAuth, ensureCsrfToken, validateCsrf);
+
+function newCrawlValues() {
+  return {
+    sitemapUrl: '',
+    include: '',
+    exclude: '',
+    limit: DEFAULT_CRAWL_LIMIT,
+    devices: ['mobile'],
+    runs: 1,
+    throttling: resolveThrottling(null),
+    categories: undefined,
+  };
+}
+
+function renderCrawls(req, res, { status = 200, values, preview = null, error = null, notice = null } = {}) {
+  const crawls = db.getCrawlsByUserId(req.session.userId).map((c) => ({
+    ...c,
+    deviceNames: c.devices.map((id) => jobDevice(c.options, id).name),
+  }));
+  res.status(status).render('crawls', {
+    title: 'Crawls',
+    email: req.session.email,
+    crawls,
+    values: values || newCrawlValues(),
+    devices: deviceChoices(req.session.userId),
+    runCounts: RUN_COUNTS,
+    maxUrls: MAX_CRAWL_URLS,
+    preview,
+    error,
+    notice,
+  });
+}
+
+const NOTICES = {
+  cancelled: 'Crawl cancelled. URLs already scanned keep their results.',
+  deleted: 'Crawl deleted.',
+};
+
+/** Crawls page: start a crawl from a sitemap and list earlier ones. */
+router.get('/crawls', (req, res, next) => {
+  try {
+    renderCrawls(req, res, { notice: NOTICES[req.query.done] || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** Fetch the sitemap and show which URLs the filters and cap select, without queuing anything. */
+router.post('/crawls/preview', async (req, res, next) => {
+  try {
+    const { values, error, crawl } = parseCrawlForm(req.body || {}, req.session.userId);
+    if (error) return renderCrawls(req, res, { status: 400, values, error });
+    let preview;
+    try {
+      preview = await discoverCrawlUrls(req.session.userId, crawl);
+    } catch (err) {
+      return renderCrawls(req, res, { status: 400, values, error: `The sitemap could not be read: ${err.message}` });
+    }
+    renderCrawls(req, res, { values, preview });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** Start a crawl: fetch the sitemap again, apply the filters and queue a scan per URL. */
+router.post('/crawls', async (req, res, next) => {
+  const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
+  const fail = (status, values, error) => (acceptsJson ? res.status(status).json({ error }) : renderCrawls(req, res, { status, values, error }));
+  try {
+    const { values, error, crawl } = parseCrawlForm(req.body || {}, req.session.userId);
+    if (error) return fail(400, values, error);
+    if (db.getActiveCrawlCountByUserId(req.session.userId) >= MAX_ACTIVE_CRAWLS) {
+      return fail(429, values, `You already have ${MAX_ACTIVE_CRAWLS} crawls in progress. Wait for one to finish or cancel it.`);
+    }
+    let found;
+    try {
+      found = await discoverCrawlUrls(req.session.userId, crawl);
+    } catch (err) {
+      return fail(400, values, `The sitemap could not be read: ${err.message}`);
+    }
+    if (found.urls.length === 0) {
+      return fail(400, values, found.discoveredCount
+        ? `None of the ${found.discoveredCount} URLs in the sitemap match the filters.`
+        : 'The sitemap lists no URLs.');
+    }
+    const crawlId = enqueueCrawl(req.session.userId, crawl, found.urls, found.discoveredCount);
+    if (acceptsJson) return res.status(202).json({ crawlId, urlCount: found.urls.length, crawlUrl: `/crawls/${crawlId}` });
+    res.redirect(`/crawls/${crawlId}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+function loadCrawl(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).send('Invalid crawl ID');
+    return null;
+  }
+  const crawl = db.getCrawlByIdAndUserId(id, req.session.userId);
+  if (!crawl) {
+    res.status(404).send('Crawl not found');
+    return null;
+  }
+  return crawl;
+}
+
+/** Cancel the crawl's queued and running jobs. */
+function cancelCrawlJobs(crawl, userId) {
+  for (const job of db.getCrawlJobs(crawl.id, userId)) {
+    if (!TERMINAL_JOB_STATUSES.includes(job.status)) cancelScanJob(job);
+  }
+}
+
+/** A crawl's progress, worst offenders and each URL's scores. */
+router.get('/crawls/:id', (req, res) => {
+  const crawl = loadCrawl(req, res);
+  if (!crawl) return;
+  const summary = summarizeCrawl(crawl, db.getCrawlJobs(crawl.id, req.session.userId), db.getCrawlScans(crawl.id, req.session.userId));
+  res.render('crawl-detail', {
+    title: 'Crawl',
+    email: req.session.email,
+    crawl,
+    deviceNames: crawl.devices.map((id) => jobDevice(crawl.options, id).name),
+    ...summary,
+    notice: NOTICES[req.query.done] || null,
+  });
+});
+
+router.post('/crawls/:id/cancel', (req, res) => {
+  const crawl = loadCrawl(req, res);
+  if (!crawl) return;
+  cancelCrawlJobs(crawl, req.session.userId);
+  res.redirect(`/crawls/${crawl.id}?done=cancelled`);
+});
+
+/** Delete a crawl, cancelling what it hasn't scanned yet. Scans it already ran stay in history. */
+router.post('/crawls/:id/delete', (req, res) => {
+  const crawl = loadCrawl(req, res);
+  if (!crawl) return;
+  cancelCrawlJobs(crawl, req.session.userId);
+  db.deleteCrawl(crawl.id, req.session.userId);
+  res.redirect('/crawls?done=deleted');
+});
+
+export default router;
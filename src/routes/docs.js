@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { openApiDocument } from '../services/openapi.js';
+
+/** API documentation: the OpenAPI document and an interactive page for it. Public, like the API's own 401s. */
+const router = Router();
+
+router.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument());
+});
+
+/** Swagger UI for the document; signed in, "Try it out" calls the web app endpoints with the session. */
+router.get('/api/docs', (req, res) => {
+  res.render('api-docs', { title: 'API docs', email: req.session.email });
+});
+
+export default router;
@@ -0,0 +1,226 @@
+import { Router } from 'express';
+import { generateReport } from 'lighthouse';
+import * as db from '../db/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import { resolveThrottling } from '../services/throttling.js';
+import { deviceChoices } from '../services/devices.js';
+import { enqueueFlowJob, describeScanJob, TERMINAL_JOB_STATUSES } from '../services/scan-queue.js';
+import {
+  FLOW_STEP_TYPES,
+  MAX_FLOWS_PER_USER,
+  MAX_FLOW_STEPS,
+  flowStartUrl,
+  flowStepLabel,
+  parseFlowForm,
+} from '../services/user-flows.js';
+
+const router = Router();
+
+/** Empty step rows shown below a flow's steps, so steps can be added without JavaScript. */
+const BLANK_STEP_ROWS = 3;
+
+router.use('/flows', requireAuth, ensureCsrfToken, validateCsrf);
+
+function newFlowValues(project = '') {
+  return {
+    name: '',
+    steps: [
+      { type: 'navigate', target: '', value: '' },
+      { type: 'timespan-start', target: '', value: '' },
+      { type: 'click', target: '', value: '' },
+      { type: 'timespan-end', target: '', value: '' },
+    ],
+    device: 'mobile',
+    throttling: resolveThrottling(null),
+    project,
+  };
+}
+
+/** Locals shared by the new and edit flow forms. */
+function flowFormLocals(req, values, savedDevices = {}) {
+  return {
+    values,
+    devices: deviceChoices(req.session.userId, savedDevices),
+    projects: db.getProjectsByUserId(req.session.userId),
+    stepTypes: FLOW_STEP_TYPES,
+    maxSteps: MAX_FLOW_STEPS,
+    blankRows: BLANK_STEP_ROWS,
+  };
+}
+
+function renderFlows(req, res, { status = 200, values, error = null, notice = null } = {}) {
+  const flows = db.getUserFlowsByUserId(req.session.userId).map((f) => ({ ...f, startUrl: flowStartUrl(f.steps) }));
+  res.status(status).render('flows', {
+    title: 'User flows',
+    email: req.session.email,
+    flows,
+    ...flowFormLocals(req, values || newFlowValues(typeof req.query.project === 'string' ? req.query.project : '')),
+    error,
+    notice,
+  });
+}
+
+const NOTICES = {
+  created: 'Flow created.',
+  updated: 'Flow saved.',
+  deleted: 'Flow deleted.',
+};
+
+/** User flows page: list the user's flows and add a new one. */
+router.get('/flows', (req, res, next) => {
+  try {
+    renderFlows(req, res, { notice: NOTICES[req.query.done] || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/flows', (req, res, next) => {
+  try {
+    const { values, error, flow } = parseFlowForm(req.body || {}, req.session.userId);
+    if (error) return renderFlows(req, res, { status: 400, values, error });
+    if (db.getUserFlowCountByUserId(req.session.userId) >= MAX_FLOWS_PER_USER) {
+      return renderFlows(req, res, { status: 400, values, error: `You can have up to ${MAX_FLOWS_PER_USER} flows. Delete one to add another.` });
+    }
+    const id = db.createUserFlow(req.session.userId, flow);
+    res.redirect(`/flows/${id}?done=created`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** The flow's saved device snapshot, which stays selectable after its profile is deleted. */
+function savedDevices(flow) {
+  const device = flow.options && flow.options.device;
+  return device ? { [device.id]: device } : {};
+}
+
+function loadFlow(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).send('Invalid flow ID');
+    return null;
+  }
+  const flow = db.getUserFlowByIdAndUserId(id, req.session.userId);
+  if (!flow) {
+    res.status(404).send('Flow not found');
+    return null;
+  }
+  return flow;
+}
+
+function loadFlowRun(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).send('Invalid run ID');
+    return null;
+  }
+  const run = db.getFlowRunByIdAndUserId(id, req.session.userId);
+  if (!run) {
+    res.status(404).send('Flow run not found');
+    return null;
+  }
+  return run;
+}
+
+/** A flow run's multi-step report: per-step scores and metrics, with the full Lighthouse flow report a click away. */
+router.get('/flows/runs/:id', (req, res) => {
+  const run = loadFlowRun(req, res);
+  if (!run) return;
+  res.render('flow-run', {
+    title: `${run.flow_name || 'Flow'} – run`,
+    email: req.session.email,
+    run,
+    stepLabels: run.steps.map(flowStepLabel),
+  });
+});
+
+/** Lighthouse's own HTML flow report for a run. */
+router.get('/flows/runs/:id/report', (req, res) => {
+  const run = loadFlowRun(req, res);
+  if (!run) return;
+  const reportJson = db.getFlowRunReportJson(run.id, req.session.userId);
+  if (!reportJson) return res.status(404).send('Full flow report not available');
+  res.type('html').send(generateReport(JSON.parse(reportJson), 'html'));
+});
+
+/** A flow's steps, its run history and the Run button (?job= follows a run that was just queued). */
+router.get('/flows/:id', (req, res) => {
+  const flow = loadFlow(req, res);
+  if (!flow) return;
+  const jobId = parseInt(req.query.job, 10);
+  const job = Number.isNaN(jobId) ? null : db.getScanJobByIdAndUserId(jobId, req.session.userId);
+  const pendingJob = job && job.flow_id === flow.id && !TERMINAL_JOB_STATUSES.includes(job.status) ? describeScanJob(job) : null;
+  res.render('flow-detail', {
+    title: flow.name,
+    email: req.session.email,
+    flow,
+    startUrl: flowStartUrl(flow.steps),
+    stepLabels: flow.steps.map(flowStepLabel),
+    runs: db.getFlowRunsByFlowId(flow.id, req.session.userId),
+    pendingJob,
+    notice: NOTICES[req.query.done] || null,
+  });
+});
+
+router.get('/flows/:id/edit', (req, res) => {
+  const flow = loadFlow(req, res);
+  if (!flow) return;
+  const values = {
+    name: flow.name,
+    steps: flow.steps,
+    device: flow.options && flow.options.device ? flow.options.device.id : 'mobile',
+    throttling: resolveThrottling(flow.options && flow.options.throttling),
+    project: flow.project_id ? String(flow.project_id) : '',
+  };
+  res.render('flow-edit', {
+    title: 'Edit flow',
+    email: req.session.email,
+    flow,
+    ...flowFormLocals(req, values, savedDevices(flow)),
+    error: null,
+  });
+});
+
+/** Save an edited flow. Earlier runs keep the steps they ran with. */
+router.post('/flows/:id', (req, res) => {
+  const existing = loadFlow(req, res);
+  if (!existing) return;
+  const { values, error, flow } = parseFlowForm(req.body || {}, req.session.userId, savedDevices(existing));
+  if (error) {
+    return res.status(400).render('flow-edit', {
+      title: 'Edit flow',
+      email: req.session.email,
+      flow: existing,
+      ...flowFormLocals(req, values, savedDevices(existing)),
+      error,
+    });
+  }
+  db.updateUserFlow(existing.id, req.session.userId, flow);
+  res.redirect(`/flows/${existing.id}?done=updated`);
+});
+
+/** Queue a run of the flow. JSON clients get the job to follow; forms land on the flow page, which follows it. */
+router.post('/flows/:id/run', (req, res, next) => {
+  const flow = loadFlow(req, res);
+  if (!flow) return;
+  try {
+    const jobId = enqueueFlowJob(req.session.userId, flow);
+    const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
+    if (acceptsJson) return res.status(202).json({ jobId, statusUrl: `/scans/jobs/${jobId}` });
+    res.redirect(`/flows/${flow.id}?job=${jobId}`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** Delete a flow and its runs. */
+router.post('/flows/:id/delete', (req, res) => {
+  const flow = loadFlow(req, res);
+  if (!flow) return;
+  db.deleteUserFlow(flow.id, req.session.userId);
+  res.redirect('/flows?done=deleted');
+});
+
+export default router;
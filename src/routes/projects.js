@@ -0,0 +1,216 @@
+import { Router } from 'express';
+import * as db from '../db/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import { RUN_COUNTS } from '../services/lighthouse.js';
+import { deviceChoices, jobDevice } from '../services/devices.js';
+import { enqueueProjectScan } from '../services/scan-queue.js';
+import {
+  MAX_PROJECTS_PER_USER,
+  MAX_PROJECT_PAGES,
+  newProjectValues,
+  parsePageUrls,
+  parseProjectForm,
+  projectFormValues,
+  summarizeProject,
+} from '../services/projects.js';
+import { describeBudgetRules } from '../services/budgets.js';
+
+const router = Router();
+
+router.use('/projects', requireAuth, ensureCsrfToken, validateCsrf);
+
+/** Device snapshots saved on a project (profiles deleted since keep working for it). */
+function savedDevices(project) {
+  return (project.options && project.options.deviceProfiles) || {};
+}
+
+/** Locals shared by the new and edit project forms. */
+function projectFormLocals(req, values, saved = {}) {
+  return {
+    values,
+    devices: deviceChoices(req.session.userId, saved),
+    runCounts: RUN_COUNTS,
+    siteAuths: db.getSiteAuthsByUserId(req.session.userId).map((row) => ({ id: row.id, scope: row.scope })),
+    maxPages: MAX_PROJECT_PAGES,
+  };
+}
+
+function renderProjects(req, res, { status = 200, values, error = null, notice = null } = {}) {
+  const projects = db.getProjectsByUserId(req.session.userId).map((p) => ({
+    ...p,
+    deviceNames: p.devices.map((id) => jobDevice(p.options, id).name),
+  }));
+  res.status(status).render('projects', {
+    title: 'Projects',
+    email: req.session.email,
+    projects,
+    ...projectFormLocals(req, values || newProjectValues()),
+    error,
+    notice,
+  });
+}
+
+const NOTICES = {
+  created: 'Project created.',
+  updated: 'Project saved.',
+  deleted: 'Project deleted.',
+  pages: 'Pages added.',
+  removed: 'Page removed. Its scans stay in your history.',
+  queued: 'Scans queued. Scores update here as they finish.',
+};
+
+/** Projects page: list the user's projects and create one. */
+router.get('/projects', (req, res, next) => {
+  try {
+    renderProjects(req, res, { notice: NOTICES[req.query.done] || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/projects', (req, res, next) => {
+  try {
+    const { values, error, project } = parseProjectForm(req.body || {}, req.session.userId, { withPages: true });
+    if (error) return renderProjects(req, res, { status: 400, values, error });
+    if (db.getProjectCountByUserId(req.session.userId) >= MAX_PROJECTS_PER_USER) {
+      return renderProjects(req, res, { status: 400, values, error: `You can have up to ${MAX_PROJECTS_PER_USER} projects. Delete one to add another.` });
+    }
+    const projectId = db.createProject(req.session.userId, project);
+    res.redirect(`/projects/${projectId}?done=created`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+function loadProject(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).send('Invalid project ID');
+    return null;
+  }
+  const project = db.getProjectByIdAndUserId(id, req.session.userId);
+  if (!project) {
+    res.status(404).send('Project not found');
+    return null;
+  }
+  return project;
+}
+
+function renderProject(req, res, project, { status = 200, pagesValue = '', error = null, notice = null } = {}) {
+  const userId = req.session.userId;
+  const summary = summarizeProject(
+    db.getProjectPages(project.id, userId),
+    db.getLatestProjectScans(project.id, userId),
+    db.getActiveProjectJobs(project.id, userId)
+  );
+  res.status(status).render('project-detail', {
+    title: project.name,
+    email: req.session.email,
+    project,
+    deviceNames: project.devices.map((id) => jobDevice(project.options, id).name),
+    flows: db.getUserFlowsByProjectId(project.id, userId),
+    budget: db.getBudgetByTarget(userId, { projectId: project.id }),
+    describeBudgetRules,
+    maxPages: MAX_PROJECT_PAGES,
+    ...summary,
+    pagesValue,
+    error,
+    notice,
+  });
+}
+
+/** A project's pages with their latest scores, its settings and flows. */
+router.get('/projects/:id', (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) return;
+  renderProject(req, res, project, { notice: NOTICES[req.query.done] || null });
+});
+
+router.get('/projects/:id/edit', (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) return;
+  res.render('project-edit', {
+    title: 'Edit project',
+    email: req.session.email,
+    project,
+    ...projectFormLocals(req, projectFormValues(project), savedDevices(project)),
+    error: null,
+  });
+});
+
+/** Save a project's name and settings. Scans already queued keep the settings they were queued with. */
+router.post('/projects/:id', (req, res) => {
+  const existing = loadProject(req, res);
+  if (!existing) return;
+  const { values, error, project } = parseProjectForm(req.body || {}, req.session.userId, { savedDevices: savedDevices(existing) });
+  if (error) {
+    return res.status(400).render('project-edit', {
+      title: 'Edit project',
+      email: req.session.email,
+      project: existing,
+      ...projectFormLocals(req, values, savedDevices(existing)),
+      error,
+    });
+  }
+  db.updateProject(existing.id, req.session.userId, project);
+  res.redirect(`/projects/${existing.id}?done=updated`);
+});
+
+router.post('/projects/:id/pages', (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) return;
+  const pagesValue = typeof req.body?.pages === 'string' ? req.body.pages : '';
+  const { urls, error } = parsePageUrls(pagesValue);
+  if (error) return renderProject(req, res, project, { status: 400, pagesValue, error });
+  if (urls.length === 0) return renderProject(req, res, project, { status: 400, pagesValue, error: 'Enter at least one page URL.' });
+  const existing = new Set(db.getProjectPages(project.id, req.session.userId).map((page) => page.url));
+  const added = urls.filter((url) => !existing.has(url));
+  if (existing.size + added.length > MAX_PROJECT_PAGES) {
+    return renderProject(req, res, project, { status: 400, pagesValue, error: `A project can have up to ${MAX_PROJECT_PAGES} pages; this one has ${existing.size}.` });
+  }
+  db.addProjectPages(project.id, added);
+  res.redirect(`/projects/${project.id}?done=pages`);
+});
+
+/** Remove a page from the project. Its scans stay in history. */
+router.post('/projects/:id/pages/:pageId/delete', (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) return;
+  const pageId = parseInt(req.params.pageId, 10);
+  if (Number.isNaN(pageId) || !db.deleteProjectPage(pageId, project.id, req.session.userId)) {
+    return res.status(404).send('Page not found');
+  }
+  res.redirect(`/projects/${project.id}?done=removed`);
+});
+
+/**
+ * Scan the project's pages with its settings, or just one of them (pageId). Pages whose scan is already queued or
+ * running are skipped.
+ */
+router.post('/projects/:id/scan', (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) return;
+  const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
+  let pages = db.getProjectPages(project.id, req.session.userId);
+  const pageId = parseInt(req.body?.pageId, 10);
+  if (!Number.isNaN(pageId)) {
+    pages = pages.filter((page) => page.id === pageId);
+    if (pages.length === 0) return acceptsJson ? res.status(404).json({ error: 'Page not found' }) : res.status(404).send('Page not found');
+  }
+  const pending = new Set(db.getActiveProjectJobs(project.id, req.session.userId).map((job) => job.url));
+  const urls = pages.map((page) => page.url).filter((url) => !pending.has(url));
+  const jobIds = urls.length ? enqueueProjectScan(req.session.userId, project, urls) : [];
+  if (acceptsJson) return res.status(202).json({ jobIds, skipped: pages.length - urls.length });
+  res.redirect(`/projects/${project.id}?done=queued`);
+});
+
+/** Delete a project. Its scans stay in history and its flows are kept without a project. */
+router.post('/projects/:id/delete', (req, res) => {
+  const project = loadProject(req, res);
+  if (!project) return;
+  db.deleteProject(project.id, req.session.userId);
+  res.redirect('/projects?done=deleted');
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import { Router } from 'express';
+import * as db from '../db/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import { BASELINE_MODES, BASELINE_WINDOWS, REGRESSION_METRICS, resolveRegressionSettings } from '../services/regressions.js';
+
+const router = Router();
+
+router.use('/regressions', requireAuth, ensureCsrfToken, validateCsrf);
+
+const REGRESSIONS_PER_PAGE = 25;
+
+const NOTICES = {
+  saved: 'Baseline saved. New scans are compared with it from now on.',
+};
+
+/** Regressions page: scans that got worse than their baseline, newest first, and how the baseline is picked. */
+router.get('/regressions', (req, res, next) => {
+  try {
+    const userId = req.session.userId;
+    const totalCount = db.getRegressedScanCount(userId);
+    const totalPages = Math.max(1, Math.ceil(totalCount / REGRESSIONS_PER_PAGE));
+    const page = Math.min(Math.max(1, parseInt(req.query.page, 10) || 1), totalPages);
+    res.render('regressions', {
+      title: 'Regressions',
+      email: req.session.email,
+      scans: db.getRegressedScans(userId, REGRESSIONS_PER_PAGE, (page - 1) * REGRESSIONS_PER_PAGE),
+      settings: resolveRegressionSettings(db.getRegressionSettings(userId)),
+      baselineModes: BASELINE_MODES,
+      baselineWindows: BASELINE_WINDOWS,
+      regressionMetrics: REGRESSION_METRICS,
+      pagination: { page, totalPages, totalCount },
+      baseUrl: '/regressions',
+      notice: NOTICES[req.query.done] || null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** Save how new scans pick their baseline. Scans already compared keep their result. */
+router.post('/regressions/settings', (req, res) => {
+  const settings = resolveRegressionSettings({ mode: req.body?.mode, window: req.body?.window });
+  db.updateRegressionSettings(req.session.userId, settings);
+  res.redirect('/regressions?done=saved');
+});
+
+export default router;
@@ -1,19 +1,31 @@
 import { Router } from 'express';
 import rateLimit from 'express-rate-limit';
 import { randomBytes } from 'crypto';
-import { mkdir, writeFile, readFile, unlink } from 'fs/promises';
-import { dirname, join } from 'path';
+import { readFile, unlink } from 'fs/promises';
+import { join } from 'path';
 import * as db from '../db/index.js';
 import config from '../config.js';
 import { requireAuth } from '../middleware/auth.js';
 import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
-import { runLighthouse } from '../services/lighthouse.js';
+import { validateOpenApi } from '../middleware/openapi.js';
+import {
+  SCREENSHOTS_DIR,
+  extractFilmstripFromLhr,
+  filmstripFilePath,
+} from '../services/scan-runner.js';
+import { enqueueScanJob, enqueueGuestScanJob, describeScanJob, cancelScanJob, TERMINAL_JOB_STATUSES } from '../services/scan-queue.js';
+import { subscribeToJob, getLatestJobProgress } from '../services/scan-events.js';
+import { withChromeSlot, getChromePoolStats } from '../services/chrome-pool.js';
+import { normalizeRunCount } from '../services/lighthouse.js';
+import { resolveThrottling, throttlingFormError, throttlingFromForm } from '../services/throttling.js';
+import { deviceChoices, deviceKey, deviceProfile, resolveDevices } from '../services/devices.js';
+import { categoriesFromForm, resolveCategories } from '../services/categories.js';
+import { compareScans, filmstripLane } from '../services/compare.js';
+import { buildTrends, getTrendScansForExport, parseTrendsQuery } from '../services/trends.js';
+import { EXPORT_FORMATS, MAX_EXPORT_ROWS, scansSpreadsheet } from '../services/scan-export.js';
 import { generateReport } from 'lighthouse';
 import puppeteer from 'puppeteer-core';
 
-const SCREENSHOTS_DIR = join(dirname(config.dbPath), 'screenshots');
-const FILMSTRIPS_DIR = join(dirname(config.dbPath), 'filmstrips');
-
 const createScanLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 20,
@@ -35,6 +47,20 @@ function screenshotContentType(filename) {
   return 'image/jpeg';
 }
 
+/** Send a scan's screenshot file, or 404 when it has none. */
+async function sendScreenshot(res, scan) {
+  if (!scan || !scan.screenshot_path || !isSafeScreenshotPath(scan.screenshot_path)) return res.status(404).send('Screenshot not available');
+  const filePath = join(SCREENSHOTS_DIR, scan.screenshot_path);
+  try {
+    const buf = await readFile(filePath);
+    res.setHeader('Content-Type', screenshotContentType(scan.screenshot_path));
+    res.send(buf);
+  } catch (e) {
+    if (e.code === 'ENOENT') return res.status(404).send('Screenshot not found');
+    throw e;
+  }
+}
+
 /** Escape HTML and turn URLs into links for safe display in recommendations. */
 function linkifyDescription(text) {
   if (typeof text !== 'string') return '';
@@ -72,24 +98,18 @@ router.get('/share/:token', (req, res) => {
 
 /** Public: serve screenshot for shared report */
 router.get('/share/:token/screenshot', async (req, res) => {
-  const scan = db.getScanByShareToken(req.params.token);
-  if (!scan || !scan.screenshot_path || !isSafeScreenshotPath(scan.screenshot_path))
-    return res.status(404).send('Screenshot not available');
-  const filePath = join(SCREENSHOTS_DIR, scan.screenshot_path);
-  try {
-    const buf = await readFile(filePath);
-    res.setHeader('Content-Type', screenshotContentType(scan.screenshot_path));
-    res.send(buf);
-  } catch (e) {
-    if (e.code === 'ENOENT') return res.status(404).send('Screenshot not found');
-    throw e;
-  }
+  await sendScreenshot(res, db.getScanByShareToken(req.params.token));
 });
 
 /** Public: serve filmstrip for shared report (load video in speed viz). */
 router.get('/share/:token/filmstrip', async (req, res) => {
   const scan = db.getScanByShareToken(req.params.token);
   if (!scan) return res.status(404).json({ error: 'Report not found or link disabled' });
+  await sendSharedFilmstrip(res, scan);
+});
+
+/** Send the filmstrip saved with a shared scan (no fallback to the full report, which shares don't expose). */
+async function sendSharedFilmstrip(res, scan) {
   try {
     const filePath = filmstripFilePath(scan.id);
     const raw = await readFile(filePath, 'utf8');
@@ -104,6 +124,39 @@ router.get('/share/:token/filmstrip', async (req, res) => {
     console.error('Share filmstrip read failed:', e.message);
     return res.status(500).json({ error: 'Failed to read filmstrip' });
   }
+}
+
+/** Public: view a shared comparison of two scans (read-only, no auth) */
+router.get('/share/compare/:token', (req, res) => {
+  const token = req.params.token;
+  const pair = db.getScanComparisonByShareToken(token);
+  if (!pair) return res.status(404).send('Shared comparison not found or link has been disabled.');
+  res.render('compare-shared', {
+    title: `Compare: ${pair.a.url} and ${pair.b.url}`,
+    a: pair.a,
+    b: pair.b,
+    comparison: compareScans(pair.a, pair.b),
+    screenshotUrls: { a: `/share/compare/${token}/screenshot/a`, b: `/share/compare/${token}/screenshot/b` },
+    lanes: [
+      filmstripLane(pair.a, 'A', `/share/compare/${token}/filmstrip/a`),
+      filmstripLane(pair.b, 'B', `/share/compare/${token}/filmstrip/b`),
+    ],
+  });
+});
+
+/** Public: serve scan A's or B's filmstrip for a shared comparison (synchronized player) */
+router.get('/share/compare/:token/filmstrip/:side', async (req, res) => {
+  const pair = db.getScanComparisonByShareToken(req.params.token);
+  const side = req.params.side === 'a' || req.params.side === 'b' ? req.params.side : null;
+  if (!pair || !side) return res.status(404).json({ error: 'Comparison not found or link disabled' });
+  await sendSharedFilmstrip(res, pair[side]);
+});
+
+/** Public: serve scan A's or B's screenshot for a shared comparison */
+router.get('/share/compare/:token/screenshot/:side', async (req, res) => {
+  const pair = db.getScanComparisonByShareToken(req.params.token);
+  const side = req.params.side === 'a' || req.params.side === 'b' ? req.params.side : null;
+  await sendScreenshot(res, pair && side ? pair[side] : null);
 });
 
 const GUEST_SCANS_LIMIT = 2;
@@ -115,18 +168,60 @@ const guestScanLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-/** One-time tokens for guest report (avoids relying on session cookie after fetch). */
-const guestReportTokens = new Map();
-const GUEST_TOKEN_TTL_MS = 15 * 60 * 1000;
-function setGuestReportToken(report, used) {
-  const token = randomBytes(24).toString('hex');
-  guestReportTokens.set(token, { report, used });
-  setTimeout(() => guestReportTokens.delete(token), GUEST_TOKEN_TTL_MS);
-  return token;
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Stream a scan job's progress as Server-Sent Events: a `status` snapshot (and the current phase) on connect,
+ * `status` again when the queue moves, `progress` on each phase change, and a final `done` with the redirect target.
+ * @param {() => object|null} loadJob - Re-reads the job row (scoped to its owner)
+ */
+function streamJobEvents(req, res, loadJob) {
+  const job = loadJob();
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+    send('done', describeScanJob(job));
+    return res.end();
+  }
+  send('status', describeScanJob(job));
+  const latest = getLatestJobProgress(job.id);
+  if (latest) send('progress', latest);
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    if (event.type === 'progress') {
+      send('progress', event.progress);
+    } else if (event.type === 'done') {
+      send('done', event.job);
+      close();
+    } else if (event.type === 'queue') {
+      const current = loadJob();
+      if (current && current.status === 'queued') send('status', describeScanJob(current));
+    }
+  });
+  req.on('close', close);
 }
 
-/** Public: run a guest scan (no account). Max 2 per session. Accepts JSON for fetch (returns { redirect } or { error }). */
-router.post('/guest/scan', guestScanLimiter, async (req, res) => {
+function isGuestToken(token) {
+  return typeof token === 'string' && /^[a-f0-9]{48}$/.test(token);
+}
+
+/** Public: queue a guest scan (no account). Max 2 per session. Accepts JSON for fetch (returns { token, eventsUrl } or { error }). */
+router.post('/guest/scan', guestScanLimiter, (req, res) => {
   const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
   const url = typeof req.body?.url === 'string' ? req.body.url.trim() : '';
   if (!isValidUrl(url)) {
@@ -143,57 +238,63 @@ router.post('/guest/scan', guestScanLimiter, async (req, res) => {
     if (acceptsJson) return res.status(400).json({ error: 'limit_reached' });
     return res.redirect('/?guest_error=limit_reached');
   }
+  let token;
   try {
-    const options = { formFactor, categories: undefined };
-    const { report, summary } = await runLighthouse(url, options);
-    const used = count + 1;
-    const reportData = {
-      url: summary.finalUrl || url,
-      formFactor,
-      summary: {
-        categories: summary.categories || {},
-        metrics: summary.metrics || {},
-        recommendations: (summary.recommendations || []).slice(0, 15),
-      },
-      createdAt: new Date().toISOString(),
-    };
-    req.session.guestScansCount = used;
-    req.session.guestLastReport = reportData;
-    if (acceptsJson) {
-      const token = setGuestReportToken(reportData, used);
-      req.session.save((err) => {
-        if (err) console.error('Guest scan session save error:', err);
-        res.json({ redirect: '/guest/report?t=' + encodeURIComponent(token) });
-      });
-    } else {
-      req.session.save((err) => {
-        if (err) {
-          console.error('Guest scan session save error:', err);
-          return res.redirect('/?guest_error=session');
-        }
-        res.redirect('/guest/report');
-      });
-    }
+    token = enqueueGuestScanJob(url, formFactor);
   } catch (err) {
     console.error('Guest scan failed:', err);
     if (acceptsJson) return res.status(500).json({ error: 'scan_failed' });
-    res.redirect('/?guest_error=scan_failed');
-  }
+    return res.redirect('/?guest_error=scan_failed');
+  }
+  /* Counted when queued so a guest can't line up more scans than the limit. */
+  req.session.guestScansCount = count + 1;
+  req.session.save((err) => {
+    if (err) {
+      console.error('Guest scan session save error:', err);
+      if (acceptsJson) return res.status(500).json({ error: 'session' });
+      return res.redirect('/?guest_error=session');
+    }
+    if (acceptsJson) {
+      return res.status(202).json({
+        token,
+        eventsUrl: `/guest/jobs/${token}/events`,
+        statusUrl: `/guest/jobs/${token}`,
+      });
+    }
+    res.redirect(`/?guest_job=${token}`);
+  });
+});
+
+/** Public: guest scan job status (JSON), fallback when the event stream is unavailable. */
+router.get('/guest/jobs/:token', (req, res) => {
+  if (!isGuestToken(req.params.token)) return res.status(404).json({ error: 'Job not found' });
+  const job = db.getScanJobByGuestToken(req.params.token);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(describeScanJob(job));
 });
 
-/** Public: show guest scan report (from one-time token ?t= or from session). */
-router.get('/guest/report', (req, res) => {
+/** Public: guest scan job progress (SSE). */
+router.get('/guest/jobs/:token/events', (req, res) => {
+  if (!isGuestToken(req.params.token)) return res.status(404).json({ error: 'Job not found' });
+  streamJobEvents(req, res, () => db.getScanJobByGuestToken(req.params.token));
+});
+
+/** Public: show guest scan report (from job token ?t= or from session). */
+router.get('/guest/report', (req, res, next) => {
   const token = typeof req.query.t === 'string' ? req.query.t.trim() : '';
-  if (token) {
-    const stored = guestReportTokens.get(token);
-    if (stored) {
-      guestReportTokens.delete(token);
-      return res.render('guest-report', {
-        title: `Report: ${stored.report.url}`,
-        report: stored.report,
-        guestScansUsed: stored.used,
-        guestScansLimit: GUEST_SCANS_LIMIT,
-        linkifyDescription,
+  if (isGuestToken(token)) {
+    const job = db.getScanJobByGuestToken(token);
+    if (job && job.status === 'succeeded' && job.result) {
+      req.session.guestLastReport = job.result;
+      return req.session.save((err) => {
+        if (err) return next(err);
+        res.render('guest-report', {
+          title: `Report: ${job.result.url}`,
+          report: job.result,
+          guestScansUsed: typeof req.session.guestScansCount === 'number' ? req.session.guestScansCount : 1,
+          guestScansLimit: GUEST_SCANS_LIMIT,
+          linkifyDescription,
+        });
       });
     }
   }
@@ -217,9 +318,12 @@ router.use((req, res, next) => {
   if (req.method === 'POST') return validateCsrf(req, res, next);
   next();
 });
+/* The JSON endpoints (jobs, queue, rescans, trends data, exports) are described in the OpenAPI document. */
+router.use(validateOpenApi({
+  sendError: (res, status, message, asJson) => (asJson ? res.status(status).json({ error: message }) : res.status(status).type('text').send(message)),
+}));
 
 const MAX_URL_LENGTH = 2048;
-const MAX_REPORT_JSON_LENGTH = 5 * 1024 * 1024; // 5MB max stored
 const SCANS_PER_PAGE = 6;
 const SCANS_FETCH_FOR_GROUPS = 50;
 
@@ -247,45 +351,54 @@ function isValidUrl(url) {
   }
 }
 
-/** Trends page: select a website and see score evolution over scans. */
+/** Trends page: select a website and see score evolution over scans. ?project= lists only that project's pages; ?url= preselects one. */
 router.get('/trends', (req, res, next) => {
   try {
     const userId = req.session.userId;
-    const distinctUrls = userId != null ? db.getDistinctUrlsByUserId(userId) : [];
+    const projects = db.getProjectsByUserId(userId);
+    const projectId = parseInt(req.query.project, 10);
+    const project = projects.find((p) => p.id === projectId) || null;
+    const distinctUrls = db.getDistinctUrlsByUserId(userId, project && project.id);
+    const selectedUrl = typeof req.query.url === 'string' && distinctUrls.includes(req.query.url) ? req.query.url : '';
     res.render('trends', {
       title: 'Trends',
       email: req.session.email,
       distinctUrls,
+      projects,
+      project,
+      selectedUrl,
     });
   } catch (err) {
     next(err);
   }
 });
 
-/** JSON: scan history for a URL (scores over time) for charts. */
+/** Send scans as a CSV or XLSX download named <basename>-<today>.<format>. */
+function sendScansSpreadsheet(res, scans, format, basename) {
+  const filename = `${basename}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(scansSpreadsheet(scans, format));
+}
+
+/** JSON: trend data for a URL (services/trends.js); see parseTrendsQuery for the query. */
 router.get('/trends/data', (req, res) => {
-  const rawUrl = typeof req.query.url === 'string' ? req.query.url.trim() : '';
-  if (!rawUrl) {
-    return res.status(400).json({ error: 'Missing url' });
-  }
-  try {
-    new URL(rawUrl);
-  } catch {
-    return res.status(400).json({ error: 'Invalid url' });
-  }
+  const query = parseTrendsQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
   const userId = req.session.userId;
   if (!userId) return res.status(401).json({ error: 'Unauthorized' });
   /* Use exact URL from request so query matches DB (dropdown values are stored URLs). */
-  const scans = db.getScansByUrlAndUserId(userId, rawUrl, 200);
-  const payload = scans.map((s) => ({
-    id: s.id,
-    created_at: s.created_at,
-    run_id: s.run_id || null,
-    formFactor: (s.options && s.options.formFactor) === 'desktop' ? 'desktop' : 'mobile',
-    categories: (s.summary && s.summary.categories) ? s.summary.categories : {},
-    metrics: (s.summary && s.summary.metrics) ? s.summary.metrics : {},
-  }));
-  res.json({ url: rawUrl, scans: payload });
+  res.json(buildTrends(userId, query.url, query));
+});
+
+/** CSV or XLSX (?format=) of the scans behind /trends/data for the same query: one row per scan. */
+router.get('/trends/export', (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) return res.status(400).send('Format must be csv or xlsx.');
+  const query = parseTrendsQuery(req.query);
+  if (query.error) return res.status(400).send(query.error);
+  const scans = getTrendScansForExport(req.session.userId, query.url, query, MAX_EXPORT_ROWS);
+  sendScansSpreadsheet(res, scans, format, `upgs-perf-trends-${new URL(query.url).hostname}`);
 });
 
 router.get('/dashboard', (req, res, next) => {
@@ -299,11 +412,15 @@ router.get('/dashboard', (req, res, next) => {
     const rawScans = userId != null ? db.getScansByUserId(userId, SCANS_FETCH_FOR_GROUPS, 0) : [];
     const allGroups = groupScansByRun(rawScans);
     const scanGroups = allGroups.slice(offset, offset + SCANS_PER_PAGE);
+    const jobId = parseInt(req.query.job, 10);
+    const job = Number.isNaN(jobId) ? null : db.getScanJobByIdAndUserId(jobId, userId);
     res.render('dashboard', {
       title: 'Dashboard',
       email: req.session.email,
+      devices: deviceChoices(req.session.userId),
       scanGroups: scanGroups || [],
       pagination: { page: currentPage, totalPages, totalCount },
+      pendingJob: job ? describeScanJob(job) : null,
     });
   } catch (err) {
     console.error('Dashboard error:', err);
@@ -311,41 +428,7 @@ router.get('/dashboard', (req, res, next) => {
   }
 });
 
-async function runOneScan(userId, url, formFactor, runId = null) {
-  const options = { formFactor, categories: undefined };
-  const { report, summary, screenshot } = await runLighthouse(url, options);
-  const filmstripPayload = extractFilmstripFromLhr(report);
-  stripFilmstripFromLhr(report);
-  const reportJson = JSON.stringify(report);
-  const reportToStore =
-    reportJson.length <= MAX_REPORT_JSON_LENGTH ? reportJson : null;
-  const scanId = db.createScan(userId, url, options, reportToStore, summary, runId);
-  if (filmstripPayload && filmstripPayload.frames.length > 0) {
-    try {
-      await mkdir(FILMSTRIPS_DIR, { recursive: true });
-      await writeFile(
-        filmstripFilePath(scanId),
-        JSON.stringify({ frames: filmstripPayload.frames, chromeVersion: filmstripPayload.chromeVersion }),
-        'utf8'
-      );
-    } catch (e) {
-      console.error('Filmstrip save failed (scan saved):', e.message);
-    }
-  }
-  if (screenshot && screenshot.buffer && screenshot.buffer.length > 0) {
-    try {
-      await mkdir(SCREENSHOTS_DIR, { recursive: true });
-      const filePath = join(SCREENSHOTS_DIR, `${scanId}.${screenshot.ext}`);
-      await writeFile(filePath, screenshot.buffer);
-      db.updateScanScreenshot(scanId, `${scanId}.${screenshot.ext}`);
-    } catch (e) {
-      console.error('Screenshot save failed (scan saved):', e.message);
-    }
-  }
-  return scanId;
-}
-
-router.post('/scans', createScanLimiter, async (req, res) => {
+router.post('/scans', createScanLimiter, (req, res) => {
   const url = typeof req.body?.url === 'string' ? req.body.url.trim() : '';
   if (!isValidUrl(url)) {
     const totalCount = db.getScanGroupCountByUserId(req.session.userId);
@@ -355,16 +438,15 @@ router.post('/scans', createScanLimiter, async (req, res) => {
     return res.status(400).render('dashboard', {
       title: 'Dashboard',
       email: req.session.email,
+      devices: deviceChoices(req.session.userId),
       scanGroups,
       pagination: { page: 1, totalPages, totalCount },
       error: 'Please enter a valid http or https URL.',
     });
   }
-  const raw = req.body.formFactor;
-  const devices = Array.isArray(raw) ? raw : (raw ? [raw] : []);
-  const runMobile = devices.includes('mobile');
-  const runDesktop = devices.includes('desktop');
-  if (!runMobile && !runDesktop) {
+  const { devices, deviceProfiles } = resolveDevices(req.session.userId, req.body.formFactor);
+  const formError = devices.length === 0 ? 'Select at least one device.' : throttlingFormError(req.body);
+  if (formError) {
     const totalCount = db.getScanGroupCountByUserId(req.session.userId);
     const totalPages = Math.max(1, Math.ceil(totalCount / SCANS_PER_PAGE));
     const rawScans = db.getScansByUserId(req.session.userId, SCANS_FETCH_FOR_GROUPS, 0);
@@ -372,29 +454,25 @@ router.post('/scans', createScanLimiter, async (req, res) => {
     return res.status(400).render('dashboard', {
       title: 'Dashboard',
       email: req.session.email,
+      devices: deviceChoices(req.session.userId),
       scanGroups,
       pagination: { page: 1, totalPages, totalCount },
-      error: 'Select at least one device (Mobile and/or Desktop).',
+      error: formError,
     });
   }
 
+  const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
   try {
-    if (runMobile && runDesktop) {
-      const runId = `run-${Date.now()}-${randomBytes(4).toString('hex')}`;
-      const mobileScanId = await runOneScan(req.session.userId, url, 'mobile', runId);
-      try {
-        await runOneScan(req.session.userId, url, 'desktop', runId);
-      } catch (desktopErr) {
-        console.error('Desktop scan failed after mobile succeeded:', desktopErr);
-        return res.redirect('/scans?error=desktop');
-      }
-      return res.redirect(`/scans/${mobileScanId}`);
-    }
-    const formFactor = runMobile ? 'mobile' : 'desktop';
-    const scanId = await runOneScan(req.session.userId, url, formFactor, null);
-    res.redirect(`/scans/${scanId}`);
+    const jobId = enqueueScanJob(req.session.userId, url, devices, {
+      categories: categoriesFromForm(req.body),
+      runs: normalizeRunCount(req.body.runs),
+      throttling: throttlingFromForm(req.body),
+      deviceProfiles,
+    });
+    if (acceptsJson) return res.status(202).json({ jobId, statusUrl: `/scans/jobs/${jobId}` });
+    res.redirect(`/dashboard?job=${jobId}`);
   } catch (err) {
-    console.error('Lighthouse run failed:', err);
+    console.error('Queueing scan failed:', err);
     const totalCount = db.getScanGroupCountByUserId(req.session.userId);
     const totalPages = Math.max(1, Math.ceil(totalCount / SCANS_PER_PAGE));
     const rawScans = db.getScansByUserId(req.session.userId, SCANS_FETCH_FOR_GROUPS, 0);
@@ -402,24 +480,67 @@ router.post('/scans', createScanLimiter, async (req, res) => {
     res.status(500).render('dashboard', {
       title: 'Dashboard',
       email: req.session.email,
+      devices: deviceChoices(req.session.userId),
       scanGroups,
       pagination: { page: 1, totalPages, totalCount },
-      error: err.message || 'Scan failed. Ensure Chrome/Chromium is installed.',
+      error: err.message || 'Could not start the scan. Try again.',
     });
   }
 });
 
+/** JSON: status of a queued scan job; poll until status is succeeded or failed, then follow redirect. */
+router.get('/scans/jobs/:id', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid job ID' });
+  const job = db.getScanJobByIdAndUserId(id, req.session.userId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(describeScanJob(job));
+});
+
+/** Cancel a queued or running scan job. Devices that hadn't finished are recorded as cancelled in history. */
+router.post('/scans/jobs/:id/cancel', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid job ID' });
+  const job = db.getScanJobByIdAndUserId(id, req.session.userId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
+  if (!cancelScanJob(job)) {
+    if (acceptsJson) return res.status(409).json({ error: 'This scan has already finished.', job: describeScanJob(job) });
+    return res.redirect('/scans');
+  }
+  if (acceptsJson) return res.status(202).json({ cancelled: true });
+  res.redirect('/scans');
+});
+
+/** JSON: scan queue and Chrome pool load (pool saturated = new runs wait for a browser). */
+router.get('/scans/queue', (req, res) => {
+  res.json({
+    pool: getChromePoolStats(),
+    jobs: db.getScanJobCountsByStatus(),
+  });
+});
+
+/** SSE: live progress for a scan job (run n of 3, device switch, screenshot, saving) and the final redirect. */
+router.get('/scans/jobs/:id/events', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid job ID' });
+  streamJobEvents(req, res, () => db.getScanJobByIdAndUserId(id, req.session.userId));
+});
+
 const SCANS_LIST_FETCH_MAX = 500;
 
 router.get('/scans', (req, res, next) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const searchQuery = typeof req.query.q === 'string' ? req.query.q.trim() : '';
-    const totalCount = searchQuery
-      ? db.getScanGroupCountByUserIdSearch(req.session.userId, searchQuery)
+    const projects = db.getProjectsByUserId(req.session.userId);
+    const projectId = parseInt(req.query.project, 10);
+    const project = projects.find((p) => p.id === projectId) || null;
+    const totalCount = searchQuery || project
+      ? db.getScanGroupCountByUserIdSearch(req.session.userId, searchQuery, project && project.id)
       : db.getScanGroupCountByUserId(req.session.userId);
-    const rawScans = searchQuery
-      ? db.getScansByUserIdSearch(req.session.userId, searchQuery, SCANS_LIST_FETCH_MAX, 0)
+    const rawScans = searchQuery || project
+      ? db.getScansByUserIdSearch(req.session.userId, searchQuery, SCANS_LIST_FETCH_MAX, 0, project && project.id)
       : db.getScansByUserId(req.session.userId, SCANS_LIST_FETCH_MAX, 0);
     const allGroups = groupScansByRun(rawScans || []);
     const groupsAvailable = allGroups.length;
@@ -427,13 +548,15 @@ router.get('/scans', (req, res, next) => {
     const currentPage = Math.min(page, totalPages);
     const offset = (currentPage - 1) * SCANS_PER_PAGE;
     const scanGroups = allGroups.slice(offset, offset + SCANS_PER_PAGE);
-    const error = req.query.error === 'desktop' ? 'Desktop scan failed. Mobile scan completed.' : undefined;
+    const error = req.query.error === 'devices' ? 'Some devices failed to scan. Their reasons are listed below, next to the devices that completed.' : undefined;
     res.render('scans-list', {
       title: 'Scans',
       email: req.session.email,
       scanGroups: scanGroups || [],
       pagination: { page: currentPage, totalPages, totalCount },
       searchQuery: searchQuery || undefined,
+      projects,
+      project,
       error,
     });
   } catch (err) {
@@ -441,6 +564,22 @@ router.get('/scans', (req, res, next) => {
   }
 });
 
+/** CSV or XLSX (?format=) of the history list with its search and project filter (q, project): one row per scan. */
+router.get('/scans/export', (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) return res.status(400).send('Format must be csv or xlsx.');
+    const userId = req.session.userId;
+    const searchQuery = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const projectId = parseInt(req.query.project, 10);
+    const project = Number.isNaN(projectId) ? null : db.getProjectsByUserId(userId).find((p) => p.id === projectId) || null;
+    const scans = db.getScanRowsByUserIdSearch(userId, searchQuery, project && project.id, MAX_EXPORT_ROWS);
+    sendScansSpreadsheet(res, scans, format, 'upgs-perf-scans');
+  } catch (err) {
+    next(err);
+  }
+});
+
 /** Return only table body rows (HTML) for dashboard live search. */
 router.get('/scans/table-rows', (req, res, next) => {
   try {
@@ -463,6 +602,130 @@ router.get('/scans/table-rows', (req, res, next) => {
   }
 });
 
+/** Completed scans offered in the compare page's pickers. */
+const COMPARE_CHOICES = 100;
+
+/**
+ * Load the scans to compare from a and b (query or form). Renders the page itself, returning null, when either is
+ * missing or can't be compared.
+ */
+function loadComparison(req, res, params) {
+  const userId = req.session.userId;
+  const ids = {};
+  const scans = {};
+  for (const side of ['a', 'b']) {
+    const raw = params[side];
+    if (raw === undefined || raw === '') continue;
+    ids[side] = parseInt(raw, 10);
+    if (Number.isNaN(ids[side])) {
+      res.status(400).send('Invalid scan ID');
+      return null;
+    }
+    scans[side] = db.getScanByIdAndUserId(ids[side], userId);
+    if (!scans[side]) {
+      res.status(404).send('Scan not found');
+      return null;
+    }
+  }
+  let error = null;
+  if (scans.a && scans.b) {
+    if (scans.a.id === scans.b.id) error = 'Choose two different scans.';
+    else if (scans.a.status !== 'completed' || scans.b.status !== 'completed') error = 'Only completed scans can be compared.';
+    else return { a: { ...scans.a, report_json: undefined }, b: { ...scans.b, report_json: undefined } };
+  }
+  renderComparison(req, res, { status: error ? 400 : 200, selected: ids, error });
+  return null;
+}
+
+function renderComparison(req, res, { status = 200, selected, a = null, b = null, error = null, notice = null }) {
+  const choices = db.getCompletedScansForCompare(req.session.userId, COMPARE_CHOICES);
+  const shareToken = a && b ? db.getScanComparisonShareToken(req.session.userId, a.id, b.id) : null;
+  for (const scan of [a, b]) {
+    if (scan && !choices.some((c) => c.id === scan.id)) choices.push(scan);
+  }
+  res.status(status).render('scans-compare', {
+    title: a && b ? `Compare: ${a.url} and ${b.url}` : 'Compare scans',
+    email: req.session.email,
+    choices,
+    selected,
+    a,
+    b,
+    comparison: a && b ? compareScans(a, b) : null,
+    shareUrl: shareToken ? `${req.protocol}://${req.get('host')}/share/compare/${shareToken}` : null,
+    screenshotUrls: a && b ? { a: `/scans/${a.id}/screenshot`, b: `/scans/${b.id}/screenshot` } : null,
+    lanes: a && b ? [filmstripLane(a, 'A', `/scans/${a.id}/filmstrip`), filmstripLane(b, 'B', `/scans/${b.id}/filmstrip`)] : null,
+    error,
+    notice,
+  });
+}
+
+const COMPARE_NOTICES = {
+  shared: 'Anyone with the link below can view this comparison (read-only).',
+  unshared: 'Sharing disabled. The old link no longer works.',
+};
+
+/** Compare two scans (any URLs and devices): ?a= is the "before" scan, ?b= the "after". */
+router.get('/scans/compare', (req, res, next) => {
+  try {
+    const pair = loadComparison(req, res, req.query);
+    if (!pair) return;
+    renderComparison(req, res, { selected: { a: pair.a.id, b: pair.b.id }, ...pair, notice: COMPARE_NOTICES[req.query.done] || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/scans/compare/share', (req, res) => {
+  const pair = loadComparison(req, res, req.body || {});
+  if (!pair) return;
+  db.createScanComparisonShare(req.session.userId, pair.a.id, pair.b.id, randomBytes(32).toString('hex'));
+  res.redirect(`/scans/compare?a=${pair.a.id}&b=${pair.b.id}&done=shared`);
+});
+
+router.post('/scans/compare/unshare', (req, res) => {
+  const pair = loadComparison(req, res, req.body || {});
+  if (!pair) return;
+  db.deleteScanComparisonShare(req.session.userId, pair.a.id, pair.b.id);
+  res.redirect(`/scans/compare?a=${pair.a.id}&b=${pair.b.id}&done=unshared`);
+});
+
+/** Scans the synchronized filmstrip player plays at once. */
+const MAX_FILMSTRIP_LANES = 4;
+
+/** Scan ids from ?ids= (repeated, or comma-separated as history's checkboxes give them), without duplicates. */
+function filmstripIdsFromQuery(query) {
+  const ids = [];
+  for (const part of [].concat(query.ids || []).join(',').split(',')) {
+    const id = parseInt(part, 10);
+    if (!Number.isNaN(id) && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+/** Play the load filmstrips of up to MAX_FILMSTRIP_LANES scans on one timeline (?ids=1,2,3). */
+router.get('/scans/filmstrips', (req, res, next) => {
+  try {
+    const userId = req.session.userId;
+    const ids = filmstripIdsFromQuery(req.query);
+    const scans = ids.map((id) => db.getScanByIdAndUserId(id, userId)).filter((scan) => scan && scan.status === 'completed');
+    const error = ids.length > MAX_FILMSTRIP_LANES
+      ? `The player shows up to ${MAX_FILMSTRIP_LANES} scans at once; the first ${MAX_FILMSTRIP_LANES} are shown.`
+      : scans.length < ids.length ? 'Some of the chosen scans were not found or did not complete, so they are left out.' : null;
+    const shown = scans.slice(0, MAX_FILMSTRIP_LANES);
+    const letter = (i) => String.fromCharCode(65 + i);
+    res.render('scans-filmstrips', {
+      title: 'Page load comparison',
+      email: req.session.email,
+      lanes: shown.map((scan, i) => filmstripLane(scan, letter(i), `/scans/${scan.id}/filmstrip`)),
+      choices: shown.length < MAX_FILMSTRIP_LANES ? db.getCompletedScansForCompare(userId, COMPARE_CHOICES) : [],
+      maxLanes: MAX_FILMSTRIP_LANES,
+      error,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.get('/scans/:id', (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) return res.status(400).send('Invalid scan ID');
@@ -473,7 +736,13 @@ router.get('/scans/:id', (req, res) => {
   if (scan.run_id) {
     const group = db.getScansByRunIdAndUserId(scan.run_id, req.session.userId);
     if (group.length >= 2) {
-      group.sort((a, b) => (a.options?.formFactor === 'desktop' ? -1 : 1) - (b.options?.formFactor === 'desktop' ? -1 : 1));
+      const order = deviceChoices(req.session.userId).map((d) => d.id);
+      const rank = (s) => {
+        const key = deviceKey(s.options);
+        if (key === 'desktop') return -1;
+        return order.includes(key) ? order.indexOf(key) : order.length;
+      };
+      group.sort((a, b) => rank(a) - rank(b));
       scanGroup = group.map((s) => ({
         ...s,
         report_json: undefined,
@@ -509,7 +778,6 @@ router.get('/scans/:id/export/pdf', async (req, res) => {
   const scan = db.getScanByIdAndUserId(id, req.session.userId);
   if (!scan) return res.status(404).send('Scan not found');
   if (!scan.report_json) return res.status(404).send('Full report not available. PDF export requires the full Lighthouse report.');
-  let browser;
   try {
     const lhr = JSON.parse(scan.report_json);
     const html = generateReport(lhr, 'html');
@@ -517,24 +785,32 @@ router.get('/scans/:id/export/pdf', async (req, res) => {
     if (!executablePath) {
       return res.status(503).send('PDF export requires CHROME_PATH to be set (path to Chrome/Chromium).');
     }
-    browser = await puppeteer.launch({
-      executablePath,
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
-    });
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
-    const pdfBuffer = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      margin: { top: '20px', right: '20px', bottom: '20px', left: '20px' },
+    const pdfBuffer = await withChromeSlot(`user:${req.session.userId}`, async () => {
+      let browser;
+      try {
+        browser = await puppeteer.launch({
+          executablePath,
+          headless: true,
+          args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+        });
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+        const pdf = await page.pdf({
+          format: 'A4',
+          printBackground: true,
+          margin: { top: '20px', right: '20px', bottom: '20px', left: '20px' },
+        });
+        await browser.close();
+        return pdf;
+      } catch (err) {
+        if (browser) await browser.close().catch(() => {});
+        throw err;
+      }
     });
-    await browser.close();
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', 'attachment; filename="lighthouse-report.pdf"');
     res.send(pdfBuffer);
   } catch (err) {
-    if (browser) await browser.close().catch(() => {});
     console.error('PDF export failed:', err);
     res.status(500).send(err.message || 'Failed to generate PDF.');
   }
@@ -564,57 +840,32 @@ router.post('/scans/:id/unshare', (req, res) => {
   res.redirect(`/scans/${id}`);
 });
 
-router.get('/scans/:id/screenshot', async (req, res) => {
+/** Pin a completed scan as the regression baseline of its URL and device (replacing any other pin for them). */
+router.post('/scans/:id/baseline', (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) return res.status(400).send('Invalid scan ID');
   const scan = db.getScanByIdAndUserId(id, req.session.userId);
-  if (!scan || !scan.screenshot_path || !isSafeScreenshotPath(scan.screenshot_path)) return res.status(404).send('Screenshot not available');
-  const filePath = join(SCREENSHOTS_DIR, scan.screenshot_path);
-  try {
-    const buf = await readFile(filePath);
-    res.setHeader('Content-Type', screenshotContentType(scan.screenshot_path));
-    res.send(buf);
-  } catch (e) {
-    if (e.code === 'ENOENT') return res.status(404).send('Screenshot not found');
-    throw e;
-  }
+  if (!scan) return res.status(404).send('Scan not found');
+  if (scan.status !== 'completed') return res.status(400).send('Only a completed scan can be a baseline');
+  db.setScanBaselinePinned(id, req.session.userId, true);
+  res.redirect(`/scans/${id}`);
 });
 
-/** Filmstrip frames from Lighthouse report (for load “video” in speed viz). */
-function parseChromeVersionFromUA(ua) {
-  if (!ua || typeof ua !== 'string') return null;
-  const m = String(ua).match(/Chrom(?:e|ium)\/([\d.]+)/i);
-  return m ? m[1] : null;
-}
-
-const FILMSTRIP_MAX_FRAMES = 25;
-
-function extractFilmstripFromLhr(lhr) {
-  const audit = lhr.audits && lhr.audits['screenshot-thumbnails'];
-  const details = audit && audit.details;
-  if (!details || details.type !== 'filmstrip' || !Array.isArray(details.items) || details.items.length === 0) {
-    return null;
-  }
-  const frames = details.items
-    .slice(0, FILMSTRIP_MAX_FRAMES)
-    .map((item) => ({ timing: item.timing, data: item.data || '' }))
-    .filter((f) => f.data);
-  if (frames.length === 0) return null;
-  const hostUserAgent = lhr.environment && lhr.environment.hostUserAgent;
-  const chromeVersion = parseChromeVersionFromUA(hostUserAgent || lhr.userAgent);
-  return { frames, chromeVersion: chromeVersion || undefined };
-}
-
-function stripFilmstripFromLhr(lhr) {
-  const audit = lhr.audits && lhr.audits['screenshot-thumbnails'];
-  if (audit && audit.details && audit.details.type === 'filmstrip' && Array.isArray(audit.details.items)) {
-    audit.details.items = [];
-  }
-}
+/** Unpin the scan; new scans of its URL and device go back to the baseline chosen on the Regressions page. */
+router.post('/scans/:id/baseline/delete', (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).send('Invalid scan ID');
+  const scan = db.getScanByIdAndUserId(id, req.session.userId);
+  if (!scan) return res.status(404).send('Scan not found');
+  db.setScanBaselinePinned(id, req.session.userId, false);
+  res.redirect(`/scans/${id}`);
+});
 
-function filmstripFilePath(scanId) {
-  return join(FILMSTRIPS_DIR, `${scanId}.json`);
-}
+router.get('/scans/:id/screenshot', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).send('Invalid scan ID');
+  await sendScreenshot(res, db.getScanByIdAndUserId(id, req.session.userId));
+});
 
 router.get('/scans/:id/filmstrip', requireAuth, async (req, res) => {
   const id = parseInt(req.params.id, 10);
@@ -697,25 +948,24 @@ router.post('/scans/:id/delete', async (req, res) => {
   res.redirect(redirectTo);
 });
 
-router.post('/scans/rescan-both', async (req, res) => {
+router.post('/scans/rescan-both', (req, res) => {
   const runId = typeof req.body?.run_id === 'string' ? req.body.run_id.trim() : '';
   if (!runId) return res.status(400).json({ error: 'Missing run_id' });
   const group = db.getScansByRunIdAndUserId(runId, req.session.userId);
   if (!group || group.length < 2) return res.status(404).json({ error: 'Scan group not found' });
   const url = group[0].url;
+  const runs = normalizeRunCount(group[0].options && group[0].options.runs);
+  const throttling = resolveThrottling(group[0].options && group[0].options.throttling);
+  const categories = resolveCategories(group[0].options && group[0].options.categories);
+  /* Same devices as the original run, as they were then (a custom profile may have changed or been deleted since). */
+  const profiles = group.map((s) => deviceProfile(s.options)).filter((d, i, all) => all.findIndex((o) => o.id === d.id) === i);
+  const deviceProfiles = Object.fromEntries(profiles.map((d) => [d.id, d]));
   const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
   try {
-    const newRunId = `run-${Date.now()}-${randomBytes(4).toString('hex')}`;
-    const mobileScanId = await runOneScan(req.session.userId, url, 'mobile', newRunId);
-    try {
-      await runOneScan(req.session.userId, url, 'desktop', newRunId);
-    } catch (desktopErr) {
-      console.error('Rescan both: desktop failed after mobile:', desktopErr);
-      if (acceptsJson) return res.status(500).json({ error: 'Desktop rescan failed.' });
-      return res.redirect('/scans?error=desktop');
-    }
-    if (acceptsJson) return res.json({ redirect: `/scans/${mobileScanId}` });
-    res.redirect(`/scans/${mobileScanId}`);
+    const devices = profiles.map((d) => d.id);
+    const jobId = enqueueScanJob(req.session.userId, url, devices, { categories, runs, throttling, deviceProfiles });
+    if (acceptsJson) return res.status(202).json({ jobId, statusUrl: `/scans/jobs/${jobId}` });
+    res.redirect(`/dashboard?job=${jobId}`);
   } catch (err) {
     console.error('Rescan both failed:', err);
     if (acceptsJson) return res.status(500).json({ error: err.message || 'Rescan failed.' });
@@ -723,57 +973,20 @@ router.post('/scans/rescan-both', async (req, res) => {
   }
 });
 
-router.post('/scans/:id/rescan', async (req, res) => {
+router.post('/scans/:id/rescan', (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid scan ID' });
   const scan = db.getScanByIdAndUserId(id, req.session.userId);
   if (!scan) return res.status(404).json({ error: 'Scan not found' });
-  const url = scan.url;
-  const options = scan.options || { formFactor: 'mobile' };
+  const device = deviceProfile(scan.options);
+  const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
   try {
-    const { report, summary, screenshot } = await runLighthouse(url, options);
-    const filmstripPayload = extractFilmstripFromLhr(report);
-    stripFilmstripFromLhr(report);
-    const reportJson = JSON.stringify(report);
-    const reportToStore =
-      reportJson.length <= MAX_REPORT_JSON_LENGTH ? reportJson : null;
-    const scanId = db.createScan(
-      req.session.userId,
-      url,
-      options,
-      reportToStore,
-      summary
-    );
-    if (filmstripPayload && filmstripPayload.frames.length > 0) {
-      try {
-        await mkdir(FILMSTRIPS_DIR, { recursive: true });
-        await writeFile(
-          filmstripFilePath(scanId),
-          JSON.stringify({ frames: filmstripPayload.frames, chromeVersion: filmstripPayload.chromeVersion }),
-          'utf8'
-        );
-      } catch (e) {
-        console.error('Rescan filmstrip save failed:', e.message);
-      }
-    }
-    if (screenshot && screenshot.buffer && screenshot.buffer.length > 0) {
-      try {
-        await mkdir(SCREENSHOTS_DIR, { recursive: true });
-        const filePath = join(SCREENSHOTS_DIR, `${scanId}.${screenshot.ext}`);
-        await writeFile(filePath, screenshot.buffer);
-        db.updateScanScreenshot(scanId, `${scanId}.${screenshot.ext}`);
-      } catch (e) {
-        console.error('Rescan screenshot save failed:', e.message);
-      }
-    }
-    const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
-    if (acceptsJson) {
-      return res.json({ redirect: `/scans/${scanId}` });
-    }
-    res.redirect(`/scans/${scanId}`);
+    const options = { ...scan.options, deviceProfiles: { [device.id]: device } };
+    const jobId = enqueueScanJob(req.session.userId, scan.url, [device.id], options);
+    if (acceptsJson) return res.status(202).json({ jobId, statusUrl: `/scans/jobs/${jobId}` });
+    res.redirect(`/dashboard?job=${jobId}`);
   } catch (err) {
     console.error('Rescan failed:', err);
-    const acceptsJson = req.get('accept') && req.get('accept').includes('application/json');
     if (acceptsJson) {
       return res.status(500).json({ error: err.message || 'Rescan failed.' });
     }
@@ -0,0 +1,214 @@
+import { Router } from 'express';
+import * as db from '../db/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import { normalizeRunCount, DEFAULT_RUNS, RUN_COUNTS } from '../services/lighthouse.js';
+import {
+  WEEKDAYS,
+  describeSchedule,
+  nextScheduleRun,
+  scheduleCronFromForm,
+  scheduleFormValues,
+} from '../services/scheduler.js';
+import { resolveThrottling, throttlingFormError, throttlingFromForm } from '../services/throttling.js';
+import { deviceChoices, jobDevice, resolveDevices } from '../services/devices.js';
+import { categoriesFromForm, resolveCategories } from '../services/categories.js';
+
+const router = Router();
+
+const MAX_URL_LENGTH = 2048;
+const MAX_SCHEDULES_PER_USER = 50;
+
+router.use('/schedules', requireAuth, ensureCsrfToken, validateCsrf);
+
+function isValidUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the schedule form. Returns { values } for re-rendering and either { error } or { schedule } to save.
+ * savedDevices: the edited schedule's device snapshots, which stay valid after their profile is deleted.
+ */
+function parseScheduleForm(body, userId, savedDevices = {}) {
+  const { devices, deviceProfiles } = resolveDevices(userId, body.formFactor, savedDevices);
+  const values = {
+    url: typeof body.url === 'string' ? body.url.trim() : '',
+    devices,
+    runs: normalizeRunCount(body.runs),
+    throttling: throttlingFromForm(body),
+    categories: categoriesFromForm(body),
+    frequency: typeof body.frequency === 'string' ? body.frequency : 'daily',
+    minute: typeof body.minute === 'string' ? body.minute : '0',
+    time: typeof body.time === 'string' ? body.time : '09:00',
+    weekday: typeof body.weekday === 'string' ? body.weekday : '1',
+    cron: typeof body.cron === 'string' ? body.cron : '',
+  };
+  if (!isValidUrl(values.url)) return { values, error: 'Please enter a valid http or https URL.' };
+  if (devices.length === 0) return { values, error: 'Select at least one device.' };
+  const throttlingError = throttlingFormError(body);
+  if (throttlingError) return { values, error: throttlingError };
+  let timing;
+  try {
+    timing = scheduleCronFromForm(values);
+  } catch (err) {
+    return { values, error: err.message };
+  }
+  return {
+    values,
+    schedule: {
+      url: values.url,
+      devices,
+      options: { runs: values.runs, throttling: values.throttling, categories: values.categories, deviceProfiles },
+      frequency: timing.frequency,
+      cron: timing.cron,
+      nextRunAt: nextScheduleRun(timing.cron),
+    },
+  };
+}
+
+function newScheduleValues(url) {
+  return { url, devices: ['mobile'], runs: DEFAULT_RUNS, throttling: resolveThrottling(null), categories: undefined, frequency: 'daily', minute: '0', time: '09:00', weekday: '1', cron: '' };
+}
+
+function renderSchedules(req, res, { status = 200, values, error = null, notice = null } = {}) {
+  const schedules = db.getScanSchedulesByUserId(req.session.userId).map((s) => ({
+    ...s,
+    description: describeSchedule(s),
+    deviceNames: s.devices.map((id) => jobDevice(s.options, id).name),
+  }));
+  res.status(status).render('schedules', {
+    title: 'Schedules',
+    email: req.session.email,
+    schedules,
+    values: values || newScheduleValues(typeof req.query.url === 'string' && isValidUrl(req.query.url.trim()) ? req.query.url.trim() : ''),
+    devices: deviceChoices(req.session.userId),
+    weekdays: WEEKDAYS,
+    runCounts: RUN_COUNTS,
+    error,
+    notice,
+  });
+}
+
+const NOTICES = {
+  created: 'Schedule created.',
+  updated: 'Schedule saved.',
+  paused: 'Schedule paused.',
+  resumed: 'Schedule resumed.',
+  deleted: 'Schedule deleted.',
+};
+
+/** Schedules page: list the user's recurring scans and add a new one. */
+router.get('/schedules', (req, res, next) => {
+  try {
+    renderSchedules(req, res, { notice: NOTICES[req.query.done] || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/schedules', (req, res, next) => {
+  try {
+    const { values, error, schedule } = parseScheduleForm(req.body || {}, req.session.userId);
+    if (error) return renderSchedules(req, res, { status: 400, values, error });
+    if (db.getScanScheduleCountByUserId(req.session.userId) >= MAX_SCHEDULES_PER_USER) {
+      return renderSchedules(req, res, { status: 400, values, error: `You can have up to ${MAX_SCHEDULES_PER_USER} schedules. Delete one to add another.` });
+    }
+    db.createScanSchedule(req.session.userId, schedule);
+    res.redirect('/schedules?done=created');
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** Device snapshots saved on a schedule (legacy schedules have none: their devices are built in). */
+function savedDevices(schedule) {
+  return (schedule.options && schedule.options.deviceProfiles) || {};
+}
+
+function loadSchedule(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).send('Invalid schedule ID');
+    return null;
+  }
+  const schedule = db.getScanScheduleByIdAndUserId(id, req.session.userId);
+  if (!schedule) {
+    res.status(404).send('Schedule not found');
+    return null;
+  }
+  return schedule;
+}
+
+router.get('/schedules/:id/edit', (req, res) => {
+  const schedule = loadSchedule(req, res);
+  if (!schedule) return;
+  res.render('schedule-edit', {
+    title: 'Edit schedule',
+    email: req.session.email,
+    schedule,
+    values: {
+      url: schedule.url,
+      devices: schedule.devices,
+      runs: normalizeRunCount(schedule.options && schedule.options.runs),
+      throttling: resolveThrottling(schedule.options && schedule.options.throttling),
+      categories: resolveCategories(schedule.options && schedule.options.categories),
+      ...scheduleFormValues(schedule),
+    },
+    devices: deviceChoices(req.session.userId, savedDevices(schedule)),
+    weekdays: WEEKDAYS,
+    runCounts: RUN_COUNTS,
+    error: null,
+  });
+});
+
+/** Save an edited schedule. Its next run is recalculated from now. */
+router.post('/schedules/:id', (req, res) => {
+  const existing = loadSchedule(req, res);
+  if (!existing) return;
+  const { values, error, schedule } = parseScheduleForm(req.body || {}, req.session.userId, savedDevices(existing));
+  if (error) {
+    return res.status(400).render('schedule-edit', {
+      title: 'Edit schedule',
+      email: req.session.email,
+      schedule: existing,
+      values,
+      devices: deviceChoices(req.session.userId, savedDevices(existing)),
+      weekdays: WEEKDAYS,
+      runCounts: RUN_COUNTS,
+      error,
+    });
+  }
+  db.updateScanSchedule(existing.id, req.session.userId, schedule);
+  res.redirect('/schedules?done=updated');
+});
+
+router.post('/schedules/:id/pause', (req, res) => {
+  const schedule = loadSchedule(req, res);
+  if (!schedule) return;
+  db.setScanSchedulePaused(schedule.id, req.session.userId, true);
+  res.redirect('/schedules?done=paused');
+});
+
+/** Resume from now on: runs missed while paused are not caught up. */
+router.post('/schedules/:id/resume', (req, res) => {
+  const schedule = loadSchedule(req, res);
+  if (!schedule) return;
+  db.setScanSchedulePaused(schedule.id, req.session.userId, false, nextScheduleRun(schedule.cron));
+  res.redirect('/schedules?done=resumed');
+});
+
+/** Delete a schedule. Scans it already ran stay in history. */
+router.post('/schedules/:id/delete', (req, res) => {
+  const schedule = loadSchedule(req, res);
+  if (!schedule) return;
+  db.deleteScanSchedule(schedule.id, req.session.userId);
+  res.redirect('/schedules?done=deleted');
+});
+
+export default router;
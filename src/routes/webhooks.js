@@ -0,0 +1,159 @@
+import { Router } from 'express';
+import * as db from '../db/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { ensureCsrfToken, validateCsrf } from '../middleware/csrf.js';
+import {
+  MAX_ATTEMPTS,
+  MAX_WEBHOOKS_PER_USER,
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  newWebhookValues,
+  parseWebhookForm,
+  queueTestDelivery,
+  redeliverWebhook,
+  webhookFormValues,
+  webhookSecret,
+} from '../services/webhooks.js';
+
+const router = Router();
+
+router.use('/webhooks', requireAuth, ensureCsrfToken, validateCsrf);
+
+/** Deliveries shown in a webhook's log. */
+const DELIVERY_LOG_LENGTH = 50;
+
+function renderWebhooks(req, res, { status = 200, values, error = null, notice = null } = {}) {
+  res.status(status).render('webhooks', {
+    title: 'Webhooks',
+    email: req.session.email,
+    webhooks: db.getWebhooksByUserId(req.session.userId),
+    webhookEvents: WEBHOOK_EVENTS,
+    values: values || newWebhookValues(),
+    error,
+    notice,
+  });
+}
+
+const NOTICES = {
+  created: 'Webhook added. Copy its signing secret to verify the requests it receives.',
+  updated: 'Webhook saved.',
+  deleted: 'Webhook deleted.',
+  rotated: 'New signing secret generated. Requests are signed with it from now on.',
+  tested: 'Test event queued. It shows in the delivery log below once sent.',
+  redelivered: 'Delivery queued again.',
+};
+
+/** Webhooks page: list the user's webhooks and add one. */
+router.get('/webhooks', (req, res, next) => {
+  try {
+    renderWebhooks(req, res, { notice: NOTICES[req.query.done] || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/webhooks', (req, res, next) => {
+  try {
+    const userId = req.session.userId;
+    const { values, error, webhook } = parseWebhookForm({ ...req.body, enabled: '1' });
+    if (error) return renderWebhooks(req, res, { status: 400, values, error });
+    if (db.getWebhookCountByUserId(userId) >= MAX_WEBHOOKS_PER_USER) {
+      return renderWebhooks(req, res, { status: 400, values, error: `You can have up to ${MAX_WEBHOOKS_PER_USER} webhooks. Delete one to add another.` });
+    }
+    const id = db.createWebhook(userId, { url: webhook.url, events: webhook.events, secret: generateWebhookSecret().encrypted });
+    res.redirect(`/webhooks/${id}?done=created`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+function loadWebhook(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    res.status(400).send('Invalid webhook ID');
+    return null;
+  }
+  const webhook = db.getWebhookByIdAndUserId(id, req.session.userId);
+  if (!webhook) {
+    res.status(404).send('Webhook not found');
+    return null;
+  }
+  return webhook;
+}
+
+function renderWebhook(req, res, webhook, { status = 200, values, error = null, notice = null } = {}) {
+  const deliveries = db.getWebhookDeliveries(webhook.id, req.session.userId, DELIVERY_LOG_LENGTH).map((d) => {
+    let payload = d.payload;
+    try {
+      payload = JSON.stringify(JSON.parse(d.payload), null, 2);
+    } catch {
+      /* show as stored */
+    }
+    return { ...d, payload };
+  });
+  res.status(status).render('webhook-detail', {
+    title: 'Webhook',
+    email: req.session.email,
+    webhook,
+    secret: webhookSecret(webhook),
+    deliveries,
+    pendingCount: deliveries.filter((d) => d.status === 'pending').length,
+    maxAttempts: MAX_ATTEMPTS,
+    webhookEvents: WEBHOOK_EVENTS,
+    values: values || webhookFormValues(webhook),
+    error,
+    notice,
+  });
+}
+
+/** A webhook: its settings, signing secret and delivery log. */
+router.get('/webhooks/:id', (req, res) => {
+  const webhook = loadWebhook(req, res);
+  if (!webhook) return;
+  renderWebhook(req, res, webhook, { notice: NOTICES[req.query.done] || null });
+});
+
+router.post('/webhooks/:id', (req, res) => {
+  const existing = loadWebhook(req, res);
+  if (!existing) return;
+  const { values, error, webhook } = parseWebhookForm(req.body || {});
+  if (error) return renderWebhook(req, res, existing, { status: 400, values, error });
+  db.updateWebhook(existing.id, req.session.userId, webhook);
+  res.redirect(`/webhooks/${existing.id}?done=updated`);
+});
+
+/** Replace the signing secret. Deliveries still being retried are signed with the new one. */
+router.post('/webhooks/:id/secret', (req, res) => {
+  const webhook = loadWebhook(req, res);
+  if (!webhook) return;
+  db.updateWebhookSecret(webhook.id, req.session.userId, generateWebhookSecret().encrypted);
+  res.redirect(`/webhooks/${webhook.id}?done=rotated`);
+});
+
+router.post('/webhooks/:id/test', (req, res) => {
+  const webhook = loadWebhook(req, res);
+  if (!webhook) return;
+  queueTestDelivery(req.session.userId, webhook);
+  res.redirect(`/webhooks/${webhook.id}?done=tested`);
+});
+
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', (req, res) => {
+  const webhook = loadWebhook(req, res);
+  if (!webhook) return;
+  const deliveryId = parseInt(req.params.deliveryId, 10);
+  const delivery = Number.isNaN(deliveryId) ? null : db.getWebhookDeliveryByIdAndUserId(deliveryId, req.session.userId);
+  if (!delivery || delivery.webhook_id !== webhook.id) return res.status(404).send('Delivery not found');
+  if (!redeliverWebhook(req.session.userId, delivery)) {
+    return renderWebhook(req, res, webhook, { status: 400, error: 'That delivery is still being sent. Wait for it to finish.' });
+  }
+  res.redirect(`/webhooks/${webhook.id}?done=redelivered`);
+});
+
+router.post('/webhooks/:id/delete', (req, res) => {
+  const webhook = loadWebhook(req, res);
+  if (!webhook) return;
+  db.deleteWebhook(webhook.id, req.session.userId);
+  res.redirect('/webhooks?done=deleted');
+});
+
+export default router;
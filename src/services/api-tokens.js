@@ -0,0 +1,61 @@
+import { createHash, randomBytes } from 'crypto';
+import * as db from '../db/index.js';
+
+/**
+ * Personal access tokens for the REST API (/api/v1), sent as "Authorization: Bearer upgs_…". A token is shown once
+ * when created; only its SHA-256 is stored (tokens are random, so a plain hash is enough to make a leaked database
+ * useless for calling the API). Each token has scopes limiting what it can do, and is revoked by deleting it.
+ */
+
+export const API_TOKEN_SCOPES = {
+  'scans:read': { label: 'Read', description: 'list and search scans, read summaries, Lighthouse reports, trends and job status' },
+  'scans:write': { label: 'Start scans', description: 'start and cancel scans' },
+};
+export const MAX_API_TOKENS_PER_USER = 20;
+const MAX_NAME_LENGTH = 100;
+const TOKEN_PREFIX = 'upgs_';
+/** Characters of a token kept in clear to tell tokens apart on the settings page. */
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+const TOKEN_PATTERN = /^upgs_[A-Za-z0-9_-]{32}$/;
+
+export function hashApiToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Validate the new token form. Returns { error } or { name, scopes }.
+ * @param {object} body - req.body with name and scopes (one or more)
+ */
+export function parseApiTokenForm(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) return { error: `Give the token a name (up to ${MAX_NAME_LENGTH} characters), e.g. where it’s used.` };
+  const requested = [].concat(body.scopes || []);
+  const scopes = Object.keys(API_TOKEN_SCOPES).filter((scope) => requested.includes(scope));
+  if (scopes.length === 0) return { error: 'Choose at least one scope.' };
+  return { name, scopes };
+}
+
+/**
+ * Create a token. Returns the token itself, which can't be read back later.
+ * @param {number} userId
+ * @param {{ name: string, scopes: string[] }} fields - From parseApiTokenForm
+ * @returns {string}
+ */
+export function createApiToken(userId, { name, scopes }) {
+  const token = `${TOKEN_PREFIX}${randomBytes(24).toString('base64url')}`;
+  db.createApiToken(userId, { name, tokenHash: hashApiToken(token), prefix: token.slice(0, DISPLAY_PREFIX_LENGTH), scopes });
+  return token;
+}
+
+/**
+ * The saved token a request presents (the Authorization header's bearer value), or null when it is missing, malformed
+ * or revoked. Marks the token as used.
+ * @param {string|undefined} authorization
+ */
+export function authenticateApiToken(authorization) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization || '');
+  if (!match || !TOKEN_PATTERN.test(match[1])) return null;
+  const token = db.getApiTokenByHash(hashApiToken(match[1]));
+  if (token) db.touchApiToken(token.id);
+  return token;
+}
@@ -0,0 +1,271 @@
+import * as db from '../db/index.js';
+import { LIGHTHOUSE_CATEGORIES } from './categories.js';
+
+/**
+ * Performance budgets: category score minimums, metric maximums and, optionally, transfer size maximums per resource
+ * type (like Lighthouse's budget.json resourceSizes). A budget targets one URL or every page of a project; each scan
+ * runOneScan saves is checked against the budget that applies to its URL and the result is stored on the scan.
+ */
+
+export const MAX_BUDGETS_PER_USER = 100;
+const MAX_URL_LENGTH = 2048;
+
+/** Metrics a budget can cap. unit is what the form asks for: seconds or milliseconds (CLS has none). */
+export const BUDGET_METRICS = [
+  { id: 'largest-contentful-paint', label: 'LCP', name: 'Largest Contentful Paint', unit: 's' },
+  { id: 'total-blocking-time', label: 'TBT', name: 'Total Blocking Time', unit: 'ms' },
+  { id: 'cumulative-layout-shift', label: 'CLS', name: 'Cumulative Layout Shift', unit: '' },
+  { id: 'first-contentful-paint', label: 'FCP', name: 'First Contentful Paint', unit: 's' },
+  { id: 'speed-index', label: 'Speed Index', name: 'Speed Index', unit: 's' },
+  { id: 'interactive', label: 'TTI', name: 'Time to Interactive', unit: 's' },
+];
+
+/** Resource types of Lighthouse's resource-summary audit, whose transfer size a budget can cap (in KB). */
+export const BUDGET_RESOURCE_TYPES = [
+  { id: 'total', label: 'Total' },
+  { id: 'document', label: 'Document' },
+  { id: 'script', label: 'Scripts' },
+  { id: 'stylesheet', label: 'Stylesheets' },
+  { id: 'image', label: 'Images' },
+  { id: 'font', label: 'Fonts' },
+  { id: 'media', label: 'Media' },
+  { id: 'other', label: 'Other' },
+  { id: 'third-party', label: 'Third-party' },
+];
+
+/** Limits a new budget form starts with: the Core Web Vitals "good" thresholds. */
+const DEFAULT_METRIC_LIMITS = { 'largest-contentful-paint': '2.5', 'total-blocking-time': '200', 'cumulative-layout-shift': '0.1' };
+
+function isValidUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/** Trim a number for display: at most `digits` decimals, no trailing zeros. */
+function trimNumber(value, digits) {
+  return String(Number(value.toFixed(digits)));
+}
+
+function formatMetric(metric, ms) {
+  if (metric.unit === '') return trimNumber(ms, 3);
+  if (metric.unit === 'ms') return `${Math.round(ms)} ms`;
+  return `${trimNumber(ms / 1000, 2)} s`;
+}
+
+function formatKb(bytes) {
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/** Form values for a new budget, optionally targeting a project or URL (e.g. from a project or report page). */
+export function newBudgetValues({ projectId = '', url = '' } = {}) {
+  return {
+    target: projectId ? 'project' : 'url',
+    projectId: projectId ? String(projectId) : '',
+    url: url || '',
+    categories: {},
+    metrics: { ...DEFAULT_METRIC_LIMITS },
+    resources: {},
+  };
+}
+
+/** Form values for editing a saved budget: limits in the units the form uses. */
+export function budgetFormValues(budget) {
+  const rules = budget.rules || {};
+  const categories = {};
+  for (const [id, min] of Object.entries(rules.categories || {})) categories[id] = String(min);
+  const metrics = {};
+  for (const metric of BUDGET_METRICS) {
+    const max = rules.metrics && rules.metrics[metric.id];
+    if (typeof max === 'number') metrics[metric.id] = metric.unit === 's' ? trimNumber(max / 1000, 3) : String(max);
+  }
+  const resources = {};
+  for (const [type, kb] of Object.entries(rules.resources || {})) resources[type] = String(kb);
+  return {
+    target: budget.project_id ? 'project' : 'url',
+    projectId: budget.project_id ? String(budget.project_id) : '',
+    url: budget.url || '',
+    categories,
+    metrics,
+    resources,
+  };
+}
+
+/** A non-negative number from a form field: undefined when blank, NaN when not a number. */
+function limitFromField(value) {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) return undefined;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * Validate the budget form: its target (a URL or one of the user's projects) and at least one limit. Returns
+ * { values } for re-rendering and either { error } or { budget: { projectId, url, rules } } to save.
+ * @param {object} body - req.body with target, url, projectId, category_<id>, metric_<id> and resource_<type>
+ * @param {number} userId
+ */
+export function parseBudgetForm(body, userId) {
+  const field = (name) => (typeof body[name] === 'string' ? body[name].trim() : '');
+  const values = {
+    target: body.target === 'project' ? 'project' : 'url',
+    projectId: field('projectId'),
+    url: field('url'),
+    categories: {},
+    metrics: {},
+    resources: {},
+  };
+  for (const id of Object.keys(LIGHTHOUSE_CATEGORIES)) if (field(`category_${id}`)) values.categories[id] = field(`category_${id}`);
+  for (const metric of BUDGET_METRICS) if (field(`metric_${metric.id}`)) values.metrics[metric.id] = field(`metric_${metric.id}`);
+  for (const type of BUDGET_RESOURCE_TYPES) if (field(`resource_${type.id}`)) values.resources[type.id] = field(`resource_${type.id}`);
+
+  let projectId = null;
+  let url = null;
+  if (values.target === 'project') {
+    const project = values.projectId ? db.getProjectByIdAndUserId(parseInt(values.projectId, 10), userId) : null;
+    if (!project) return { values, error: 'Pick the project this budget is for.' };
+    projectId = project.id;
+  } else {
+    if (!isValidUrl(values.url)) return { values, error: 'Enter the http or https URL this budget is for.' };
+    url = values.url;
+  }
+
+  const rules = { categories: {}, metrics: {}, resources: {} };
+  for (const [id, value] of Object.entries(values.categories)) {
+    const min = limitFromField(value);
+    if (!Number.isInteger(min) || min > 100) return { values, error: `The minimum ${LIGHTHOUSE_CATEGORIES[id].label} score must be a whole number from 0 to 100.` };
+    rules.categories[id] = min;
+  }
+  for (const metric of BUDGET_METRICS) {
+    if (values.metrics[metric.id] === undefined) continue;
+    const max = limitFromField(values.metrics[metric.id]);
+    if (Number.isNaN(max)) return { values, error: `The ${metric.label} limit must be a number of ${metric.unit === 's' ? 'seconds' : metric.unit === 'ms' ? 'milliseconds' : 'zero or more'}.` };
+    rules.metrics[metric.id] = metric.unit === 's' ? Math.round(max * 1000) : max;
+  }
+  for (const type of BUDGET_RESOURCE_TYPES) {
+    if (values.resources[type.id] === undefined) continue;
+    const kb = limitFromField(values.resources[type.id]);
+    if (Number.isNaN(kb)) return { values, error: `The ${type.label} size limit must be a number of KB.` };
+    rules.resources[type.id] = kb;
+  }
+  const limitCount = Object.keys(rules.categories).length + Object.keys(rules.metrics).length + Object.keys(rules.resources).length;
+  if (limitCount === 0) return { values, error: 'Set at least one limit.' };
+  return { values, budget: { projectId, url, rules } };
+}
+
+/** One line per limit of a saved budget, e.g. "LCP ≤ 2.5 s", for lists. */
+export function describeBudgetRules(rules) {
+  const parts = [];
+  for (const [id, min] of Object.entries((rules && rules.categories) || {})) {
+    parts.push(`${LIGHTHOUSE_CATEGORIES[id] ? LIGHTHOUSE_CATEGORIES[id].label : id} ≥ ${min}`);
+  }
+  for (const metric of BUDGET_METRICS) {
+    const max = rules && rules.metrics && rules.metrics[metric.id];
+    if (typeof max === 'number') parts.push(`${metric.label} ≤ ${formatMetric(metric, max)}`);
+  }
+  for (const type of BUDGET_RESOURCE_TYPES) {
+    const kb = rules && rules.resources && rules.resources[type.id];
+    if (typeof kb === 'number') parts.push(`${type.label} ≤ ${kb} KB`);
+  }
+  return parts;
+}
+
+/** Transfer size in bytes per resource type, from the LHR's resource-summary audit (only run with Performance). */
+function resourceSizes(lhr) {
+  const audit = lhr && lhr.audits && lhr.audits['resource-summary'];
+  const items = audit && audit.details && Array.isArray(audit.details.items) ? audit.details.items : null;
+  if (!items) return null;
+  const sizes = {};
+  for (const item of items) {
+    if (item && item.resourceType && typeof item.transferSize === 'number') sizes[item.resourceType] = item.transferSize;
+  }
+  return sizes;
+}
+
+/**
+ * Check a scan's summary (and its LHR for resource sizes) against a budget. Each check has the raw limit and actual
+ * value plus display text; `over` is how far past the limit a failed check is (score points below a minimum).
+ * Limits the scan has no value for (a category it didn't audit, say) are listed in `unmeasured`.
+ * @param {object} budget - From db.getBudgetForScanUrl
+ * @param {object} summary - Scan summary (categories and metrics)
+ * @param {object} [lhr] - Lighthouse result of the scan
+ * @returns {{ budgetId: number, projectId: number|null, projectName: string|null, url: string|null, checks: object[], failed: number, unmeasured: string[] }}
+ */
+export function evaluateBudget(budget, summary, lhr) {
+  const rules = budget.rules || {};
+  const checks = [];
+  const unmeasured = [];
+  for (const [id, min] of Object.entries(rules.categories || {})) {
+    const label = LIGHTHOUSE_CATEGORIES[id] ? LIGHTHOUSE_CATEGORIES[id].label : id;
+    const score = summary && summary.categories && summary.categories[id];
+    if (typeof score !== 'number') {
+      unmeasured.push(label);
+      continue;
+    }
+    const passed = score >= min;
+    checks.push({
+      kind: 'category', id, label, limit: min, actual: score, passed, over: passed ? 0 : min - score,
+      limitText: `≥ ${min}`, actualText: String(score), overText: passed ? '' : `${min - score} below`,
+    });
+  }
+  for (const metric of BUDGET_METRICS) {
+    const max = rules.metrics && rules.metrics[metric.id];
+    if (typeof max !== 'number') continue;
+    const value = summary && summary.metrics && summary.metrics[metric.id] && summary.metrics[metric.id].value;
+    if (typeof value !== 'number') {
+      unmeasured.push(metric.label);
+      continue;
+    }
+    const passed = value <= max;
+    checks.push({
+      kind: 'metric', id: metric.id, label: metric.label, limit: max, actual: value, passed, over: passed ? 0 : Number((value - max).toFixed(3)),
+      limitText: `≤ ${formatMetric(metric, max)}`, actualText: formatMetric(metric, value), overText: passed ? '' : `+${formatMetric(metric, value - max)}`,
+    });
+  }
+  const sizes = Object.keys(rules.resources || {}).length ? resourceSizes(lhr) : null;
+  for (const type of BUDGET_RESOURCE_TYPES) {
+    const kb = rules.resources && rules.resources[type.id];
+    if (typeof kb !== 'number') continue;
+    const bytes = sizes && sizes[type.id];
+    if (typeof bytes !== 'number') {
+      unmeasured.push(type.label);
+      continue;
+    }
+    const passed = bytes <= kb * 1024;
+    checks.push({
+      kind: 'resource', id: type.id, label: type.label, limit: kb * 1024, actual: bytes, passed, over: passed ? 0 : bytes - kb * 1024,
+      limitText: `≤ ${kb} KB`, actualText: formatKb(bytes), overText: passed ? '' : `+${formatKb(bytes - kb * 1024)}`,
+    });
+  }
+  return {
+    budgetId: budget.id,
+    projectId: budget.project_id || null,
+    projectName: budget.project_name || null,
+    url: budget.url || null,
+    checks,
+    failed: checks.filter((check) => !check.passed).length,
+    unmeasured,
+  };
+}
+
+/**
+ * Check a just-saved scan against the budget for its URL, if there is one, and store the result on the scan.
+ * Never throws: a budget problem must not fail a scan that already ran.
+ * @returns {object|null} The result saved, or null when no budget applies
+ */
+export function checkScanBudget(userId, scanId, url, summary, lhr) {
+  try {
+    const budget = db.getBudgetForScanUrl(userId, url);
+    if (!budget) return null;
+    const result = evaluateBudget(budget, summary, lhr);
+    db.updateScanBudgetResult(scanId, result);
+    return result;
+  } catch (e) {
+    console.error('Budget check failed (scan saved):', e.message);
+    return null;
+  }
+}
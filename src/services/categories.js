@@ -0,0 +1,47 @@
+/**
+ * Lighthouse categories a scan can audit. A subset is saved in the scan's options as `categories: ['performance', …]`
+ * (Lighthouse's onlyCategories); scans that audit everything, including those saved before the choice existed,
+ * have no categories option.
+ */
+
+/** In Lighthouse's report order. */
+export const LIGHTHOUSE_CATEGORIES = {
+  performance: { label: 'Performance', short: 'P' },
+  accessibility: { label: 'Accessibility', short: 'A' },
+  'best-practices': { label: 'Best Practices', short: 'BP' },
+  seo: { label: 'SEO', short: 'SEO' },
+};
+
+const CATEGORY_IDS = Object.keys(LIGHTHOUSE_CATEGORIES);
+
+/**
+ * Coerce requested categories (form field or stored options) to a subset in report order.
+ * Returns undefined for all categories: unknown ids are dropped, and none or every category means a full audit.
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]|undefined}
+ */
+export function resolveCategories(value) {
+  const requested = Array.isArray(value) ? value : value == null ? [] : [value];
+  const ids = CATEGORY_IDS.filter((id) => requested.includes(id));
+  if (ids.length === 0 || ids.length === CATEGORY_IDS.length) return undefined;
+  return ids;
+}
+
+/**
+ * Categories from the scan/schedule form checkboxes (categories). A form without the field audits everything.
+ * @param {object} body - req.body
+ */
+export function categoriesFromForm(body) {
+  return resolveCategories(body.categories);
+}
+
+/**
+ * Which categories a scan audited, e.g. "Performance only" or "Accessibility, SEO"; null when it audited all of them.
+ * @param {string[]} [categories] - options.categories of a scan
+ */
+export function categoriesLabel(categories) {
+  const ids = resolveCategories(categories);
+  if (!ids) return null;
+  const labels = ids.map((id) => LIGHTHOUSE_CATEGORIES[id].label);
+  return labels.length === 1 ? `${labels[0]} only` : labels.join(', ');
+}
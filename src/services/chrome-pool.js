@@ -0,0 +1,113 @@
+import config from '../config.js';
+
+/**
+ * Caps how many Chrome instances run at once (Lighthouse passes, PDF export, screenshots).
+ * Work beyond the cap waits in a per-owner queue served round-robin, so one user queuing many scans
+ * can't starve everyone else. Owners are strings like "user:12" or "guest".
+ */
+
+let active = 0;
+/** owner -> waiting resolvers. Map order is the round-robin order: a served owner is moved to the back. */
+const waiting = new Map();
+let lastSaturationLog = 0;
+const SATURATION_LOG_INTERVAL_MS = 60 * 1000;
+
+function poolSize() {
+  return config.chromePoolSize;
+}
+
+function makeRelease() {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    active--;
+    dispatch();
+  };
+}
+
+function dispatch() {
+  while (active < poolSize() && waiting.size > 0) {
+    const [owner, queue] = waiting.entries().next().value;
+    const resolve = queue.shift();
+    waiting.delete(owner);
+    if (queue.length > 0) waiting.set(owner, queue);
+    active++;
+    resolve(makeRelease());
+  }
+}
+
+function waitingCount() {
+  let n = 0;
+  for (const queue of waiting.values()) n += queue.length;
+  return n;
+}
+
+/**
+ * Current pool usage.
+ * @returns {{ size: number, active: number, waiting: number, waitingOwners: number, saturated: boolean }}
+ */
+export function getChromePoolStats() {
+  return {
+    size: poolSize(),
+    active,
+    waiting: waitingCount(),
+    waitingOwners: waiting.size,
+    saturated: active >= poolSize(),
+  };
+}
+
+/**
+ * Wait for a free Chrome slot. Resolves with a release function that must be called exactly once when Chrome is closed.
+ * @param {string} owner - Fairness key ("user:<id>" or "guest")
+ * @param {{ onWait?: (stats: object) => void, signal?: AbortSignal }} [hooks] - onWait is called when the pool is full and the caller has to queue; aborting signal leaves the queue
+ * @returns {Promise<() => void>}
+ */
+export function acquireChromeSlot(owner = 'guest', { onWait, signal } = {}) {
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+  if (active < poolSize() && waiting.size === 0) {
+    active++;
+    return Promise.resolve(makeRelease());
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const queue = waiting.get(owner);
+      const index = queue ? queue.indexOf(grant) : -1;
+      if (index === -1) return;
+      queue.splice(index, 1);
+      if (queue.length === 0) waiting.delete(owner);
+      reject(signal.reason);
+    };
+    function grant(release) {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(release);
+    }
+    if (!waiting.has(owner)) waiting.set(owner, []);
+    waiting.get(owner).push(grant);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const stats = getChromePoolStats();
+    const now = Date.now();
+    if (now - lastSaturationLog >= SATURATION_LOG_INTERVAL_MS) {
+      lastSaturationLog = now;
+      console.warn(`Chrome pool saturated: ${stats.active}/${stats.size} in use, ${stats.waiting} waiting (CHROME_POOL_SIZE)`);
+    }
+    if (onWait) onWait(stats);
+  });
+}
+
+/**
+ * Run fn while holding a Chrome slot; the slot is released when fn settles.
+ * @template T
+ * @param {string} owner
+ * @param {() => Promise<T>} fn
+ * @param {{ onWait?: (stats: object) => void, signal?: AbortSignal }} [hooks]
+ * @returns {Promise<T>}
+ */
+export async function withChromeSlot(owner, fn, hooks) {
+  const release = await acquireChromeSlot(owner, hooks);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
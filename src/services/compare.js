@@ -0,0 +1,164 @@
+import { LIGHTHOUSE_CATEGORIES } from './categories.js';
+import { deviceKey, deviceName } from './devices.js';
+import { REGRESSION_METRICS } from './regressions.js';
+import { throttlingKey } from './throttling.js';
+
+/**
+ * Side-by-side comparison of two scans (A, the "before", and B): category score and metric deltas, and which
+ * recommendations (by audit id) B gained, lost or scored differently on. Any two completed scans compare, whatever
+ * their URL or device, e.g. staging against production.
+ */
+
+const METRICS = [
+  { id: 'first-contentful-paint', label: 'First Contentful Paint', short: 'FCP' },
+  { id: 'largest-contentful-paint', label: 'Largest Contentful Paint', short: 'LCP' },
+  { id: 'total-blocking-time', label: 'Total Blocking Time', short: 'TBT' },
+  { id: 'cumulative-layout-shift', label: 'Cumulative Layout Shift', short: 'CLS' },
+  { id: 'speed-index', label: 'Speed Index', short: 'SI' },
+  { id: 'interactive', label: 'Time to Interactive', short: 'TTI' },
+];
+/** Smallest metric change shown as better or worse (absolute, and relative to A) for metrics regressions doesn't check. */
+const DEFAULT_NOISE = { minDelta: 100, minRatio: 0.05 };
+
+function formatMetric(id, v) {
+  if (id === 'cumulative-layout-shift') return v.toFixed(3);
+  return Math.abs(v) >= 1000 ? `${(v / 1000).toFixed(2)} s` : `${Math.round(v)} ms`;
+}
+
+/** A change's size (text) with its sign. */
+function signed(text, delta) {
+  return delta > 0 ? `+${text}` : delta < 0 ? `−${text}` : '±0';
+}
+
+/** 'better', 'worse' or 'same', for a change where higher is better (scores) or lower is (metrics). */
+function direction(delta, higherIsBetter, noise = 0) {
+  if (Math.abs(delta) <= noise) return 'same';
+  return (delta > 0) === higherIsBetter ? 'better' : 'worse';
+}
+
+function compareCategories(a, b) {
+  const ac = (a && a.categories) || {};
+  const bc = (b && b.categories) || {};
+  return Object.entries(LIGHTHOUSE_CATEGORIES)
+    .filter(([id]) => typeof ac[id] === 'number' || typeof bc[id] === 'number')
+    .map(([id, category]) => {
+      const both = typeof ac[id] === 'number' && typeof bc[id] === 'number';
+      const delta = both ? bc[id] - ac[id] : null;
+      return {
+        id,
+        label: category.label,
+        short: category.short,
+        a: ac[id] ?? null,
+        b: bc[id] ?? null,
+        delta,
+        deltaText: both ? signed(String(Math.abs(delta)), delta) : '',
+        direction: both ? direction(delta, true) : 'same',
+      };
+    });
+}
+
+function compareMetrics(a, b) {
+  const am = (a && a.metrics) || {};
+  const bm = (b && b.metrics) || {};
+  const value = (metrics, id) => (metrics[id] && typeof metrics[id].value === 'number' ? metrics[id].value : null);
+  return METRICS
+    .filter((metric) => value(am, metric.id) != null || value(bm, metric.id) != null)
+    .map((metric) => {
+      const av = value(am, metric.id);
+      const bv = value(bm, metric.id);
+      const row = {
+        ...metric,
+        aText: av != null ? (am[metric.id].displayValue || formatMetric(metric.id, av)) : '–',
+        bText: bv != null ? (bm[metric.id].displayValue || formatMetric(metric.id, bv)) : '–',
+        deltaText: '',
+        direction: 'same',
+      };
+      if (av == null || bv == null) return row;
+      const delta = bv - av;
+      const noise = REGRESSION_METRICS.find((m) => m.id === metric.id) || DEFAULT_NOISE;
+      const threshold = Math.max(noise.minDelta, noise.minRatio * Math.abs(av));
+      row.deltaText = delta === 0 ? '±0' : signed(formatMetric(metric.id, Math.abs(delta)), delta);
+      row.percent = av !== 0 ? Math.round((delta / av) * 100) : null;
+      row.direction = direction(delta, false, threshold);
+      return row;
+    });
+}
+
+/**
+ * Recommendations by audit id: appeared (flagged on B only), resolved (flagged on A only, so B passes or skipped
+ * it), improved and worsened (flagged on both, with a higher or lower audit score on B), and how many are unchanged.
+ */
+function compareRecommendations(a, b) {
+  const aRecs = new Map(((a && a.recommendations) || []).map((rec) => [rec.id, rec]));
+  const bRecs = new Map(((b && b.recommendations) || []).map((rec) => [rec.id, rec]));
+  const result = { appeared: [], resolved: [], improved: [], worsened: [], unchanged: 0 };
+  for (const [id, rec] of bRecs) {
+    const before = aRecs.get(id);
+    if (!before) result.appeared.push(rec);
+    else if (rec.score > before.score) result.improved.push({ ...rec, before });
+    else if (rec.score < before.score) result.worsened.push({ ...rec, before });
+    else result.unchanged++;
+  }
+  for (const [id, rec] of aRecs) {
+    if (!bRecs.has(id)) result.resolved.push(rec);
+  }
+  result.appeared.sort((x, y) => x.score - y.score);
+  result.worsened.sort((x, y) => (x.score - x.before.score) - (y.score - y.before.score));
+  result.improved.sort((x, y) => (y.score - y.before.score) - (x.score - x.before.score));
+  return result;
+}
+
+/** What the two scans measured differently: 'URL', 'device' and 'throttling', in that order. */
+function scanDifferences(a, b) {
+  const differences = [];
+  if (a.url !== b.url) differences.push('URL');
+  if (deviceKey(a.options) !== deviceKey(b.options)) differences.push('device');
+  if (throttlingKey(a.options && a.options.throttling) !== throttlingKey(b.options && b.options.throttling)) differences.push('throttling');
+  return differences;
+}
+
+/**
+ * Compare scan B with scan A.
+ * @param {{ url: string, options: object|null, summary: object|null }} a
+ * @param {{ url: string, options: object|null, summary: object|null }} b
+ * @returns {{ differences: string[], categories: object[], metrics: object[], recommendations: { appeared: object[],
+ *   resolved: object[], improved: object[], worsened: object[], unchanged: number } }} differences: see
+ *   scanDifferences. Deltas are B − A; direction is 'better', 'worse' or 'same' (metric changes within run-to-run
+ *   noise count as the same).
+ */
+export function compareScans(a, b) {
+  return {
+    differences: scanDifferences(a, b),
+    categories: compareCategories(a.summary, b.summary),
+    metrics: compareMetrics(a.summary, b.summary),
+    recommendations: compareRecommendations(a.summary, b.summary),
+  };
+}
+
+/** Moments marked on each scan's lane of the filmstrip player. */
+const FILMSTRIP_MARKERS = [
+  { id: 'first-contentful-paint', label: 'FCP' },
+  { id: 'largest-contentful-paint', label: 'LCP' },
+];
+
+/**
+ * A scan's lane in the synchronized filmstrip player.
+ * @param {{ id: number, url: string, options: object|null, summary: object|null }} scan
+ * @param {string} label - Shown above the lane, e.g. "A" or the scan's date
+ * @param {string} filmstripUrl - Where the player fetches the frames ({ frames: [{ timing, data }] })
+ */
+export function filmstripLane(scan, label, filmstripUrl) {
+  const metrics = (scan.summary && scan.summary.metrics) || {};
+  return {
+    scanId: scan.id,
+    label,
+    url: scan.url,
+    device: deviceName(scan.options),
+    createdAt: scan.created_at,
+    formFactor: scan.options && scan.options.formFactor === 'desktop' ? 'desktop' : 'mobile',
+    filmstripUrl,
+    markers: FILMSTRIP_MARKERS
+      .filter((m) => metrics[m.id] && typeof metrics[m.id].value === 'number')
+      .map((m) => ({ ...m, value: metrics[m.id].value, displayValue: metrics[m.id].displayValue || formatMetric(m.id, metrics[m.id].value) })),
+  };
+}
@@ -0,0 +1,147 @@
+import { normalizeRunCount } from './lighthouse.js';
+import { throttlingFormError, throttlingFromForm } from './throttling.js';
+import { categoriesFromForm } from './categories.js';
+import { resolveDevices } from './devices.js';
+import { siteAuthForUrl, siteAuthHeaders } from './site-auth.js';
+import { fetchSitemapUrls } from './sitemap.js';
+
+/**
+ * Crawls: scan many pages of a site from its sitemap. The sitemap's URLs are filtered by include/exclude patterns,
+ * capped, and queued as one scan job per URL (see scan-queue.enqueueCrawl); the crawl page sums up their scans.
+ */
+
+export const MAX_CRAWL_URLS = 500;
+export const DEFAULT_CRAWL_LIMIT = 50;
+/** Crawls a user can have in progress at once. */
+export const MAX_ACTIVE_CRAWLS = 3;
+/** Rows in the worst offenders table. */
+const WORST_OFFENDERS = 10;
+const MAX_URL_LENGTH = 2048;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+function isValidUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function patternLines(text) {
+  return String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * "*" matches any characters; the rest is literal. A pattern matches anywhere in the URL, ignoring case. Since the
+ * pattern isn't anchored, finding each literal part after the previous one is enough: no regex, so no backtracking.
+ * @returns {(url: string) => boolean}
+ */
+function compilePattern(pattern) {
+  const parts = pattern.toLowerCase().split('*').filter(Boolean);
+  return (url) => {
+    const text = url.toLowerCase();
+    let from = 0;
+    for (const part of parts) {
+      const at = text.indexOf(part, from);
+      if (at === -1) return false;
+      from = at + part.length;
+    }
+    return true;
+  };
+}
+
+/**
+ * Apply include/exclude patterns (one per line) and the cap. With include patterns a URL must match one of them;
+ * a URL matching an exclude pattern is dropped.
+ * @param {string[]} urls
+ * @param {{ include: string, exclude: string, limit: number }} filters
+ * @returns {{ matchedCount: number, urls: string[] }} urls: the first `limit` matches
+ */
+export function filterCrawlUrls(urls, { include, exclude, limit }) {
+  const includes = patternLines(include).map(compilePattern);
+  const excludes = patternLines(exclude).map(compilePattern);
+  const matched = urls.filter((url) => (includes.length === 0 || includes.some((matches) => matches(url))) && !excludes.some((matches) => matches(url)));
+  return { matchedCount: matched.length, urls: matched.slice(0, limit) };
+}
+
+/**
+ * Validate the crawl form: sitemap URL, include/exclude patterns, URL limit, plus the scan fields (formFactor, runs,
+ * categories, throttling). Returns { values } for re-rendering and either { error } or { crawl }.
+ * @param {object} body - req.body
+ * @param {number} userId
+ */
+export function parseCrawlForm(body, userId) {
+  const { devices, deviceProfiles } = resolveDevices(userId, body.formFactor);
+  const limit = parseInt(body.limit, 10);
+  const values = {
+    sitemapUrl: typeof body.sitemapUrl === 'string' ? body.sitemapUrl.trim() : '',
+    include: typeof body.include === 'string' ? body.include : '',
+    exclude: typeof body.exclude === 'string' ? body.exclude : '',
+    limit: Number.isNaN(limit) ? DEFAULT_CRAWL_LIMIT : limit,
+    devices,
+    runs: normalizeRunCount(body.runs),
+    throttling: throttlingFromForm(body),
+    categories: categoriesFromForm(body),
+  };
+  if (!isValidUrl(values.sitemapUrl)) return { values, error: 'Enter the http or https URL of a sitemap (e.g. https://example.com/sitemap.xml).' };
+  const patterns = [...patternLines(values.include), ...patternLines(values.exclude)];
+  if (patterns.length > MAX_PATTERNS || patterns.some((p) => p.length > MAX_PATTERN_LENGTH)) {
+    return { values, error: `Use up to ${MAX_PATTERNS} patterns of up to ${MAX_PATTERN_LENGTH} characters.` };
+  }
+  if (values.limit < 1 || values.limit > MAX_CRAWL_URLS) return { values, error: `Scan between 1 and ${MAX_CRAWL_URLS} URLs per crawl.` };
+  if (devices.length === 0) return { values, error: 'Select at least one device.' };
+  const throttlingError = throttlingFormError(body);
+  if (throttlingError) return { values, error: throttlingError };
+  return {
+    values,
+    crawl: {
+      sitemapUrl: values.sitemapUrl,
+      devices,
+      options: { runs: values.runs, throttling: values.throttling, categories: values.categories, deviceProfiles },
+      filters: { include: values.include, exclude: values.exclude, limit: values.limit },
+    },
+  };
+}
+
+/**
+ * Fetch the crawl's sitemap and apply its filters. A saved login matching a sitemap URL is sent with its request.
+ * Throws with a readable message when the sitemap can't be loaded.
+ * @param {number} userId
+ * @param {{ sitemapUrl: string, filters: object }} crawl - From parseCrawlForm
+ * @returns {Promise<{ discoveredCount: number, matchedCount: number, urls: string[], sitemapCount: number, skipped: string[], truncated: boolean }>}
+ */
+export async function discoverCrawlUrls(userId, crawl) {
+  const found = await fetchSitemapUrls(crawl.sitemapUrl, {
+    headersFor: (url) => siteAuthHeaders(siteAuthForUrl(userId, url), url, { cookieHeader: true }),
+  });
+  const { matchedCount, urls } = filterCrawlUrls(found.urls, crawl.filters);
+  return { discoveredCount: found.urls.length, matchedCount, urls, sitemapCount: found.sitemapCount, skipped: found.skipped, truncated: found.truncated };
+}
+
+/**
+ * The crawl page's data: progress counts, one row per URL with its scans, and the lowest scores. Scores are ranked by
+ * Performance, or by the first audited category when the crawl skipped Performance.
+ * @param {object} crawl - Row from db.getCrawlByIdAndUserId
+ * @param {object[]} jobs - From db.getCrawlJobs
+ * @param {object[]} scans - From db.getCrawlScans
+ */
+export function summarizeCrawl(crawl, jobs, scans) {
+  const rankCategory = (crawl.options && crawl.options.categories && crawl.options.categories[0]) || 'performance';
+  const counts = { total: jobs.length, queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+  for (const job of jobs) if (counts[job.status] !== undefined) counts[job.status]++;
+  counts.done = counts.succeeded + counts.failed + counts.cancelled;
+  const scansByJob = new Map();
+  for (const scan of scans) {
+    if (!scansByJob.has(scan.job_id)) scansByJob.set(scan.job_id, []);
+    scansByJob.get(scan.job_id).push(scan);
+  }
+  const rows = jobs.map((job) => ({ job, scans: scansByJob.get(job.id) || [] }));
+  const worst = scans
+    .filter((s) => s.status === 'completed' && s.categories && typeof s.categories[rankCategory] === 'number')
+    .sort((a, b) => a.categories[rankCategory] - b.categories[rankCategory] || a.id - b.id)
+    .slice(0, WORST_OFFENDERS);
+  return { counts, rows, worst, rankCategory };
+}
@@ -0,0 +1,125 @@
+/**
+ * Minimal 5-field cron ("minute hour day-of-month month day-of-week") for scan schedules.
+ * Supports *, numbers, ranges (1-5), steps (*\/15, 0-30/10), lists (1,15) and month/day names (jan, mon).
+ * Day of week is 0-7 (0 and 7 are Sunday). As in Vixie cron, when both day-of-month and day-of-week are
+ * restricted a day matches either. Times are the server's local time.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/** Stop searching for the next run after this many years (e.g. "0 0 30 2 *" never matches). */
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  if (field.names) {
+    const index = field.names.indexOf(lower);
+    if (index !== -1) return index + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${field.name} value "${raw}"`);
+  const value = parseInt(raw, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
+
+/** @returns {{ values: Set<number>, any: boolean }} */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (stepPart !== undefined && (!/^\d+$/.test(stepPart) || step < 1)) {
+      throw new Error(`Invalid step "${stepPart}" in ${field.name}`);
+    }
+    let from;
+    let to;
+    if (rangePart === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (rangePart.includes('-')) {
+      const [a, b] = rangePart.split('-');
+      from = parseValue(a, field);
+      to = parseValue(b, field);
+      if (from > to) throw new Error(`Invalid range "${rangePart}" in ${field.name}`);
+    } else {
+      from = parseValue(rangePart, field);
+      to = stepPart === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  if (field.name === 'day of week' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return { values, any: text === '*' };
+}
+
+/**
+ * Parse a cron expression. Throws an Error with a user-facing message when it is invalid.
+ * @param {string} expression
+ */
+export function parseCron(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/** True when the expression parses. */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function dayMatches(cron, date) {
+  const domMatch = cron.dayOfMonth.values.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.values.has(date.getDay());
+  if (cron.dayOfMonth.any) return dowMatch;
+  if (cron.dayOfWeek.any) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * First time strictly after `after` (to the minute) that matches the expression, or null if none within a few years.
+ * @param {string} expression
+ * @param {Date} [after]
+ * @returns {Date|null}
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+  while (date < limit) {
+    if (!cron.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
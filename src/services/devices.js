@@ -0,0 +1,158 @@
+import * as db from '../db/index.js';
+
+/**
+ * Device profiles a scan can emulate: the built-in phone, desktop and tablet presets plus profiles users define in
+ * settings. A scan stores a snapshot of its profile in options.device (so editing or deleting a profile never rewrites
+ * history) and options.formFactor, Lighthouse's mobile/desktop switch, follows the profile's mobile flag.
+ * Scans saved before profiles existed only have formFactor, which maps to the Mobile or Desktop preset.
+ */
+
+/** Built-in profiles. Mobile and Desktop are the original fixed viewports. */
+export const BUILTIN_DEVICES = {
+  mobile: { id: 'mobile', name: 'Mobile', width: 390, height: 844, deviceScaleFactor: 2, mobile: true, userAgent: null },
+  desktop: { id: 'desktop', name: 'Desktop', width: 1440, height: 900, deviceScaleFactor: 1, mobile: false, userAgent: null },
+  tablet: { id: 'tablet', name: 'Tablet', width: 820, height: 1180, deviceScaleFactor: 2, mobile: true, userAgent: null },
+  'tablet-landscape': { id: 'tablet-landscape', name: 'Tablet (landscape)', width: 1180, height: 820, deviceScaleFactor: 2, mobile: true, userAgent: null },
+};
+
+/** Most devices one scan (or schedule) may run on; each device is a full set of Lighthouse runs. */
+export const MAX_DEVICES_PER_SCAN = 4;
+export const MAX_DEVICE_PROFILES_PER_USER = 20;
+
+const CUSTOM_PREFIX = 'custom:';
+const SHORT_NAMES = { mobile: 'M', desktop: 'D', tablet: 'T', 'tablet-landscape': 'TL' };
+const MAX_NAME_LENGTH = 60;
+const MAX_USER_AGENT_LENGTH = 500;
+const MIN_DIMENSION = 200;
+const MAX_DIMENSION = 4000;
+const MAX_SCALE_FACTOR = 4;
+
+/** Profile snapshot for a device_profiles row. */
+function customDevice(row) {
+  return {
+    id: `${CUSTOM_PREFIX}${row.id}`,
+    name: row.name,
+    width: row.width,
+    height: row.height,
+    deviceScaleFactor: row.device_scale_factor,
+    mobile: Boolean(row.mobile),
+    userAgent: row.user_agent || null,
+  };
+}
+
+/**
+ * The device a scan ran on, from its options (legacy scans: the preset matching formFactor).
+ * @param {{ formFactor?: string, device?: object }|null} [options]
+ */
+export function deviceProfile(options) {
+  if (options && options.device && typeof options.device === 'object' && options.device.id) return options.device;
+  return options && options.formFactor === 'desktop' ? BUILTIN_DEVICES.desktop : BUILTIN_DEVICES.mobile;
+}
+
+/** Identifier used to tell devices apart in groups and trends ("mobile", "tablet", "custom:3"). */
+export function deviceKey(options) {
+  return deviceProfile(options).id;
+}
+
+export function deviceName(options) {
+  return deviceProfile(options).name;
+}
+
+/** One or two letters for compact labels (M, D, T, TL; custom profiles use their initial). */
+export function deviceShortName(options) {
+  const device = deviceProfile(options);
+  return SHORT_NAMES[device.id] || device.name.charAt(0).toUpperCase();
+}
+
+/**
+ * Emulation summary for display, e.g. "390×844 @2x · mobile" (plus "· custom user agent" when one is set).
+ * @param {{ formFactor?: string, device?: object }|null} [options]
+ */
+export function deviceDetails(options) {
+  const device = deviceProfile(options);
+  const parts = [`${device.width}×${device.height} @${device.deviceScaleFactor}x`, device.mobile ? 'mobile' : 'desktop'];
+  if (device.userAgent) parts.push('custom user agent');
+  return parts.join(' · ');
+}
+
+/**
+ * Options for one device of a scan: the shared options plus formFactor and the device snapshot.
+ * @param {object} sharedOptions - Job/scan options (a deviceProfiles map, if present, is dropped)
+ * @param {object} device - Profile snapshot
+ */
+export function deviceScanOptions(sharedOptions, device) {
+  const { deviceProfiles, ...rest } = sharedOptions || {};
+  return { ...rest, formFactor: device.mobile ? 'mobile' : 'desktop', device };
+}
+
+/**
+ * Profile for a device id of a queued job: the snapshot taken when it was queued, else the built-in preset.
+ * @param {object|null} jobOptions
+ * @param {string} id
+ */
+export function jobDevice(jobOptions, id) {
+  const snapshot = jobOptions && jobOptions.deviceProfiles && jobOptions.deviceProfiles[id];
+  return snapshot || BUILTIN_DEVICES[id] || BUILTIN_DEVICES.mobile;
+}
+
+/**
+ * Built-in profiles followed by the user's own, in the order forms list them.
+ * @param {number} userId
+ * @param {Object<string, object>} [saved] - Snapshots already saved on a schedule; they stay selectable after the profile is deleted
+ */
+export function deviceChoices(userId, saved = {}) {
+  const custom = userId != null ? db.getDeviceProfilesByUserId(userId).map(customDevice) : [];
+  const choices = [...Object.values(BUILTIN_DEVICES), ...custom];
+  for (const device of Object.values(saved || {})) {
+    if (device && device.id && !choices.some((d) => d.id === device.id)) choices.push(device);
+  }
+  return choices;
+}
+
+/**
+ * Validate requested device ids against the user's choices.
+ * @param {number} userId
+ * @param {unknown} raw - Form value(s), e.g. req.body.formFactor
+ * @param {Object<string, object>} [saved] - As in deviceChoices
+ * @returns {{ devices: string[], deviceProfiles: Object<string, object> }} ids in list order (at most MAX_DEVICES_PER_SCAN) and their snapshots
+ */
+export function resolveDevices(userId, raw, saved = {}) {
+  const requested = Array.isArray(raw) ? raw : (raw ? [raw] : []);
+  const chosen = deviceChoices(userId, saved).filter((d) => requested.includes(d.id)).slice(0, MAX_DEVICES_PER_SCAN);
+  return {
+    devices: chosen.map((d) => d.id),
+    deviceProfiles: Object.fromEntries(chosen.map((d) => [d.id, d])),
+  };
+}
+
+/**
+ * Validate the device profile form. Returns { error } or { profile } ready for db.createDeviceProfile.
+ * @param {object} body - req.body with name, width, height, deviceScaleFactor, mobile, userAgent
+ */
+export function parseDeviceProfileForm(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) return { error: `Give the device a name (up to ${MAX_NAME_LENGTH} characters).` };
+  const width = parseInt(body.width, 10);
+  const height = parseInt(body.height, 10);
+  if ([width, height].some((n) => Number.isNaN(n) || n < MIN_DIMENSION || n > MAX_DIMENSION)) {
+    return { error: `Width and height must be between ${MIN_DIMENSION} and ${MAX_DIMENSION} pixels.` };
+  }
+  const deviceScaleFactor = parseFloat(body.deviceScaleFactor);
+  if (Number.isNaN(deviceScaleFactor) || deviceScaleFactor < 1 || deviceScaleFactor > MAX_SCALE_FACTOR) {
+    return { error: `Device pixel ratio must be between 1 and ${MAX_SCALE_FACTOR}.` };
+  }
+  const userAgent = typeof body.userAgent === 'string' ? body.userAgent.trim() : '';
+  if (userAgent.length > MAX_USER_AGENT_LENGTH || /[\r\n]/.test(userAgent)) {
+    return { error: 'The user agent must be a single line of up to 500 characters.' };
+  }
+  return {
+    profile: {
+      name,
+      width,
+      height,
+      deviceScaleFactor,
+      mobile: body.mobile === '1' || body.mobile === 'on',
+      userAgent: userAgent || null,
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import * as db from '../db/index.js';
+import config from '../config.js';
+import { LIGHTHOUSE_CATEGORIES } from './categories.js';
+import { deviceName } from './devices.js';
+import { isMailConfigured, renderEmail, sendMail } from './mailer.js';
+import { emailFooterText } from './notifications.js';
+
+/**
+ * Weekly digest email, for users who turned it on: every page (URL and device) scanned in the last 7 days with its
+ * latest scores and how they changed since the scan before, the biggest Performance gains and drops, and the pages
+ * whose scans broke their budget. An in-process timer sends it on Monday mornings (server time); digest_sent_at
+ * records the last one, so a restart neither skips nor repeats a week.
+ */
+
+const DIGEST_DAYS = 7;
+/** Digests go out from this weekday (0 = Sunday) and hour on, server local time. */
+const DIGEST_WEEKDAY = 1;
+const DIGEST_HOUR = 8;
+/** Pages listed as best and worst movers. */
+const MOVERS = 3;
+const TICK_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+/** SQLite datetime ("YYYY-MM-DD HH:MM:SS", UTC), the format scans.created_at uses. */
+function sqliteTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/** The latest digest time (Monday 08:00 local) at or before now. */
+export function digestPeriodStart(now = new Date()) {
+  const start = new Date(now);
+  start.setHours(DIGEST_HOUR, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() - DIGEST_WEEKDAY + 7) % 7));
+  if (start > now) start.setDate(start.getDate() - 7);
+  return start;
+}
+
+function formatChange(change) {
+  if (change == null) return '';
+  return change > 0 ? `+${change}` : change < 0 ? `−${-change}` : '±0';
+}
+
+/**
+ * What a user's digest reports for the 7 days before now, or null when they completed no scans in that time.
+ * @returns {{ since: Date, until: Date, scanCount: number, pages: object[], best: object[], worst: object[],
+ *   budgetBreaches: object[] }|null} pages: { url, device, scanCount, latest, scores: [{ id, label, short, value,
+ *   change }], performanceChange, budgetBreaches }
+ */
+export function buildWeeklyDigest(userId, now = new Date()) {
+  const since = new Date(now.getTime() - DIGEST_DAYS * DAY_MS);
+  const { scans, before } = db.getDigestScans(userId, sqliteTime(since));
+  if (scans.length === 0) return null;
+  const pagesByKey = new Map();
+  for (const scan of scans) {
+    const key = `${scan.device_key} ${scan.url}`;
+    let page = pagesByKey.get(key);
+    if (!page) {
+      const previous = before.find((b) => b.url === scan.url && b.device_key === scan.device_key);
+      page = { url: scan.url, device: deviceName(scan.options), from: previous || scan, latest: scan, scanCount: 0, budgetBreaches: 0, lastBreachScanId: null };
+      pagesByKey.set(key, page);
+    }
+    page.latest = scan;
+    page.scanCount++;
+    if (scan.budget_failed > 0) {
+      page.budgetBreaches++;
+      page.lastBreachScanId = scan.id;
+    }
+  }
+  const pages = [...pagesByKey.values()].map((page) => {
+    const scores = Object.entries(LIGHTHOUSE_CATEGORIES)
+      .filter(([id]) => typeof page.latest.categories[id] === 'number')
+      .map(([id, category]) => {
+        const from = page.from !== page.latest ? page.from.categories[id] : undefined;
+        const value = page.latest.categories[id];
+        return { id, label: category.label, short: category.short, value, change: typeof from === 'number' ? value - from : null };
+      });
+    const performance = scores.find((s) => s.id === 'performance');
+    return {
+      url: page.url,
+      device: page.device,
+      scanCount: page.scanCount,
+      latestScanId: page.latest.id,
+      lastBreachScanId: page.lastBreachScanId,
+      budgetBreaches: page.budgetBreaches,
+      scores,
+      performance: performance ? performance.value : null,
+      performanceChange: performance ? performance.change : null,
+    };
+  });
+  pages.sort((a, b) => a.url.localeCompare(b.url) || a.device.localeCompare(b.device));
+  const moved = pages.filter((p) => p.performanceChange);
+  return {
+    since,
+    until: now,
+    scanCount: scans.length,
+    pages,
+    best: moved.filter((p) => p.performanceChange > 0).sort((a, b) => b.performanceChange - a.performanceChange).slice(0, MOVERS),
+    worst: moved.filter((p) => p.performanceChange < 0).sort((a, b) => a.performanceChange - b.performanceChange).slice(0, MOVERS),
+    budgetBreaches: pages.filter((p) => p.budgetBreaches > 0),
+  };
+}
+
+function formatDay(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function digestText(digest) {
+  const page = (p) => `${p.url} (${p.device})`;
+  const lines = [
+    `Your week in performance, ${formatDay(digest.since)} – ${formatDay(digest.until)}`,
+    `${digest.scanCount} scan${digest.scanCount === 1 ? '' : 's'} of ${digest.pages.length} page${digest.pages.length === 1 ? '' : 's'}.`,
+  ];
+  const movers = (title, list) => {
+    if (list.length === 0) return;
+    lines.push('', title);
+    for (const p of list) lines.push(`- ${page(p)}: ${p.performance - p.performanceChange} → ${p.performance} (${formatChange(p.performanceChange)})`);
+  };
+  movers('Biggest Performance gains', digest.best);
+  movers('Biggest Performance drops', digest.worst);
+  if (digest.budgetBreaches.length) {
+    lines.push('', 'Budget breaches');
+    for (const p of digest.budgetBreaches) {
+      lines.push(`- ${page(p)}: ${p.budgetBreaches} of ${p.scanCount} scan${p.scanCount === 1 ? '' : 's'} over budget. ${config.publicUrl}/scans/${p.lastBreachScanId}`);
+    }
+  }
+  lines.push('', 'All pages');
+  for (const p of digest.pages) {
+    const scores = p.scores.map((s) => `${s.short} ${s.value}${s.change != null ? ` (${formatChange(s.change)})` : ''}`).join(' · ');
+    lines.push(`- ${page(p)}: ${scores || 'no scores'}`);
+  }
+  lines.push('', `History: ${config.publicUrl}/scans`);
+  return `${lines.join('\n')}\n${emailFooterText('You get this email because the weekly digest is on.')}`;
+}
+
+/**
+ * Build and email a user's digest for the 7 days before now. Returns false (sending nothing) when they completed no
+ * scans in that time; rejects when the email can't be sent.
+ * @param {{ id: number, email: string }} user
+ */
+export async function sendWeeklyDigest(user, now = new Date()) {
+  const digest = buildWeeklyDigest(user.id, now);
+  if (!digest) return false;
+  const subject = `Weekly performance digest: ${digest.pages.length} page${digest.pages.length === 1 ? '' : 's'}`
+    + (digest.worst.length ? `, ${digest.worst.length} dropped` : '')
+    + (digest.budgetBreaches.length ? `, ${digest.budgetBreaches.length} over budget` : '');
+  const html = await renderEmail('digest', {
+    subject,
+    digest,
+    period: `${formatDay(digest.since)} – ${formatDay(digest.until)}`,
+    formatChange,
+  });
+  await sendMail({ to: user.email, subject, text: digestText(digest), html });
+  return true;
+}
+
+async function sendDueDigests() {
+  if (!isMailConfigured()) return;
+  const now = new Date();
+  const periodStart = digestPeriodStart(now).toISOString();
+  let recipients;
+  try {
+    recipients = db.getDigestRecipients(periodStart);
+  } catch (err) {
+    console.error('Digest error:', err);
+    return;
+  }
+  for (const user of recipients) {
+    if (!db.claimDigest(user.id, periodStart, now.toISOString())) continue;
+    try {
+      await sendWeeklyDigest(user, now);
+    } catch (err) {
+      console.error('Digest for user %d failed, retrying later:', user.id, err.message);
+      db.releaseDigest(user.id, user.digest_sent_at);
+    }
+  }
+}
+
+/** Start sending weekly digests. A week missed while the server was down is sent on startup (once). */
+export function startDigestScheduler() {
+  if (timer) return;
+  timer = setInterval(sendDueDigests, TICK_MS);
+  timer.unref();
+  setImmediate(sendDueDigests);
+}
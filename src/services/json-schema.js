@@ -0,0 +1,119 @@
+/**
+ * Validation of values against the JSON Schema subset OpenAPI 3.0 documents use (services/openapi.js): type (with
+ * nullable), enum, string length, pattern and format, number bounds, array items and length, object properties,
+ * required and additionalProperties, allOf/oneOf/anyOf and local $refs. Unknown keywords are ignored.
+ */
+
+const FORMATS = {
+  'date': { name: 'date (YYYY-MM-DD)', test: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) },
+  'date-time': { name: 'date and time (ISO 8601)', test: (v) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(v) },
+  uri: { name: 'URL', test: (v) => /^[a-z][a-z0-9+.-]*:/i.test(v) },
+};
+
+function resolveRef(schema, root) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    if (!resolved.$ref.startsWith('#/')) throw new Error(`Unsupported $ref ${resolved.$ref}`);
+    resolved = resolved.$ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+    if (!resolved) throw new Error(`Unresolved $ref ${schema.$ref}`);
+  }
+  return resolved;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Values from a query string, path or form are all strings: read numbers and booleans as the schema expects, and a
+ * single value as a one-item array.
+ */
+function coerce(schema, value) {
+  if (typeof value === 'string') {
+    if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  }
+  if (schema.type === 'array' && value !== undefined && !Array.isArray(value)) return [value];
+  return value;
+}
+
+function check(schema, value, path, root, options, errors) {
+  schema = resolveRef(schema, root);
+  if (options.coerce) value = coerce(schema, value);
+  const at = path || 'value';
+  if (value === null) {
+    if (!schema.nullable && schema.type) errors.push(`${at} must not be null`);
+    return;
+  }
+  if (schema.allOf) for (const sub of schema.allOf) check(sub, value, path, root, options, errors);
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (!schema[keyword]) continue;
+    const results = schema[keyword].map((sub) => validateSchema(sub, value, { ...options, root, path }));
+    const matches = results.filter((r) => r.length === 0).length;
+    if (keyword === 'oneOf' ? matches !== 1 : matches === 0) {
+      /* When only one form has the value's type (e.g. a string or an object), its problems say more. */
+      const type = typeOf(value);
+      const sameType = schema[keyword]
+        .map((sub, i) => ({ type: resolveRef(sub, root).type, i }))
+        .filter((sub) => !sub.type || sub.type === type || (sub.type === 'number' && type === 'integer'));
+      if (matches === 0 && sameType.length === 1) errors.push(...results[sameType[0].i]);
+      else errors.push(`${at} must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of its allowed forms`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+  const type = typeOf(value);
+  if (schema.type && schema.type !== type && !(schema.type === 'number' && type === 'integer')) {
+    errors.push(`${at} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+  if (type === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at} must have at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at} must have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} is not in the expected format`);
+    const format = FORMATS[schema.format];
+    if (format && !format.test(value)) errors.push(`${at} must be a ${format.name}`);
+  } else if (type === 'integer' || type === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  } else if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, root, options, errors));
+  } else if (type === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path ? `${path}.` : ''}${name} is required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${name}` : name;
+      if (item === undefined) continue;
+      if (properties[name]) check(properties[name], item, itemPath, root, options, errors);
+      else if (schema.additionalProperties === false) errors.push(`${itemPath} is not allowed`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, item, itemPath, root, options, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Problems with value against schema, as messages naming where they are (e.g. "devices[1] must be one of: …");
+ * empty when it is valid.
+ * @param {object} schema
+ * @param {unknown} value
+ * @param {{ root?: object, path?: string, coerce?: boolean }} [options] - root: the document $refs point into;
+ *   path: the name of value in messages; coerce: value comes from a query string, path or form (see coerce)
+ * @returns {string[]}
+ */
+export function validateSchema(schema, value, { root = {}, path = '', coerce: coerceValues = false } = {}) {
+  const errors = [];
+  check(schema, value, path, root, { coerce: coerceValues }, errors);
+  return errors;
+}
@@ -1,19 +1,54 @@
-import lighthouse from 'lighthouse';
+import lighthouse, { startFlow } from 'lighthouse';
 import * as chromeLauncher from 'chrome-launcher';
 import puppeteer from 'puppeteer-core';
 import config from '../config.js';
-
-/** Viewports matching screen emulation (desktop/mobile). */
-const VIEWPORTS = {
-  desktop: { width: 1440, height: 900, deviceScaleFactor: 1 },
-  mobile: { width: 390, height: 844, deviceScaleFactor: 2 },
-};
+import { withChromeSlot } from './chrome-pool.js';
+import { lighthouseThrottlingSettings } from './throttling.js';
+import { deviceProfile } from './devices.js';
+import { applySiteAuth } from './site-auth.js';
 
 const WEBP_QUALITY = 85;
 const PAGE_LOAD_TIMEOUT_MS = 30000;
 
-/** Number of Lighthouse runs to perform; median summary is used for stable scores (aligns with PageSpeed methodology). */
-const MEDIAN_RUNS = 3;
+/** Allowed Lighthouse runs per scan; the median summary is used for stable scores (aligns with PageSpeed methodology). */
+export const RUN_COUNTS = [1, 3, 5, 7];
+export const DEFAULT_RUNS = 3;
+
+/** A page is flagged unstable when the performance score's stddev across runs reaches this many points... */
+const UNSTABLE_SCORE_STDDEV = 5;
+/** ...or a timing metric's stddev reaches this fraction of its median (coefficient of variation). */
+const UNSTABLE_METRIC_CV = 0.2;
+const UNSTABLE_METRIC_IDS = ['first-contentful-paint', 'largest-contentful-paint', 'speed-index'];
+
+/** Longest a flow step waits for an element to appear. */
+const FLOW_STEP_TIMEOUT_MS = 30000;
+/** Metrics kept per flow step: loading metrics for navigations, responsiveness for timespans (snapshots have none). */
+const FLOW_METRIC_IDS = {
+  navigation: ['first-contentful-paint', 'largest-contentful-paint', 'total-blocking-time', 'cumulative-layout-shift', 'speed-index'],
+  timespan: ['interaction-to-next-paint', 'total-blocking-time', 'cumulative-layout-shift'],
+  snapshot: [],
+};
+/** Recommendations kept per flow step. */
+const FLOW_MAX_RECOMMENDATIONS = 10;
+
+const METRIC_IDS = [
+  'first-contentful-paint',
+  'largest-contentful-paint',
+  'total-blocking-time',
+  'cumulative-layout-shift',
+  'speed-index',
+  'interactive',
+];
+
+/**
+ * Coerce a requested run count to one of RUN_COUNTS (DEFAULT_RUNS when missing or not allowed).
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function normalizeRunCount(value) {
+  const n = parseInt(value, 10);
+  return RUN_COUNTS.includes(n) ? n : DEFAULT_RUNS;
+}
 
 function median(values) {
   if (!Array.isArray(values) || values.length === 0) return null;
@@ -23,29 +58,54 @@ function median(values) {
   return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
+/** Min, max and population standard deviation of the non-null values, or null when there are none. */
+function spread(values) {
+  const nums = values.filter((v) => v != null && !Number.isNaN(v));
+  if (nums.length === 0) return null;
+  const mean = nums.reduce((a, b) => a + b, 0) / nums.length;
+  const variance = nums.reduce((acc, v) => acc + (v - mean) ** 2, 0) / nums.length;
+  return { min: Math.min(...nums), max: Math.max(...nums), stddev: Math.sqrt(variance) };
+}
+
+/** The run whose performance score is closest to the median (first run when no run has a performance score). */
+function pickMedianRun(runs) {
+  const perfScores = runs.map((r) => (r.summary.categories && r.summary.categories.performance) ?? null).filter((v) => v != null);
+  const medianPerf = median(perfScores);
+  if (medianPerf == null) return runs[0];
+  return runs.reduce((best, r) => {
+    const score = (r.summary.categories && r.summary.categories.performance) ?? 0;
+    const bestScore = (best.summary.categories && best.summary.categories.performance) ?? 0;
+    return Math.abs(score - medianPerf) < Math.abs(bestScore - medianPerf) ? r : best;
+  });
+}
+
 /**
- * Take full-page WebP screenshot using the same Chrome instance (by port).
- * Uses deviceScaleFactor 1 for mobile to avoid Chromium/Puppeteer bugs with
+ * Take full-page WebP screenshot using the same Chrome instance (by port), with the scan's device viewport.
+ * Uses deviceScaleFactor 1 for mobile devices to avoid Chromium/Puppeteer bugs with
  * fullPage + deviceScaleFactor 2 (clipping, duplication, or capture failure).
  * @param {number} port - Chrome remote debugging port
  * @param {string} url - Page URL
- * @param {'desktop'|'mobile'} formFactor
+ * @param {object} device - Profile from deviceProfile
+ * @param {object|null} [siteAuth] - Saved login (see site-auth.applySiteAuth), applied like in the Lighthouse run
  * @returns {Promise<{ buffer: Buffer, ext: 'webp' } | null>}
  */
-async function takeScreenshotInBrowser(port, url, formFactor) {
-  const vp = VIEWPORTS[formFactor] || VIEWPORTS.mobile;
+async function takeScreenshotInBrowser(port, url, device, siteAuth = null) {
   let browser;
   try {
     browser = await puppeteer.connect({
       browserURL: `http://127.0.0.1:${port}`,
     });
     const page = await browser.newPage();
-    const screenshotScale = formFactor === 'mobile' ? 1 : vp.deviceScaleFactor;
+    const screenshotScale = device.mobile ? 1 : device.deviceScaleFactor;
     await page.setViewport({
-      width: vp.width,
-      height: vp.height,
+      width: device.width,
+      height: device.height,
       deviceScaleFactor: screenshotScale,
+      isMobile: device.mobile,
+      hasTouch: device.mobile,
     });
+    if (device.userAgent) await page.setUserAgent(device.userAgent);
+    await applySiteAuth(page, siteAuth);
     await page.goto(url, {
       waitUntil: 'load',
       timeout: PAGE_LOAD_TIMEOUT_MS,
@@ -60,117 +120,225 @@ async function takeScreenshotInBrowser(port, url, formFactor) {
     return { buffer: Buffer.from(buffer), ext: 'webp' };
   } catch (err) {
     if (browser) await browser.disconnect().catch(() => {});
-    console.error('Screenshot in Lighthouse session failed (%s):', formFactor, err.message);
+    console.error('Screenshot in Lighthouse session failed (%s):', device.name, err.message);
     return null;
   }
 }
 
+/** chrome-launcher's kill() is synchronous and throws if the process can't be signalled (e.g. it already exited). */
+function killChrome(chrome) {
+  try {
+    chrome.kill();
+  } catch {
+    /* already gone */
+  }
+}
+
 /**
- * Run a single Lighthouse pass (launch Chrome, run audit, screenshot, kill).
- * @param {string} url - Valid http(s) URL
- * @param {{ formFactor?: 'mobile'|'desktop', categories?: string[] }} options
- * @returns {{ report: object, summary: object, screenshot: { buffer: Buffer, ext: 'webp' } | null }}
+ * Launch Chrome for one run. Aborting signal rejects `aborted` with signal.reason and kills Chrome straight away:
+ * Chrome can take a while to start, and Lighthouse to notice it was killed. Call release() once the run is over.
+ * Launch failures throw with code CHROME_LAUNCH_FAILED.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ chrome: object, aborted: Promise<never>, release: () => void }>}
  */
-async function runOneLighthouseRun(url, options) {
+async function launchChromeForRun(signal) {
   const launchOpts = { chromeFlags: config.chromeFlags };
   if (config.chromePath) {
     launchOpts.chromePath = config.chromePath;
   }
+  let rejectOnAbort;
+  const aborted = new Promise((resolve, reject) => { rejectOnAbort = reject; });
+  aborted.catch(() => {});
   let chrome;
+  const onAbort = () => {
+    rejectOnAbort(signal.reason);
+    if (chrome) killChrome(chrome);
+  };
+  const release = () => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+  if (signal) {
+    if (signal.aborted) throw signal.reason;
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  const launching = chromeLauncher.launch(launchOpts);
   try {
-    chrome = await chromeLauncher.launch(launchOpts);
+    chrome = await Promise.race([launching, aborted]);
   } catch (launchErr) {
+    release();
+    if (signal && signal.aborted) {
+      launching.then(killChrome, () => {});
+      throw signal.reason;
+    }
     const msg =
       launchErr.code === 'ECONNREFUSED'
         ? 'Chrome started but could not connect. Ensure Chromium/Chrome is installed and set CHROME_PATH if needed (see README).'
         : launchErr.message;
-    throw new Error(`Chrome failed to start: ${msg}`);
+    throw Object.assign(new Error(`Chrome failed to start: ${msg}`), { code: 'CHROME_LAUNCH_FAILED' });
+  }
+  return { chrome, aborted, release };
+}
+
+/**
+ * Lighthouse settings for a scan's device, throttling and categories.
+ * @param {{ formFactor?: 'mobile'|'desktop', device?: object, categories?: string[], throttling?: object }} options
+ */
+function lighthouseSettings(options) {
+  const device = deviceProfile(options);
+  const settings = {
+    formFactor: device.mobile ? 'mobile' : 'desktop',
+    screenEmulation: {
+      mobile: device.mobile,
+      width: device.width,
+      height: device.height,
+      deviceScaleFactor: device.deviceScaleFactor,
+      disabled: false,
+    },
+    ...lighthouseThrottlingSettings(options.throttling),
+  };
+  if (device.userAgent) {
+    settings.emulatedUserAgent = device.userAgent;
+  }
+  if (options.categories && options.categories.length) {
+    settings.onlyCategories = options.categories;
   }
+  return settings;
+}
+
+/** Lighthouse errors come back as "Lighthouse run failed: …"; a refused connection means Chrome died before Lighthouse got to it. */
+function lighthouseRunError(err) {
+  const msg =
+    err.code === 'ECONNREFUSED'
+      ? 'Chrome exited before Lighthouse could connect. Try installing Chromium (e.g. apt install chromium-browser) and set CHROME_PATH to its binary (see README).'
+      : err.message;
+  const code = err.code === 'ECONNREFUSED' ? 'CHROME_LAUNCH_FAILED' : err.code;
+  return Object.assign(new Error(`Lighthouse run failed: ${msg}`), { code });
+}
+
+/**
+ * Run a single Lighthouse pass (launch Chrome, run audit, screenshot, kill).
+ * Aborting signal kills Chrome straight away and rejects with signal.reason; nothing from the pass is returned.
+ * Errors carry a `code` (Lighthouse error code, or CHROME_LAUNCH_FAILED) for classifyScanError; a page that failed to load
+ * (LHR runtimeError) is thrown rather than returned with empty scores.
+ * @param {string} url - Valid http(s) URL
+ * @param {{ formFactor?: 'mobile'|'desktop', device?: object, categories?: string[], throttling?: object }} options - device as in deviceProfile (missing = the formFactor preset), throttling as in resolveThrottling (missing = Slow 4G simulated)
+ * @param {(progress: { phase: string, message: string }) => void} [onProgress]
+ * @param {AbortSignal} [signal]
+ * @param {object|null} [siteAuth] - Saved login (see site-auth.siteAuthForUrl)
+ * @returns {{ report: object, summary: object, screenshot: { buffer: Buffer, ext: 'webp' } | null }}
+ */
+async function runOneLighthouseRun(url, options, onProgress, signal, siteAuth = null) {
+  const { chrome, aborted, release } = await launchChromeForRun(signal);
+  let browser;
   try {
     const lighthouseOptions = {
       port: chrome.port,
       logLevel: 'error',
       output: 'json',
     };
-    const formFactor = options.formFactor === 'desktop' ? 'desktop' : 'mobile';
-    const settings = {
-      formFactor,
-      screenEmulation: formFactor === 'desktop'
-        ? { mobile: false, width: 1440, height: 900, deviceScaleFactor: 1, disabled: false }
-        : { mobile: true, width: 390, height: 844, deviceScaleFactor: 2, disabled: false },
-    };
-    if (options.categories && options.categories.length) {
-      settings.onlyCategories = options.categories;
-    }
+    const device = deviceProfile(options);
     const lighthouseConfig = {
       extends: 'lighthouse:default',
-      settings,
+      settings: lighthouseSettings(options),
       // Full-resolution filmstrip (no thumbnail scaling), more frames for smoother load video
       audits: [
         { path: 'screenshot-thumbnails', options: { thumbnailWidth: null, numberOfThumbnails: 25 } },
       ],
     };
-    const result = await lighthouse(url, lighthouseOptions, lighthouseConfig);
+    /* A saved login has to be applied to the page before Lighthouse loads it; without one Lighthouse opens its own. */
+    let page;
+    if (siteAuth) {
+      browser = await Promise.race([
+        puppeteer.connect({ browserURL: `http://127.0.0.1:${chrome.port}`, defaultViewport: null }),
+        aborted,
+      ]);
+      page = await browser.newPage();
+      await applySiteAuth(page, siteAuth);
+    }
+    const audit = lighthouse(url, lighthouseOptions, lighthouseConfig, page);
+    audit.catch(() => {});
+    const result = await Promise.race([audit, aborted]);
+    if (browser) await browser.disconnect();
     const lhr = result.lhr;
+    /* Page load failures (DNS, TLS, HTTP errors, hangs) don't throw: Lighthouse reports them in runtimeError. */
+    if (lhr.runtimeError && lhr.runtimeError.code) {
+      throw Object.assign(new Error(lhr.runtimeError.message || lhr.runtimeError.code), { code: lhr.runtimeError.code });
+    }
     const summary = extractSummary(lhr);
     const screenshotUrl = lhr.finalUrl || url;
-    const screenshot = await takeScreenshotInBrowser(chrome.port, screenshotUrl, formFactor);
+    if (onProgress) onProgress({ phase: 'screenshot', message: 'Capturing screenshot' });
+    const screenshot = await Promise.race([takeScreenshotInBrowser(chrome.port, screenshotUrl, device, siteAuth), aborted]);
+    if (signal && signal.aborted) throw signal.reason;
     await chrome.kill();
     return { report: lhr, summary, screenshot };
   } catch (lighthouseErr) {
-    await chrome.kill().catch(() => {});
-    const msg =
-      lighthouseErr.code === 'ECONNREFUSED'
-        ? 'Chrome exited before Lighthouse could connect. Try installing Chromium (e.g. apt install chromium-browser) and set CHROME_PATH to its binary (see README).'
-        : lighthouseErr.message;
-    throw new Error(`Lighthouse run failed: ${msg}`);
+    if (browser) await browser.disconnect().catch(() => {});
+    killChrome(chrome);
+    if (signal && signal.aborted) throw signal.reason;
+    throw lighthouseRunError(lighthouseErr);
+  } finally {
+    release();
   }
 }
 
+/** A metric value written the way Lighthouse's displayValue does (for a median no single run measured). */
+function formatMetricValue(id, value) {
+  if (id === 'cumulative-layout-shift') return String(Math.round(value * 1000) / 1000);
+  if (id === 'total-blocking-time') return `${Math.round(value / 10) * 10} ms`;
+  return `${(value / 1000).toFixed(1)} s`;
+}
+
 /**
- * Build a summary from median category scores and median metric values across runs.
+ * Build a summary from median category scores and median metric values across runs; a metric's displayValue is the
+ * one of the run that measured the median.
  * Recommendations and metadata (finalUrl, chromeVersion) come from the run whose performance score is closest to the median.
+ * Each run's scores and metric values are kept in `runs`; with more than one run, `spread` holds min/max/stddev per
+ * category and metric (metrics also get `unstable: true` past UNSTABLE_METRIC_CV) and `unstable` flags a noisy page.
  */
-function mergeMedianSummary(runs) {
+export function mergeMedianSummary(runs) {
   if (!Array.isArray(runs) || runs.length === 0) return null;
   const first = runs[0].summary;
   if (!first) return null;
 
   const categories = {};
+  const categorySpread = {};
   for (const id of Object.keys(first.categories || {})) {
     const values = runs.map((r) => r.summary.categories && r.summary.categories[id]).filter((v) => v != null);
     const m = median(values);
-    if (m != null) categories[id] = Math.round(m);
+    if (m != null) {
+      categories[id] = Math.round(m);
+      categorySpread[id] = spread(values);
+    }
   }
 
   const metrics = {};
-  const metricIds = [
-    'first-contentful-paint',
-    'largest-contentful-paint',
-    'total-blocking-time',
-    'cumulative-layout-shift',
-    'speed-index',
-    'interactive',
-  ];
-  for (const id of metricIds) {
+  const metricSpread = {};
+  for (const id of METRIC_IDS) {
     const values = runs.map((r) => r.summary.metrics && r.summary.metrics[id] && r.summary.metrics[id].value).filter((v) => v != null);
     const m = median(values);
     if (m != null) {
-      const runWithMedian = runs.find((r) => r.summary.metrics && r.summary.metrics[id]);
+      const runWithMedian = runs.find((r) => r.summary.metrics && r.summary.metrics[id] && r.summary.metrics[id].value === m);
       const displayValue = runWithMedian && runWithMedian.summary.metrics[id].displayValue;
-      metrics[id] = { value: m, displayValue: displayValue || String(m) };
+      metrics[id] = { value: m, displayValue: displayValue || formatMetricValue(id, m) };
+      const s = spread(values);
+      if (UNSTABLE_METRIC_IDS.includes(id) && m > 0 && s.stddev / m >= UNSTABLE_METRIC_CV) s.unstable = true;
+      metricSpread[id] = s;
     }
   }
 
-  const perfScores = runs.map((r) => (r.summary.categories && r.summary.categories.performance) ?? null).filter((v) => v != null);
-  const medianPerf = median(perfScores);
-  const bestRun = medianPerf == null
-    ? runs[0]
-    : runs.reduce((best, r) => {
-        const score = (r.summary.categories && r.summary.categories.performance) ?? 0;
-        const bestScore = (best.summary.categories && best.summary.categories.performance) ?? 0;
-        return Math.abs(score - medianPerf) < Math.abs(bestScore - medianPerf) ? r : best;
-      });
+  const bestRun = pickMedianRun(runs);
+  const perRun = runs.map((r) => ({
+    categories: { ...(r.summary.categories || {}) },
+    metrics: Object.fromEntries(
+      Object.entries(r.summary.metrics || {}).map(([id, metric]) => [id, metric.value])
+    ),
+  }));
+  const multiRun = runs.length > 1;
+  const perfSpread = categorySpread.performance;
+  const unstable = multiRun && (
+    (perfSpread != null && perfSpread.stddev >= UNSTABLE_SCORE_STDDEV) ||
+    Object.values(metricSpread).some((s) => s.unstable)
+  );
 
   return {
     categories,
@@ -178,40 +346,176 @@ function mergeMedianSummary(runs) {
     recommendations: (bestRun.summary.recommendations || []).slice(),
     finalUrl: bestRun.summary.finalUrl || first.finalUrl,
     chromeVersion: bestRun.summary.chromeVersion || first.chromeVersion,
+    runCount: runs.length,
+    runs: perRun,
+    spread: multiRun ? { categories: categorySpread, metrics: metricSpread } : null,
+    unstable,
   };
 }
 
 /**
  * Run Lighthouse on a URL and return full report, summary, and full-page screenshot.
- * Runs Lighthouse MEDIAN_RUNS times and uses the median of category scores and metrics for the summary (aligns with PageSpeed Insights methodology).
+ * Runs Lighthouse options.runs times (see RUN_COUNTS) and uses the median of category scores and metrics for the summary (aligns with PageSpeed Insights methodology).
  * The stored report and screenshot are from the run whose performance score is closest to the median.
  * @param {string} url - Valid http(s) URL
- * @param {{ formFactor?: 'mobile'|'desktop', categories?: string[] }} options
+ * @param {{ formFactor?: 'mobile'|'desktop', categories?: string[], runs?: number, throttling?: object }} options
+ * Each run holds a Chrome pool slot only while its browser is open, so other users' runs can interleave.
+ * @param {{ onProgress?: (progress: { phase: string, message: string, run?: number, runs?: number }) => void, owner?: string, signal?: AbortSignal, siteAuth?: object|null }} [hooks] - Phase changes for live progress; owner is the Chrome pool fairness key; aborting signal stops the current run and rejects with signal.reason;
+ *   siteAuth (saved site login, see site-auth.siteAuthForUrl) is sent to the requests in its scope and kept out of options so it is never stored
  * @returns {{ report: object, summary: object, screenshot: { buffer: Buffer, ext: 'webp' } | null }}
  */
-export async function runLighthouse(url, options = {}) {
+export async function runLighthouse(url, options = {}, { onProgress, owner = 'guest', signal, siteAuth = null } = {}) {
+  const runCount = normalizeRunCount(options.runs);
   const runs = [];
-  for (let i = 0; i < MEDIAN_RUNS; i++) {
-    const result = await runOneLighthouseRun(url, options);
+  for (let i = 0; i < runCount; i++) {
+    if (signal) signal.throwIfAborted();
+    const runLabel = runCount > 1 ? `Run ${i + 1} of ${runCount}: ` : '';
+    const runProgress = onProgress && ((p) => onProgress({
+      ...p,
+      run: i + 1,
+      runs: runCount,
+      message: runLabel ? `${runLabel}${p.message.charAt(0).toLowerCase()}${p.message.slice(1)}` : p.message,
+    }));
+    const onWait = runProgress && ((stats) => runProgress({ phase: 'waiting', message: `Waiting for a free browser (${stats.active}/${stats.size} busy)` }));
+    const result = await withChromeSlot(owner, () => {
+      if (runProgress) runProgress({ phase: 'run', message: 'Running Lighthouse' });
+      return runOneLighthouseRun(url, options, runProgress, signal, siteAuth);
+    }, { onWait, signal });
     runs.push(result);
   }
-  const medianSummary = mergeMedianSummary(runs);
-  const perfScores = runs.map((r) => (r.summary.categories && r.summary.categories.performance) ?? null).filter((v) => v != null);
-  const medianPerf = median(perfScores);
-  const bestRun = medianPerf == null
-    ? runs[0]
-    : runs.reduce((best, r) => {
-        const score = (r.summary.categories && r.summary.categories.performance) ?? 0;
-        const bestScore = (best.summary.categories && best.summary.categories.performance) ?? 0;
-        return Math.abs(score - medianPerf) < Math.abs(bestScore - medianPerf) ? r : best;
-      });
+  const bestRun = pickMedianRun(runs);
   return {
     report: bestRun.report,
-    summary: medianSummary,
+    summary: mergeMedianSummary(runs),
     screenshot: bestRun.screenshot,
   };
 }
 
+/**
+ * Perform one flow step: Lighthouse measures navigate, click-navigate, timespan and snapshot steps; Puppeteer does the
+ * clicks, typing and waits in between (inside an open timespan, those interactions are what it measures).
+ * @param {object} flow - Lighthouse UserFlow
+ * @param {object} page - Puppeteer page
+ * @param {{ type: string, target: string, value: string }} step
+ */
+async function runFlowStep(flow, page, step) {
+  const flags = { name: step.value || undefined };
+  const waitFor = (selector) => page.waitForSelector(selector, { visible: true, timeout: FLOW_STEP_TIMEOUT_MS });
+  switch (step.type) {
+    case 'navigate':
+      return flow.navigate(step.target, flags);
+    case 'click-navigate':
+      await waitFor(step.target);
+      await flow.startNavigation(flags);
+      await page.click(step.target);
+      return flow.endNavigation();
+    case 'click':
+      await waitFor(step.target);
+      return page.click(step.target);
+    case 'type':
+      await waitFor(step.target);
+      return page.type(step.target, step.value);
+    case 'wait-selector':
+      return waitFor(step.target);
+    case 'wait-ms':
+      return new Promise((resolve) => setTimeout(resolve, Number(step.target)).unref());
+    case 'timespan-start':
+      return flow.startTimespan(flags);
+    case 'timespan-end':
+      return flow.endTimespan();
+    case 'snapshot':
+      return flow.snapshot(flags);
+    default:
+      throw new Error(`Unknown step type "${step.type}"`);
+  }
+}
+
+/** Scores, mode-specific metrics and top recommendations of one flow step's LHR. */
+function summarizeFlowStep(step) {
+  const lhr = step.lhr;
+  const { categories, recommendations, finalUrl } = extractSummary(lhr);
+  const audits = lhr.audits || {};
+  const metrics = {};
+  for (const id of FLOW_METRIC_IDS[lhr.gatherMode] || []) {
+    const audit = audits[id];
+    if (audit && audit.numericValue != null) {
+      metrics[id] = { value: audit.numericValue, displayValue: audit.displayValue || String(audit.numericValue) };
+    }
+  }
+  return {
+    name: step.name,
+    mode: lhr.gatherMode,
+    url: lhr.finalDisplayedUrl || finalUrl,
+    categories,
+    metrics,
+    recommendations: recommendations.slice(0, FLOW_MAX_RECOMMENDATIONS),
+  };
+}
+
+/** One flow run in its own Chrome (see runUserFlow). */
+async function runUserFlowInBrowser(steps, options, name, onProgress, signal, siteAuth) {
+  const { chrome, aborted, release } = await launchChromeForRun(signal);
+  let browser;
+  try {
+    browser = await Promise.race([
+      puppeteer.connect({ browserURL: `http://127.0.0.1:${chrome.port}`, defaultViewport: null }),
+      aborted,
+    ]);
+    const page = await browser.newPage();
+    await applySiteAuth(page, siteAuth);
+    const flow = await startFlow(page, {
+      name,
+      config: { extends: 'lighthouse:default', settings: lighthouseSettings(options) },
+    });
+    for (const [index, step] of steps.entries()) {
+      if (onProgress) onProgress({ phase: 'step', step: index + 1, steps: steps.length, message: `Step ${index + 1} of ${steps.length}` });
+      try {
+        await Promise.race([runFlowStep(flow, page, step), aborted]);
+      } catch (err) {
+        if (signal && signal.aborted) throw err;
+        throw Object.assign(err, { flowStep: index + 1 });
+      }
+    }
+    if (onProgress) onProgress({ phase: 'audit', message: 'Building the flow report' });
+    const flowResult = await Promise.race([flow.createFlowResult(), aborted]);
+    const failedIndex = flowResult.steps.findIndex((step) => step.lhr.runtimeError && step.lhr.runtimeError.code);
+    if (failedIndex !== -1) {
+      const { runtimeError } = flowResult.steps[failedIndex].lhr;
+      throw Object.assign(new Error(runtimeError.message || runtimeError.code), { code: runtimeError.code, flowStep: failedIndex + 1 });
+    }
+    await browser.disconnect();
+    await chrome.kill();
+    return { report: flowResult, summary: { steps: flowResult.steps.map(summarizeFlowStep) } };
+  } catch (flowErr) {
+    if (browser) await browser.disconnect().catch(() => {});
+    killChrome(chrome);
+    if (signal && signal.aborted) throw signal.reason;
+    /* A failing step keeps its own message; the caller says which step it was. */
+    if (flowErr.flowStep) throw flowErr;
+    throw lighthouseRunError(flowErr);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Run a user flow (see user-flows.js) in one Chrome session with Lighthouse's flow API. Runs once: steps can have
+ * side effects (submitting a form, adding to a cart), so there is no median of several runs.
+ * Errors from a step carry `flowStep` (1-based index); a step whose page failed to load is thrown like in runLighthouse.
+ * @param {Array<{ type: string, target: string, value: string }>} steps - Validated steps
+ * @param {{ formFactor?: 'mobile'|'desktop', device?: object, categories?: string[], throttling?: object }} options
+ * @param {{ name?: string, onProgress?: Function, owner?: string, signal?: AbortSignal, siteAuth?: object|null }} [hooks] - As for runLighthouse; name titles the flow report.
+ *   Step progress has phase 'step' with its 1-based step number.
+ * @returns {Promise<{ report: object, summary: { steps: object[] } }>} Lighthouse's flow result and per-step summaries
+ */
+export async function runUserFlow(steps, options = {}, { name, onProgress, owner = 'guest', signal, siteAuth = null } = {}) {
+  const onWait = onProgress && ((stats) => onProgress({ phase: 'waiting', message: `Waiting for a free browser (${stats.active}/${stats.size} busy)` }));
+  return withChromeSlot(owner, () => {
+    if (onProgress) onProgress({ phase: 'run', message: 'Starting the flow' });
+    return runUserFlowInBrowser(steps, options, name, onProgress, signal, siteAuth);
+  }, { onWait, signal });
+}
+
 /**
  * Normalize a Lighthouse category score to 0-100.
  * LHR stores scores in 0-1 range; we always persist 0-100 for display.
@@ -252,15 +556,7 @@ function extractSummary(lhr) {
   }
   const audits = lhr.audits || {};
   const metrics = {};
-  const metricIds = [
-    'first-contentful-paint',
-    'largest-contentful-paint',
-    'total-blocking-time',
-    'cumulative-layout-shift',
-    'speed-index',
-    'interactive',
-  ];
-  for (const id of metricIds) {
+  for (const id of METRIC_IDS) {
     const audit = audits[id];
     if (audit && audit.numericValue != null) {
       metrics[id] = {
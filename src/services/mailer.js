@@ -0,0 +1,54 @@
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import ejs from 'ejs';
+import nodemailer from 'nodemailer';
+import config from '../config.js';
+
+/**
+ * Outgoing email over the SMTP server in config.smtp. Without SMTP_HOST, email is off and nothing is sent.
+ * HTML bodies are EJS templates in views/emails; every message also has a plain-text body.
+ */
+
+const EMAIL_VIEWS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'views', 'emails');
+
+const SEND_TIMEOUT_MS = 20 * 1000;
+
+let transport = null;
+
+export function isMailConfigured() {
+  return !!config.smtp.host;
+}
+
+function getTransport() {
+  if (!transport) {
+    const { host, port, secure, user, pass } = config.smtp;
+    transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS,
+      greetingTimeout: SEND_TIMEOUT_MS,
+      socketTimeout: SEND_TIMEOUT_MS,
+    });
+  }
+  return transport;
+}
+
+/**
+ * Send one email. Rejects when email is off or the SMTP server refuses it.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!isMailConfigured()) throw new Error('Email is not configured (set SMTP_HOST).');
+  await getTransport().sendMail({ from: config.smtp.from, to, subject, text, html });
+}
+
+/**
+ * Render views/emails/<name>.ejs to HTML. Templates get data plus appUrl (config.publicUrl) for links.
+ * @param {string} name
+ * @param {object} data
+ */
+export function renderEmail(name, data) {
+  return ejs.renderFile(join(EMAIL_VIEWS_DIR, `${name}.ejs`), { ...data, appUrl: config.publicUrl });
+}
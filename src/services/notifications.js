@@ -0,0 +1,102 @@
+import * as db from '../db/index.js';
+import config from '../config.js';
+import { deviceName } from './devices.js';
+import { scanFailureLabel } from './scan-errors.js';
+import { isMailConfigured, renderEmail, sendMail } from './mailer.js';
+
+/**
+ * Email alerts for saved scans: a failed scan and a scan with regressions each send one email to users who turned
+ * that alert on under Settings → Email notifications. Sending happens in the background; a failure is logged and
+ * never affects the scan.
+ */
+
+const SETTINGS_LINK = '/settings#settings-notifications-heading';
+
+/** Email preferences from the settings form (checkboxes: scanFailures, regressions, digest). */
+export function notificationSettingsFromForm(body) {
+  return {
+    scanFailures: body.scanFailures === '1',
+    regressions: body.regressions === '1',
+    digest: body.digest === '1',
+  };
+}
+
+/** Plain-text footer shared by every email: why it was sent and where to change that. */
+export function emailFooterText(reason) {
+  return `\n--\n${reason} Change your email settings at ${config.publicUrl}${SETTINGS_LINK}\n`;
+}
+
+function baselineText(result) {
+  if (result.mode === 'pinned') return 'the pinned baseline scan';
+  if (result.mode === 'median') return result.baselineCount === 1 ? 'the previous scan' : `the median of the ${result.baselineCount} previous scans`;
+  return 'the previous scan';
+}
+
+function failureEmail(scan) {
+  const device = deviceName(scan.options);
+  const label = scanFailureLabel(scan);
+  const reportUrl = `${config.publicUrl}/scans/${scan.id}`;
+  return {
+    subject: `Scan failed: ${scan.url} (${device})`,
+    text: `The ${device} scan of ${scan.url} failed: ${label}.\n\n${scan.error || ''}\n\nReport: ${reportUrl}\n`
+      + emailFooterText('You get this email because scan failure alerts are on.'),
+    template: { kind: 'failed', device, label, reportUrl },
+  };
+}
+
+function regressionEmail(scan) {
+  const device = deviceName(scan.options);
+  const result = scan.regression_result;
+  const checks = result.checks.filter((check) => check.regressed);
+  const reportUrl = `${config.publicUrl}/scans/${scan.id}`;
+  const lines = checks.map((c) => `- ${c.label}: ${c.baselineText} → ${c.valueText} (${c.changeText}; threshold ${c.thresholdText})`);
+  return {
+    subject: `Regression: ${scan.url} (${device}) — ${checks.map((c) => c.label).join(', ')}`,
+    text: `The ${device} scan of ${scan.url} got worse than ${baselineText(result)}:\n\n${lines.join('\n')}\n\nReport: ${reportUrl}\n`
+      + emailFooterText('You get this email because regression alerts are on.'),
+    template: { kind: 'regression', device, checks, baseline: baselineText(result), reportUrl },
+  };
+}
+
+async function deliverScanAlert(to, scan, { subject, text, template }) {
+  const html = await renderEmail('scan-alert', { scan, subject, ...template });
+  await sendMail({ to, subject, text, html });
+}
+
+/**
+ * Email the alerts a saved scan raises to its owner, as their settings ask. Never throws; the email is sent in the
+ * background.
+ * @param {number} userId
+ * @param {{ id: number, url: string, options: object|null, status: string, regression_result?: object,
+ *   failure_reason?: string, error?: string }} scan
+ */
+export function sendScanAlerts(userId, scan) {
+  try {
+    if (!isMailConfigured()) return;
+    const settings = db.getNotificationSettings(userId);
+    if (!settings) return;
+    const emails = [];
+    if (scan.status === 'failed' && settings.scanFailures) emails.push(failureEmail(scan));
+    if (scan.status === 'completed' && settings.regressions && scan.regression_result && scan.regression_result.regressed > 0) {
+      emails.push(regressionEmail(scan));
+    }
+    if (emails.length === 0) return;
+    const user = db.findUserById(userId);
+    for (const email of emails) {
+      deliverScanAlert(user.email, scan, email).catch((err) => {
+        console.error('Scan %d: alert email failed:', scan.id, err.message);
+      });
+    }
+  } catch (e) {
+    console.error('Scan alert failed (scan saved):', e.message);
+  }
+}
+
+/** Send a test email to check the SMTP settings. Rejects with the SMTP error. */
+export async function sendTestEmail(to) {
+  const subject = 'UPGS Perf test email';
+  const text = `Email from UPGS Perf works. Scan alerts and digests will be sent to ${to}.\n`
+    + emailFooterText('You get this email because you asked for a test email.');
+  const html = await renderEmail('test', { subject, to });
+  await sendMail({ to, subject, text, html });
+}
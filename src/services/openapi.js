@@ -0,0 +1,865 @@
+import config from '../config.js';
+import { LIGHTHOUSE_CATEGORIES } from './categories.js';
+import { RUN_COUNTS } from './lighthouse.js';
+import { THROTTLING_METHODS, THROTTLING_PROFILES } from './throttling.js';
+import { API_TOKEN_SCOPES } from './api-tokens.js';
+import { TREND_GRANULARITIES } from './trends.js';
+import { EXPORT_FORMATS } from './scan-export.js';
+import { validateSchema } from './json-schema.js';
+
+/**
+ * OpenAPI 3.0 description of the HTTP API: the token-authenticated REST API (/api/v1) and the session-authenticated
+ * JSON endpoints the web pages call (/scans/jobs/…, /trends/data, …). It is served at /api/openapi.json and checked
+ * against the Express routers at startup (openApiRouteProblems); middleware/openapi.js validates requests and
+ * responses with it, so a route can't change shape without the document changing too.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const json = (schema) => ({ 'application/json': { schema } });
+const text = { 'text/plain': { schema: { type: 'string' } } };
+const html = { 'text/html': { schema: { type: 'string' } } };
+/** Web app POSTs come from fetch with JSON and from HTML forms. */
+const formOrJson = (schema) => ({ ...json(schema), 'application/x-www-form-urlencoded': { schema } });
+const response = (description, content) => (content ? { description, content } : { description });
+
+const CATEGORY_IDS = Object.keys(LIGHTHOUSE_CATEGORIES);
+const THROTTLING_PROFILE_IDS = Object.keys(THROTTLING_PROFILES);
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const SCAN_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const API_ERRORS = {
+  400: 'The request is invalid (`invalid_request`, `invalid_json`): what is wrong is in the message.',
+  401: 'No valid API token was sent (`unauthorized`).',
+  403: 'The token lacks the scope the endpoint needs (`insufficient_scope`).',
+  404: 'Nothing with that id belongs to the token’s user (`not_found`).',
+  409: 'The job has already finished (`conflict`).',
+  413: 'The body is too large (`payload_too_large`).',
+  415: 'The body is neither JSON nor a form (`unsupported_media_type`).',
+  429: 'The token made too many requests (`rate_limited`).',
+  500: 'Something went wrong on the server (`internal_error`).',
+};
+
+/** Error responses of a REST API operation (every one can answer 401, 429 and 500). */
+function apiErrors(...statuses) {
+  return Object.fromEntries([...new Set([401, 429, 500, ...statuses])].map((status) => [status, response(API_ERRORS[status], json(ref('ApiError')))]));
+}
+
+const WEB_ERRORS = {
+  400: response('The request is invalid.', json(ref('WebError'))),
+  401: response('Not signed in: { error } for JSON clients; others are redirected to the login page.', json(ref('WebError'))),
+  403: response('The CSRF token is missing or wrong.', text),
+  404: response('Nothing with that id belongs to the signed-in user.', json(ref('WebError'))),
+  415: response('The body is neither a form nor JSON: { error } for JSON clients, text for others.', { ...json(ref('WebError')), ...text }),
+};
+
+/** Error responses of a session endpoint (every one can answer 401). */
+function webErrors(...statuses) {
+  return Object.fromEntries([401, ...statuses].map((status) => [status, WEB_ERRORS[status]]));
+}
+
+const idParameter = (what) => ({ name: 'id', in: 'path', required: true, description: `The ${what}’s id.`, schema: { type: 'integer', minimum: 1 } });
+const API = [{ bearerAuth: [] }];
+const SESSION = [{ sessionCookie: [] }];
+
+const csrfProperty = { _csrf: { type: 'string', description: 'The session’s CSRF token (the `csrf-token` meta tag of any page).' } };
+const trendsQuery = [
+  { name: 'url', in: 'query', required: true, description: 'The page, exactly as scanned.', schema: { type: 'string', minLength: 1 } },
+  { name: 'from', in: 'query', description: 'First day (UTC) included.', schema: { type: 'string', format: 'date' } },
+  { name: 'to', in: 'query', description: 'Last day (UTC) included.', schema: { type: 'string', format: 'date' } },
+  { name: 'granularity', in: 'query', description: 'Single scans, or medians and 75th percentiles per day or week.', schema: { type: 'string', enum: TREND_GRANULARITIES, default: 'scan' } },
+  { name: 'throttling', in: 'query', description: 'A profile key from `profiles` (default: the most recently used).', schema: { type: 'string' } },
+];
+
+const schemas = {
+  ApiError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'invalid_request' },
+          message: { type: 'string' },
+        },
+      },
+    },
+  },
+  WebError: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+  CategoryScores: {
+    type: 'object',
+    description: 'Lighthouse category scores (0–100) by category id; categories a scan didn’t audit are missing.',
+    additionalProperties: { type: 'number', nullable: true },
+  },
+  MetricValues: {
+    type: 'object',
+    description: 'Metric values by Lighthouse audit id: milliseconds, except cumulative-layout-shift (unitless).',
+    additionalProperties: { type: 'number' },
+  },
+  Throttling: {
+    type: 'object',
+    required: ['profile', 'method', 'rttMs', 'throughputKbps', 'cpuSlowdownMultiplier'],
+    properties: {
+      profile: { type: 'string', enum: THROTTLING_PROFILE_IDS },
+      method: { type: 'string', enum: THROTTLING_METHODS },
+      rttMs: { type: 'number' },
+      throughputKbps: { type: 'number' },
+      cpuSlowdownMultiplier: { type: 'number' },
+    },
+  },
+  ScanFailure: {
+    type: 'object',
+    required: ['reason', 'label', 'error'],
+    properties: {
+      reason: { type: 'string', nullable: true },
+      label: { type: 'string' },
+      error: { type: 'string', nullable: true },
+    },
+  },
+  ScanLinks: {
+    type: 'object',
+    required: ['self', 'lhr', 'report'],
+    properties: {
+      self: { type: 'string', format: 'uri' },
+      lhr: { type: 'string', format: 'uri' },
+      report: { type: 'string', format: 'uri', description: 'The report page in the web app.' },
+    },
+  },
+  ScanListItem: {
+    type: 'object',
+    required: ['id', 'url', 'status', 'createdAt', 'device', 'throttling', 'categories', 'metrics', 'failure', 'links'],
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      status: { type: 'string', enum: SCAN_STATUSES },
+      createdAt: { type: 'string', format: 'date-time' },
+      runId: { type: 'string', nullable: true, description: 'Shared by the scans of one submission (one per device).' },
+      device: ref('Device'),
+      throttling: ref('Throttling'),
+      categories: ref('CategoryScores'),
+      metrics: ref('MetricValues'),
+      budgetFailed: { type: 'integer', nullable: true, description: 'Budget limits broken; null when no budget applies.' },
+      regressed: { type: 'integer', nullable: true, description: 'Metrics worse than the baseline; null when not compared.' },
+      failure: nullable(ref('ScanFailure')),
+      links: ref('ScanLinks'),
+    },
+  },
+  Scan: {
+    type: 'object',
+    required: ['id', 'url', 'status', 'createdAt', 'device', 'throttling', 'options', 'summary', 'budget', 'regression', 'failure', 'links'],
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      status: { type: 'string', enum: SCAN_STATUSES },
+      createdAt: { type: 'string', format: 'date-time' },
+      runId: { type: 'string', nullable: true },
+      device: ref('Device'),
+      throttling: ref('Throttling'),
+      options: { type: 'object', description: 'Settings the scan ran with (device, runs, categories, throttling).' },
+      summary: {
+        type: 'object',
+        nullable: true,
+        description: 'Scores, metrics (value and display value), recommendations and run details; null for failed and cancelled scans.',
+        properties: {
+          categories: ref('CategoryScores'),
+          metrics: { type: 'object', additionalProperties: { type: 'object', properties: { value: { type: 'number' }, displayValue: { type: 'string' } } } },
+          runCount: { type: 'integer' },
+        },
+      },
+      budget: { type: 'object', nullable: true, description: 'Budget check: each limit with the scan’s value, and how many failed.' },
+      regression: { type: 'object', nullable: true, description: 'Comparison with the baseline, and how many metrics regressed.' },
+      failure: nullable(ref('ScanFailure')),
+      links: ref('ScanLinks'),
+    },
+  },
+  Device: {
+    type: 'object',
+    required: ['key', 'name'],
+    properties: {
+      key: { type: 'string', description: 'Built-in device id (mobile, desktop, …) or custom:<id>.' },
+      name: { type: 'string' },
+    },
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'status', 'url', 'devices', 'deviceNames', 'position', 'error', 'createdAt', 'startedAt', 'finishedAt', 'scans', 'links'],
+    properties: {
+      id: { type: 'integer' },
+      status: { type: 'string', enum: JOB_STATUSES },
+      url: { type: 'string' },
+      devices: { type: 'array', items: { type: 'string' } },
+      deviceNames: { type: 'array', items: { type: 'string' } },
+      position: { type: 'integer', nullable: true, description: 'Place in the queue while queued.' },
+      error: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time', nullable: true },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true },
+      scans: {
+        type: 'array',
+        description: 'Scans saved so far, one per device once it finishes (failed and cancelled ones included).',
+        items: {
+          type: 'object',
+          required: ['id', 'status', 'device', 'links'],
+          properties: {
+            id: { type: 'integer' },
+            status: { type: 'string', enum: SCAN_STATUSES },
+            device: { type: 'string' },
+            links: ref('ScanLinks'),
+          },
+        },
+      },
+      links: { type: 'object', required: ['self'], properties: { self: { type: 'string', format: 'uri' } } },
+    },
+  },
+  ScanRequest: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: 2048, description: 'An http or https URL.' },
+      devices: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: 1,
+        maxItems: 4,
+        default: ['mobile'],
+        description: 'Device ids: mobile, desktop, tablet, tablet-landscape or custom:<id> (your profiles in Settings).',
+      },
+      runs: { type: 'integer', enum: RUN_COUNTS, description: 'Lighthouse runs per device; the median is kept.' },
+      categories: { type: 'array', items: { type: 'string', enum: CATEGORY_IDS }, description: 'Audit only these (default: all).' },
+      throttling: {
+        description: 'A profile id, or a profile with its method. The custom profile needs rttMs, throughputKbps and cpuSlowdownMultiplier.',
+        oneOf: [
+          { type: 'string', enum: THROTTLING_PROFILE_IDS },
+          {
+            type: 'object',
+            required: ['profile'],
+            properties: {
+              profile: { type: 'string', enum: THROTTLING_PROFILE_IDS },
+              method: { type: 'string', enum: THROTTLING_METHODS },
+              rttMs: { type: 'number', minimum: 0 },
+              throughputKbps: { type: 'number', minimum: 0 },
+              cpuSlowdownMultiplier: { type: 'number', minimum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  },
+  TrendPoint: {
+    type: 'object',
+    required: ['id', 'created_at', 'categories', 'metrics'],
+    properties: {
+      id: { type: 'integer' },
+      created_at: { type: 'string', description: 'UTC, "YYYY-MM-DD HH:MM:SS".' },
+      categories: ref('CategoryScores'),
+      metrics: ref('MetricValues'),
+    },
+  },
+  TrendDevice: {
+    type: 'object',
+    required: ['key', 'name', 'short'],
+    properties: { key: { type: 'string' }, name: { type: 'string' }, short: { type: 'string' } },
+  },
+  Trends: {
+    type: 'object',
+    required: ['url', 'from', 'to', 'granularity', 'profiles', 'throttling', 'scans', 'buckets', 'summary'],
+    properties: {
+      url: { type: 'string' },
+      from: { type: 'string', format: 'date', nullable: true },
+      to: { type: 'string', format: 'date', nullable: true },
+      granularity: { type: 'string', enum: TREND_GRANULARITIES },
+      profiles: {
+        type: 'array',
+        description: 'Throttling profiles the page was scanned with, most recently used first.',
+        items: { type: 'object', required: ['key', 'label', 'count'], properties: { key: { type: 'string' }, label: { type: 'string' }, count: { type: 'integer' } } },
+      },
+      throttling: { type: 'object', nullable: true, properties: { key: { type: 'string' }, label: { type: 'string' } } },
+      scans: {
+        type: 'array',
+        description: 'Scans in the range, oldest first (at most 500).',
+        items: {
+          type: 'object',
+          required: ['id', 'created_at', 'device', 'categories', 'metrics', 'status'],
+          properties: {
+            id: { type: 'integer' },
+            created_at: { type: 'string' },
+            run_id: { type: 'string', nullable: true },
+            device: ref('TrendDevice'),
+            categories: ref('CategoryScores'),
+            metrics: ref('MetricValues'),
+            audited: { type: 'string', nullable: true, description: 'Categories audited when not all of them.' },
+            status: { type: 'string', enum: SCAN_STATUSES },
+            failure: nullable(ref('ScanFailure')),
+          },
+        },
+      },
+      buckets: {
+        type: 'array',
+        description: 'Per day or week and device (empty for granularity scan).',
+        items: {
+          type: 'object',
+          required: ['start', 'device', 'count', 'median', 'p75'],
+          properties: {
+            start: { type: 'string', format: 'date' },
+            device: ref('TrendDevice'),
+            count: { type: 'integer' },
+            median: { type: 'object', additionalProperties: { type: 'number', nullable: true } },
+            p75: { type: 'object', additionalProperties: { type: 'number', nullable: true } },
+          },
+        },
+      },
+      summary: {
+        type: 'array',
+        description: 'Per device: its latest scan, its newest scan at least 30 days older, and its best and worst in the range.',
+        items: {
+          type: 'object',
+          required: ['device', 'latest', 'previous', 'best', 'worst'],
+          properties: {
+            device: ref('TrendDevice'),
+            latest: nullable(ref('TrendPoint')),
+            previous: nullable(ref('TrendPoint')),
+            best: nullable(ref('TrendPoint')),
+            worst: nullable(ref('TrendPoint')),
+          },
+        },
+      },
+    },
+  },
+  WebJob: {
+    type: 'object',
+    required: ['id', 'status', 'url', 'devices', 'deviceNames', 'position', 'error', 'redirect', 'created_at'],
+    properties: {
+      id: { type: 'integer' },
+      status: { type: 'string', enum: JOB_STATUSES },
+      url: { type: 'string' },
+      flowId: { type: 'integer', nullable: true },
+      devices: { type: 'array', items: { type: 'string' } },
+      deviceNames: { type: 'array', items: { type: 'string' } },
+      position: { type: 'integer', nullable: true },
+      error: { type: 'string', nullable: true },
+      redirect: { type: 'string', nullable: true, description: 'Page to open once the job is done (the report, or history).' },
+      created_at: { type: 'string' },
+      started_at: { type: 'string', nullable: true },
+      finished_at: { type: 'string', nullable: true },
+    },
+  },
+  JobQueued: {
+    type: 'object',
+    required: ['jobId', 'statusUrl'],
+    properties: { jobId: { type: 'integer' }, statusUrl: { type: 'string', example: '/scans/jobs/42' } },
+  },
+};
+
+const paths = {
+  '/api/openapi.json': {
+    get: {
+      tags: ['Docs'],
+      summary: 'This document',
+      security: [],
+      responses: { 200: response('The OpenAPI document.', json({ type: 'object' })) },
+    },
+  },
+
+  '/api/v1/me': {
+    get: {
+      tags: ['REST API'],
+      summary: 'The token and its user',
+      security: API,
+      responses: {
+        200: response('Who the token belongs to and its scopes.', json({
+          type: 'object',
+          required: ['data'],
+          properties: {
+            data: {
+              type: 'object',
+              required: ['user', 'token'],
+              properties: {
+                user: { type: 'object', required: ['id', 'email'], properties: { id: { type: 'integer' }, email: { type: 'string' }, name: { type: 'string', nullable: true } } },
+                token: {
+                  type: 'object',
+                  required: ['id', 'name', 'scopes'],
+                  properties: { id: { type: 'integer' }, name: { type: 'string' }, scopes: { type: 'array', items: { type: 'string', enum: Object.keys(API_TOKEN_SCOPES) } } },
+                },
+              },
+            },
+          },
+        })),
+        ...apiErrors(),
+      },
+    },
+  },
+  '/api/v1/scans': {
+    get: {
+      tags: ['REST API'],
+      summary: 'List and search scans',
+      description: 'Newest first. Needs the `scans:read` scope.',
+      security: API,
+      parameters: [
+        { name: 'q', in: 'query', description: 'Only scans whose URL contains this.', schema: { type: 'string' } },
+        { name: 'project', in: 'query', description: 'Only scans of this project’s pages.', schema: { type: 'integer', minimum: 1 } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+      ],
+      responses: {
+        200: response('A page of scans.', json({
+          type: 'object',
+          required: ['data', 'pagination'],
+          properties: {
+            data: { type: 'array', items: ref('ScanListItem') },
+            pagination: {
+              type: 'object',
+              required: ['limit', 'offset', 'total'],
+              properties: { limit: { type: 'integer' }, offset: { type: 'integer' }, total: { type: 'integer' } },
+            },
+          },
+        })),
+        ...apiErrors(400, 403, 404),
+      },
+    },
+    post: {
+      tags: ['REST API'],
+      summary: 'Start a scan',
+      description: 'Queues a scan of the URL on each device and answers with the job; poll `GET /api/v1/jobs/{id}` until its '
+        + 'status is succeeded, failed or cancelled. Needs the `scans:write` scope; each token may start 20 scans per 15 minutes.',
+      security: API,
+      requestBody: {
+        required: true,
+        content: { ...json(ref('ScanRequest')), 'application/x-www-form-urlencoded': { schema: ref('ScanRequest') } },
+      },
+      responses: {
+        202: response('The queued job. Location points at it.', json({ type: 'object', required: ['data'], properties: { data: ref('Job') } })),
+        ...apiErrors(400, 403, 413, 415),
+      },
+    },
+  },
+  '/api/v1/scans/{id}': {
+    get: {
+      tags: ['REST API'],
+      summary: 'A scan with its summary',
+      description: 'Needs the `scans:read` scope.',
+      security: API,
+      parameters: [idParameter('scan')],
+      responses: {
+        200: response('The scan.', json({ type: 'object', required: ['data'], properties: { data: ref('Scan') } })),
+        ...apiErrors(400, 403, 404),
+      },
+    },
+  },
+  '/api/v1/scans/{id}/lhr': {
+    get: {
+      tags: ['REST API'],
+      summary: 'A scan’s Lighthouse result (LHR)',
+      description: 'The full Lighthouse JSON as saved, not wrapped in `data`. Needs the `scans:read` scope.',
+      security: API,
+      parameters: [idParameter('scan')],
+      responses: {
+        200: response('The Lighthouse result.', json({ type: 'object' })),
+        ...apiErrors(400, 403, 404),
+      },
+    },
+  },
+  '/api/v1/jobs/{id}': {
+    get: {
+      tags: ['REST API'],
+      summary: 'A scan job’s status',
+      description: 'Needs the `scans:read` scope.',
+      security: API,
+      parameters: [idParameter('job')],
+      responses: {
+        200: response('The job.', json({ type: 'object', required: ['data'], properties: { data: ref('Job') } })),
+        ...apiErrors(400, 403, 404),
+      },
+    },
+  },
+  '/api/v1/jobs/{id}/cancel': {
+    post: {
+      tags: ['REST API'],
+      summary: 'Cancel a scan job',
+      description: 'Devices that hadn’t finished are saved as cancelled scans. Needs the `scans:write` scope.',
+      security: API,
+      parameters: [idParameter('job')],
+      responses: {
+        202: response('Cancelled (a running job stops shortly after).', json({ type: 'object', required: ['data'], properties: { data: ref('Job') } })),
+        ...apiErrors(400, 403, 404, 409),
+      },
+    },
+  },
+  '/api/v1/trends': {
+    get: {
+      tags: ['REST API'],
+      summary: 'A page’s trends',
+      description: 'The data the Trends page charts. Needs the `scans:read` scope.',
+      security: API,
+      parameters: trendsQuery,
+      responses: {
+        200: response('Trends of the page.', json({ type: 'object', required: ['data'], properties: { data: ref('Trends') } })),
+        ...apiErrors(400, 403),
+      },
+    },
+  },
+
+  '/scans': {
+    post: {
+      tags: ['Web app'],
+      summary: 'Start a scan (dashboard form)',
+      description: 'With `Accept: application/json` answers 202 with the job; otherwise redirects to the dashboard, which follows it.',
+      security: SESSION,
+      requestBody: {
+        required: true,
+        content: formOrJson({
+          type: 'object',
+          required: ['_csrf'],
+          properties: {
+            ...csrfProperty,
+            url: { type: 'string', description: 'An http or https URL (checked by the route, which shows the dashboard with the error).' },
+            formFactor: { type: 'array', items: { type: 'string' }, description: 'Device ids.' },
+            runs: { type: 'integer' },
+            categories: { type: 'array', items: { type: 'string' } },
+            throttling: { type: 'string' },
+            throttlingMethod: { type: 'string' },
+            rttMs: { type: 'number' },
+            throughputKbps: { type: 'number' },
+            cpuSlowdownMultiplier: { type: 'number' },
+          },
+        }),
+      },
+      responses: {
+        202: response('Queued.', json(ref('JobQueued'))),
+        302: response('Queued; redirects to the dashboard.'),
+        400: response('Invalid URL, no device or custom throttling without its values: the dashboard with the error. Invalid fields: { error } for JSON clients, text for others.', {
+          ...html,
+          ...json(ref('WebError')),
+          ...text,
+        }),
+        429: response('Too many scans started in 15 minutes.', text),
+        500: response('Queueing failed: the dashboard with the error.', html),
+        ...webErrors(403, 415),
+      },
+    },
+  },
+  '/scans/jobs/{id}': {
+    get: {
+      tags: ['Web app'],
+      summary: 'A scan job’s status',
+      security: SESSION,
+      parameters: [idParameter('job')],
+      responses: { 200: response('The job.', json(ref('WebJob'))), ...webErrors(400, 404) },
+    },
+  },
+  '/scans/jobs/{id}/cancel': {
+    post: {
+      tags: ['Web app'],
+      summary: 'Cancel a scan job',
+      security: SESSION,
+      parameters: [idParameter('job')],
+      requestBody: { required: true, content: formOrJson({ type: 'object', required: ['_csrf'], properties: csrfProperty }) },
+      responses: {
+        202: response('Cancelled.', json({ type: 'object', required: ['cancelled'], properties: { cancelled: { type: 'boolean' } } })),
+        302: response('Non-JSON clients are redirected to history.'),
+        409: response('The job has already finished.', json({ type: 'object', required: ['error'], properties: { error: { type: 'string' }, job: ref('WebJob') } })),
+        ...webErrors(400, 403, 404, 415),
+      },
+    },
+  },
+  '/scans/jobs/{id}/events': {
+    get: {
+      tags: ['Web app'],
+      summary: 'Live progress of a scan job',
+      description: 'Server-Sent Events: `status` (the job, as from `GET /scans/jobs/{id}`), `progress` (run n of m, device, phase) and a final `done`.',
+      security: SESSION,
+      parameters: [idParameter('job')],
+      responses: { 200: response('The event stream.', { 'text/event-stream': { schema: { type: 'string' } } }), ...webErrors(400, 404) },
+    },
+  },
+  '/scans/queue': {
+    get: {
+      tags: ['Web app'],
+      summary: 'Scan queue and Chrome pool load',
+      security: SESSION,
+      responses: {
+        200: response('Queue counts (all users) and the Chrome pool.', json({
+          type: 'object',
+          required: ['pool', 'jobs'],
+          properties: {
+            pool: {
+              type: 'object',
+              required: ['size', 'active', 'waiting', 'saturated'],
+              properties: {
+                size: { type: 'integer' },
+                active: { type: 'integer' },
+                waiting: { type: 'integer' },
+                waitingOwners: { type: 'integer' },
+                saturated: { type: 'boolean', description: 'New runs wait for a browser.' },
+              },
+            },
+            jobs: { type: 'object', required: ['queued', 'running'], properties: { queued: { type: 'integer' }, running: { type: 'integer' } } },
+          },
+        })),
+        ...webErrors(),
+      },
+    },
+  },
+  '/scans/table-rows': {
+    get: {
+      tags: ['Web app'],
+      summary: 'Dashboard history rows (HTML)',
+      description: 'The `<tr>` rows of the dashboard’s history table for a live search; not meant for parsing (use `GET /api/v1/scans`).',
+      security: SESSION,
+      parameters: [{ name: 'q', in: 'query', description: 'Only scans whose URL contains this.', schema: { type: 'string' } }],
+      responses: { 200: response('Table rows.', html), ...webErrors() },
+    },
+  },
+  '/scans/rescan-both': {
+    post: {
+      tags: ['Web app'],
+      summary: 'Scan a submission again on all its devices',
+      description: 'Queues the URL again with the same devices (as they were then), runs, categories and throttling.',
+      security: SESSION,
+      requestBody: {
+        required: true,
+        content: formOrJson({
+          type: 'object',
+          required: ['_csrf', 'run_id'],
+          properties: { ...csrfProperty, run_id: { type: 'string', minLength: 1, description: 'The scans’ shared run id.' } },
+        }),
+      },
+      responses: {
+        202: response('Queued (JSON clients).', json(ref('JobQueued'))),
+        302: response('Queued; other clients are redirected to the dashboard.'),
+        500: response('Queueing failed.', json(ref('WebError'))),
+        ...webErrors(400, 403, 404, 415),
+      },
+    },
+  },
+  '/scans/{id}/rescan': {
+    post: {
+      tags: ['Web app'],
+      summary: 'Scan a URL again on the same device',
+      security: SESSION,
+      parameters: [idParameter('scan')],
+      requestBody: { required: true, content: formOrJson({ type: 'object', required: ['_csrf'], properties: csrfProperty }) },
+      responses: {
+        202: response('Queued (JSON clients).', json(ref('JobQueued'))),
+        302: response('Queued; other clients are redirected to the dashboard.'),
+        500: response('Queueing failed.', json(ref('WebError'))),
+        ...webErrors(400, 403, 404, 415),
+      },
+    },
+  },
+  '/scans/{id}/json': {
+    get: {
+      tags: ['Web app'],
+      summary: 'Download a scan’s Lighthouse result',
+      security: SESSION,
+      parameters: [idParameter('scan')],
+      responses: {
+        200: response('The Lighthouse JSON, as an attachment.', json({ type: 'object' })),
+        400: response('Invalid id.', text),
+        404: response('No such scan, or it has no Lighthouse result.', text),
+      },
+    },
+  },
+  '/scans/export': {
+    get: {
+      tags: ['Web app'],
+      summary: 'Export history as CSV or XLSX',
+      security: SESSION,
+      parameters: [
+        { name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' } },
+        { name: 'q', in: 'query', description: 'Only scans whose URL contains this.', schema: { type: 'string' } },
+        { name: 'project', in: 'query', description: 'Only scans of this project’s pages.', schema: { type: 'integer' } },
+      ],
+      responses: {
+        200: response('One row per scan (at most 10,000).', Object.fromEntries(Object.values(EXPORT_FORMATS).map((f) => [f.contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } }]))),
+        400: response('Unknown format.', text),
+      },
+    },
+  },
+  '/trends/data': {
+    get: {
+      tags: ['Web app'],
+      summary: 'A page’s trends',
+      security: SESSION,
+      parameters: trendsQuery,
+      responses: { 200: response('Trends of the page.', json(ref('Trends'))), ...webErrors(400) },
+    },
+  },
+  '/trends/export': {
+    get: {
+      tags: ['Web app'],
+      summary: 'Export a page’s trend scans as CSV or XLSX',
+      security: SESSION,
+      parameters: [{ name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' } }, ...trendsQuery.filter((p) => p.name !== 'granularity')],
+      responses: {
+        200: response('One row per scan in the range and profile.', Object.fromEntries(Object.values(EXPORT_FORMATS).map((f) => [f.contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } }]))),
+        400: response('Invalid query.', text),
+      },
+    },
+  },
+};
+
+let documentCache = null;
+
+/** The OpenAPI document (built once; servers use PUBLIC_URL). */
+export function openApiDocument() {
+  if (!documentCache) {
+    documentCache = {
+      openapi: '3.0.3',
+      info: {
+        title: 'UPGS Perf API',
+        version: '1',
+        description: 'The REST API (`/api/v1`) takes a personal access token from Settings → API tokens as `Authorization: Bearer <token>`. '
+          + 'Its responses are `{ "data": … }` and its errors `{ "error": { "code", "message" } }`; each token may make 120 requests a minute. '
+          + 'The web app endpoints use the session cookie of a signed-in browser, and their POSTs need the session’s CSRF token as `_csrf`.',
+      },
+      servers: [{ url: config.publicUrl }],
+      tags: [
+        { name: 'REST API', description: 'Token-authenticated; for scripts and CI.' },
+        { name: 'Web app', description: 'Session-authenticated endpoints the web pages call.' },
+        { name: 'Docs' },
+      ],
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'upgs_…', description: 'A personal access token.' },
+          sessionCookie: { type: 'apiKey', in: 'cookie', name: 'upgs.sid', description: 'The web app’s session.' },
+        },
+        schemas,
+      },
+    };
+  }
+  return documentCache;
+}
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+let operations = null;
+
+/** Documented operations with a regular expression for their path, literal paths before templated ones. */
+function documentedOperations() {
+  if (!operations) {
+    operations = [];
+    for (const [path, item] of Object.entries(paths)) {
+      const names = [];
+      const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (m, name) => {
+        names.push(name);
+        return '([^/]+)';
+      });
+      for (const method of METHODS) {
+        if (item[method]) operations.push({ method: method.toUpperCase(), path, regexp: new RegExp(`^${pattern}/?$`), names, operation: item[method] });
+      }
+    }
+    operations.sort((a, b) => a.names.length - b.names.length);
+  }
+  return operations;
+}
+
+/** A path segment, decoded; null when its percent-encoding is malformed (e.g. "%E0"), which checkRequest rejects. */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The documented operation a request is for, with its path parameters; null when the path isn't documented.
+ * @param {string} method
+ * @param {string} path - Full path, without the query string
+ * @returns {{ method: string, path: string, operation: object, params: Object<string, string|null> }|null} A
+ *   parameter is null when it can't be decoded
+ */
+export function findOperation(method, path) {
+  for (const op of documentedOperations()) {
+    if (op.method !== method) continue;
+    const match = op.regexp.exec(path);
+    if (match) {
+      return { method: op.method, path: op.path, operation: op.operation, params: Object.fromEntries(op.names.map((name, i) => [name, decodePathParam(match[i + 1])])) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Problems with a request against its operation: path and query parameters, and the body for its media type.
+ * @param {{ operation: object, params: object }} found - From findOperation
+ * @param {{ query: object, body: unknown, contentType: string|null }} request - contentType without parameters
+ * @returns {{ status: number, errors: string[] }|null} null when valid; status 415 when the media type isn't accepted
+ */
+export function checkRequest(found, { query, body, contentType }) {
+  const root = openApiDocument();
+  const errors = [];
+  for (const parameter of found.operation.parameters || []) {
+    const value = parameter.in === 'path' ? found.params[parameter.name] : parameter.in === 'query' ? query[parameter.name] : undefined;
+    if (value === null) {
+      errors.push(`${parameter.name} is not validly percent-encoded`);
+      continue;
+    }
+    if (value === undefined || value === '') {
+      if (parameter.required) errors.push(`${parameter.name} is required`);
+      continue;
+    }
+    errors.push(...validateSchema(parameter.schema, value, { root, path: parameter.name, coerce: true }));
+  }
+  const requestBody = found.operation.requestBody;
+  const hasBody = body && typeof body === 'object' && Object.keys(body).length > 0;
+  if (requestBody && (hasBody || requestBody.required)) {
+    const media = contentType && requestBody.content[contentType];
+    if (!media) {
+      return { status: 415, errors: [`Send the body as ${Object.keys(requestBody.content).join(' or ')}`] };
+    }
+    const isForm = contentType !== 'application/json';
+    /* A form field left blank counts as not sent (the routes fall back to their defaults). */
+    const input = isForm ? Object.fromEntries(Object.entries(body || {}).filter(([, value]) => value !== '')) : body || {};
+    errors.push(...validateSchema(media.schema, input, { root, path: '', coerce: isForm }));
+  }
+  return errors.length ? { status: 400, errors } : null;
+}
+
+/**
+ * Problems with a JSON response body against the operation's response for its status (empty when it matches or the
+ * response isn't JSON).
+ * @param {{ operation: object }} found - From findOperation
+ * @param {number} status
+ * @param {unknown} body
+ * @returns {string[]}
+ */
+export function checkResponse(found, status, body) {
+  const documented = found.operation.responses[status];
+  if (!documented) return [`status ${status} is not documented`];
+  const media = documented.content && documented.content['application/json'];
+  return media ? validateSchema(media.schema, body, { root: openApiDocument(), path: 'body' }) : [];
+}
+
+/** "METHOD /path/{param}" of each route on an Express router, under prefix. */
+function routerOperations(router, prefix) {
+  return router.stack
+    .filter((layer) => layer.route && typeof layer.route.path === 'string')
+    .flatMap((layer) => Object.keys(layer.route.methods)
+      .filter((method) => METHODS.includes(method))
+      .map((method) => `${method.toUpperCase()} ${prefix}${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+}
+
+/**
+ * Where the document and the routers serving it disagree: documented operations no router defines, and routes of a
+ * fully documented router (complete: true) missing from the document. Empty when they match.
+ * @param {{ prefix: string, router: import('express').Router, complete?: boolean }[]} mounts
+ * @returns {string[]}
+ */
+export function openApiRouteProblems(mounts) {
+  const defined = new Set();
+  const problems = [];
+  for (const { prefix, router, complete } of mounts) {
+    for (const key of routerOperations(router, prefix)) {
+      defined.add(key);
+      const [method, path] = key.split(' ');
+      if (complete && !paths[path]?.[method.toLowerCase()]) problems.push(`${key} is not documented`);
+    }
+  }
+  for (const op of documentedOperations()) {
+    const key = `${op.method} ${op.path}`;
+    if (!defined.has(key)) problems.push(`${key} is documented but no route defines it`);
+  }
+  return problems;
+}
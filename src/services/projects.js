@@ -0,0 +1,146 @@
+import * as db from '../db/index.js';
+import { DEFAULT_RUNS, normalizeRunCount } from './lighthouse.js';
+import { resolveThrottling, throttlingFormError, throttlingFromForm } from './throttling.js';
+import { categoriesFromForm, resolveCategories } from './categories.js';
+import { resolveDevices } from './devices.js';
+
+/**
+ * Projects group the pages of one site. A project's settings (devices, runs, throttling, categories and an optional
+ * saved login) are what "Scan pages" queues its pages with; any scan of a page URL, however it was started, counts
+ * towards the project's overview, history and trends.
+ */
+
+export const MAX_PROJECTS_PER_USER = 50;
+export const MAX_PROJECT_PAGES = 200;
+const MAX_NAME_LENGTH = 100;
+const MAX_URL_LENGTH = 2048;
+
+function isValidUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Page URLs from a textarea, one per line, without duplicates. Returns { error } or { urls }.
+ * @param {string} text
+ */
+export function parsePageUrls(text) {
+  const urls = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const url = line.trim();
+    if (!url) continue;
+    if (!isValidUrl(url)) return { error: `Enter one http or https URL per line ("${url.slice(0, 60)}" isn't one).` };
+    if (!urls.includes(url)) urls.push(url);
+  }
+  if (urls.length > MAX_PROJECT_PAGES) return { error: `A project can have up to ${MAX_PROJECT_PAGES} pages.` };
+  return { urls };
+}
+
+/** Form values for a new project. */
+export function newProjectValues() {
+  return { name: '', pages: '', devices: ['mobile'], runs: DEFAULT_RUNS, throttling: resolveThrottling(null), categories: undefined, siteAuthId: '' };
+}
+
+/** Form values for editing a saved project (its pages are edited on the project page). */
+export function projectFormValues(project) {
+  const options = project.options || {};
+  return {
+    name: project.name,
+    pages: '',
+    devices: project.devices,
+    runs: normalizeRunCount(options.runs),
+    throttling: resolveThrottling(options.throttling),
+    categories: resolveCategories(options.categories),
+    siteAuthId: project.site_auth_id ? String(project.site_auth_id) : '',
+  };
+}
+
+/**
+ * Validate the project form: name, settings and, when withPages, the initial page URLs. Returns { values } for
+ * re-rendering and either { error } or { project } to save.
+ * @param {object} body - req.body
+ * @param {number} userId
+ * @param {{ withPages?: boolean, savedDevices?: object }} [opts] - savedDevices: the edited project's device
+ *   snapshots, which stay valid after their profile is deleted
+ */
+export function parseProjectForm(body, userId, { withPages = false, savedDevices = {} } = {}) {
+  const { devices, deviceProfiles } = resolveDevices(userId, body.formFactor, savedDevices);
+  const values = {
+    name: typeof body.name === 'string' ? body.name.trim() : '',
+    pages: typeof body.pages === 'string' ? body.pages : '',
+    devices,
+    runs: normalizeRunCount(body.runs),
+    throttling: throttlingFromForm(body),
+    categories: categoriesFromForm(body),
+    siteAuthId: typeof body.siteAuthId === 'string' ? body.siteAuthId : '',
+  };
+  if (!values.name || values.name.length > MAX_NAME_LENGTH) return { values, error: `Give the project a name (up to ${MAX_NAME_LENGTH} characters).` };
+  let urls = [];
+  if (withPages) {
+    const parsed = parsePageUrls(values.pages);
+    if (parsed.error) return { values, error: parsed.error };
+    urls = parsed.urls;
+  }
+  if (devices.length === 0) return { values, error: 'Select at least one device.' };
+  const throttlingError = throttlingFormError(body);
+  if (throttlingError) return { values, error: throttlingError };
+  let siteAuthId = null;
+  if (values.siteAuthId) {
+    const login = db.getSiteAuthByIdAndUserId(parseInt(values.siteAuthId, 10), userId);
+    if (!login) return { values, error: 'That saved login no longer exists. Pick another one.' };
+    siteAuthId = login.id;
+  }
+  return {
+    values,
+    project: {
+      name: values.name,
+      devices,
+      options: { runs: values.runs, throttling: values.throttling, categories: values.categories, deviceProfiles },
+      siteAuthId,
+      urls,
+    },
+  };
+}
+
+/**
+ * The project page's data: one row per page with its latest scan on each device and whether a scan of it is queued
+ * or running, plus the mean of each category over the pages' latest completed scans.
+ * @param {object[]} pages - From db.getProjectPages
+ * @param {object[]} latestScans - From db.getLatestProjectScans
+ * @param {object[]} activeJobs - From db.getActiveProjectJobs
+ */
+export function summarizeProject(pages, latestScans, activeJobs) {
+  const scansByUrl = new Map();
+  for (const scan of latestScans) {
+    if (!scansByUrl.has(scan.url)) scansByUrl.set(scan.url, []);
+    scansByUrl.get(scan.url).push(scan);
+  }
+  const jobStatusByUrl = new Map();
+  for (const job of activeJobs) {
+    if (jobStatusByUrl.get(job.url) !== 'running') jobStatusByUrl.set(job.url, job.status);
+  }
+  const rows = pages.map((page) => ({ page, scans: scansByUrl.get(page.url) || [], pending: jobStatusByUrl.get(page.url) || null }));
+  const totals = {};
+  for (const scan of latestScans) {
+    if (scan.status !== 'completed' || !scan.categories) continue;
+    for (const [id, score] of Object.entries(scan.categories)) {
+      if (typeof score !== 'number') continue;
+      if (!totals[id]) totals[id] = { sum: 0, count: 0 };
+      totals[id].sum += score;
+      totals[id].count++;
+    }
+  }
+  const averages = {};
+  for (const [id, { sum, count }] of Object.entries(totals)) averages[id] = Math.round(sum / count);
+  return {
+    rows,
+    averages,
+    scannedCount: rows.filter((row) => row.scans.length).length,
+    pendingCount: rows.filter((row) => row.pending).length,
+  };
+}
@@ -0,0 +1,191 @@
+import * as db from '../db/index.js';
+import { deviceKey } from './devices.js';
+import { resolveCategories } from './categories.js';
+import { throttlingKey } from './throttling.js';
+
+/**
+ * Regression detection: each scan runOneScan saves is compared with a baseline of earlier scans of the same URL on the
+ * same device and throttling profile that audited Performance — the pinned scan if there is one, otherwise the
+ * previous scan or the median of the last N (the user's choice) — and the metrics that got worse by more than their
+ * threshold are recorded on the scan.
+ *
+ * Thresholds account for run variance: a change only counts when it exceeds REGRESSION_Z standard errors of the
+ * difference, estimated from the run-to-run spread of both scans (multi-run scans) or from how much the metric moved
+ * across the baseline window (median baseline), and is never below the metric's minimum change.
+ */
+
+export const BASELINE_MODES = {
+  previous: 'Previous scan',
+  median: 'Rolling median',
+};
+export const BASELINE_WINDOWS = [3, 5, 10, 20];
+const DEFAULT_BASELINE_MODE = 'previous';
+const DEFAULT_BASELINE_WINDOW = 5;
+
+/** Standard errors a change must exceed (≈ 97.7% one-sided). */
+const REGRESSION_Z = 2;
+/** Variance of a median is about π/2 times that of a mean of the same runs. */
+const MEDIAN_VARIANCE_FACTOR = Math.PI / 2;
+/** A rolling median needs this many scans to estimate scan-to-scan variance from. */
+const MIN_WINDOW_FOR_VARIANCE = 3;
+
+/** The category every compared value belongs to (its score, and the metrics it measures). */
+const REGRESSION_CATEGORY = 'performance';
+
+/**
+ * Metrics compared with the baseline. minDelta/minRatio: the smallest change that counts, absolute and relative to
+ * the baseline, so steady pages don't flag every millisecond. Timing metrics are in ms.
+ */
+export const REGRESSION_METRICS = [
+  { id: 'performance', kind: 'category', label: 'Performance', minDelta: 5, minRatio: 0 },
+  { id: 'largest-contentful-paint', kind: 'metric', label: 'LCP', unit: 'ms', minDelta: 200, minRatio: 0.1 },
+  { id: 'first-contentful-paint', kind: 'metric', label: 'FCP', unit: 'ms', minDelta: 150, minRatio: 0.1 },
+  { id: 'total-blocking-time', kind: 'metric', label: 'TBT', unit: 'ms', minDelta: 100, minRatio: 0.25 },
+  { id: 'cumulative-layout-shift', kind: 'metric', label: 'CLS', unit: '', minDelta: 0.02, minRatio: 0.25 },
+  { id: 'speed-index', kind: 'metric', label: 'Speed Index', unit: 'ms', minDelta: 300, minRatio: 0.1 },
+];
+
+/** Coerce stored or submitted settings to a known mode and window. */
+export function resolveRegressionSettings(settings) {
+  const mode = settings && BASELINE_MODES[settings.mode] ? settings.mode : DEFAULT_BASELINE_MODE;
+  const window = parseInt(settings && settings.window, 10);
+  return { mode, window: BASELINE_WINDOWS.includes(window) ? window : DEFAULT_BASELINE_WINDOW };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function sampleVariance(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+}
+
+function valueOf(summary, metric) {
+  if (!summary) return null;
+  const v = metric.kind === 'category'
+    ? summary.categories && summary.categories[metric.id]
+    : summary.metrics && summary.metrics[metric.id] && summary.metrics[metric.id].value;
+  return typeof v === 'number' ? v : null;
+}
+
+/** Variance of a scan's median value from its runs' spread; 0 for single-run scans (no measured variance). */
+function medianVariance(summary, metric) {
+  const group = metric.kind === 'category' ? 'categories' : 'metrics';
+  const s = summary && summary.spread && summary.spread[group] && summary.spread[group][metric.id];
+  const runs = (summary && summary.runCount) || 1;
+  if (!s || typeof s.stddev !== 'number' || runs < 2) return 0;
+  return (MEDIAN_VARIANCE_FACTOR * s.stddev ** 2) / runs;
+}
+
+function formatValue(metric, v) {
+  if (metric.kind === 'category') return String(Math.round(v));
+  if (metric.unit === '') return String(Number(v.toFixed(3)));
+  return Math.abs(v) >= 1000 ? `${Number((v / 1000).toFixed(2))} s` : `${Math.round(v)} ms`;
+}
+
+/** How much worse value is than baseline: positive when it regressed (lower score, higher timing or CLS). */
+function worsening(metric, baseline, value) {
+  return metric.kind === 'category' ? baseline - value : value - baseline;
+}
+
+/**
+ * Compare a scan's summary with its baseline scans. Returns null when there is nothing to compare with.
+ * @param {object} summary - The new scan's summary
+ * @param {{ mode: 'previous'|'pinned'|'median', scans: object[] }} baseline - Baseline scans, newest first (one for
+ *   previous and pinned)
+ * @returns {{ mode: string, baselineScanId: number|null, baselineCount: number, checks: object[], regressed: number }|null}
+ */
+export function compareWithBaseline(summary, baseline) {
+  if (!baseline || baseline.scans.length === 0) return null;
+  const checks = [];
+  for (const metric of REGRESSION_METRICS) {
+    const value = valueOf(summary, metric);
+    if (value == null) continue;
+    const values = baseline.scans.map((scan) => valueOf(scan.summary, metric)).filter((v) => v != null);
+    if (values.length === 0) continue;
+    let baselineValue;
+    let variance;
+    if (baseline.mode === 'median' && values.length >= MIN_WINDOW_FOR_VARIANCE) {
+      // A new scan against the median of N: the window's spread already includes run noise and day-to-day drift.
+      baselineValue = median(values);
+      variance = sampleVariance(values) * (1 + MEDIAN_VARIANCE_FACTOR / values.length);
+    } else {
+      const scan = baseline.scans.find((s) => valueOf(s.summary, metric) != null);
+      baselineValue = baseline.mode === 'median' ? median(values) : valueOf(scan.summary, metric);
+      variance = medianVariance(summary, metric) + medianVariance(scan.summary, metric);
+    }
+    const delta = worsening(metric, baselineValue, value);
+    const threshold = Math.max(metric.minDelta, metric.minRatio * Math.abs(baselineValue), REGRESSION_Z * Math.sqrt(variance));
+    const regressed = delta > threshold;
+    const change = value - baselineValue;
+    checks.push({
+      id: metric.id,
+      label: metric.label,
+      baseline: baselineValue,
+      value,
+      delta: Number(delta.toFixed(3)),
+      threshold: Number(threshold.toFixed(3)),
+      regressed,
+      baselineText: formatValue(metric, baselineValue),
+      valueText: formatValue(metric, value),
+      changeText: `${change >= 0 ? '+' : '−'}${formatValue(metric, Math.abs(change))}`,
+      thresholdText: formatValue(metric, threshold),
+    });
+  }
+  if (checks.length === 0) return null;
+  return {
+    mode: baseline.mode,
+    baselineScanId: baseline.mode === 'median' ? null : baseline.scans[0].id,
+    baselineCount: baseline.scans.length,
+    checks,
+    regressed: checks.filter((check) => check.regressed).length,
+  };
+}
+
+/**
+ * The throttling settings stored with url's scans (JSON texts, see db.getTrendThrottlings) that are the same profile as
+ * throttling: results of other profiles aren't comparable.
+ */
+function sameProfileThrottlings(userId, url, throttling) {
+  const key = throttlingKey(throttling);
+  return db.getTrendThrottlings(userId, url).map((row) => row.throttling).filter((stored) => {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(stored);
+    } catch {
+      /* unreadable: the default profile */
+    }
+    return throttlingKey(parsed) === key;
+  });
+}
+
+/**
+ * Compare a just-saved scan with its baseline and store the result on the scan. Never throws: a failed comparison
+ * must not fail a scan that already ran.
+ * @returns {object|null} The result saved, or null without a baseline
+ */
+export function detectScanRegressions(userId, scanId, url, options, summary) {
+  try {
+    const categories = resolveCategories(options && options.categories);
+    if (categories && !categories.includes(REGRESSION_CATEGORY)) return null;
+    const key = deviceKey(options);
+    const filter = { throttlings: sameProfileThrottlings(userId, url, options && options.throttling), category: REGRESSION_CATEGORY };
+    const pinned = db.getPinnedBaselineScan(userId, url, key, filter);
+    let baseline;
+    if (pinned && pinned.id !== scanId) {
+      baseline = { mode: 'pinned', scans: [pinned] };
+    } else {
+      const { mode, window } = resolveRegressionSettings(db.getRegressionSettings(userId));
+      baseline = { mode, scans: db.getBaselineScans(userId, url, key, scanId, mode === 'median' ? window : 1, filter) };
+    }
+    const result = compareWithBaseline(summary, baseline);
+    if (result) db.updateScanRegressionResult(scanId, result);
+    return result;
+  } catch (e) {
+    console.error('Regression check failed (scan saved):', e.message);
+    return null;
+  }
+}
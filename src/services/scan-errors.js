@@ -0,0 +1,73 @@
+/**
+ * Classify why a scan failed, so failed attempts can be stored with a reason and transient ones retried.
+ * Works on errors thrown by runLighthouse: Chrome launch failures, Lighthouse errors (err.code is the
+ * Lighthouse error code, e.g. PROTOCOL_TIMEOUT) and page load failures reported in the LHR's runtimeError.
+ */
+
+/** Failure categories. transient = worth retrying automatically (the same request may succeed a bit later). */
+export const FAILURE_REASONS = {
+  dns: { label: 'DNS failure', transient: false },
+  tls: { label: 'TLS/certificate error', transient: false },
+  http_4xx: { label: 'HTTP 4xx', transient: false },
+  http_5xx: { label: 'HTTP 5xx', transient: true },
+  connection: { label: 'Connection failed', transient: true },
+  timeout: { label: 'Page timeout', transient: true },
+  chrome: { label: 'Chrome failed to start', transient: true },
+  other: { label: 'Scan error', transient: false },
+};
+
+const TIMEOUT_CODES = ['PAGE_HUNG', 'PROTOCOL_TIMEOUT', 'CRI_TIMEOUT', 'NO_FCP', 'NO_TTI_CPU_IDLE_PERIOD', 'NO_TTI_NETWORK_IDLE_PERIOD'];
+
+/**
+ * Human-readable label for a stored failure reason (falls back to the generic one).
+ * @param {string|null} reason
+ * @param {number|null} [httpStatus]
+ */
+export function failureLabel(reason, httpStatus = null) {
+  if ((reason === 'http_4xx' || reason === 'http_5xx') && httpStatus) return `HTTP ${httpStatus}`;
+  return (FAILURE_REASONS[reason] || FAILURE_REASONS.other).label;
+}
+
+/**
+ * Label for a stored failed scan row (reason + "HTTP 503" style status parsed back from its error message).
+ * @param {{ failure_reason?: string|null, error?: string|null }} scan
+ */
+export function scanFailureLabel(scan) {
+  const statusMatch = scan && typeof scan.error === 'string' ? scan.error.match(/Status code: (\d{3})/i) : null;
+  return failureLabel(scan && scan.failure_reason, statusMatch ? parseInt(statusMatch[1], 10) : null);
+}
+
+/**
+ * @param {Error & { code?: string }} err
+ * @returns {{ reason: string, label: string, transient: boolean, httpStatus: number|null, message: string }}
+ */
+export function classifyScanError(err) {
+  const code = err && typeof err.code === 'string' ? err.code : '';
+  const message = (err && err.message) || 'Scan failed.';
+  let reason = 'other';
+  let httpStatus = null;
+
+  const statusMatch = message.match(/Status code: (\d{3})/i);
+  if (code === 'CHROME_LAUNCH_FAILED' || code === 'TARGET_CRASHED' || /^Chrome failed to start/.test(message)) {
+    reason = 'chrome';
+  } else if (code === 'DNS_FAILURE' || /ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED/.test(message)) {
+    reason = 'dns';
+  } else if (code === 'INSECURE_DOCUMENT_REQUEST' || /ERR_CERT_|ERR_SSL_|SSL_PROTOCOL_ERROR/.test(message)) {
+    reason = 'tls';
+  } else if (code === 'ERRORED_DOCUMENT_REQUEST' || statusMatch) {
+    httpStatus = statusMatch ? parseInt(statusMatch[1], 10) : null;
+    reason = httpStatus != null && httpStatus < 500 ? 'http_4xx' : 'http_5xx';
+  } else if (TIMEOUT_CODES.includes(code) || /ERR_TIMED_OUT|ERR_CONNECTION_TIMED_OUT|timed? ?out/i.test(message)) {
+    reason = 'timeout';
+  } else if (/ERR_CONNECTION_(REFUSED|RESET|CLOSED|FAILED)|ERR_ADDRESS_UNREACHABLE|ERR_EMPTY_RESPONSE|ERR_INTERNET_DISCONNECTED/.test(message)) {
+    reason = 'connection';
+  }
+
+  return {
+    reason,
+    label: failureLabel(reason, httpStatus),
+    transient: FAILURE_REASONS[reason].transient,
+    httpStatus,
+    message,
+  };
+}
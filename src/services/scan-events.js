@@ -0,0 +1,48 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process pub/sub for scan job progress, consumed by the SSE endpoints.
+ * The last progress event per running job is kept so a client that connects mid-scan sees the current phase.
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const latestProgress = new Map();
+
+/**
+ * @param {number} jobId
+ * @param {{ phase: string, message: string, device?: string, run?: number, runs?: number }} progress
+ */
+export function publishJobProgress(jobId, progress) {
+  latestProgress.set(Number(jobId), progress);
+  emitter.emit(`job:${jobId}`, { type: 'progress', progress });
+}
+
+/** Final event for a job; job is the client-facing description (status, redirect, error). */
+export function publishJobDone(jobId, job) {
+  latestProgress.delete(Number(jobId));
+  emitter.emit(`job:${jobId}`, { type: 'done', job });
+}
+
+/** A job left the queue (started or finished), so queued jobs' positions may have changed. */
+export function publishQueueChanged() {
+  emitter.emit('queue', { type: 'queue' });
+}
+
+export function getLatestJobProgress(jobId) {
+  return latestProgress.get(Number(jobId)) || null;
+}
+
+/**
+ * Listen to one job's events plus queue changes. Returns an unsubscribe function.
+ * @param {number} jobId
+ * @param {(event: { type: 'progress'|'done'|'queue', progress?: object, job?: object }) => void} listener
+ */
+export function subscribeToJob(jobId, listener) {
+  emitter.on(`job:${jobId}`, listener);
+  emitter.on('queue', listener);
+  return () => {
+    emitter.off(`job:${jobId}`, listener);
+    emitter.off('queue', listener);
+  };
+}
@@ -0,0 +1,61 @@
+import config from '../config.js';
+import { LIGHTHOUSE_CATEGORIES } from './categories.js';
+import { deviceName } from './devices.js';
+import { scanFailureLabel } from './scan-errors.js';
+import { toCsv, toXlsx } from './spreadsheet.js';
+import { throttlingLabel } from './throttling.js';
+
+/**
+ * Spreadsheet exports of scans (history and trends): one row per scan with every category score and metric value,
+ * from rows as db getScanRowsByUserIdSearch and getTrendScans return them (no summary JSON is loaded).
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+/** Most scans in one export. */
+export const MAX_EXPORT_ROWS = 10000;
+
+const EXPORT_METRICS = [
+  { id: 'first-contentful-paint', header: 'FCP (ms)' },
+  { id: 'largest-contentful-paint', header: 'LCP (ms)' },
+  { id: 'total-blocking-time', header: 'TBT (ms)' },
+  { id: 'cumulative-layout-shift', header: 'CLS' },
+  { id: 'speed-index', header: 'Speed Index (ms)' },
+  { id: 'interactive', header: 'TTI (ms)' },
+];
+
+function metricValue(scan, id) {
+  const v = scan.metrics && scan.metrics[id];
+  if (typeof v !== 'number') return null;
+  return id === 'cumulative-layout-shift' ? Math.round(v * 1000) / 1000 : Math.round(v);
+}
+
+const COLUMNS = [
+  { header: 'Scan ID', value: (s) => s.id, width: 9 },
+  { header: 'Date (UTC)', value: (s) => new Date(`${s.created_at.replace(' ', 'T')}Z`), width: 20 },
+  { header: 'URL', value: (s) => s.url, width: 50 },
+  { header: 'Device', value: (s) => deviceName(s.options) },
+  { header: 'Throttling', value: (s) => throttlingLabel(s.options && s.options.throttling), width: 24 },
+  { header: 'Status', value: (s) => s.status, width: 11 },
+  { header: 'Failure', value: (s) => (s.status === 'failed' ? scanFailureLabel(s) : null), width: 20 },
+  ...Object.entries(LIGHTHOUSE_CATEGORIES).map(([id, category]) => ({
+    header: category.label,
+    value: (s) => (s.categories && typeof s.categories[id] === 'number' ? s.categories[id] : null),
+  })),
+  ...EXPORT_METRICS.map((metric) => ({ header: metric.header, value: (s) => metricValue(s, metric.id) })),
+  { header: 'Budget limits broken', value: (s) => s.budget_failed },
+  { header: 'Regressed metrics', value: (s) => s.regressed },
+  { header: 'Report', value: (s) => `${config.publicUrl}/scans/${s.id}`, width: 36 },
+];
+
+/**
+ * A scan export file.
+ * @param {object[]} scans
+ * @param {'csv'|'xlsx'} format
+ * @returns {string|Buffer}
+ */
+export function scansSpreadsheet(scans, format) {
+  return format === 'xlsx' ? toXlsx(COLUMNS, scans, 'Scans') : toCsv(COLUMNS, scans);
+}
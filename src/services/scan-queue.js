@@ -0,0 +1,440 @@
+import { randomBytes } from 'crypto';
+import * as db from '../db/index.js';
+import config from '../config.js';
+import { runLighthouse } from './lighthouse.js';
+import { runOneScan } from './scan-runner.js';
+import { publishJobProgress, publishJobDone, publishQueueChanged } from './scan-events.js';
+import { classifyScanError, scanFailureLabel } from './scan-errors.js';
+import { deviceKey, deviceScanOptions, jobDevice } from './devices.js';
+import { flowStartUrl, runAndSaveFlow } from './user-flows.js';
+import { queueScanWebhooks } from './webhooks.js';
+import { sendScanAlerts } from './notifications.js';
+
+/** Job statuses a job never leaves (its SSE stream ends, clients stop polling). */
+export const TERMINAL_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+/** A job interrupted this many times (e.g. by PM2 reloads mid-scan) is failed instead of resumed again. */
+const MAX_JOB_ATTEMPTS = 3;
+/** Fallback poll so jobs queued by another process are still picked up. */
+const POLL_INTERVAL_MS = 5000;
+/** Recommendations kept in a guest report (the full list is for signed-in users). */
+const GUEST_MAX_RECOMMENDATIONS = 15;
+/** Wait before retrying a transient failure; doubles with each further attempt. */
+const RETRY_DELAY_MS = 15000;
+
+let started = false;
+let running = 0;
+let pollTimer = null;
+/** jobId -> AbortController for jobs running in this process (cancel aborts it). */
+const controllers = new Map();
+
+/** Groups the scans of one job's devices in history (single-device jobs need none). */
+function newRunId(devices) {
+  return devices.length > 1 ? `run-${Date.now()}-${randomBytes(4).toString('hex')}` : null;
+}
+
+/**
+ * Queue a scan of one URL on one or more devices. Devices run in order; the first one's scan is the redirect target.
+ * @param {number} userId
+ * @param {string} url
+ * @param {string[]} devices - Device ids (see devices.js)
+ * @param {object} [options] - Scan options shared by every device, plus deviceProfiles (id -> profile snapshot) for
+ *   devices that aren't built in; formFactor and device are set per device
+ * @param {{ scheduleId?: number|null }} [source] - The schedule that queued it, if any
+ * @returns {number} New job id
+ */
+export function enqueueScanJob(userId, url, devices, options = {}, { scheduleId = null } = {}) {
+  const jobId = db.createScanJob(userId, url, devices, options, newRunId(devices), scheduleId);
+  wake();
+  return jobId;
+}
+
+/**
+ * Queue a crawl: one scan job per URL, all with the same devices and options. The jobs queue behind the user's other
+ * scans (see db.claimNextScanJob).
+ * @param {number} userId
+ * @param {{ sitemapUrl: string, devices: string[], options: object, filters: object }} crawl - From parseCrawlForm
+ * @param {string[]} urls
+ * @param {number} discoveredCount - URLs the sitemap listed before filtering
+ * @returns {number} New crawl id
+ */
+export function enqueueCrawl(userId, crawl, urls, discoveredCount) {
+  const crawlId = db.createCrawl(userId, {
+    ...crawl,
+    discoveredCount,
+    jobs: urls.map((url) => ({ url, runId: newRunId(crawl.devices) })),
+  });
+  wake();
+  return crawlId;
+}
+
+/**
+ * Queue a scan of some of a project's pages, one job per URL, with the project's devices and options. The jobs send
+ * the project's saved login (see projectSiteAuthId).
+ * @param {number} userId
+ * @param {{ id: number, devices: string[], options: object }} project - Row from db.getProjectByIdAndUserId
+ * @param {string[]} urls
+ * @returns {number[]} New job ids
+ */
+export function enqueueProjectScan(userId, project, urls) {
+  const jobIds = db.createProjectScanJobs(userId, project.id, project.devices, project.options, urls.map((url) => ({ url, runId: newRunId(project.devices) })));
+  wake();
+  return jobIds;
+}
+
+/**
+ * Queue a guest (landing page) scan. The report is kept on the job, not saved as a scan.
+ * @param {string} url
+ * @param {'mobile'|'desktop'} formFactor
+ * @returns {string} Guest token addressing the job (events stream and report page)
+ */
+export function enqueueGuestScanJob(url, formFactor) {
+  const guestToken = randomBytes(24).toString('hex');
+  db.createGuestScanJob(guestToken, url, formFactor);
+  wake();
+  return guestToken;
+}
+
+/**
+ * Queue a run of a user flow. The job keeps a snapshot of the steps and settings, so editing the flow while the run
+ * waits doesn't change what it measures.
+ * @param {number} userId
+ * @param {{ id: number, name: string, steps: object[], options: { device: object, throttling?: object } }} flow - Row from db.getUserFlowByIdAndUserId
+ * @returns {number} New job id
+ */
+export function enqueueFlowJob(userId, flow) {
+  const { device, ...shared } = flow.options || {};
+  const options = { ...shared, name: flow.name, steps: flow.steps, deviceProfiles: { [device.id]: device } };
+  const jobId = db.createFlowScanJob(userId, flow.id, flowStartUrl(flow.steps), [device.id], options);
+  wake();
+  return jobId;
+}
+
+/**
+ * Client-facing view of a job: status plus where to go once it's done.
+ * @param {object} job - Row from db.getScanJobByIdAndUserId
+ */
+export function describeScanJob(job) {
+  let redirect = null;
+  if (job.guest_token) {
+    if (job.status === 'succeeded') redirect = `/guest/report?t=${encodeURIComponent(job.guest_token)}`;
+  } else if (job.flow_id) {
+    /* Failed and cancelled runs are saved too; their page shows what happened. */
+    if (job.result && job.result.flowRunId) redirect = `/flows/runs/${job.result.flowRunId}`;
+    else if (job.status === 'cancelled') redirect = `/flows/${job.flow_id}`;
+  } else if (job.status === 'succeeded' && job.result_scan_id) {
+    redirect = `/scans/${job.result_scan_id}`;
+  } else if (job.status === 'failed' && job.result_scan_id) {
+    /* Some devices completed: history lists them next to the failed ones and their reasons. */
+    redirect = '/scans?error=devices';
+  } else if (job.status === 'cancelled') {
+    redirect = '/scans';
+  }
+  /* Guests get a generic message rather than Chrome/Lighthouse internals. */
+  const error = job.error && job.guest_token ? 'The scan failed. Check the URL and try again.' : job.error;
+  return {
+    id: job.id,
+    status: job.status,
+    url: job.url,
+    flowId: job.flow_id || null,
+    devices: job.devices,
+    deviceNames: job.devices.map((id) => jobDevice(job.options, id).name),
+    position: job.status === 'queued' ? db.getScanJobQueuePosition(job.id) : null,
+    error: error || null,
+    redirect,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+}
+
+/** Record the job's final status and tell anyone following it. */
+function finishJob(jobId, status, fields) {
+  db.finishScanJob(jobId, status, fields);
+  const job = db.getScanJobById(jobId);
+  if (job) publishJobDone(jobId, describeScanJob(job));
+}
+
+/** Record each of the job's devices that has no scan yet as cancelled, so the cancellation shows in history. */
+function recordCancelledDevices(job) {
+  const done = db.getScansByJobId(job.id);
+  for (const device of job.devices) {
+    const hasScan = done.some((s) => deviceKey(s.options) === device);
+    if (!hasScan) {
+      const options = deviceScanOptions(job.options, jobDevice(job.options, device));
+      db.createUnfinishedScan(job.user_id, job.url, options, 'cancelled', { runId: job.run_id, jobId: job.id });
+    }
+  }
+}
+
+/** Options a flow job's run is saved with: its device and throttling (steps and name are stored separately). */
+function flowRunOptions(job) {
+  const { steps, name, ...shared } = job.options || {};
+  return deviceScanOptions(shared, jobDevice(job.options, job.devices[0]));
+}
+
+/** Save a flow job's run as cancelled, unless the run was already saved. Returns the run id (null when none was saved). */
+function recordCancelledFlowRun(job) {
+  if (db.getFlowRunByJobId(job.id)) return null;
+  return db.createFlowRun(job.user_id, job.flow_id, { jobId: job.id, status: 'cancelled', steps: job.options.steps, options: flowRunOptions(job) });
+}
+
+/** Resolve after ms, or reject with the abort reason as soon as the job is cancelled. */
+function waitUnlessAborted(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** The saved login a project job sends: its project's current one, or null to use the login matching the URL. */
+function projectSiteAuthId(job) {
+  if (!job.project_id) return null;
+  const project = db.getProjectByIdAndUserId(job.project_id, job.user_id);
+  return project ? project.site_auth_id : null;
+}
+
+/** runOneScan, retried up to config.scanRetries times when the failure is transient (see FAILURE_REASONS). */
+async function runOneScanWithRetries(job, options, onProgress, signal) {
+  const siteAuthId = projectSiteAuthId(job);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runOneScan(job.user_id, job.url, options, { runId: job.run_id, jobId: job.id, siteAuthId, onProgress, signal });
+    } catch (err) {
+      if (signal.aborted) throw err;
+      const failure = classifyScanError(err);
+      if (!failure.transient || attempt > config.scanRetries) throw err;
+      const delayMs = RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.warn('Scan job %d: %s (%s), retrying in %ds', job.id, failure.label, options.device.name, delayMs / 1000);
+      onProgress({ phase: 'retry', message: `${failure.label}, retrying in ${delayMs / 1000}s (attempt ${attempt + 1} of ${config.scanRetries + 1})` });
+      await waitUnlessAborted(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * The error of a job some devices failed: the failure itself for a single-device job, else each device's outcome.
+ * @param {object} job
+ * @param {Map<string, string>} failures - Device id -> failure label, for the devices that failed
+ * @param {{ label: string, message: string }} [lastFailure] - Classified error, when the job's only device failed just now
+ */
+function scanJobError(job, failures, lastFailure) {
+  if (job.devices.length === 1 && lastFailure) {
+    return lastFailure.message.startsWith(lastFailure.label) ? lastFailure.message : `${lastFailure.label}: ${lastFailure.message}`;
+  }
+  return job.devices.map((device) => {
+    const name = jobDevice(job.options, device).name;
+    return failures.has(device) ? `${name} scan failed (${failures.get(device)}).` : `${name} scan completed.`;
+  }).join(' ');
+}
+
+/**
+ * Run every device of a job that doesn't already have a scan (a resumed job skips devices finished or failed before
+ * the restart). A device that fails (after retries) is saved as a failed scan with its classified reason and the job
+ * goes on to the next device. The job fails when any device did, naming each device's outcome, and keeps its first
+ * completed scan (if any) as its result.
+ */
+async function runScanJob(job, signal) {
+  const saved = db.getScansByJobId(job.id);
+  const savedScan = (device) => saved.find((s) => deviceKey(s.options) === device && (s.status === 'completed' || s.status === 'failed'));
+  let firstScanId = null;
+  const failures = new Map();
+  let lastFailure;
+  for (const [index, device] of job.devices.entries()) {
+    const label = jobDevice(job.options, device).name;
+    const previous = savedScan(device);
+    if (previous && previous.status === 'failed') {
+      failures.set(device, scanFailureLabel(previous));
+      continue;
+    }
+    let scanId = previous ? previous.id : null;
+    if (scanId == null) {
+      publishJobProgress(job.id, {
+        phase: 'device',
+        device,
+        message: index > 0 ? `${jobDevice(job.options, job.devices[index - 1]).name} done, starting ${label}` : `Starting ${label} scan`,
+      });
+      const onProgress = (p) => publishJobProgress(job.id, { ...p, device, message: `${label} · ${p.message}` });
+      const options = deviceScanOptions(job.options, jobDevice(job.options, device));
+      try {
+        scanId = await runOneScanWithRetries(job, options, onProgress, signal);
+      } catch (err) {
+        if (signal.aborted) throw err;
+        const failure = classifyScanError(err);
+        console.error('Scan job %d: %s scan failed (%s):', job.id, label, failure.reason, err);
+        const failedScanId = db.createUnfinishedScan(job.user_id, job.url, options, 'failed', {
+          runId: job.run_id,
+          jobId: job.id,
+          failureReason: failure.reason,
+          error: failure.message,
+        });
+        const failedScan = {
+          id: failedScanId, url: job.url, options, status: 'failed', failure_reason: failure.reason, error: failure.message,
+        };
+        queueScanWebhooks(job.user_id, failedScan);
+        sendScanAlerts(job.user_id, failedScan);
+        failures.set(device, failure.label);
+        lastFailure = failure;
+        continue;
+      }
+    }
+    if (firstScanId == null) firstScanId = scanId;
+  }
+  if (failures.size) finishJob(job.id, 'failed', { resultScanId: firstScanId, error: scanJobError(job, failures, lastFailure) });
+  else finishJob(job.id, 'succeeded', { resultScanId: firstScanId });
+}
+
+/**
+ * Run a user flow once and save the run, failed ones with their classified reason. Flows aren't retried: their steps
+ * can have side effects (submitting forms, placing orders) that shouldn't happen twice. A job resumed after a restart
+ * that already saved its run just finishes.
+ */
+async function runFlowJob(job, signal) {
+  const saved = db.getFlowRunByJobId(job.id);
+  if (saved) {
+    finishJob(job.id, saved.status === 'completed' ? 'succeeded' : 'failed', { result: { flowRunId: saved.id } });
+    return;
+  }
+  const options = flowRunOptions(job);
+  const label = options.device.name;
+  const onProgress = (p) => publishJobProgress(job.id, { ...p, device: job.devices[0], message: `${label} · ${p.message}` });
+  let flowRunId;
+  try {
+    flowRunId = await runAndSaveFlow(job.user_id, job.flow_id, job.options.steps, options, { name: job.options.name, jobId: job.id, onProgress, signal });
+  } catch (err) {
+    if (signal.aborted) throw err;
+    const failure = classifyScanError(err);
+    console.error('Flow job %d failed (%s):', job.id, failure.reason, err);
+    const failedRunId = db.createFlowRun(job.user_id, job.flow_id, {
+      jobId: job.id,
+      status: 'failed',
+      steps: job.options.steps,
+      options,
+      failureReason: failure.reason,
+      error: failure.message,
+    });
+    const error = failure.message.startsWith(failure.label) ? failure.message : `${failure.label}: ${failure.message}`;
+    finishJob(job.id, 'failed', { result: { flowRunId: failedRunId }, error });
+    return;
+  }
+  finishJob(job.id, 'succeeded', { result: { flowRunId } });
+}
+
+/** Guest scan: one device, summary trimmed for the public report, nothing written to scans. */
+async function runGuestJob(job, signal) {
+  const formFactor = job.devices[0] === 'desktop' ? 'desktop' : 'mobile';
+  const onProgress = (p) => publishJobProgress(job.id, { ...p, device: formFactor });
+  const { summary } = await runLighthouse(job.url, { formFactor, categories: undefined }, { onProgress, owner: 'guest', signal });
+  const report = {
+    url: summary.finalUrl || job.url,
+    formFactor,
+    summary: {
+      categories: summary.categories || {},
+      metrics: summary.metrics || {},
+      recommendations: (summary.recommendations || []).slice(0, GUEST_MAX_RECOMMENDATIONS),
+    },
+    createdAt: new Date().toISOString(),
+  };
+  finishJob(job.id, 'succeeded', { result: report });
+}
+
+/** Finish a job cancelled while running, recording what it didn't get to (scans per device, or the flow run). */
+function recordCancellation(job) {
+  if (job.flow_id) {
+    const flowRunId = recordCancelledFlowRun(job);
+    finishJob(job.id, 'cancelled', flowRunId ? { result: { flowRunId } } : {});
+    return;
+  }
+  if (!job.guest_token) recordCancelledDevices(job);
+  finishJob(job.id, 'cancelled', {});
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  try {
+    if (job.guest_token) await runGuestJob(job, controller.signal);
+    else if (job.flow_id) await runFlowJob(job, controller.signal);
+    else await runScanJob(job, controller.signal);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      recordCancellation(job);
+      return;
+    }
+    console.error('Scan job %d failed:', job.id, err);
+    finishJob(job.id, 'failed', { error: err.message || 'Scan failed. Ensure Chrome/Chromium is installed.' });
+  } finally {
+    controllers.delete(job.id);
+  }
+}
+
+/**
+ * Cancel a queued or running job. A queued job is dropped before it starts; a running one has its Chrome killed
+ * and nothing partial is saved (devices that already finished keep their scans). Either way the devices without
+ * a scan are recorded as cancelled in history.
+ * @param {object} job - Row from db.getScanJobByIdAndUserId
+ * @returns {boolean} false when the job already finished (or is running in another process)
+ */
+export function cancelScanJob(job) {
+  if (job.status === 'queued' && db.cancelQueuedScanJob(job.id)) {
+    if (job.flow_id) {
+      const flowRunId = recordCancelledFlowRun(job);
+      if (flowRunId) db.finishScanJob(job.id, 'cancelled', { result: { flowRunId } });
+    } else if (!job.guest_token) {
+      recordCancelledDevices(job);
+    }
+    const cancelled = db.getScanJobById(job.id);
+    if (cancelled) publishJobDone(job.id, describeScanJob(cancelled));
+    publishQueueChanged();
+    return true;
+  }
+  const controller = controllers.get(job.id);
+  if (!controller) return false;
+  controller.abort();
+  return true;
+}
+
+/** Start queued jobs until as many are running as the Chrome pool allows (each job uses one browser at a time). */
+function drain() {
+  try {
+    while (running < config.chromePoolSize) {
+      const job = db.claimNextScanJob();
+      if (!job) return;
+      running++;
+      publishQueueChanged();
+      runJob(job).finally(() => {
+        running--;
+        publishQueueChanged();
+        wake();
+      });
+    }
+  } catch (err) {
+    console.error('Scan worker error:', err);
+  }
+}
+
+function wake() {
+  if (!started) return;
+  setImmediate(drain);
+}
+
+/**
+ * Start the in-process worker. Jobs left running by a previous process are resumed, or failed once out of attempts.
+ */
+export function startScanWorker() {
+  if (started) return;
+  started = true;
+  const { requeued, failed } = db.recoverInterruptedScanJobs(MAX_JOB_ATTEMPTS);
+  if (requeued || failed) {
+    console.log(`Scan worker: resumed ${requeued} interrupted job(s), failed ${failed}`);
+  }
+  pollTimer = setInterval(drain, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  wake();
+}
@@ -0,0 +1,106 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import * as db from '../db/index.js';
+import config from '../config.js';
+import { runLighthouse } from './lighthouse.js';
+import { siteAuthForUrl } from './site-auth.js';
+import { checkScanBudget } from './budgets.js';
+import { detectScanRegressions } from './regressions.js';
+import { queueScanWebhooks } from './webhooks.js';
+import { sendScanAlerts } from './notifications.js';
+
+export const SCREENSHOTS_DIR = join(dirname(config.dbPath), 'screenshots');
+export const FILMSTRIPS_DIR = join(dirname(config.dbPath), 'filmstrips');
+
+const MAX_REPORT_JSON_LENGTH = 5 * 1024 * 1024; // 5MB max stored
+const FILMSTRIP_MAX_FRAMES = 25;
+
+/** Filmstrip frames from Lighthouse report (for load “video” in speed viz). */
+function parseChromeVersionFromUA(ua) {
+  if (!ua || typeof ua !== 'string') return null;
+  const m = String(ua).match(/Chrom(?:e|ium)\/([\d.]+)/i);
+  return m ? m[1] : null;
+}
+
+export function extractFilmstripFromLhr(lhr) {
+  const audit = lhr.audits && lhr.audits['screenshot-thumbnails'];
+  const details = audit && audit.details;
+  if (!details || details.type !== 'filmstrip' || !Array.isArray(details.items) || details.items.length === 0) {
+    return null;
+  }
+  const frames = details.items
+    .slice(0, FILMSTRIP_MAX_FRAMES)
+    .map((item) => ({ timing: item.timing, data: item.data || '' }))
+    .filter((f) => f.data);
+  if (frames.length === 0) return null;
+  const hostUserAgent = lhr.environment && lhr.environment.hostUserAgent;
+  const chromeVersion = parseChromeVersionFromUA(hostUserAgent || lhr.userAgent);
+  return { frames, chromeVersion: chromeVersion || undefined };
+}
+
+function stripFilmstripFromLhr(lhr) {
+  const audit = lhr.audits && lhr.audits['screenshot-thumbnails'];
+  if (audit && audit.details && audit.details.type === 'filmstrip' && Array.isArray(audit.details.items)) {
+    audit.details.items = [];
+  }
+}
+
+export function filmstripFilePath(scanId) {
+  return join(FILMSTRIPS_DIR, `${scanId}.json`);
+}
+
+/**
+ * Run Lighthouse for one device and persist the scan with its filmstrip and screenshot.
+ * A saved site login matching the URL (see site-auth.js), or the one given as siteAuthId, is sent with the requests.
+ * The saved scan is checked against the budget for its URL (see budgets.js) and compared with its baseline (see regressions.js),
+ * and its events are sent to the user's webhooks (see webhooks.js) and email alerts (see notifications.js).
+ * @param {number} userId
+ * @param {string} url
+ * @param {{ formFactor: 'mobile'|'desktop', categories?: string[] }} options - Stored as the scan's options
+ * @param {{ runId?: string|null, jobId?: number|null, siteAuthId?: number|null, onProgress?: Function, signal?: AbortSignal }} [link] - Groups the scan with its run and the job that produced it; onProgress receives phase changes.
+ *   Aborting signal before the scan is saved rejects with signal.reason and writes nothing (no row, filmstrip or screenshot).
+ * @returns {Promise<number>} New scan id
+ */
+export async function runOneScan(userId, url, options, { runId = null, jobId = null, siteAuthId = null, onProgress, signal } = {}) {
+  const siteAuth = siteAuthForUrl(userId, url, siteAuthId);
+  const { report, summary, screenshot } = await runLighthouse(url, options, { onProgress, owner: `user:${userId}`, signal, siteAuth });
+  if (signal) signal.throwIfAborted();
+  const filmstripPayload = extractFilmstripFromLhr(report);
+  stripFilmstripFromLhr(report);
+  const reportJson = JSON.stringify(report);
+  const reportToStore =
+    reportJson.length <= MAX_REPORT_JSON_LENGTH ? reportJson : null;
+  const scanId = db.createScan(userId, url, options, reportToStore, summary, runId, jobId);
+  const budgetResult = checkScanBudget(userId, scanId, url, summary, report);
+  const regressionResult = detectScanRegressions(userId, scanId, url, options, summary);
+  const savedScan = {
+    id: scanId, url, options, status: 'completed', summary, budget_result: budgetResult, regression_result: regressionResult,
+  };
+  queueScanWebhooks(userId, savedScan);
+  sendScanAlerts(userId, savedScan);
+  if (filmstripPayload && filmstripPayload.frames.length > 0) {
+    if (onProgress) onProgress({ phase: 'saving', message: 'Saving filmstrip' });
+    try {
+      await mkdir(FILMSTRIPS_DIR, { recursive: true });
+      await writeFile(
+        filmstripFilePath(scanId),
+        JSON.stringify({ frames: filmstripPayload.frames, chromeVersion: filmstripPayload.chromeVersion }),
+        'utf8'
+      );
+    } catch (e) {
+      console.error('Filmstrip save failed (scan saved):', e.message);
+    }
+  }
+  if (screenshot && screenshot.buffer && screenshot.buffer.length > 0) {
+    if (onProgress) onProgress({ phase: 'saving', message: 'Saving screenshot' });
+    try {
+      await mkdir(SCREENSHOTS_DIR, { recursive: true });
+      const filePath = join(SCREENSHOTS_DIR, `${scanId}.${screenshot.ext}`);
+      await writeFile(filePath, screenshot.buffer);
+      db.updateScanScreenshot(scanId, `${scanId}.${screenshot.ext}`);
+    } catch (e) {
+      console.error('Screenshot save failed (scan saved):', e.message);
+    }
+  }
+  return scanId;
+}
@@ -0,0 +1,136 @@
+import * as db from '../db/index.js';
+import { enqueueScanJob } from './scan-queue.js';
+import { parseCron, nextCronRun } from './cron.js';
+
+/**
+ * Recurring scans. Schedules live in SQLite (scan_schedules) with their next run time; an in-process timer queues
+ * a scan job for each one that is due. Because next_run_at is persisted, a restart picks up where it left off:
+ * a run missed while the server was down is queued once on startup, then the schedule continues from now.
+ * A run is skipped when the schedule's previous job is still queued or running, so slow scans never pile up.
+ */
+
+/** How often due schedules are checked (schedules are minute-granular). */
+const TICK_MS = 30 * 1000;
+/** Cron schedules may not fire more than this many times an hour (every 15 minutes). */
+const MAX_RUNS_PER_HOUR = 4;
+
+export const SCHEDULE_FREQUENCIES = ['hourly', 'daily', 'weekly', 'cron'];
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let timer = null;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function parseTime(value) {
+  const m = typeof value === 'string' ? value.trim().match(/^(\d{1,2}):(\d{2})$/) : null;
+  if (!m || parseInt(m[1], 10) > 23 || parseInt(m[2], 10) > 59) throw new Error('Enter a time as HH:MM (24-hour).');
+  return { hour: parseInt(m[1], 10), minute: parseInt(m[2], 10) };
+}
+
+/**
+ * Next run after `after` as an ISO string, or null when the expression never matches again.
+ * @param {string} cron
+ * @param {Date} [after]
+ */
+export function nextScheduleRun(cron, after = new Date()) {
+  const next = nextCronRun(cron, after);
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Turn the schedule form fields into a frequency and cron expression. Throws an Error with a user-facing message.
+ * @param {{ frequency?: string, minute?: string, time?: string, weekday?: string, cron?: string }} fields
+ * @returns {{ frequency: string, cron: string }}
+ */
+export function scheduleCronFromForm(fields) {
+  const frequency = SCHEDULE_FREQUENCIES.includes(fields.frequency) ? fields.frequency : null;
+  if (!frequency) throw new Error('Choose how often to scan.');
+  if (frequency === 'hourly') {
+    const minute = parseInt(fields.minute, 10);
+    if (Number.isNaN(minute) || minute < 0 || minute > 59) throw new Error('Enter a minute between 0 and 59.');
+    return { frequency, cron: `${minute} * * * *` };
+  }
+  if (frequency === 'daily') {
+    const { hour, minute } = parseTime(fields.time);
+    return { frequency, cron: `${minute} ${hour} * * *` };
+  }
+  if (frequency === 'weekly') {
+    const { hour, minute } = parseTime(fields.time);
+    const weekday = parseInt(fields.weekday, 10);
+    if (Number.isNaN(weekday) || weekday < 0 || weekday > 6) throw new Error('Choose a day of the week.');
+    return { frequency, cron: `${minute} ${hour} * * ${weekday}` };
+  }
+  const cron = typeof fields.cron === 'string' ? fields.cron.trim().replace(/\s+/g, ' ') : '';
+  const parsed = parseCron(cron);
+  if (parsed.minute.values.size > MAX_RUNS_PER_HOUR) {
+    throw new Error(`Schedules can run at most every ${60 / MAX_RUNS_PER_HOUR} minutes.`);
+  }
+  if (!nextCronRun(cron)) throw new Error('That cron expression never matches a date.');
+  return { frequency, cron };
+}
+
+/**
+ * Form field values for editing a stored schedule (the inverse of scheduleCronFromForm).
+ * @param {{ frequency: string, cron: string }} schedule
+ */
+export function scheduleFormValues(schedule) {
+  const [minute, hour, , , weekday] = schedule.cron.split(' ');
+  const values = { frequency: schedule.frequency, minute: '0', time: '09:00', weekday: '1', cron: schedule.cron };
+  if (schedule.frequency === 'hourly') values.minute = minute;
+  if (schedule.frequency === 'daily' || schedule.frequency === 'weekly') values.time = `${pad(hour)}:${pad(minute)}`;
+  if (schedule.frequency === 'weekly') values.weekday = weekday;
+  return values;
+}
+
+/**
+ * Human-readable timing, e.g. "Daily at 09:00" or "Weekly on Monday at 09:00".
+ * @param {{ frequency: string, cron: string }} schedule
+ */
+export function describeSchedule(schedule) {
+  const values = scheduleFormValues(schedule);
+  if (schedule.frequency === 'hourly') return `Hourly at :${pad(values.minute)}`;
+  if (schedule.frequency === 'daily') return `Daily at ${values.time}`;
+  if (schedule.frequency === 'weekly') return `Weekly on ${WEEKDAYS[parseInt(values.weekday, 10)] || 'Sunday'} at ${values.time}`;
+  return `Cron: ${schedule.cron}`;
+}
+
+/** Queue one due schedule (or skip it if its previous job is still going) and move it on to its next run. */
+function runSchedule(schedule, now) {
+  const nextRunAt = nextScheduleRun(schedule.cron, now);
+  if (!db.advanceScanSchedule(schedule.id, schedule.next_run_at, nextRunAt)) return;
+  if (schedule.last_job_status === 'queued' || schedule.last_job_status === 'running') {
+    console.warn('Schedule %d: previous scan (job %d) still %s, skipping this run', schedule.id, schedule.last_job_id, schedule.last_job_status);
+    db.recordScanScheduleSkip(schedule.id, now.toISOString());
+    return;
+  }
+  const jobId = enqueueScanJob(schedule.user_id, schedule.url, schedule.devices, schedule.options || {}, { scheduleId: schedule.id });
+  db.recordScanScheduleRun(schedule.id, jobId, now.toISOString());
+}
+
+function runDueSchedules() {
+  const now = new Date();
+  let due;
+  try {
+    due = db.getDueScanSchedules(now.toISOString());
+  } catch (err) {
+    console.error('Scheduler error:', err);
+    return;
+  }
+  for (const schedule of due) {
+    try {
+      runSchedule(schedule, now);
+    } catch (err) {
+      console.error('Schedule %d failed to queue its scan:', schedule.id, err);
+    }
+  }
+}
+
+/** Start checking for due schedules. Runs missed while the server was down are queued right away (once each). */
+export function startScheduler() {
+  if (timer) return;
+  timer = setInterval(runDueSchedules, TICK_MS);
+  timer.unref();
+  setImmediate(runDueSchedules);
+}
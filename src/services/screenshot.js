@@ -1,11 +1,6 @@
 import puppeteer from 'puppeteer-core';
 import config from '../config.js';
-
-/** Viewport presets: desktop a bit bigger, mobile matches common phone resolution (e.g. iPhone 14/15) */
-const VIEWPORTS = {
-  desktop: { width: 1440, height: 900 },
-  mobile: { width: 390, height: 844 },
-};
+import { deviceProfile } from './devices.js';
 
 const DEFAULT_TIMEOUT_MS = 30000;
 
@@ -16,12 +11,11 @@ const WEBP_QUALITY = 85;
  * Take a full-page WebP screenshot of a URL with a proper viewport.
  * Uses WebP with high compression to minimize storage.
  * @param {string} url - Valid http(s) URL
- * @param {{ formFactor: 'mobile'|'desktop' }} options
+ * @param {{ formFactor?: 'mobile'|'desktop', device?: object }} options - device as in deviceProfile (missing = the formFactor preset)
  * @returns {Promise<{ buffer: Buffer, ext: 'webp' }>}
  */
 export async function takeScreenshot(url, options = {}) {
-  const formFactor = options.formFactor === 'desktop' ? 'desktop' : 'mobile';
-  const viewport = VIEWPORTS[formFactor];
+  const device = deviceProfile(options);
   const executablePath = config.chromePath;
   if (!executablePath) {
     throw new Error('Screenshot requires CHROME_PATH to be set.');
@@ -41,10 +35,13 @@ export async function takeScreenshot(url, options = {}) {
     });
     const page = await browser.newPage();
     await page.setViewport({
-      width: viewport.width,
-      height: viewport.height,
+      width: device.width,
+      height: device.height,
       deviceScaleFactor: 2,
+      isMobile: device.mobile,
+      hasTouch: device.mobile,
     });
+    if (device.userAgent) await page.setUserAgent(device.userAgent);
     await page.goto(url, {
       waitUntil: 'load',
       timeout: DEFAULT_TIMEOUT_MS,
@@ -0,0 +1,285 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import config from '../config.js';
+import * as db from '../db/index.js';
+
+/**
+ * Saved logins for scanning pages behind authentication: extra HTTP headers, cookies and basic auth, stored per
+ * scope (a site origin, or an origin plus path prefix). The secrets are encrypted in SQLite with AES-256-GCM under a
+ * key derived from CREDENTIALS_SECRET (or SESSION_SECRET); changing that secret makes saved logins unreadable.
+ * They are used only while a scan runs and never copied into scan options or reports, and only requests to the saved
+ * scope get them: cookies are set for its host and path, and headers are added to matching requests alone, so the
+ * third-party requests a page makes (analytics, CDNs, ads) never carry credentials.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const KEY_SALT = 'upgs-perf:site-auth';
+
+export const MAX_SITE_AUTHS_PER_USER = 50;
+const MAX_HEADERS = 20;
+const MAX_COOKIES = 50;
+const MAX_VALUE_LENGTH = 4096;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const COOKIE_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+/** Headers Chrome manages itself; setting them breaks requests or is ignored. */
+const RESERVED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade'];
+
+let key = null;
+
+function getKey() {
+  if (!key) key = scryptSync(config.credentialsSecret || config.sessionSecret, KEY_SALT, 32);
+  return key;
+}
+
+/**
+ * Encrypt secrets for storage: "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts).
+ * @param {object} secrets
+ */
+export function encryptSecrets(secrets) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  return [FORMAT_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt stored secrets. Throws when the value was encrypted under another secret or was tampered with.
+ * @param {string} stored
+ */
+export function decryptSecrets(stored) {
+  const [version, iv, tag, ciphertext] = String(stored).split(':');
+  if (version !== FORMAT_VERSION || !iv || !tag || ciphertext === undefined) throw new Error('Unsupported credentials format');
+  const decipher = createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Canonical scope for a URL: origin plus path without query, hash or trailing slash ("https://app.example.com/admin").
+ * Returns null when the URL is not valid http(s).
+ * @param {string} value
+ */
+export function normalizeScope(value) {
+  try {
+    const u = new URL(String(value).trim());
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+    const path = u.pathname.replace(/\/+$/, '');
+    return `${u.origin}${path}`;
+  } catch {
+    return null;
+  }
+}
+
+/** True when url falls under scope (same origin, and the path is the scope path or below it). */
+function scopeMatches(scope, url) {
+  const target = normalizeScope(url);
+  if (!target) return false;
+  return target === scope || target.startsWith(`${scope}/`);
+}
+
+function hasNewline(value) {
+  return /[\r\n]/.test(value);
+}
+
+/**
+ * Parse "Name: value" lines into a headers object. Returns { error } or { headers }.
+ * @param {string} text
+ */
+function parseHeaderLines(text) {
+  const headers = {};
+  const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length > MAX_HEADERS) return { error: `Add at most ${MAX_HEADERS} headers.` };
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    const name = colon > 0 ? line.slice(0, colon).trim() : '';
+    const value = colon > 0 ? line.slice(colon + 1).trim() : '';
+    if (!HEADER_NAME_PATTERN.test(name) || !value || value.length > MAX_VALUE_LENGTH) {
+      return { error: `Write each header as "Name: value" on its own line ("${line.slice(0, 40)}" isn't).` };
+    }
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) return { error: `The ${name} header can't be overridden.` };
+    headers[name] = value;
+  }
+  return { headers };
+}
+
+/**
+ * Parse "name=value" lines into cookies. Returns { error } or { cookies }.
+ * @param {string} text
+ */
+function parseCookieLines(text) {
+  const cookies = [];
+  const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length > MAX_COOKIES) return { error: `Add at most ${MAX_COOKIES} cookies.` };
+  for (const line of lines) {
+    const eq = line.indexOf('=');
+    const name = eq > 0 ? line.slice(0, eq).trim() : '';
+    const value = eq > 0 ? line.slice(eq + 1).trim() : '';
+    if (!COOKIE_NAME_PATTERN.test(name) || value.includes(';') || value.length > MAX_VALUE_LENGTH) {
+      return { error: `Write each cookie as "name=value" on its own line ("${line.slice(0, 40)}" isn't).` };
+    }
+    cookies.push({ name, value });
+  }
+  return { cookies };
+}
+
+/**
+ * Validate the saved-login form (scope, headers, cookies, basicUsername, basicPassword).
+ * Returns { error } or { scope, secrets } ready to encrypt.
+ * @param {object} body - req.body
+ */
+export function parseSiteAuthForm(body) {
+  const scope = normalizeScope(body.scope || '');
+  if (!scope) return { error: 'Enter the site or page URL these credentials are for (http or https).' };
+  const headerResult = parseHeaderLines(body.headers);
+  if (headerResult.error) return { error: headerResult.error };
+  const cookieResult = parseCookieLines(body.cookies);
+  if (cookieResult.error) return { error: cookieResult.error };
+  const username = typeof body.basicUsername === 'string' ? body.basicUsername.trim() : '';
+  const password = typeof body.basicPassword === 'string' ? body.basicPassword : '';
+  if (username.includes(':') || hasNewline(username) || hasNewline(password) || username.length > 256 || password.length > 256) {
+    return { error: 'The basic auth username can’t contain ":" and neither field may span lines.' };
+  }
+  if (!username && password) return { error: 'Enter the basic auth username too.' };
+  const secrets = {
+    headers: headerResult.headers,
+    cookies: cookieResult.cookies,
+    basicAuth: username ? { username, password } : null,
+  };
+  if (!Object.keys(secrets.headers).length && !secrets.cookies.length && !secrets.basicAuth) {
+    return { error: 'Add at least one header, cookie or basic auth login.' };
+  }
+  return { scope, secrets };
+}
+
+/**
+ * Request headers for stored secrets: custom headers, optionally a Cookie header, and Basic Authorization.
+ * @param {{ headers?: Object<string, string>, cookies?: Array<{ name: string, value: string }>, basicAuth?: { username: string, password: string }|null }} secrets
+ * @param {boolean} cookieHeader - Send the cookies as a Cookie header (a browser sends the cookies it was given itself)
+ * @returns {Object<string, string>}
+ */
+function authHeaders(secrets, cookieHeader) {
+  const headers = { ...(secrets.headers || {}) };
+  if (cookieHeader && secrets.cookies && secrets.cookies.length) {
+    const cookie = secrets.cookies.map((c) => `${c.name}=${c.value}`).join('; ');
+    const existing = Object.keys(headers).find((name) => name.toLowerCase() === 'cookie');
+    if (existing) headers[existing] = `${headers[existing]}; ${cookie}`;
+    else headers.Cookie = cookie;
+  }
+  if (secrets.basicAuth) {
+    const token = Buffer.from(`${secrets.basicAuth.username}:${secrets.basicAuth.password}`, 'utf8').toString('base64');
+    headers.Authorization = `Basic ${token}`;
+  }
+  return headers;
+}
+
+/**
+ * The saved login to use when scanning url for this user: the one with the most specific matching scope, or null.
+ * A project scan passes its project's login as siteAuthId, which is used whatever its scope (while it still exists);
+ * when its scope doesn't cover url it applies to url's origin instead.
+ * Throws when the login can't be decrypted (e.g. the secret changed), so the scan fails with a clear reason
+ * instead of silently auditing the logged-out page.
+ * @param {number} userId
+ * @param {string} url
+ * @param {number|null} [siteAuthId]
+ * @returns {{ scope: string, headers: Object<string, string>, cookies: Array<{ name: string, value: string }>, basicAuth: { username: string, password: string }|null }|null}
+ */
+export function siteAuthForUrl(userId, url, siteAuthId = null) {
+  const match = (siteAuthId && db.getSiteAuthByIdAndUserId(siteAuthId, userId)) || db.getSiteAuthsByUserId(userId)
+    .filter((row) => scopeMatches(row.scope, url))
+    .sort((a, b) => b.scope.length - a.scope.length)[0];
+  if (!match) return null;
+  let secrets;
+  try {
+    secrets = decryptSecrets(match.secrets);
+  } catch {
+    throw new Error(`The saved login for ${match.scope} can't be decrypted (was CREDENTIALS_SECRET or SESSION_SECRET changed?). Delete it in Settings and add it again.`);
+  }
+  return {
+    scope: scopeMatches(match.scope, url) ? match.scope : new URL(url).origin,
+    headers: secrets.headers || {},
+    cookies: secrets.cookies || [],
+    basicAuth: secrets.basicAuth || null,
+  };
+}
+
+/**
+ * Headers a request to url gets from a saved login, or null when url is outside the login's scope.
+ * @param {object|null} login - From siteAuthForUrl
+ * @param {string} url
+ * @param {{ cookieHeader?: boolean }} [options] - cookieHeader: include the cookies (for requests made outside Chrome)
+ * @returns {Object<string, string>|null}
+ */
+export function siteAuthHeaders(login, url, { cookieHeader = false } = {}) {
+  if (!login || !scopeMatches(login.scope, url)) return null;
+  const headers = authHeaders(login, cookieHeader);
+  return Object.keys(headers).length ? headers : null;
+}
+
+/**
+ * A saved login's cookies as Chrome cookies: host-only on the scope's host, limited to its path, and HTTPS-only for
+ * an https scope.
+ * @param {{ scope: string, cookies: Array<{ name: string, value: string }> }} login - From siteAuthForUrl
+ */
+export function siteAuthCookies(login) {
+  const scope = new URL(login.scope);
+  return login.cookies.map((c) => ({
+    name: c.name,
+    value: c.value,
+    url: `${scope.origin}/`,
+    path: scope.pathname,
+    secure: scope.protocol === 'https:',
+  }));
+}
+
+/** Fetch.enable URL pattern for the requests in a login's scope ("*" and "?" are wildcards, backslash escapes). */
+function scopePattern(scope) {
+  return `${scope.replace(/[\\*?]/g, '\\$&')}*`;
+}
+
+/**
+ * Log a Puppeteer page in with a saved login before it loads anything. Cookies are set on the scope's host and path,
+ * which Chrome sends natively. Headers (and Basic Authorization) have no native per-URL equivalent, so the page pauses
+ * the requests matching the scope through the Fetch domain to add them; requests elsewhere (third parties, other
+ * paths) are never paused, and a pattern match outside the scope (/admin also matches /administrator) continues as is.
+ * Each request that gets headers costs a DevTools round trip, so such runs measure slightly slower than unauthenticated ones.
+ * @param {import('puppeteer-core').Page} page
+ * @param {object|null} login - From siteAuthForUrl
+ */
+export async function applySiteAuth(page, login) {
+  if (!login) return;
+  if (login.cookies.length) await page.setCookie(...siteAuthCookies(login));
+  if (!Object.keys(login.headers).length && !login.basicAuth) return;
+  const session = await page.createCDPSession();
+  session.on('Fetch.requestPaused', ({ requestId, request }) => {
+    const headers = siteAuthHeaders(login, request.url);
+    const merged = {};
+    for (const [name, value] of Object.entries(request.headers)) merged[name.toLowerCase()] = value;
+    if (headers) for (const [name, value] of Object.entries(headers)) merged[name.toLowerCase()] = value;
+    const overrides = headers ? { headers: Object.entries(merged).map(([name, value]) => ({ name, value })) } : {};
+    /* Fails when the page closed meanwhile; nothing is left to continue then. */
+    session.send('Fetch.continueRequest', { requestId, ...overrides }).catch(() => {});
+  });
+  await session.send('Fetch.enable', { patterns: [{ urlPattern: scopePattern(login.scope), requestStage: 'Request' }] });
+}
+
+/**
+ * What a saved login contains, for listing without revealing values, e.g. "Headers: X-Api-Key · 2 cookies · Basic auth (alice)".
+ * Returns null when it can't be decrypted.
+ * @param {{ secrets: string }} row
+ */
+export function describeSiteAuth(row) {
+  let secrets;
+  try {
+    secrets = decryptSecrets(row.secrets);
+  } catch {
+    return null;
+  }
+  const parts = [];
+  const headerNames = Object.keys(secrets.headers || {});
+  if (headerNames.length) parts.push(`Headers: ${headerNames.join(', ')}`);
+  const cookieCount = (secrets.cookies || []).length;
+  if (cookieCount) parts.push(`${cookieCount} cookie${cookieCount === 1 ? '' : 's'}`);
+  if (secrets.basicAuth) parts.push(`Basic auth (${secrets.basicAuth.username})`);
+  return parts.join(' · ');
+}
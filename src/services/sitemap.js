@@ -0,0 +1,159 @@
+import { gunzipSync } from 'zlib';
+
+/**
+ * Sitemap discovery for crawls: fetch a sitemap (XML urlset, sitemap index, plain text list, optionally gzipped) and
+ * collect the page URLs it lists, following sitemap indexes to the sitemaps they name.
+ */
+
+/** Per sitemap file (the sitemaps.org limit for an uncompressed file). */
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+/** Sitemap files fetched per crawl, counting the index itself. */
+const MAX_SITEMAPS = 50;
+/** Collection stops here; a crawl scans far fewer, this only bounds memory for huge sites. */
+const MAX_DISCOVERED_URLS = 50000;
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_REDIRECTS = 5;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()];
+    const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    try {
+      return String.fromCodePoint(code);
+    } catch {
+      return match;
+    }
+  });
+}
+
+function isHttpUrl(value) {
+  try {
+    const u = new URL(value);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Page and sitemap URLs listed in a sitemap document. kind is 'index' for a sitemap index, 'urlset' for an XML
+ * sitemap, 'text' for a plain list of URLs, or null when the document is none of these.
+ * @param {string} text
+ * @returns {{ kind: 'index'|'urlset'|'text'|null, locs: string[] }}
+ */
+export function parseSitemap(text) {
+  const body = text.replace(/^\uFEFF/, '');
+  const isIndex = /<(?:[\w-]+:)?sitemapindex[\s>]/i.test(body);
+  if (isIndex || /<(?:[\w-]+:)?urlset[\s>]/i.test(body)) {
+    const locs = [];
+    const pattern = /<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/(?:[\w-]+:)?loc>/gi;
+    let match;
+    while ((match = pattern.exec(body))) locs.push(decodeXml(match[1].trim()));
+    return { kind: isIndex ? 'index' : 'urlset', locs };
+  }
+  if (!body.includes('<')) {
+    const locs = body.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && isHttpUrl(line));
+    if (locs.length) return { kind: 'text', locs };
+  }
+  return { kind: null, locs: [] };
+}
+
+/**
+ * Fetch one sitemap file as text, gunzipping .gz sitemaps (detected by their magic bytes). Redirects are followed
+ * here rather than by fetch so that each hop gets its own headers: a login's headers never follow a redirect to
+ * another site.
+ */
+async function fetchSitemapText(url, headersFor) {
+  let res;
+  let target = url;
+  for (let redirects = 0; ; redirects++) {
+    try {
+      res = await fetch(target, {
+        headers: { Accept: 'application/xml, text/xml, text/plain;q=0.9, */*;q=0.8', ...(headersFor(target) || {}) },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+    } catch (err) {
+      /* Connection errors carry their code on the cause (or on each attempt, when several addresses were tried). */
+      const cause = err.cause && err.cause.errors ? err.cause.errors[0] : err.cause;
+      const reason = err.name === 'TimeoutError' ? `no response within ${FETCH_TIMEOUT_MS / 1000} s` : (cause && (cause.code || cause.message)) || err.message;
+      throw new Error(`${url} could not be fetched (${reason}).`);
+    }
+    const location = res.status >= 300 && res.status < 400 && res.headers.get('location');
+    if (!location) break;
+    if (res.body) await res.body.cancel();
+    if (redirects === MAX_REDIRECTS) throw new Error(`${url} redirects more than ${MAX_REDIRECTS} times.`);
+    target = new URL(location, target).href;
+    if (!isHttpUrl(target)) throw new Error(`${url} redirects to ${target}, which isn't http(s).`);
+  }
+  if (!res.ok) throw new Error(`${url} returned HTTP ${res.status}.`);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > MAX_SITEMAP_BYTES) throw new Error(`${url} is larger than ${MAX_SITEMAP_BYTES / 1024 / 1024} MB.`);
+    chunks.push(chunk);
+  }
+  let buffer = Buffer.concat(chunks);
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+    } catch {
+      throw new Error(`${url} could not be decompressed (or is larger than ${MAX_SITEMAP_BYTES / 1024 / 1024} MB).`);
+    }
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Collect the page URLs of a sitemap, following sitemap indexes (nested ones too). URLs are http(s) only and
+ * deduplicated, in sitemap order. The first sitemap must load; a nested one that fails is skipped and reported.
+ * @param {string} sitemapUrl
+ * @param {{ headersFor?: (url: string) => Object<string, string>|null }} [options] - Extra request headers per sitemap
+ *   URL and redirect target (a saved login for the site)
+ * @returns {Promise<{ urls: string[], sitemapCount: number, skipped: string[], truncated: boolean }>} sitemapCount: sitemaps read
+ */
+export async function fetchSitemapUrls(sitemapUrl, { headersFor = () => null } = {}) {
+  const queue = [sitemapUrl];
+  const seenSitemaps = new Set(queue);
+  const urls = new Set();
+  const skipped = [];
+  let fetched = 0;
+  let sitemapCount = 0;
+  let truncated = false;
+  while (queue.length && !truncated) {
+    const url = queue.shift();
+    if (fetched >= MAX_SITEMAPS) {
+      truncated = true;
+      break;
+    }
+    fetched++;
+    let parsed;
+    try {
+      parsed = parseSitemap(await fetchSitemapText(url, headersFor));
+      if (!parsed.kind) throw new Error(`${url} is not a sitemap (no <urlset> or <sitemapindex>).`);
+    } catch (err) {
+      if (url === sitemapUrl) throw err;
+      skipped.push(err.message);
+      continue;
+    }
+    sitemapCount++;
+    for (const loc of parsed.locs) {
+      if (!isHttpUrl(loc)) continue;
+      if (parsed.kind === 'index') {
+        if (!seenSitemaps.has(loc)) {
+          seenSitemaps.add(loc);
+          queue.push(loc);
+        }
+      } else if (urls.size < MAX_DISCOVERED_URLS) {
+        urls.add(loc);
+      } else {
+        truncated = true;
+        break;
+      }
+    }
+  }
+  return { urls: [...urls], sitemapCount, skipped, truncated };
+}
@@ -0,0 +1,161 @@
+/**
+ * Network and CPU throttling profiles for scans. The chosen profile is saved in the scan's options as
+ * `throttling: { profile, method, rttMs, throughputKbps, cpuSlowdownMultiplier }` (values always filled in, so the
+ * report can show exactly what was applied). Scans saved before profiles existed ran with Lighthouse's default,
+ * Slow 4G with simulated throttling, which is what resolveThrottling returns for them.
+ */
+
+/** Presets. Slow 4G matches Lighthouse's default mobile throttling, Fast 4G its desktop preset. */
+export const THROTTLING_PROFILES = {
+  none: { label: 'No throttling', rttMs: 0, throughputKbps: 0, cpuSlowdownMultiplier: 1 },
+  'fast-4g': { label: 'Fast 4G', rttMs: 40, throughputKbps: 10240, cpuSlowdownMultiplier: 1 },
+  'slow-4g': { label: 'Slow 4G', rttMs: 150, throughputKbps: 1638.4, cpuSlowdownMultiplier: 4 },
+  '3g': { label: '3G', rttMs: 300, throughputKbps: 700, cpuSlowdownMultiplier: 4 },
+  custom: { label: 'Custom' },
+};
+
+export const DEFAULT_THROTTLING_PROFILE = 'slow-4g';
+/** simulate: Lighthouse models the throttled load from an unthrottled one (stable). devtools: Chrome really throttles. */
+export const THROTTLING_METHODS = ['simulate', 'devtools'];
+
+/** Bounds for custom values (Lighthouse's simulator needs some throughput; use "No throttling" for none). */
+const MAX_RTT_MS = 5000;
+const MIN_THROUGHPUT_KBPS = 50;
+const MAX_THROUGHPUT_KBPS = 1000000;
+const MAX_CPU_MULTIPLIER = 20;
+/** Values a custom profile must give, with their names in the form. */
+const CUSTOM_VALUES = { rttMs: 'RTT', throughputKbps: 'throughput', cpuSlowdownMultiplier: 'CPU slowdown' };
+
+function clampNumber(value, min, max, fallback) {
+  const n = parseFloat(value);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Coerce requested throttling (form fields or stored options) to a complete settings object.
+ * Unknown profiles fall back to the default; custom values are clamped to sane bounds (requests with custom values
+ * missing are rejected first, see missingCustomThrottling).
+ * @param {{ profile?: string, method?: string, rttMs?: unknown, throughputKbps?: unknown, cpuSlowdownMultiplier?: unknown }|null|undefined} value
+ * @returns {{ profile: string, method: 'simulate'|'devtools', rttMs: number, throughputKbps: number, cpuSlowdownMultiplier: number }}
+ */
+export function resolveThrottling(value) {
+  const input = value && typeof value === 'object' ? value : {};
+  const profile = Object.prototype.hasOwnProperty.call(THROTTLING_PROFILES, input.profile) ? input.profile : DEFAULT_THROTTLING_PROFILE;
+  const method = THROTTLING_METHODS.includes(input.method) ? input.method : 'simulate';
+  if (profile !== 'custom') {
+    const { rttMs, throughputKbps, cpuSlowdownMultiplier } = THROTTLING_PROFILES[profile];
+    return { profile, method, rttMs, throughputKbps, cpuSlowdownMultiplier };
+  }
+  const preset = THROTTLING_PROFILES[DEFAULT_THROTTLING_PROFILE];
+  return {
+    profile,
+    method,
+    rttMs: Math.round(clampNumber(input.rttMs, 0, MAX_RTT_MS, preset.rttMs)),
+    /* One decimal, so Slow 4G's 1638.4 Kbps can be entered exactly. */
+    throughputKbps: Math.round(clampNumber(input.throughputKbps, MIN_THROUGHPUT_KBPS, MAX_THROUGHPUT_KBPS, preset.throughputKbps) * 10) / 10,
+    cpuSlowdownMultiplier: clampNumber(input.cpuSlowdownMultiplier, 1, MAX_CPU_MULTIPLIER, preset.cpuSlowdownMultiplier),
+  };
+}
+
+/**
+ * The values requested custom throttling lacks (missing or not a number), e.g. ['rttMs']; none for presets.
+ * @param {{ profile?: string, rttMs?: unknown, throughputKbps?: unknown, cpuSlowdownMultiplier?: unknown }|null|undefined} value
+ * @returns {string[]}
+ */
+export function missingCustomThrottling(value) {
+  if (!value || value.profile !== 'custom') return [];
+  return Object.keys(CUSTOM_VALUES).filter((key) => Number.isNaN(parseFloat(value[key])));
+}
+
+/**
+ * Error for the scan/schedule form when custom throttling lacks a value, else null.
+ * @param {object} body - req.body
+ */
+export function throttlingFormError(body) {
+  const missing = missingCustomThrottling({
+    profile: body.throttling,
+    rttMs: body.rttMs,
+    throughputKbps: body.throughputKbps,
+    cpuSlowdownMultiplier: body.cpuSlowdownMultiplier,
+  }).map((key) => CUSTOM_VALUES[key]);
+  if (missing.length === 0) return null;
+  const list = missing.length > 1 ? `${missing.slice(0, -1).join(', ')} and ${missing[missing.length - 1]}` : missing[0];
+  return `Custom throttling needs ${list} values.`;
+}
+
+/**
+ * Throttling from the scan/schedule form fields (throttling, throttlingMethod, rttMs, throughputKbps, cpuSlowdownMultiplier).
+ * @param {object} body - req.body
+ */
+export function throttlingFromForm(body) {
+  return resolveThrottling({
+    profile: body.throttling,
+    method: body.throttlingMethod,
+    rttMs: body.rttMs,
+    throughputKbps: body.throughputKbps,
+    cpuSlowdownMultiplier: body.cpuSlowdownMultiplier,
+  });
+}
+
+/**
+ * Lighthouse settings for the throttling (throttlingMethod + throttling). "No throttling" uses the 'provided' method.
+ * devtools throttling takes request latency and throughput instead of RTT; they are derived like Lighthouse's presets.
+ * @param {object} throttling - From resolveThrottling
+ */
+export function lighthouseThrottlingSettings(throttling) {
+  const t = resolveThrottling(throttling);
+  return {
+    throttlingMethod: t.profile === 'none' ? 'provided' : t.method,
+    throttling: {
+      rttMs: t.rttMs,
+      throughputKbps: t.throughputKbps,
+      requestLatencyMs: t.rttMs * 3.75,
+      downloadThroughputKbps: t.throughputKbps * 0.9,
+      uploadThroughputKbps: t.throughputKbps * 0.9,
+      cpuSlowdownMultiplier: t.cpuSlowdownMultiplier,
+    },
+  };
+}
+
+/**
+ * Identifies results that may be compared: same values and method. Custom values equal to a preset's get the preset's
+ * key, so they compare with scans made with that preset.
+ * @param {object} [throttling] - options.throttling of a scan (missing = Lighthouse default)
+ */
+export function throttlingKey(throttling) {
+  const t = resolveThrottling(throttling);
+  const preset = t.profile === 'custom'
+    ? Object.keys(THROTTLING_PROFILES).find((id) => id !== 'custom' && Object.keys(CUSTOM_VALUES).every((key) => THROTTLING_PROFILES[id][key] === t[key]))
+    : t.profile;
+  if (preset === 'none') return 'none';
+  const base = preset || `custom:${t.rttMs}/${t.throughputKbps}/${t.cpuSlowdownMultiplier}`;
+  return `${base}:${t.method}`;
+}
+
+function formatThroughput(kbps) {
+  return kbps >= 1024 ? `${Math.round((kbps / 1024) * 10) / 10} Mbps` : `${Math.round(kbps)} Kbps`;
+}
+
+/**
+ * Short label, e.g. "Slow 4G (simulated)" or "Custom 100 ms / 5 Mbps / 2× CPU (DevTools)".
+ * @param {object} [throttling]
+ */
+export function throttlingLabel(throttling) {
+  const t = resolveThrottling(throttling);
+  if (t.profile === 'none') return THROTTLING_PROFILES.none.label;
+  const name = t.profile === 'custom'
+    ? `Custom ${t.rttMs} ms / ${formatThroughput(t.throughputKbps)} / ${t.cpuSlowdownMultiplier}× CPU`
+    : THROTTLING_PROFILES[t.profile].label;
+  return `${name} (${t.method === 'devtools' ? 'DevTools' : 'simulated'})`;
+}
+
+/**
+ * Applied values for display, e.g. "150 ms RTT · 1.6 Mbps · 4× CPU slowdown".
+ * @param {object} [throttling]
+ */
+export function throttlingDetails(throttling) {
+  const t = resolveThrottling(throttling);
+  if (t.profile === 'none') return 'Network and CPU unthrottled';
+  return `${t.rttMs} ms RTT · ${formatThroughput(t.throughputKbps)} · ${t.cpuSlowdownMultiplier}× CPU slowdown`;
+}
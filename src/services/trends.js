@@ -0,0 +1,190 @@
+import * as db from '../db/index.js';
+import { categoriesLabel } from './categories.js';
+import { deviceName, deviceShortName } from './devices.js';
+import { scanFailureLabel } from './scan-errors.js';
+import { throttlingKey, throttlingLabel } from './throttling.js';
+
+/**
+ * Trends of one page: its scans, or their median and 75th percentile per day or week, in a date range, for one
+ * throttling profile at a time (scores from different profiles aren't comparable), plus where each device stands:
+ * its latest scores against those of 30 days before, and its best and worst scans in the range.
+ * The values are read from the scans' summary JSON in SQL (db getTrend*), never by loading whole summaries.
+ */
+
+export const TREND_GRANULARITIES = ['scan', 'day', 'week'];
+/** Most scans returned one by one; aggregates always cover the whole range. */
+const MAX_TREND_SCANS = 500;
+/** "Latest" is compared with the newest scan at least this old. */
+const COMPARE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** SQLite datetime ("YYYY-MM-DD HH:MM:SS", UTC), the format scans.created_at uses. */
+function sqliteTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * A range bound from a query string: a YYYY-MM-DD day, null when empty, undefined when invalid.
+ * @param {unknown} value
+ */
+function parseTrendDate(value) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? undefined : value;
+}
+
+/**
+ * Trends query (from and to: YYYY-MM-DD, both optional; granularity: scan, day or week; throttling: a profile key,
+ * default the most recently used) as { url, from, to, granularity, throttling }, or { error } for a 400.
+ * @param {object} query - req.query
+ */
+export function parseTrendsQuery(query) {
+  const url = typeof query.url === 'string' ? query.url.trim() : '';
+  if (!url) return { error: 'Missing url' };
+  try {
+    new URL(url);
+  } catch {
+    return { error: 'Invalid url' };
+  }
+  const from = parseTrendDate(query.from);
+  const to = parseTrendDate(query.to);
+  if (from === undefined || to === undefined) return { error: 'Dates must be YYYY-MM-DD' };
+  if (from && to && from > to) return { error: 'The start date is after the end date' };
+  const granularity = query.granularity || 'scan';
+  if (!TREND_GRANULARITIES.includes(granularity)) return { error: 'Invalid granularity' };
+  const throttling = typeof query.throttling === 'string' ? query.throttling : '';
+  return { url, from, to, granularity, throttling };
+}
+
+function device(options) {
+  return { name: deviceName(options), short: deviceShortName(options) };
+}
+
+/** A highlighted scan: { id, created_at, categories, metrics }. */
+function point(row) {
+  return row ? { id: row.id, created_at: row.created_at, categories: row.categories, metrics: row.metrics } : null;
+}
+
+/**
+ * The throttling profiles a page was scanned with, most recently used first. Stored settings that resolve to the
+ * same profile (e.g. none saved, and Slow 4G saved explicitly) count as one; stored lists them as saved.
+ */
+function trendProfiles(userId, url) {
+  const byKey = new Map();
+  for (const row of db.getTrendThrottlings(userId, url)) {
+    let throttling = null;
+    try {
+      throttling = JSON.parse(row.throttling);
+    } catch {
+      /* unreadable: the default profile */
+    }
+    const key = throttlingKey(throttling);
+    let profile = byKey.get(key);
+    if (!profile) {
+      profile = { key, label: throttlingLabel(throttling), count: 0, lastAt: row.last_at, stored: [] };
+      byKey.set(key, profile);
+    }
+    profile.count += row.count;
+    profile.stored.push(row.throttling);
+    if (row.last_at > profile.lastAt) profile.lastAt = row.last_at;
+  }
+  return [...byKey.values()].sort((a, b) => (a.lastAt < b.lastAt ? 1 : a.lastAt > b.lastAt ? -1 : 0));
+}
+
+/** Bucket rows (one per bucket, device and value) as { start, device, count, median: { id: v }, p75: { id: v } }. */
+function groupBuckets(rows) {
+  const byKey = new Map();
+  for (const row of rows) {
+    const key = `${row.bucket} ${row.device_key}`;
+    let bucket = byKey.get(key);
+    if (!bucket) {
+      let options = null;
+      try {
+        options = row.options ? JSON.parse(row.options) : null;
+      } catch {
+        /* keep null */
+      }
+      bucket = { start: row.bucket, device: { key: row.device_key, ...device(options) }, count: 0, median: {}, p75: {} };
+      byKey.set(key, bucket);
+    }
+    bucket.count = Math.max(bucket.count, row.count);
+    bucket.median[row.series] = row.median;
+    bucket.p75[row.series] = row.p75;
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * The throttling profile charted (the one asked for, else the most recently used; null when the page has no scans)
+ * and the db filter for its scans in the range.
+ */
+function trendSelection(userId, url, { from = null, to = null, throttling = '' }) {
+  const profiles = trendProfiles(userId, url);
+  const profile = profiles.find((p) => p.key === throttling) || profiles[0] || null;
+  const filter = profile && {
+    throttlings: profile.stored,
+    from: from ? `${from} 00:00:00` : null,
+    to: to ? sqliteTime(new Date(Date.parse(`${to}T00:00:00Z`) + DAY_MS)) : null,
+  };
+  return { profiles, profile, filter };
+}
+
+/**
+ * Trend data for a page.
+ * @param {{ from?: string|null, to?: string|null, granularity?: string, throttling?: string }} query - from and to
+ *   are YYYY-MM-DD days (UTC, both included); throttling is a profile key (default: the most recently used)
+ * @returns {{ url: string, from: string|null, to: string|null, granularity: string, profiles: object[],
+ *   throttling: { key: string, label: string }|null, scans: object[], buckets: object[], summary: object[] }}
+ *   buckets is empty for granularity 'scan'; summary has one entry per device: { device, latest, previous, best, worst }.
+ */
+export function buildTrends(userId, url, { from = null, to = null, granularity = 'scan', throttling = '' } = {}, now = new Date()) {
+  const { profiles, profile, filter } = trendSelection(userId, url, { from, to, throttling });
+  const result = {
+    url,
+    from,
+    to,
+    granularity,
+    profiles: profiles.map((p) => ({ key: p.key, label: p.label, count: p.count })),
+    throttling: profile ? { key: profile.key, label: profile.label } : null,
+    scans: [],
+    buckets: [],
+    summary: [],
+  };
+  if (!profile) return result;
+  /* Failed scans are kept (no scores) so the timeline shows the gap and its reason.
+     device.key tells devices apart (formFactor alone can't: tablets and custom profiles are "mobile" too).
+     audited names the categories of scans that audited only some (null = all), whose other lines have gaps. */
+  result.scans = db.getTrendScans(userId, url, filter, MAX_TREND_SCANS).map((s) => ({
+    id: s.id,
+    created_at: s.created_at,
+    run_id: s.run_id || null,
+    device: { key: s.device_key, ...device(s.options) },
+    categories: s.categories,
+    metrics: s.metrics,
+    audited: categoriesLabel(s.options && s.options.categories),
+    status: s.status,
+    failure: s.status === 'failed' ? { reason: s.failure_reason, label: scanFailureLabel(s), error: s.error } : null,
+  }));
+  if (granularity !== 'scan') result.buckets = groupBuckets(db.getTrendBuckets(userId, url, filter, granularity));
+  const highlights = db.getTrendHighlights(userId, url, filter, sqliteTime(new Date(now.getTime() - COMPARE_DAYS * DAY_MS)));
+  const forDevice = (list, key) => point(list.find((row) => row.device_key === key));
+  result.summary = highlights.latest.map((row) => ({
+    device: { key: row.device_key, ...device(row.options) },
+    latest: point(row),
+    /* When the latest scan is itself that old, there is nothing to compare it with. */
+    previous: highlights.previous.some((p) => p.id === row.id) ? null : forDevice(highlights.previous, row.device_key),
+    best: forDevice(highlights.best, row.device_key),
+    worst: forDevice(highlights.worst, row.device_key),
+  }));
+  return result;
+}
+
+/**
+ * The scans behind a page's trends (same range and throttling profile as buildTrends), oldest first, for exports.
+ * @param {{ from?: string|null, to?: string|null, throttling?: string }} query
+ */
+export function getTrendScansForExport(userId, url, query, limit) {
+  const { filter } = trendSelection(userId, url, query);
+  return filter ? db.getTrendScans(userId, url, filter, limit) : [];
+}
@@ -0,0 +1,211 @@
+import * as db from '../db/index.js';
+import { runUserFlow } from './lighthouse.js';
+import { siteAuthForUrl } from './site-auth.js';
+import { resolveDevices } from './devices.js';
+import { throttlingFormError, throttlingFromForm } from './throttling.js';
+
+/**
+ * User flows: a scripted journey through a site measured with Lighthouse's user flow API. A flow is a list of steps
+ * { type, target, value } (what target and value hold depends on the type, see FLOW_STEP_TYPES). Navigations and
+ * snapshots are Lighthouse steps of their own; clicks, typing and waits run in between, and inside a timespan they
+ * are the interactions it measures (INP, TBT, CLS). Flows run once per request, on one device.
+ */
+
+/** target/value: field labels in the form (null = unused). measured: the step produces a Lighthouse report step. */
+export const FLOW_STEP_TYPES = {
+  navigate: { label: 'Navigate to URL', target: 'URL', value: 'Step name (optional)', measured: true },
+  'click-navigate': { label: 'Click and measure the navigation', target: 'CSS selector', value: 'Step name (optional)', measured: true },
+  click: { label: 'Click', target: 'CSS selector', value: null },
+  type: { label: 'Type text', target: 'CSS selector', value: 'Text' },
+  'wait-selector': { label: 'Wait for element', target: 'CSS selector', value: null },
+  'wait-ms': { label: 'Wait', target: 'Milliseconds', value: null },
+  'timespan-start': { label: 'Start timespan', target: null, value: 'Step name (optional)' },
+  'timespan-end': { label: 'End timespan', target: null, value: null, measured: true },
+  snapshot: { label: 'Snapshot', target: null, value: 'Step name (optional)', measured: true },
+};
+
+export const MAX_FLOWS_PER_USER = 50;
+export const MAX_FLOW_STEPS = 30;
+const MAX_NAME_LENGTH = 80;
+const MAX_URL_LENGTH = 2048;
+const MAX_SELECTOR_LENGTH = 500;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_WAIT_MS = 30000;
+/** Flow results hold a report per step, so they may be larger than a single scan's. */
+const MAX_FLOW_REPORT_JSON_LENGTH = 10 * 1024 * 1024;
+
+function isValidUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return value == null ? [] : [value];
+}
+
+function field(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Short description of a step, e.g. 'Click "#buy"' or 'Navigate to https://example.com/'.
+ * @param {{ type: string, target: string, value: string }} step
+ */
+export function flowStepLabel(step) {
+  const type = FLOW_STEP_TYPES[step.type];
+  if (!type) return step.type;
+  switch (step.type) {
+    case 'navigate':
+      return `Navigate to ${step.target}`;
+    case 'wait-ms':
+      return `Wait ${step.target} ms`;
+    case 'type':
+      return `Type into "${step.target}"`;
+    case 'timespan-start':
+    case 'snapshot':
+      return step.value ? `${type.label} "${step.value}"` : type.label;
+    default:
+      return type.target ? `${type.label} "${step.target}"` : type.label;
+  }
+}
+
+/** First URL the flow opens (listed with the flow and used as its job's URL). */
+export function flowStartUrl(steps) {
+  const first = (steps || []).find((s) => s.type === 'navigate');
+  return first ? first.target : '';
+}
+
+/**
+ * Validate one step and the timespan state it leaves behind. Returns an error message or null.
+ * @param {{ type: string, target: string, value: string }} step
+ * @param {number} index
+ * @param {{ inTimespan: boolean }} state
+ */
+function validateStep(step, index, state) {
+  const n = index + 1;
+  if (index === 0 && step.type !== 'navigate') return 'A flow must start with a "Navigate to URL" step.';
+  if (step.type === 'navigate' && !isValidUrl(step.target)) return `Step ${n}: enter a valid http or https URL.`;
+  if (['click-navigate', 'click', 'type', 'wait-selector'].includes(step.type) && (!step.target || step.target.length > MAX_SELECTOR_LENGTH)) {
+    return `Step ${n}: enter a CSS selector (up to ${MAX_SELECTOR_LENGTH} characters).`;
+  }
+  if (step.type === 'type' && step.value.length > MAX_TEXT_LENGTH) return `Step ${n}: text can be up to ${MAX_TEXT_LENGTH} characters.`;
+  if (step.type === 'wait-ms') {
+    const ms = Number(step.target);
+    if (!Number.isInteger(ms) || ms < 0 || ms > MAX_WAIT_MS) return `Step ${n}: wait between 0 and ${MAX_WAIT_MS} milliseconds.`;
+  }
+  if (FLOW_STEP_TYPES[step.type].value && step.type !== 'type' && step.value.length > MAX_NAME_LENGTH) {
+    return `Step ${n}: step names can be up to ${MAX_NAME_LENGTH} characters.`;
+  }
+  if (step.type === 'timespan-start') {
+    if (state.inTimespan) return `Step ${n}: end the current timespan before starting another.`;
+    state.inTimespan = true;
+  } else if (step.type === 'timespan-end') {
+    if (!state.inTimespan) return `Step ${n}: there is no timespan to end.`;
+    state.inTimespan = false;
+  } else if (state.inTimespan && ['navigate', 'click-navigate', 'snapshot'].includes(step.type)) {
+    return `Step ${n}: end the timespan before a navigation or snapshot.`;
+  }
+  return null;
+}
+
+/**
+ * Validate the flow form: name, device, throttling fields and the step rows (stepType, stepTarget, stepValue, one
+ * entry per row; rows without a type are ignored). Returns { values } for re-rendering and either { error } or { flow }.
+ * @param {object} body - req.body
+ * @param {number} userId
+ * @param {Object<string, object>} [savedDevices] - The edited flow's device snapshot, valid after its profile is deleted
+ */
+export function parseFlowForm(body, userId, savedDevices = {}) {
+  const types = toArray(body.stepType);
+  const targets = toArray(body.stepTarget);
+  const values = toArray(body.stepValue);
+  const steps = [];
+  types.forEach((rawType, i) => {
+    const type = field(rawType);
+    if (!type) return;
+    const spec = FLOW_STEP_TYPES[type];
+    steps.push({
+      type,
+      target: spec && spec.target ? field(targets[i]) : '',
+      /* Typed text is kept as entered (leading/trailing spaces may matter). */
+      value: spec && spec.value ? (type === 'type' ? String(values[i] ?? '') : field(values[i])) : '',
+    });
+  });
+  const { devices, deviceProfiles } = resolveDevices(userId, body.device, savedDevices);
+  const device = devices.length ? deviceProfiles[devices[0]] : null;
+  const form = {
+    name: field(body.name),
+    steps,
+    device: device ? device.id : '',
+    throttling: throttlingFromForm(body),
+    project: field(body.projectId),
+  };
+  if (!form.name || form.name.length > MAX_NAME_LENGTH) return { values: form, error: `Give the flow a name (up to ${MAX_NAME_LENGTH} characters).` };
+  if (steps.some((s) => !FLOW_STEP_TYPES[s.type])) return { values: form, error: 'Choose a step type for every step.' };
+  if (steps.length === 0) return { values: form, error: 'Add at least one step, starting with "Navigate to URL".' };
+  if (steps.length > MAX_FLOW_STEPS) return { values: form, error: `A flow can have up to ${MAX_FLOW_STEPS} steps.` };
+  const state = { inTimespan: false };
+  for (const [index, step] of steps.entries()) {
+    const error = validateStep(step, index, state);
+    if (error) return { values: form, error };
+  }
+  if (state.inTimespan) return { values: form, error: 'End the timespan with an "End timespan" step.' };
+  if (!device) return { values: form, error: 'Select a device.' };
+  const throttlingError = throttlingFormError(body);
+  if (throttlingError) return { values: form, error: throttlingError };
+  const project = form.project ? db.getProjectByIdAndUserId(parseInt(form.project, 10), userId) : null;
+  if (form.project && !project) return { values: form, error: 'That project no longer exists. Pick another one.' };
+  return {
+    values: form,
+    flow: {
+      name: form.name,
+      steps,
+      options: { device, throttling: form.throttling },
+      projectId: project ? project.id : null,
+    },
+  };
+}
+
+/**
+ * Run a flow's steps and save the run. A saved site login matching the start URL (see site-auth.js) is sent with
+ * the requests in its scope. Errors are rethrown with the failing step named in the message; like aborting signal (which rejects
+ * with signal.reason), they save nothing, so the caller records failed and cancelled runs.
+ * @param {number} userId
+ * @param {number} flowId
+ * @param {Array<{ type: string, target: string, value: string }>} steps
+ * @param {{ formFactor: 'mobile'|'desktop', device: object, throttling?: object }} options - Stored with the run
+ * @param {{ name?: string, jobId?: number|null, onProgress?: Function, signal?: AbortSignal }} [hooks] - name titles the flow report
+ * @returns {Promise<number>} New flow run id
+ */
+export async function runAndSaveFlow(userId, flowId, steps, options, { name, jobId = null, onProgress, signal } = {}) {
+  const siteAuth = siteAuthForUrl(userId, flowStartUrl(steps));
+  const stepProgress = onProgress && ((p) => onProgress(p.phase === 'step'
+    ? { ...p, message: `Step ${p.step} of ${p.steps}: ${flowStepLabel(steps[p.step - 1])}` }
+    : p));
+  let result;
+  try {
+    result = await runUserFlow(steps, options, { name, onProgress: stepProgress, owner: `user:${userId}`, signal, siteAuth });
+  } catch (err) {
+    if (err.flowStep && !(signal && signal.aborted)) {
+      err.message = `Step ${err.flowStep} (${flowStepLabel(steps[err.flowStep - 1])}) failed: ${err.message}`;
+    }
+    throw err;
+  }
+  if (signal) signal.throwIfAborted();
+  if (onProgress) onProgress({ phase: 'saving', message: 'Saving the flow report' });
+  const reportJson = JSON.stringify(result.report);
+  return db.createFlowRun(userId, flowId, {
+    jobId,
+    status: 'completed',
+    steps,
+    options,
+    summary: result.summary,
+    reportJson: reportJson.length <= MAX_FLOW_REPORT_JSON_LENGTH ? reportJson : null,
+  });
+}
@@ -0,0 +1,306 @@
+import { createHmac, randomBytes } from 'crypto';
+import * as db from '../db/index.js';
+import config from '../config.js';
+import { deviceName } from './devices.js';
+import { decryptSecrets, encryptSecrets } from './site-auth.js';
+
+/**
+ * Outgoing webhooks: scan events are queued as deliveries in SQLite (webhook_deliveries) and POSTed as JSON by an
+ * in-process worker. Each request is signed with the webhook's secret (HMAC-SHA256 of "<timestamp>.<body>") so the
+ * receiver can check it came from here; a delivery without a 2xx response is retried with exponential backoff and
+ * every attempt's outcome is kept for the delivery log.
+ */
+
+export const WEBHOOK_EVENTS = {
+  'scan.completed': 'Scan completed',
+  'scan.failed': 'Scan failed',
+  'budget.failed': 'Budget failed',
+  'regression.detected': 'Regression detected',
+};
+/** Sent by "Send test"; webhooks can't subscribe to it. */
+const TEST_EVENT = 'ping';
+
+export const MAX_WEBHOOKS_PER_USER = 20;
+/** Attempts per delivery, the first included; retries wait RETRY_BASE_MS × 4^(attempt − 1): 30 s, 2, 8 and 32 min, ~2 h. */
+export const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+/** Characters of the response body kept in the delivery log. */
+const MAX_RESPONSE_BODY = 2000;
+/** Finished deliveries kept per webhook; older ones are dropped as new ones are queued. */
+const DELIVERIES_KEPT = 200;
+const MAX_URL_LENGTH = 2048;
+const TICK_MS = 10 * 1000;
+const BATCH_SIZE = 5;
+/** A claimed delivery is left alone this long, so a crash mid-send only delays it. */
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+function isValidUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) return false;
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/** A new signing secret, encrypted for storage. Returns { secret, encrypted }. */
+export function generateWebhookSecret() {
+  const secret = `whsec_${randomBytes(24).toString('hex')}`;
+  return { secret, encrypted: encryptSecrets({ secret }) };
+}
+
+/** A webhook's signing secret, or null when it can't be decrypted (CREDENTIALS_SECRET changed). */
+export function webhookSecret(webhook) {
+  try {
+    return decryptSecrets(webhook.secret).secret || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Signature sent in X-UPGS-Signature: hex HMAC-SHA256 of "<timestamp>.<body>" under the secret.
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds, sent in X-UPGS-Timestamp
+ * @param {string} body - The raw request body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Form values for a new webhook: every scan event. */
+export function newWebhookValues() {
+  return { url: '', events: Object.keys(WEBHOOK_EVENTS), enabled: true };
+}
+
+export function webhookFormValues(webhook) {
+  return { url: webhook.url, events: webhook.events, enabled: !!webhook.enabled };
+}
+
+/**
+ * Validate the webhook form: an http(s) URL and at least one event. Returns { values } for re-rendering and either
+ * { error } or { webhook: { url, events, enabled } } to save.
+ * @param {object} body - req.body with url, events (one or more) and enabled
+ */
+export function parseWebhookForm(body) {
+  const events = [].concat(body.events || []).filter((event) => WEBHOOK_EVENTS[event]);
+  const values = {
+    url: typeof body.url === 'string' ? body.url.trim() : '',
+    events: Object.keys(WEBHOOK_EVENTS).filter((event) => events.includes(event)),
+    enabled: body.enabled === '1',
+  };
+  if (!isValidUrl(values.url)) return { values, error: 'Enter the http or https URL to send events to.' };
+  if (values.events.length === 0) return { values, error: 'Choose at least one event.' };
+  return { values, webhook: values };
+}
+
+function reportLinks(scan) {
+  return {
+    report: `${config.publicUrl}/scans/${scan.id}`,
+    json: `${config.publicUrl}/scans/${scan.id}/json`,
+    trends: `${config.publicUrl}/trends?url=${encodeURIComponent(scan.url)}`,
+  };
+}
+
+/** The summary extractSummary saved with the scan, without the per-run values. */
+function payloadSummary(summary) {
+  if (!summary || !summary.categories) return null;
+  const { runs, spread, ...rest } = summary;
+  return rest;
+}
+
+/**
+ * Body of a scan event: the scan (summary, budget and regression results, or why it failed) and links to its report.
+ * @param {string} event
+ * @param {{ id: number, url: string, options: object|null, status: string, summary?: object, budget_result?: object,
+ *   regression_result?: object, failure_reason?: string, error?: string }} scan
+ */
+export function scanEventPayload(event, scan) {
+  return {
+    event,
+    createdAt: new Date().toISOString(),
+    scan: {
+      id: scan.id,
+      url: scan.url,
+      status: scan.status,
+      device: deviceName(scan.options),
+      options: scan.options || {},
+      summary: payloadSummary(scan.summary),
+      budget: scan.budget_result || null,
+      regression: scan.regression_result || null,
+      failureReason: scan.failure_reason || null,
+      error: scan.error || null,
+    },
+    links: reportLinks(scan),
+  };
+}
+
+/** Events a saved scan raises: completed or failed, plus budget.failed and regression.detected when they apply. */
+function scanEvents(scan) {
+  if (scan.status === 'failed') return ['scan.failed'];
+  if (scan.status !== 'completed') return [];
+  const events = ['scan.completed'];
+  if (scan.budget_result && scan.budget_result.failed > 0) events.push('budget.failed');
+  if (scan.regression_result && scan.regression_result.regressed > 0) events.push('regression.detected');
+  return events;
+}
+
+function queueDeliveries(userId, webhookIds, event, payload) {
+  if (webhookIds.length === 0) return [];
+  const ids = db.createWebhookDeliveries(userId, webhookIds, event, JSON.stringify(payload), new Date().toISOString(), DELIVERIES_KEPT);
+  wake();
+  return ids;
+}
+
+/**
+ * Queue deliveries of a saved scan's events to the user's webhooks that receive them. Never throws: webhooks must
+ * not fail a scan that already ran.
+ * @param {number} userId
+ * @param {object} scan - As for scanEventPayload
+ */
+export function queueScanWebhooks(userId, scan) {
+  try {
+    for (const event of scanEvents(scan)) {
+      const webhooks = db.getWebhooksForEvent(userId, event);
+      queueDeliveries(userId, webhooks.map((w) => w.id), event, scanEventPayload(event, scan));
+    }
+  } catch (e) {
+    console.error('Webhook queueing failed (scan saved):', e.message);
+  }
+}
+
+/** Queue a test event to one webhook (whatever its events and even when disabled). Returns the delivery id. */
+export function queueTestDelivery(userId, webhook) {
+  const payload = {
+    event: TEST_EVENT,
+    createdAt: new Date().toISOString(),
+    webhook: { id: webhook.id, events: webhook.events },
+    links: { webhook: `${config.publicUrl}/webhooks/${webhook.id}` },
+  };
+  return queueDeliveries(userId, [webhook.id], TEST_EVENT, payload)[0];
+}
+
+/** Send a finished delivery again, with a fresh set of attempts. Returns false if it is still pending. */
+export function redeliverWebhook(userId, delivery) {
+  const queued = db.retryWebhookDelivery(delivery.id, userId, new Date().toISOString());
+  if (queued) wake();
+  return queued;
+}
+
+/** Read at most MAX_RESPONSE_BODY characters of a response, then drop the rest. */
+async function readResponseStart(res) {
+  if (!res.body) return '';
+  let text = '';
+  const decoder = new TextDecoder();
+  try {
+    for await (const chunk of res.body) {
+      text += decoder.decode(chunk, { stream: true });
+      if (text.length >= MAX_RESPONSE_BODY) break;
+    }
+  } catch {
+    /* body cut off: keep what arrived */
+  }
+  return text.slice(0, MAX_RESPONSE_BODY);
+}
+
+/** POST a delivery once. Returns { ok, responseStatus, responseBody, error, durationMs }. */
+async function sendDelivery(delivery) {
+  const secret = webhookSecret(delivery);
+  if (!secret) {
+    return { ok: false, final: true, error: 'The signing secret can’t be read (CREDENTIALS_SECRET changed). Generate a new one.' };
+  }
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'UPGS-Perf-Webhooks/1',
+        'X-UPGS-Event': delivery.event,
+        'X-UPGS-Delivery': String(delivery.id),
+        'X-UPGS-Timestamp': String(timestamp),
+        'X-UPGS-Signature': `sha256=${signWebhookPayload(secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const responseBody = await readResponseStart(res);
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      ok,
+      responseStatus: res.status,
+      responseBody,
+      error: ok ? null : `HTTP ${res.status}`,
+      durationMs: Date.now() - started,
+    };
+  } catch (err) {
+    /* Connection errors carry their code on the cause (or on each attempt, when several addresses were tried). */
+    const cause = err.cause && err.cause.errors ? err.cause.errors[0] : err.cause;
+    const error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000} s` : (cause && (cause.code || cause.message)) || err.message;
+    return { ok: false, error, durationMs: Date.now() - started };
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const outcome = await sendDelivery(delivery);
+  const attempts = delivery.attempts + 1;
+  let status = 'succeeded';
+  let nextAttemptAt = null;
+  if (!outcome.ok) {
+    const retry = !outcome.final && attempts < MAX_ATTEMPTS;
+    status = retry ? 'pending' : 'failed';
+    if (retry) nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 4 ** (attempts - 1)).toISOString();
+  }
+  db.recordWebhookAttempt(delivery.id, {
+    status,
+    attempts,
+    nextAttemptAt,
+    responseStatus: outcome.responseStatus ?? null,
+    responseBody: outcome.responseBody || null,
+    error: outcome.error || null,
+    durationMs: outcome.durationMs ?? null,
+  });
+}
+
+/** Send due deliveries, a batch at a time, until none are left: one tick of the worker. */
+export async function runDueDeliveries() {
+  if (running) return;
+  running = true;
+  try {
+    for (;;) {
+      const now = Date.now();
+      const due = db.claimDueWebhookDeliveries(new Date(now).toISOString(), new Date(now + CLAIM_LEASE_MS).toISOString(), BATCH_SIZE);
+      if (due.length === 0) break;
+      for (const delivery of due) {
+        try {
+          await attemptDelivery(delivery);
+        } catch (err) {
+          console.error('Webhook delivery %d failed:', delivery.id, err);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Webhook worker error:', err);
+  } finally {
+    running = false;
+  }
+}
+
+function wake() {
+  if (timer) setImmediate(runDueDeliveries);
+}
+
+/** Start sending queued deliveries. Retries that came due while the server was down are sent right away. */
+export function startWebhookWorker() {
+  if (timer) return;
+  timer = setInterval(runDueDeliveries, TICK_MS);
+  timer.unref();
+  setImmediate(runDueDeliveries);
+}
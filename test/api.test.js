@@ -0,0 +1,118 @@
+import { createTestUser } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import * as db from '../src/db/index.js';
+import apiRoutes, { apiErrorHandler } from '../src/routes/api.js';
+import { createApiToken, hashApiToken } from '../src/services/api-tokens.js';
+
+/* The API as the app mounts it. */
+const app = express();
+app.use(express.json());
+app.use('/api/v1', apiRoutes, apiErrorHandler);
+const server = app.listen(0, '127.0.0.1');
+await new Promise((resolve) => server.once('listening', resolve));
+after(() => server.close());
+
+/** Call the API with a token; resolves with the status, JSON body and response headers. */
+async function call(token, method, path, body) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/v1${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json(), headers: res.headers };
+}
+
+async function userWithToken(scopes = ['scans:read', 'scans:write']) {
+  const userId = await createTestUser();
+  return { userId, token: createApiToken(userId, { name: 'CI', scopes }) };
+}
+
+test('a new token is stored as its SHA-256 hash only', async () => {
+  const { userId, token } = await userWithToken();
+  assert.match(token, /^upgs_[A-Za-z0-9_-]{32}$/);
+  const row = db.getDb().prepare('SELECT * FROM api_tokens WHERE user_id = ?').get(userId);
+  assert.equal(row.token_hash, hashApiToken(token));
+  assert.match(row.token_hash, /^[0-9a-f]{64}$/);
+  assert.equal(row.prefix, token.slice(0, 11));
+  assert.ok(!Object.values(row).includes(token));
+  assert.equal((await call(token, 'GET', '/me')).body.data.token.name, 'CI');
+});
+
+test('a missing, malformed, unknown or revoked token gets 401 in the error envelope', async () => {
+  const { userId, token } = await userWithToken();
+  const unknown = `upgs_${'A'.repeat(32)}`;
+  for (const presented of [null, 'upgs_short', unknown]) {
+    const res = await call(presented, 'GET', '/scans');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'unauthorized');
+    assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+  }
+  const { id } = db.getApiTokensByUserId(userId)[0];
+  db.deleteApiToken(id, userId);
+  assert.deepEqual((await call(token, 'GET', '/scans')).body.error.code, 'unauthorized');
+});
+
+test('a read-only token can’t start or cancel scans', async () => {
+  const { userId, token } = await userWithToken(['scans:read']);
+  const jobId = Number(db.createScanJob(userId, 'https://example.test/', ['mobile'], {}));
+  for (const [method, path] of [['POST', '/scans'], ['POST', `/jobs/${jobId}/cancel`]]) {
+    const res = await call(token, method, path, { url: 'https://example.test/' });
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body, { error: { code: 'insufficient_scope', message: 'This token lacks the scans:write scope.' } });
+  }
+  assert.equal(db.getScanJobById(jobId).status, 'queued');
+  assert.equal((await call(token, 'GET', `/jobs/${jobId}`)).status, 200);
+});
+
+test('a token only reaches its own user’s scans and jobs', async () => {
+  const { token } = await userWithToken();
+  const other = await createTestUser();
+  const scanId = Number(db.createScan(other, 'https://example.test/', { formFactor: 'mobile' }, '{}', { categories: { performance: 90 } }));
+  const jobId = Number(db.createScanJob(other, 'https://example.test/', ['mobile'], {}));
+  for (const [method, path] of [['GET', `/scans/${scanId}`], ['GET', `/scans/${scanId}/lhr`], ['GET', `/jobs/${jobId}`], ['POST', `/jobs/${jobId}/cancel`]]) {
+    const res = await call(token, method, path);
+    assert.equal(res.status, 404, path);
+    assert.equal(res.body.error.code, 'not_found');
+  }
+  const list = await call(token, 'GET', '/scans');
+  assert.deepEqual(list.body.data, []);
+  assert.equal(db.getScanJobById(jobId).status, 'queued');
+});
+
+test('a scan request is queued as a job, and unknown values are rejected', async () => {
+  const { userId, token } = await userWithToken();
+  const started = await call(token, 'POST', '/scans', { url: 'https://example.test/', devices: ['mobile', 'desktop'], categories: ['performance'] });
+  assert.equal(started.status, 202);
+  assert.equal(started.headers.get('location'), `/api/v1/jobs/${started.body.data.id}`);
+  assert.deepEqual(started.body.data.devices, ['mobile', 'desktop']);
+  assert.equal(db.getScanJobByIdAndUserId(started.body.data.id, userId).options.categories[0], 'performance');
+
+  const rejected = async (body, message) => {
+    const res = await call(token, 'POST', '/scans', body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.error.code, 'invalid_request');
+    assert.match(res.body.error.message, message);
+  };
+  const url = 'https://example.test/';
+  await rejected({ url, devices: ['mobile', 'watch'] }, /Unknown device "watch"\. Use one of: mobile, desktop/);
+  await rejected({ url, categories: ['pwa'] }, /categories\[0\] must be one of: performance, accessibility, best-practices, seo/);
+  await rejected({ url, throttling: { profile: 'custom', rttMs: 100 } }, /needs throttling\.throughputKbps, throttling\.cpuSlowdownMultiplier/);
+});
+
+test('going over a token’s scan limit gives 429 in the error envelope', async () => {
+  const { token } = await userWithToken();
+  /* Requests count whatever their outcome; these name an unknown device so that nothing is queued. */
+  const unqueued = { url: 'https://example.test/', devices: ['watch'] };
+  for (let i = 0; i < 20; i++) assert.equal((await call(token, 'POST', '/scans', unqueued)).status, 400);
+  const limited = await call(token, 'POST', '/scans', { url: 'https://example.test/' });
+  assert.equal(limited.status, 429);
+  assert.deepEqual(limited.body, { error: { code: 'rate_limited', message: 'Too many scans started with this token. Try again in 15 minutes.' } });
+  assert.ok(limited.headers.get('ratelimit-reset'));
+  /* Each token has its own limit. */
+  const { token: fresh } = await userWithToken();
+  assert.equal((await call(fresh, 'POST', '/scans', unqueued)).status, 400);
+});
@@ -0,0 +1,74 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBudgetRules, evaluateBudget, parseBudgetForm } from '../src/services/budgets.js';
+
+const summary = {
+  categories: { performance: 72, accessibility: 95 },
+  metrics: {
+    'largest-contentful-paint': { value: 3120, displayValue: '3.1 s' },
+    'total-blocking-time': { value: 150, displayValue: '150 ms' },
+    'cumulative-layout-shift': { value: 0.02, displayValue: '0.02' },
+  },
+};
+const lhr = {
+  audits: {
+    'resource-summary': {
+      details: { items: [{ resourceType: 'total', transferSize: 900 * 1024 }, { resourceType: 'script', transferSize: 420 * 1024 }] },
+    },
+  },
+};
+
+test('each limit is checked and failures say how far over they are', () => {
+  const budget = {
+    id: 7,
+    url: 'https://example.test/',
+    rules: {
+      categories: { performance: 80, accessibility: 90 },
+      metrics: { 'largest-contentful-paint': 2500, 'total-blocking-time': 200 },
+      resources: { script: 300, total: 1000 },
+    },
+  };
+  const result = evaluateBudget(budget, summary, lhr);
+  assert.equal(result.budgetId, 7);
+  assert.equal(result.failed, 3);
+  assert.deepEqual(result.unmeasured, []);
+  const failed = result.checks.filter((check) => !check.passed).map((check) => [check.label, check.limitText, check.actualText, check.overText]);
+  assert.deepEqual(failed, [
+    ['Performance', '≥ 80', '72', '8 below'],
+    ['LCP', '≤ 2.5 s', '3.12 s', '+0.62 s'],
+    ['Scripts', '≤ 300 KB', '420 KB', '+120 KB'],
+  ]);
+  assert.deepEqual(result.checks.filter((check) => check.passed).map((check) => check.id), ['accessibility', 'total-blocking-time', 'total']);
+});
+
+test('limits the scan has no value for are unmeasured, not failed', () => {
+  const budget = { id: 1, rules: { categories: { seo: 90 }, metrics: { 'speed-index': 3000 }, resources: { font: 50 } } };
+  const result = evaluateBudget(budget, summary, null);
+  assert.deepEqual(result.checks, []);
+  assert.equal(result.failed, 0);
+  assert.deepEqual(result.unmeasured, ['SEO', 'Speed Index', 'Fonts']);
+});
+
+test('the form converts units and rejects bad limits', () => {
+  const parsed = parseBudgetForm({
+    target: 'url',
+    url: 'https://example.test/',
+    category_performance: '90',
+    'metric_largest-contentful-paint': '2.5',
+    'metric_cumulative-layout-shift': '0.1',
+    resource_total: '1500',
+  }, 1);
+  assert.deepEqual(parsed.budget, {
+    projectId: null,
+    url: 'https://example.test/',
+    rules: { categories: { performance: 90 }, metrics: { 'largest-contentful-paint': 2500, 'cumulative-layout-shift': 0.1 }, resources: { total: 1500 } },
+  });
+  assert.deepEqual(describeBudgetRules(parsed.budget.rules), ['Performance ≥ 90', 'LCP ≤ 2.5 s', 'CLS ≤ 0.1', 'Total ≤ 1500 KB']);
+
+  const error = (body) => parseBudgetForm({ target: 'url', url: 'https://example.test/', ...body }, 1).error;
+  assert.match(error({ category_performance: '101' }), /whole number from 0 to 100/);
+  assert.match(error({ 'metric_total-blocking-time': '-5' }), /number of milliseconds/);
+  assert.match(error({}), /at least one limit/);
+  assert.match(parseBudgetForm({ target: 'url', url: 'ftp://example.test/', category_seo: '90' }, 1).error, /http or https URL/);
+});
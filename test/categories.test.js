@@ -0,0 +1,58 @@
+import { createTestUser } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db/index.js';
+import { categoriesFromForm, categoriesLabel, resolveCategories } from '../src/services/categories.js';
+import { resolveDevices } from '../src/services/devices.js';
+import { checkScanBudget } from '../src/services/budgets.js';
+import { detectScanRegressions } from '../src/services/regressions.js';
+
+test('unknown categories are dropped and the rest put in report order', () => {
+  assert.deepEqual(resolveCategories(['seo', 'pwa', 'performance']), ['performance', 'seo']);
+  assert.deepEqual(resolveCategories('accessibility'), ['accessibility']);
+  assert.deepEqual(categoriesFromForm({ categories: ['best-practices', 'performance'] }), ['performance', 'best-practices']);
+});
+
+test('no categories, only unknown ones or all of them mean a full audit', () => {
+  assert.equal(resolveCategories(undefined), undefined);
+  assert.equal(resolveCategories([]), undefined);
+  assert.equal(resolveCategories(['pwa']), undefined);
+  assert.equal(resolveCategories(['seo', 'best-practices', 'accessibility', 'performance']), undefined);
+  assert.equal(categoriesFromForm({}), undefined);
+});
+
+test('reports name the subset a scan audited', () => {
+  assert.equal(categoriesLabel(['performance']), 'Performance only');
+  assert.equal(categoriesLabel(['seo', 'accessibility']), 'Accessibility, SEO');
+  assert.equal(categoriesLabel(undefined), null);
+});
+
+test('unknown devices are dropped, and a form without any selects none', async () => {
+  const userId = await createTestUser();
+  assert.deepEqual(resolveDevices(userId, ['desktop', 'watch', 'custom:404']).devices, ['desktop']);
+  assert.deepEqual(resolveDevices(userId, 'tablet').devices, ['tablet']);
+  assert.deepEqual(resolveDevices(userId, undefined), { devices: [], deviceProfiles: {} });
+  assert.deepEqual(resolveDevices(userId, ['watch']).devices, []);
+});
+
+test('a scan without Performance isn’t compared, and its budget’s Performance limits go unmeasured', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/a11y';
+  const fullSummary = { categories: { performance: 90, accessibility: 90 }, metrics: { 'largest-contentful-paint': { value: 2000 } } };
+  db.createScan(userId, url, { formFactor: 'mobile' }, null, fullSummary);
+  db.createBudget(userId, { url, rules: { categories: { performance: 95, accessibility: 90 }, metrics: { 'largest-contentful-paint': 1500 } } });
+
+  const options = { formFactor: 'mobile', categories: ['accessibility'] };
+  const a11ySummary = { categories: { accessibility: 96 }, metrics: {} };
+  const scanId = Number(db.createScan(userId, url, options, null, a11ySummary));
+
+  assert.equal(detectScanRegressions(userId, scanId, url, options, a11ySummary), null);
+  const budget = checkScanBudget(userId, scanId, url, a11ySummary, null);
+  assert.equal(budget.failed, 0);
+  assert.deepEqual(budget.checks.map((check) => [check.id, check.passed]), [['accessibility', true]]);
+  assert.deepEqual(budget.unmeasured, ['Performance', 'LCP']);
+
+  const saved = db.getScanByIdAndUserId(scanId, userId);
+  assert.equal(saved.regression_result, null);
+  assert.deepEqual(saved.budget_result, budget);
+});
@@ -0,0 +1,147 @@
+import { createTestUser } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import * as db from '../src/db/index.js';
+import scanRoutes from '../src/routes/scans.js';
+import { compareScans } from '../src/services/compare.js';
+import { deviceDetails, deviceName, deviceShortName } from '../src/services/devices.js';
+import { throttlingDetails, throttlingLabel } from '../src/services/throttling.js';
+
+/* The scan pages as the app mounts them, signed in as the user in X-Test-User. */
+const app = express();
+app.set('view engine', 'ejs');
+app.set('views', new URL('../views', import.meta.url).pathname);
+Object.assign(app.locals, { deviceName, deviceShortName, deviceDetails, throttlingLabel, throttlingDetails });
+app.use(express.urlencoded({ extended: true }));
+app.use((req, res, next) => {
+  req.session = { userId: Number(req.get('X-Test-User')) || null, email: 'user@example.test', csrfToken: 'csrf' };
+  next();
+});
+app.use(scanRoutes);
+const server = app.listen(0, '127.0.0.1');
+await new Promise((resolve) => server.once('listening', resolve));
+after(() => server.close());
+
+function get(path, userId) {
+  return fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers: { 'X-Test-User': String(userId) }, redirect: 'manual' });
+}
+
+function post(path, userId, fields) {
+  return fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'X-Test-User': String(userId) },
+    body: new URLSearchParams({ _csrf: 'csrf', ...fields }),
+    redirect: 'manual',
+  });
+}
+
+const metric = (value, displayValue) => ({ value, displayValue });
+const scanA = {
+  url: 'https://example.test/',
+  options: { formFactor: 'mobile', throttling: { profile: 'slow-4g' } },
+  summary: {
+    categories: { performance: 62, accessibility: 90 },
+    metrics: {
+      'largest-contentful-paint': metric(4000, '4.0 s'),
+      'total-blocking-time': metric(300, '300 ms'),
+      'cumulative-layout-shift': metric(0.1),
+    },
+    recommendations: [
+      { id: 'unused-javascript', title: 'Reduce unused JavaScript', score: 40 },
+      { id: 'render-blocking-resources', title: 'Eliminate render-blocking resources', score: 50 },
+      { id: 'uses-text-compression', title: 'Enable text compression', score: 0 },
+    ],
+  },
+};
+const scanB = {
+  ...scanA,
+  summary: {
+    categories: { performance: 75, accessibility: 90, seo: 100 },
+    metrics: {
+      'largest-contentful-paint': metric(2500, '2.5 s'),
+      'total-blocking-time': metric(350, '350 ms'),
+      'cumulative-layout-shift': metric(0.25),
+    },
+    recommendations: [
+      { id: 'unused-javascript', title: 'Reduce unused JavaScript', score: 60 },
+      { id: 'render-blocking-resources', title: 'Eliminate render-blocking resources', score: 20 },
+      { id: 'legacy-javascript', title: 'Avoid serving legacy JavaScript', score: 50 },
+    ],
+  },
+};
+
+test('scores and metrics are compared as B − A, with metric noise counted as no change', () => {
+  const { categories, metrics, differences } = compareScans(scanA, scanB);
+  assert.deepEqual(differences, []);
+  assert.deepEqual(categories.map((c) => [c.id, c.a, c.b, c.deltaText, c.direction]), [
+    ['performance', 62, 75, '+13', 'better'],
+    ['accessibility', 90, 90, '±0', 'same'],
+    ['seo', null, 100, '', 'same'],
+  ]);
+  assert.deepEqual(metrics.map((m) => [m.short, m.aText, m.bText, m.deltaText, m.direction]), [
+    ['LCP', '4.0 s', '2.5 s', '−1.50 s', 'better'],
+    ['TBT', '300 ms', '350 ms', '+50 ms', 'same'],
+    ['CLS', '0.100', '0.250', '+0.150', 'worse'],
+  ]);
+  assert.equal(metrics[0].percent, -37);
+});
+
+test('recommendations are matched by audit id', () => {
+  const { recommendations } = compareScans(scanA, scanB);
+  assert.deepEqual(recommendations.appeared.map((r) => r.id), ['legacy-javascript']);
+  assert.deepEqual(recommendations.resolved.map((r) => r.id), ['uses-text-compression']);
+  assert.deepEqual(recommendations.improved.map((r) => [r.id, r.before.score, r.score]), [['unused-javascript', 40, 60]]);
+  assert.deepEqual(recommendations.worsened.map((r) => [r.id, r.before.score, r.score]), [['render-blocking-resources', 50, 20]]);
+  assert.equal(recommendations.unchanged, 0);
+});
+
+test('a different URL, device or throttling is flagged', () => {
+  const differences = (changes) => compareScans(scanA, { ...scanB, ...changes }).differences;
+  assert.deepEqual(differences({ options: { formFactor: 'desktop', throttling: { profile: 'slow-4g' } } }), ['device']);
+  assert.deepEqual(differences({ options: { formFactor: 'mobile', throttling: { profile: 'fast-4g' } } }), ['throttling']);
+  assert.deepEqual(differences({ url: 'https://staging.example.test/', options: { formFactor: 'desktop' } }), ['URL', 'device']);
+  /* Scans saved before throttling profiles ran on Slow 4G, like custom values equal to it. */
+  assert.deepEqual(differences({ options: { formFactor: 'mobile' } }), []);
+  assert.deepEqual(differences({ options: { formFactor: 'mobile', throttling: { profile: 'custom', rttMs: 150, throughputKbps: 1638.4, cpuSlowdownMultiplier: 4 } } }), []);
+});
+
+test('the compare page shows both scans and notes what they measured differently', async () => {
+  const userId = await createTestUser();
+  const a = Number(db.createScan(userId, scanA.url, scanA.options, null, scanA.summary));
+  const b = Number(db.createScan(userId, scanA.url, { formFactor: 'mobile', throttling: { profile: '3g' } }, null, scanB.summary));
+  const res = await get(`/scans/compare?a=${a}&b=${b}`, userId);
+  assert.equal(res.status, 200);
+  const html = await res.text();
+  assert.match(html, /These scans differ in throttling, so some differences come from that/);
+  assert.match(html, /\+13/);
+});
+
+test('both scans must belong to the signed-in user', async () => {
+  const owner = await createTestUser();
+  const other = await createTestUser();
+  const own = Number(db.createScan(owner, scanA.url, scanA.options, null, scanA.summary));
+  const theirs = Number(db.createScan(other, scanA.url, scanA.options, null, scanB.summary));
+  for (const query of [`a=${own}&b=${theirs}`, `a=${theirs}&b=${own}`]) {
+    const res = await get(`/scans/compare?${query}`, owner);
+    assert.equal(res.status, 404, query);
+    assert.doesNotMatch(await res.text(), /\+13/);
+  }
+  for (const fields of [{ a: own, b: theirs }, { a: theirs, b: own }]) {
+    const res = await post('/scans/compare/share', owner, fields);
+    assert.equal(res.status, 404);
+  }
+  assert.equal((await get(`/scans/compare?a=${own}&b=x`, owner)).status, 400);
+});
+
+test('only two different completed scans compare', async () => {
+  const userId = await createTestUser();
+  const done = Number(db.createScan(userId, scanA.url, scanA.options, null, scanA.summary));
+  const failed = Number(db.createUnfinishedScan(userId, scanA.url, scanA.options, 'failed', { failureReason: 'timeout', error: 'Page timeout' }));
+  const same = await get(`/scans/compare?a=${done}&b=${done}`, userId);
+  assert.equal(same.status, 400);
+  assert.match(await same.text(), /Choose two different scans/);
+  const unfinished = await get(`/scans/compare?a=${done}&b=${failed}`, userId);
+  assert.equal(unfinished.status, 400);
+  assert.match(await unfinished.text(), /Only completed scans can be compared/);
+});
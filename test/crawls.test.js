@@ -0,0 +1,41 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterCrawlUrls } from '../src/services/crawls.js';
+
+const urls = [
+  'https://example.test/',
+  'https://example.test/blog/first-post',
+  'https://example.test/blog/tag/news',
+  'https://example.test/Docs/Install?lang=en',
+  'https://example.test/docs/api.html',
+  'https://example.test/shop/cart',
+];
+
+test('without patterns every URL matches, up to the limit', () => {
+  assert.deepEqual(filterCrawlUrls(urls, { include: '', exclude: '', limit: 2 }), { matchedCount: 6, urls: urls.slice(0, 2) });
+});
+
+test('a URL must match an include pattern and no exclude pattern', () => {
+  const { matchedCount, urls: matched } = filterCrawlUrls(urls, { include: '/blog/\n  /docs/*  \n', exclude: '/tag/', limit: 50 });
+  assert.equal(matchedCount, 3);
+  assert.deepEqual(matched, [urls[1], urls[3], urls[4]]);
+});
+
+test('patterns match anywhere in the URL, ignore case and treat everything but "*" literally', () => {
+  const match = (include) => filterCrawlUrls(urls, { include, exclude: '', limit: 50 }).urls;
+  assert.deepEqual(match('DOCS/*.HTML'), [urls[4]]);
+  assert.deepEqual(match('?lang=en'), [urls[3]]);
+  assert.deepEqual(match('example.test/*/*/news'), [urls[2]]);
+  assert.deepEqual(match('**blog**post**'), [urls[1]]);
+  assert.deepEqual(match('api.htm*l*'), [urls[4]]);
+  assert.deepEqual(match('example(test)'), []);
+});
+
+test('a pattern with many wildcards is matched quickly', () => {
+  const long = `https://example.test/${'a'.repeat(2000)}`;
+  const started = Date.now();
+  const { matchedCount } = filterCrawlUrls([long], { include: `*${'a*'.repeat(99)}b`, exclude: '', limit: 50 });
+  assert.equal(matchedCount, 0);
+  assert.ok(Date.now() - started < 1000);
+});
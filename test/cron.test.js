@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidCron, nextCronRun, parseCron } from '../src/services/cron.js';
+
+/** Local time, as the scheduler uses; 2026-01-05 is a Monday. */
+const at = (month, day, hour, minute) => new Date(2026, month - 1, day, hour, minute);
+
+test('fields accept lists, ranges, steps and names', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+  assert.deepEqual([...cron.minute.values], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour.values], [9, 13, 17]);
+  assert.deepEqual([...cron.dayOfMonth.values], [1, 15]);
+  assert.deepEqual([...cron.month.values], [1, 2, 3]);
+  assert.deepEqual([...cron.dayOfWeek.values], [1, 2, 3, 4, 5]);
+  assert.equal(cron.minute.any, false);
+  assert.equal(parseCron('0 0 * * *').dayOfMonth.any, true);
+});
+
+test('a value with a step runs to the end of the field, and 7 is Sunday', () => {
+  assert.deepEqual([...parseCron('50/5 * * * *').minute.values], [50, 55]);
+  assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek.values], [0]);
+  assert.deepEqual([...parseCron('0 0 * * SUN').dayOfWeek.values], [0]);
+});
+
+test('invalid expressions are rejected with a message', () => {
+  assert.throws(() => parseCron('0 0 * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute must be between 0 and 59/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid range "5-2" in hour/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step "0" in minute/);
+  assert.throws(() => parseCron('* * * foo *'), /Invalid month value "foo"/);
+  assert.equal(isValidCron('0 3 * * 1'), true);
+  assert.equal(isValidCron(null), false);
+});
+
+test('the next run is strictly after the given time', () => {
+  assert.deepEqual(nextCronRun('*/15 * * * *', at(1, 5, 10, 7)), at(1, 5, 10, 15));
+  assert.deepEqual(nextCronRun('*/15 * * * *', at(1, 5, 10, 15)), at(1, 5, 10, 30));
+  assert.deepEqual(nextCronRun('30 2 * * *', at(1, 5, 10, 0)), at(1, 6, 2, 30));
+  assert.deepEqual(nextCronRun('0 9 * * mon', at(1, 5, 9, 0)), at(1, 12, 9, 0));
+  assert.deepEqual(nextCronRun('0 0 1 * *', at(1, 31, 12, 0)), at(2, 1, 0, 0));
+});
+
+test('a restricted day of month and day of week match either', () => {
+  /* The 13th, or any Friday: Friday 2026-01-09 comes first. */
+  assert.deepEqual(nextCronRun('0 12 13 * fri', at(1, 5, 0, 0)), at(1, 9, 12, 0));
+  assert.deepEqual(nextCronRun('0 12 13 * fri', at(1, 10, 0, 0)), at(1, 13, 12, 0));
+});
+
+test('an expression that never matches has no next run', () => {
+  assert.equal(nextCronRun('0 0 30 2 *', at(1, 5, 0, 0)), null);
+});
@@ -0,0 +1,88 @@
+import { createTestUser } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db/index.js';
+import {
+  BUILTIN_DEVICES, MAX_DEVICES_PER_SCAN, deviceChoices, deviceDetails, deviceKey, deviceProfile, deviceScanOptions,
+  deviceShortName, jobDevice, parseDeviceProfileForm, resolveDevices,
+} from '../src/services/devices.js';
+
+const phoneForm = { name: ' Pixel 8 ', width: '412', height: '915', deviceScaleFactor: '2.625', mobile: 'on', userAgent: ' Mozilla/5.0 (Linux; Android 14) ' };
+
+/** Save a profile through the form parser, as the settings page does; returns its device id. */
+function saveProfile(userId, body = phoneForm) {
+  const { profile } = parseDeviceProfileForm(body);
+  return `custom:${db.createDeviceProfile(userId, profile)}`;
+}
+
+test('the profile form trims and converts its fields', () => {
+  assert.deepEqual(parseDeviceProfileForm(phoneForm).profile, {
+    name: 'Pixel 8', width: 412, height: 915, deviceScaleFactor: 2.625, mobile: true, userAgent: 'Mozilla/5.0 (Linux; Android 14)',
+  });
+  const desktop = parseDeviceProfileForm({ ...phoneForm, mobile: undefined, userAgent: '' }).profile;
+  assert.equal(desktop.mobile, false);
+  assert.equal(desktop.userAgent, null);
+});
+
+test('the profile form rejects missing names, odd sizes, ratios and multi-line user agents', () => {
+  const error = (fields) => parseDeviceProfileForm({ ...phoneForm, ...fields }).error;
+  assert.match(error({ name: '  ' }), /Give the device a name/);
+  assert.match(error({ name: 'x'.repeat(61) }), /up to 60 characters/);
+  assert.match(error({ width: '199' }), /between 200 and 4000 pixels/);
+  assert.match(error({ height: 'tall' }), /between 200 and 4000 pixels/);
+  assert.match(error({ deviceScaleFactor: '0.5' }), /pixel ratio must be between 1 and 4/);
+  assert.match(error({ userAgent: 'a\r\nX-Injected: 1' }), /single line/);
+  assert.match(error({ userAgent: 'a'.repeat(501) }), /single line of up to 500/);
+});
+
+test('a user chooses from the presets and their own profiles, not other users’', async () => {
+  const owner = await createTestUser();
+  const other = await createTestUser();
+  const id = saveProfile(owner);
+
+  const choices = deviceChoices(owner).map((d) => d.id);
+  assert.deepEqual(choices, [...Object.keys(BUILTIN_DEVICES), id]);
+  assert.deepEqual(deviceChoices(other).map((d) => d.id), Object.keys(BUILTIN_DEVICES));
+  assert.deepEqual(resolveDevices(other, [id, 'tablet']).devices, ['tablet']);
+});
+
+test('resolved devices carry snapshots that outlive a deleted profile', async () => {
+  const userId = await createTestUser();
+  const id = saveProfile(userId);
+  const { devices, deviceProfiles } = resolveDevices(userId, [id, 'mobile']);
+  assert.deepEqual(devices, ['mobile', id]);
+  assert.deepEqual(deviceProfiles[id], {
+    id, name: 'Pixel 8', width: 412, height: 915, deviceScaleFactor: 2.625, mobile: true, userAgent: 'Mozilla/5.0 (Linux; Android 14)',
+  });
+
+  db.deleteDeviceProfile(Number(id.slice('custom:'.length)), userId);
+  assert.deepEqual(resolveDevices(userId, [id]).devices, []);
+  /* A schedule saved with the profile keeps it. */
+  assert.deepEqual(resolveDevices(userId, [id], deviceProfiles).deviceProfiles[id], deviceProfiles[id]);
+  assert.deepEqual(jobDevice({ deviceProfiles }, id), deviceProfiles[id]);
+});
+
+test('one scan runs on at most four devices', async () => {
+  const userId = await createTestUser();
+  const custom = saveProfile(userId);
+  const { devices } = resolveDevices(userId, ['mobile', 'desktop', 'tablet', 'tablet-landscape', custom]);
+  assert.equal(devices.length, MAX_DEVICES_PER_SCAN);
+  assert.ok(!devices.includes(custom));
+});
+
+test('a device’s scan options follow its mobile flag and drop the job’s profile map', () => {
+  const device = { id: 'custom:9', name: 'Kiosk', width: 1080, height: 1920, deviceScaleFactor: 1, mobile: false, userAgent: null };
+  const options = deviceScanOptions({ runs: 3, deviceProfiles: { 'custom:9': device } }, device);
+  assert.deepEqual(options, { runs: 3, formFactor: 'desktop', device });
+  assert.equal(deviceKey(options), 'custom:9');
+  assert.equal(deviceShortName(options), 'K');
+  assert.equal(deviceDetails(options), '1080×1920 @1x · desktop');
+});
+
+test('scans saved before profiles map to the Mobile or Desktop preset', () => {
+  assert.equal(deviceProfile({ formFactor: 'desktop' }), BUILTIN_DEVICES.desktop);
+  assert.equal(deviceProfile(null), BUILTIN_DEVICES.mobile);
+  assert.equal(deviceShortName({ formFactor: 'mobile' }), 'M');
+  assert.equal(jobDevice(null, 'tablet'), BUILTIN_DEVICES.tablet);
+  assert.equal(deviceDetails({ device: { ...BUILTIN_DEVICES.tablet, userAgent: 'UA' } }), '820×1180 @2x · mobile · custom user agent');
+});
@@ -0,0 +1,68 @@
+import { createTestUser } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db/index.js';
+import { buildWeeklyDigest, digestPeriodStart, sendWeeklyDigest } from '../src/services/digest.js';
+
+const MOBILE = { formFactor: 'mobile' };
+const DESKTOP = { formFactor: 'desktop' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Monday 19 October 2026, 09:00 server time. */
+const now = new Date(2026, 9, 19, 9, 0);
+
+/** Save a completed scan daysAgo days before now, optionally over its budget. */
+function saveScan(userId, url, daysAgo, categories, { options = MOBILE, budgetFailed = 0 } = {}) {
+  const id = Number(db.createScan(userId, url, options, null, { categories, metrics: {} }));
+  const createdAt = new Date(now.getTime() - daysAgo * DAY_MS).toISOString().slice(0, 19).replace('T', ' ');
+  db.getDb().prepare('UPDATE scans SET created_at = ?, budget_result = ? WHERE id = ?')
+    .run(createdAt, budgetFailed ? JSON.stringify({ failed: budgetFailed, checks: [] }) : null, id);
+  return id;
+}
+
+test('the digest period starts on the latest Monday at 08:00', () => {
+  assert.deepEqual(digestPeriodStart(new Date(2026, 9, 19, 8, 0)), new Date(2026, 9, 19, 8, 0));
+  assert.deepEqual(digestPeriodStart(new Date(2026, 9, 19, 7, 59)), new Date(2026, 9, 12, 8, 0));
+  assert.deepEqual(digestPeriodStart(new Date(2026, 9, 25, 23, 0)), new Date(2026, 9, 19, 8, 0));
+  /* Across a month and a year boundary. */
+  assert.deepEqual(digestPeriodStart(new Date(2026, 10, 1, 12, 0)), new Date(2026, 9, 26, 8, 0));
+  assert.deepEqual(digestPeriodStart(new Date(2027, 0, 3, 12, 0)), new Date(2026, 11, 28, 8, 0));
+});
+
+test('a week without completed scans builds no digest and sends no mail', async () => {
+  const userId = await createTestUser();
+  saveScan(userId, 'https://example.test/', 8, { performance: 80 });
+  db.createUnfinishedScan(userId, 'https://example.test/', MOBILE, 'failed', { failureReason: 'timeout', error: 'Page timeout' });
+  assert.equal(buildWeeklyDigest(userId, now), null);
+  /* Email is off in tests, so sending anything would reject. */
+  assert.equal(await sendWeeklyDigest({ id: userId, email: 'user@example.test' }, now), false);
+});
+
+test('each page and device reports its latest scores and the change since the scan before', async () => {
+  const userId = await createTestUser();
+  const other = await createTestUser();
+  const home = 'https://example.test/';
+  const pricing = 'https://example.test/pricing';
+  saveScan(userId, home, 10, { performance: 70, accessibility: 90 });
+  saveScan(userId, home, 5, { performance: 80, accessibility: 90 });
+  saveScan(userId, home, 1, { performance: 85, accessibility: 88 });
+  saveScan(userId, home, 2, { performance: 60 }, { options: DESKTOP });
+  saveScan(userId, pricing, 9, { performance: 90 });
+  const breach = saveScan(userId, pricing, 3, { performance: 75 }, { budgetFailed: 2 });
+  saveScan(userId, 'https://example.test/old', 12, { performance: 50 });
+  saveScan(other, home, 1, { performance: 10 });
+
+  const digest = buildWeeklyDigest(userId, now);
+  assert.equal(digest.scanCount, 4);
+  assert.deepEqual(digest.since, new Date(now.getTime() - 7 * DAY_MS));
+  assert.deepEqual(digest.pages.map((p) => [p.url, p.device, p.scanCount, p.performance, p.performanceChange]), [
+    [home, 'Desktop', 1, 60, null],
+    [home, 'Mobile', 2, 85, 15],
+    [pricing, 'Mobile', 1, 75, -15],
+  ]);
+  assert.deepEqual(digest.pages[1].scores.map((s) => [s.id, s.value, s.change]), [['performance', 85, 15], ['accessibility', 88, -2]]);
+  assert.deepEqual(digest.best.map((p) => p.url), [home]);
+  assert.deepEqual(digest.worst.map((p) => p.url), [pricing]);
+  assert.deepEqual(digest.budgetBreaches.map((p) => [p.url, p.budgetBreaches, p.lastBreachScanId]), [[pricing, 1, breach]]);
+  await assert.rejects(sendWeeklyDigest({ id: userId, email: 'user@example.test' }, now), /Email is not configured/);
+});
@@ -0,0 +1,20 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Point the app at a throwaway database. Import this before anything that imports config.js (which reads DB_PATH
+ * when it loads); node --test runs each file in its own process, so every test file gets a fresh database.
+ */
+const dir = mkdtempSync(join(tmpdir(), 'upgs-test-'));
+process.env.DB_PATH = join(dir, 'upgs.db');
+process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+
+let userCount = 0;
+
+/** Insert a user and return their id. */
+export async function createTestUser() {
+  const db = await import('../src/db/index.js');
+  userCount += 1;
+  return Number(db.createUser(`user${userCount}@example.test`, 'not-a-hash'));
+}
@@ -0,0 +1,113 @@
+import { createTestUser } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import express from 'express';
+import * as db from '../src/db/index.js';
+import scanRoutes from '../src/routes/scans.js';
+import { publishJobDone, publishJobProgress, publishQueueChanged } from '../src/services/scan-events.js';
+import { describeScanJob } from '../src/services/scan-queue.js';
+
+const app = express();
+app.use(scanRoutes);
+const server = app.listen(0, '127.0.0.1');
+await new Promise((resolve) => server.once('listening', resolve));
+after(() => server.close());
+
+/** Read a guest job's event stream until the server ends it (or give up after a second). */
+async function readEvents(token) {
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/guest/jobs/${token}/events`, { signal: AbortSignal.timeout(1000) });
+  return res.text();
+}
+
+for (const status of ['succeeded', 'failed', 'cancelled']) {
+  test(`the stream of a ${status} job sends done and ends`, async () => {
+    const token = randomBytes(24).toString('hex');
+    const jobId = db.createGuestScanJob(token, 'https://example.test/', 'mobile');
+    db.finishScanJob(jobId, status);
+    const body = await readEvents(token);
+    assert.match(body, /^event: done\ndata: /);
+    assert.equal(JSON.parse(body.split('\n')[1].slice('data: '.length)).status, status);
+  });
+}
+
+test('the stream of a queued job stays open', async () => {
+  const token = randomBytes(24).toString('hex');
+  db.createGuestScanJob(token, 'https://example.test/', 'mobile');
+  await assert.rejects(readEvents(token), { name: 'TimeoutError' });
+});
+
+/** Follow an event stream; next(event) resolves with the data of the next event of that name. */
+async function followEvents(path) {
+  const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { signal: AbortSignal.timeout(5000) });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  return {
+    async next(event) {
+      for (;;) {
+        const match = new RegExp(`^event: ${event}\ndata: (.*)\n\n`, 'm').exec(buffer);
+        if (match) {
+          buffer = buffer.slice(match.index + match[0].length);
+          return JSON.parse(match[1]);
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`The stream ended before a ${event} event.`);
+        buffer += value;
+      }
+    },
+    close: () => reader.cancel(),
+  };
+}
+
+test('two owners’ queued jobs take turns, and position 1 is always the job claimed next', async () => {
+  db.getDb().prepare('DELETE FROM scan_jobs').run();
+  const first = await createTestUser();
+  const second = await createTestUser();
+  const queue = (userId, path) => Number(db.createScanJob(userId, `https://example.test/${path}`, ['mobile'], null));
+  const [a1, a2, a3] = ['a1', 'a2', 'a3'].map((path) => queue(first, path));
+  const [b1, b2] = ['b1', 'b2'].map((path) => queue(second, path));
+
+  /* Positions are a snapshot: before anyone's job runs, the queue is in order of arrival. */
+  assert.deepEqual([a1, a2, a3, b1, b2].map((id) => db.getScanJobQueuePosition(id)), [1, 2, 3, 4, 5]);
+  const queued = new Set([a1, a2, a3, b1, b2]);
+  const claimed = [];
+  while (queued.size) {
+    const positions = [...queued].map((id) => db.getScanJobQueuePosition(id)).sort((x, y) => x - y);
+    assert.deepEqual(positions, [...queued].map((id, i) => i + 1));
+    const next = [...queued].find((id) => db.getScanJobQueuePosition(id) === 1);
+    const job = db.claimNextScanJob();
+    assert.equal(job.id, next);
+    assert.equal(db.getScanJobQueuePosition(job.id), null);
+    queued.delete(job.id);
+    claimed.push(job.id);
+  }
+  assert.deepEqual(claimed, [a1, b1, a2, b2, a3]);
+});
+
+test('a queued job’s stream reports its position as the queue moves, then progress and the result', async () => {
+  db.getDb().prepare('DELETE FROM scan_jobs').run();
+  const userId = await createTestUser();
+  const ahead = Number(db.createScanJob(userId, 'https://example.test/', ['mobile'], null));
+  const token = randomBytes(24).toString('hex');
+  const jobId = Number(db.createGuestScanJob(token, 'https://example.test/guest', 'mobile'));
+
+  const stream = await followEvents(`/guest/jobs/${token}/events`);
+  try {
+    assert.deepEqual(await stream.next('status').then((job) => [job.status, job.position]), ['queued', 2]);
+    db.claimNextScanJob();
+    db.finishScanJob(ahead, 'succeeded');
+    publishQueueChanged();
+    assert.deepEqual(await stream.next('status').then((job) => [job.status, job.position]), ['queued', 1]);
+
+    assert.equal(db.claimNextScanJob().id, jobId);
+    publishJobProgress(jobId, { phase: 'run', message: 'Run 1 of 3', run: 1, runs: 3 });
+    assert.equal((await stream.next('progress')).message, 'Run 1 of 3');
+    db.finishScanJob(jobId, 'succeeded', { result: { url: 'https://example.test/guest' } });
+    publishJobDone(jobId, describeScanJob(db.getScanJobById(jobId)));
+    const done = await stream.next('done');
+    assert.equal(done.status, 'succeeded');
+    assert.equal(done.redirect, `/guest/report?t=${token}`);
+  } finally {
+    await stream.close();
+  }
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeMedianSummary } from '../src/services/lighthouse.js';
+
+function run(performance, lcp, lcpText, extra = {}) {
+  return {
+    summary: {
+      categories: { performance },
+      metrics: { 'largest-contentful-paint': { value: lcp, displayValue: lcpText }, ...extra },
+      recommendations: [{ id: `run-${performance}` }],
+      finalUrl: 'https://example.test/',
+    },
+  };
+}
+
+test('median scores and metrics come with the median run’s display value', () => {
+  const summary = mergeMedianSummary([run(90, 2100, '2.1 s'), run(70, 3900, '3.9 s'), run(80, 2600, '2.6 s')]);
+  assert.equal(summary.categories.performance, 80);
+  assert.deepEqual(summary.metrics['largest-contentful-paint'], { value: 2600, displayValue: '2.6 s' });
+  assert.deepEqual(summary.recommendations, [{ id: 'run-80' }]);
+  assert.equal(summary.runCount, 3);
+  assert.equal(summary.spread.metrics['largest-contentful-paint'].min, 2100);
+});
+
+test('a median between two runs gets a formatted display value', () => {
+  const summary = mergeMedianSummary([
+    run(90, 2000, '2.0 s', { 'total-blocking-time': { value: 120, displayValue: '120 ms' } }),
+    run(80, 3000, '3.0 s', { 'total-blocking-time': { value: 250, displayValue: '250 ms' } }),
+  ]);
+  assert.deepEqual(summary.metrics['largest-contentful-paint'], { value: 2500, displayValue: '2.5 s' });
+  assert.deepEqual(summary.metrics['total-blocking-time'], { value: 185, displayValue: '190 ms' });
+});
+
+test('a single run is kept as is, without spread', () => {
+  const summary = mergeMedianSummary([run(55, 4200, '4.2 s')]);
+  assert.deepEqual(summary.metrics['largest-contentful-paint'], { value: 4200, displayValue: '4.2 s' });
+  assert.equal(summary.spread, null);
+  assert.equal(summary.unstable, false);
+});
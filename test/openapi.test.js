@@ -0,0 +1,125 @@
+import { createTestUser } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express, { Router } from 'express';
+import apiRoutes, { apiErrorHandler } from '../src/routes/api.js';
+import docsRoutes from '../src/routes/docs.js';
+import scanRoutes from '../src/routes/scans.js';
+import { validateOpenApi } from '../src/middleware/openapi.js';
+import { createApiToken } from '../src/services/api-tokens.js';
+import { checkRequest, findOperation, openApiDocument, openApiRouteProblems } from '../src/services/openapi.js';
+
+/* Documented API paths served by stand-in handlers behind the validator, and the real API on its own server. */
+const handled = [];
+const stand = Router();
+stand.use(validateOpenApi({ sendError: (res, status, message) => res.status(status).json({ error: { code: 'invalid_request', message } }) }));
+for (const path of ['/scans', '/scans/:id', '/trends']) {
+  stand.get(path, (req, res) => {
+    handled.push(req.originalUrl);
+    res.json({ data: null });
+  });
+}
+stand.post('/scans', (req, res) => {
+  handled.push(req.originalUrl);
+  res.status(202).json({ data: null });
+});
+
+/** Serve app on a free port for the rest of the file; returns its base URL. */
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const standApp = express();
+standApp.use(express.json());
+standApp.use('/api/v1', stand);
+const standUrl = await listen(standApp);
+
+const apiApp = express();
+apiApp.use(express.json());
+apiApp.use('/api/v1', apiRoutes, apiErrorHandler);
+const apiUrl = await listen(apiApp);
+
+async function call(method, url, { body, token } = {}) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test('requests are matched to documented operations, literal paths first', () => {
+  assert.equal(findOperation('GET', '/api/v1/scans').path, '/api/v1/scans');
+  const found = findOperation('GET', '/api/v1/scans/42/');
+  assert.equal(found.path, '/api/v1/scans/{id}');
+  assert.deepEqual(found.params, { id: '42' });
+  assert.equal(findOperation('DELETE', '/api/v1/scans/42'), null);
+  assert.equal(findOperation('GET', '/api/v1/scans/42/extra'), null);
+});
+
+test('path, query and body parameters are checked against their schemas', () => {
+  const problems = (method, path, request) => checkRequest(findOperation(method, path), { query: {}, body: undefined, contentType: null, ...request });
+  assert.deepEqual(problems('GET', '/api/v1/scans/0'), { status: 400, errors: ['id must be at least 1'] });
+  assert.deepEqual(problems('GET', '/api/v1/scans/abc'), { status: 400, errors: ['id must be an integer'] });
+  assert.deepEqual(problems('GET', '/api/v1/trends', { query: { granularity: 'hour' } }), {
+    status: 400, errors: ['url is required', 'granularity must be one of: scan, day, week'],
+  });
+  assert.equal(problems('GET', '/api/v1/trends', { query: { url: 'https://example.test/', granularity: 'day' } }), null);
+  assert.deepEqual(problems('POST', '/api/v1/scans', { body: { url: 'https://example.test/' }, contentType: 'text/plain' }).status, 415);
+  assert.deepEqual(problems('POST', '/api/v1/scans', { body: { devices: [] }, contentType: 'application/json' }), {
+    status: 400, errors: ['url is required', 'devices must have at least 1 items'],
+  });
+});
+
+test('a path parameter with malformed percent-encoding is a bad request on every documented path', () => {
+  for (const [path, item] of Object.entries(openApiDocument().paths).filter(([p]) => p.includes('{'))) {
+    const method = item.get ? 'GET' : 'POST';
+    const found = findOperation(method, path.replace(/\{\w+\}/g, '%E0'));
+    assert.ok(found, path);
+    const requestBody = found.operation.requestBody;
+    const problem = checkRequest(found, { query: {}, body: {}, contentType: requestBody ? Object.keys(requestBody.content)[0] : null });
+    assert.equal(problem.status, 400, path);
+    assert.match(problem.errors[0], /is not validly percent-encoded$/, path);
+  }
+});
+
+test('the middleware answers invalid requests itself and passes valid ones on', async () => {
+  const missing = await call('POST', `${standUrl}/api/v1/scans`, { body: { runs: 2 } });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body, { error: { code: 'invalid_request', message: 'url is required; runs must be one of: 1, 3, 5, 7.' } });
+  assert.equal((await call('GET', `${standUrl}/api/v1/trends?granularity=year`)).status, 400);
+  assert.equal((await call('GET', `${standUrl}/api/v1/scans/%E0`)).body.error.message, 'id is not validly percent-encoded.');
+  assert.deepEqual(handled, []);
+
+  assert.equal((await call('POST', `${standUrl}/api/v1/scans`, { body: { url: 'https://example.test/' } })).status, 202);
+  assert.equal((await call('GET', `${standUrl}/api/v1/scans/7`)).status, 200);
+  assert.deepEqual(handled, ['/api/v1/scans', '/api/v1/scans/7']);
+});
+
+test('the API answers a malformed scan id with 400, not a server error', async () => {
+  const userId = await createTestUser();
+  const token = createApiToken(userId, { name: 'CI', scopes: ['scans:read'] });
+  const res = await call('GET', `${apiUrl}/api/v1/scans/%E0`, { token });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body, { error: { code: 'invalid_request', message: 'id is not validly percent-encoded.' } });
+});
+
+test('the document matches the app’s routes, and a mismatch is reported both ways', () => {
+  const mounts = [
+    { prefix: '/api/v1', router: apiRoutes, complete: true },
+    { prefix: '', router: docsRoutes },
+    { prefix: '', router: scanRoutes },
+  ];
+  assert.deepEqual(openApiRouteProblems(mounts), []);
+
+  const extra = Router();
+  extra.get('/scans/:id/thumbnail', (req, res) => res.end());
+  extra.post('/scans', (req, res) => res.end());
+  const problems = openApiRouteProblems([...mounts, { prefix: '/api/v1', router: extra, complete: true }]);
+  assert.deepEqual(problems, ['GET /api/v1/scans/{id}/thumbnail is not documented']);
+
+  const withoutApi = openApiRouteProblems(mounts.slice(1));
+  assert.ok(withoutApi.includes('POST /api/v1/scans is documented but no route defines it'));
+  assert.ok(withoutApi.includes('GET /api/v1/jobs/{id} is documented but no route defines it'));
+});
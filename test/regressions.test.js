@@ -0,0 +1,71 @@
+import { createTestUser } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db/index.js';
+import { compareWithBaseline, detectScanRegressions } from '../src/services/regressions.js';
+import { resolveThrottling } from '../src/services/throttling.js';
+
+function summary(performance, lcp) {
+  return { categories: { performance }, metrics: { 'largest-contentful-paint': { value: lcp, displayValue: `${lcp / 1000} s` } }, runCount: 1 };
+}
+
+function saveScan(userId, url, options, scanSummary) {
+  return Number(db.createScan(userId, url, { formFactor: 'mobile', ...options }, null, scanSummary));
+}
+
+test('changes within the minimum delta don’t count as regressions', () => {
+  const result = compareWithBaseline(summary(86, 2150), { mode: 'previous', scans: [{ id: 1, summary: summary(90, 2000) }] });
+  assert.equal(result.baselineScanId, 1);
+  assert.equal(result.regressed, 0);
+  assert.deepEqual(result.checks.map((check) => [check.id, check.changeText]), [['performance', '−4'], ['largest-contentful-paint', '+150 ms']]);
+
+  const worse = compareWithBaseline(summary(80, 2600), { mode: 'previous', scans: [{ id: 1, summary: summary(90, 2000) }] });
+  assert.deepEqual(worse.checks.filter((check) => check.regressed).map((check) => check.id), ['performance', 'largest-contentful-paint']);
+});
+
+test('values a scan doesn’t have are skipped', () => {
+  const result = compareWithBaseline({ categories: { performance: 70 }, metrics: {} }, { mode: 'previous', scans: [{ id: 1, summary: summary(90, 2000) }] });
+  assert.deepEqual(result.checks.map((check) => check.id), ['performance']);
+  assert.equal(compareWithBaseline(summary(70, 3000), { mode: 'previous', scans: [{ id: 1, summary: { categories: { seo: 90 }, metrics: {} } }] }), null);
+});
+
+test('the baseline is a scan of the same throttling profile', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/profiles';
+  /* Saved before throttling profiles: Slow 4G, the default. */
+  const slow = saveScan(userId, url, {}, summary(90, 2000));
+  saveScan(userId, url, { throttling: resolveThrottling({ profile: 'none' }) }, summary(99, 700));
+  const scanId = saveScan(userId, url, { throttling: resolveThrottling({ profile: 'slow-4g' }) }, summary(88, 2100));
+
+  const result = detectScanRegressions(userId, scanId, url, { formFactor: 'mobile', throttling: resolveThrottling({ profile: 'slow-4g' }) }, summary(88, 2100));
+  assert.equal(result.baselineScanId, slow);
+  assert.equal(result.regressed, 0);
+});
+
+test('a pinned scan of another profile is not used', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/pinned';
+  const unthrottled = saveScan(userId, url, { throttling: resolveThrottling({ profile: 'none' }) }, summary(99, 700));
+  db.setScanBaselinePinned(unthrottled, userId, true);
+  const previous = saveScan(userId, url, {}, summary(90, 2000));
+  const scanId = saveScan(userId, url, {}, summary(90, 2050));
+
+  assert.equal(detectScanRegressions(userId, scanId, url, { formFactor: 'mobile' }, summary(90, 2050)).baselineScanId, previous);
+  const other = saveScan(userId, url, { throttling: resolveThrottling({ profile: 'none' }) }, summary(98, 720));
+  assert.equal(detectScanRegressions(userId, other, url, { formFactor: 'mobile', throttling: resolveThrottling({ profile: 'none' }) }, summary(98, 720)).mode, 'pinned');
+});
+
+test('scans that didn’t audit Performance are neither compared nor baselines', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/categories';
+  const full = saveScan(userId, url, {}, summary(90, 2000));
+  saveScan(userId, url, { categories: ['accessibility'] }, { categories: { accessibility: 95 }, metrics: {} });
+  const scanId = saveScan(userId, url, { categories: ['performance'] }, summary(70, 3500));
+
+  const result = detectScanRegressions(userId, scanId, url, { formFactor: 'mobile', categories: ['performance'] }, summary(70, 3500));
+  assert.equal(result.baselineScanId, full);
+  assert.equal(result.regressed, 2);
+
+  const accessibilityOnly = saveScan(userId, url, { categories: ['accessibility'] }, { categories: { accessibility: 80 }, metrics: {} });
+  assert.equal(detectScanRegressions(userId, accessibilityOnly, url, { formFactor: 'mobile', categories: ['accessibility'] }, { categories: { accessibility: 80 }, metrics: {} }), null);
+});
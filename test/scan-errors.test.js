@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyScanError, failureLabel, scanFailureLabel } from '../src/services/scan-errors.js';
+
+function lighthouseError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+test('failures are classified by Lighthouse code or Chrome net error', () => {
+  const cases = [
+    [lighthouseError('CHROME_LAUNCH_FAILED', 'Chrome failed to start: no display'), 'chrome'],
+    [new Error('Chrome failed to start: ECONNREFUSED'), 'chrome'],
+    [lighthouseError('DNS_FAILURE', 'DNS servers could not resolve the provided domain.'), 'dns'],
+    [new Error('net::ERR_NAME_NOT_RESOLVED at https://nope.test/'), 'dns'],
+    [new Error('net::ERR_CERT_AUTHORITY_INVALID'), 'tls'],
+    [lighthouseError('PROTOCOL_TIMEOUT', 'Waiting for DevTools protocol response has exceeded the allotted time.'), 'timeout'],
+    [new Error('Navigation timeout of 30000 ms exceeded (timed out)'), 'timeout'],
+    [new Error('net::ERR_CONNECTION_REFUSED'), 'connection'],
+    [new Error('Something unexpected'), 'other'],
+  ];
+  for (const [err, reason] of cases) assert.equal(classifyScanError(err).reason, reason, err.message);
+});
+
+test('HTTP errors keep their status code', () => {
+  const notFound = classifyScanError(lighthouseError('ERRORED_DOCUMENT_REQUEST', 'Lighthouse was unable to reliably load the page you requested. (Status code: 404)'));
+  assert.deepEqual([notFound.reason, notFound.httpStatus, notFound.label, notFound.transient], ['http_4xx', 404, 'HTTP 404', false]);
+  const unavailable = classifyScanError(new Error('(Status code: 503)'));
+  assert.deepEqual([unavailable.reason, unavailable.httpStatus, unavailable.label, unavailable.transient], ['http_5xx', 503, 'HTTP 503', true]);
+});
+
+test('only transient failures are retried', () => {
+  const transient = (err) => classifyScanError(err).transient;
+  assert.equal(transient(new Error('net::ERR_CONNECTION_RESET')), true);
+  assert.equal(transient(lighthouseError('NO_FCP', 'The page did not paint any content.')), true);
+  assert.equal(transient(new Error('Chrome failed to start')), true);
+  assert.equal(transient(new Error('net::ERR_NAME_NOT_RESOLVED')), false);
+  assert.equal(transient(new Error('net::ERR_SSL_PROTOCOL_ERROR')), false);
+  assert.equal(transient(new Error('Something unexpected')), false);
+  assert.equal(transient(null), false);
+});
+
+test('labels fall back to the generic one', () => {
+  assert.equal(failureLabel('dns'), 'DNS failure');
+  assert.equal(failureLabel('no-such-reason'), 'Scan error');
+  assert.equal(failureLabel(null), 'Scan error');
+  assert.equal(scanFailureLabel({ failure_reason: 'http_5xx', error: 'Page returned (Status code: 502)' }), 'HTTP 502');
+  assert.equal(scanFailureLabel({ failure_reason: 'http_5xx', error: null }), 'HTTP 5xx');
+});
@@ -0,0 +1,152 @@
+import { createTestUser } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db/index.js';
+import { describeScanJob } from '../src/services/scan-queue.js';
+
+function clearJobs() {
+  db.getDb().prepare('DELETE FROM scan_jobs').run();
+}
+
+test('a queued job is claimed once and counts the attempt', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  const jobId = Number(db.createScanJob(userId, 'https://example.test/', ['mobile', 'desktop'], { runs: 1 }, 'run-1'));
+  assert.equal(db.getScanJobById(jobId).status, 'queued');
+
+  const job = db.claimNextScanJob();
+  assert.equal(job.id, jobId);
+  assert.equal(job.status, 'running');
+  assert.equal(job.attempts, 1);
+  assert.deepEqual(job.devices, ['mobile', 'desktop']);
+  assert.deepEqual(job.options, { runs: 1 });
+  assert.equal(db.claimNextScanJob(), null);
+});
+
+test('an owner’s jobs are claimed oldest first', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  const first = Number(db.createScanJob(userId, 'https://example.test/a', ['mobile'], null));
+  const second = Number(db.createScanJob(userId, 'https://example.test/b', ['mobile'], null));
+  assert.equal(db.claimNextScanJob().id, first);
+  db.finishScanJob(first, 'succeeded');
+  assert.equal(db.claimNextScanJob().id, second);
+});
+
+test('a cancelled job is not claimed, and a claimed job can’t be cancelled', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  const cancelled = Number(db.createScanJob(userId, 'https://example.test/a', ['mobile'], null));
+  const claimed = Number(db.createScanJob(userId, 'https://example.test/b', ['mobile'], null));
+  assert.equal(db.cancelQueuedScanJob(cancelled), true);
+  assert.equal(db.claimNextScanJob().id, claimed);
+  assert.equal(db.cancelQueuedScanJob(claimed), false);
+  assert.equal(db.getScanJobById(cancelled).status, 'cancelled');
+});
+
+test('interrupted jobs are requeued until they run out of attempts', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  const jobId = Number(db.createScanJob(userId, 'https://example.test/', ['mobile'], null));
+  db.claimNextScanJob();
+  assert.deepEqual(db.recoverInterruptedScanJobs(2), { requeued: 1, failed: 0 });
+  assert.equal(db.getScanJobById(jobId).status, 'queued');
+
+  db.claimNextScanJob();
+  assert.deepEqual(db.recoverInterruptedScanJobs(2), { requeued: 0, failed: 1 });
+  const job = db.getScanJobById(jobId);
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /interrupted/);
+});
+
+test('queue counts cover queued and running jobs only', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  db.createScanJob(userId, 'https://example.test/a', ['mobile'], null);
+  db.createScanJob(userId, 'https://example.test/b', ['mobile'], null);
+  const done = Number(db.createScanJob(userId, 'https://example.test/c', ['mobile'], null));
+  db.finishScanJob(done, 'failed', { error: 'boom' });
+  db.claimNextScanJob();
+  assert.deepEqual(db.getScanJobCountsByStatus(), { queued: 1, running: 1 });
+});
+
+/** Queued job ids in the order they would be claimed, according to getScanJobQueuePosition. */
+function queueOrder(jobIds) {
+  return jobIds
+    .map((id) => ({ id, position: db.getScanJobQueuePosition(id) }))
+    .sort((a, b) => a.position - b.position)
+    .map((job) => job.id);
+}
+
+test('owners with fewer running jobs are served first', async () => {
+  clearJobs();
+  const busy = await createTestUser();
+  const idle = await createTestUser();
+  db.createScanJob(busy, 'https://example.test/running', ['mobile'], null);
+  db.claimNextScanJob();
+  const busyQueued = Number(db.createScanJob(busy, 'https://example.test/a', ['mobile'], null));
+  const idleQueued = Number(db.createScanJob(idle, 'https://example.test/b', ['mobile'], null));
+
+  assert.deepEqual(queueOrder([busyQueued, idleQueued]), [idleQueued, busyQueued]);
+  assert.equal(db.claimNextScanJob().id, idleQueued);
+  assert.equal(db.getScanJobQueuePosition(busyQueued), 1);
+});
+
+test('among idle owners, whoever was served longest ago goes first', async () => {
+  clearJobs();
+  const recent = await createTestUser();
+  const earlier = await createTestUser();
+  for (const [userId, startedAt] of [[recent, '2026-01-02 10:00:00'], [earlier, '2026-01-01 10:00:00']]) {
+    const done = Number(db.createScanJob(userId, 'https://example.test/done', ['mobile'], null));
+    db.finishScanJob(done, 'succeeded');
+    db.getDb().prepare('UPDATE scan_jobs SET started_at = ? WHERE id = ?').run(startedAt, done);
+  }
+  const recentQueued = Number(db.createScanJob(recent, 'https://example.test/a', ['mobile'], null));
+  const earlierQueued = Number(db.createScanJob(earlier, 'https://example.test/b', ['mobile'], null));
+
+  assert.deepEqual(queueOrder([recentQueued, earlierQueued]), [earlierQueued, recentQueued]);
+  assert.equal(db.claimNextScanJob().id, earlierQueued);
+});
+
+test('an owner’s crawl jobs wait behind their other scans', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  const crawlId = Number(db.createCrawl(userId, {
+    sitemapUrl: 'https://example.test/sitemap.xml',
+    devices: ['mobile'],
+    options: {},
+    filters: {},
+    discoveredCount: 2,
+    jobs: [{ url: 'https://example.test/1' }, { url: 'https://example.test/2' }],
+  }));
+  const crawlJobs = db.getDb().prepare('SELECT id FROM scan_jobs WHERE crawl_id = ? ORDER BY id').all(crawlId).map((row) => row.id);
+  const single = Number(db.createScanJob(userId, 'https://example.test/', ['mobile'], null));
+
+  const expected = [single, ...crawlJobs];
+  assert.deepEqual(queueOrder(expected), expected);
+  assert.deepEqual(expected.map(() => db.claimNextScanJob().id), expected);
+});
+
+test('a job that isn’t queued has no position', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  const jobId = Number(db.createScanJob(userId, 'https://example.test/', ['mobile'], null));
+  assert.equal(db.getScanJobQueuePosition(jobId), 1);
+  db.claimNextScanJob();
+  assert.equal(db.getScanJobQueuePosition(jobId), null);
+});
+
+test('a job some devices failed leads to history, whichever device failed', async () => {
+  clearJobs();
+  const userId = await createTestUser();
+  const jobId = Number(db.createScanJob(userId, 'https://example.test/', ['mobile', 'desktop'], null, 'run-2'));
+  const desktopScanId = Number(db.createScan(userId, 'https://example.test/', { formFactor: 'desktop' }, null, {}, 'run-2', jobId));
+  db.finishScanJob(jobId, 'failed', { resultScanId: desktopScanId, error: 'Mobile scan failed (Page timeout). Desktop scan completed.' });
+  const job = describeScanJob(db.getScanJobById(jobId));
+  assert.equal(job.redirect, '/scans?error=devices');
+  assert.equal(job.error, 'Mobile scan failed (Page timeout). Desktop scan completed.');
+
+  const onlyDevice = Number(db.createScanJob(userId, 'https://example.test/', ['mobile'], null));
+  db.finishScanJob(onlyDevice, 'failed', { error: 'Page timeout: took too long' });
+  assert.equal(describeScanJob(db.getScanJobById(onlyDevice)).redirect, null);
+});
@@ -0,0 +1,121 @@
+import { createTestUser } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import * as db from '../src/db/index.js';
+import { applySiteAuth, encryptSecrets, siteAuthForUrl, siteAuthHeaders } from '../src/services/site-auth.js';
+import { fetchSitemapUrls } from '../src/services/sitemap.js';
+
+const login = {
+  scope: 'https://app.example.test/admin',
+  headers: { 'X-Api-Key': 'secret-key' },
+  cookies: [{ name: 'session', value: 'abc' }],
+  basicAuth: { username: 'alice', password: 'pw' },
+};
+const BASIC = `Basic ${Buffer.from('alice:pw').toString('base64')}`;
+
+test('only requests in the login’s scope get its headers', () => {
+  assert.deepEqual(siteAuthHeaders(login, 'https://app.example.test/admin/users?page=2'), { 'X-Api-Key': 'secret-key', Authorization: BASIC });
+  assert.deepEqual(siteAuthHeaders(login, 'https://app.example.test/admin', { cookieHeader: true }).Cookie, 'session=abc');
+  for (const url of [
+    'https://cdn.example.test/admin/app.js',
+    'https://app.example.test/administrator',
+    'https://app.example.test/',
+    'http://app.example.test/admin',
+    'https://app.example.test:8443/admin',
+  ]) {
+    assert.equal(siteAuthHeaders(login, url), null, url);
+  }
+  assert.equal(siteAuthHeaders(null, 'https://app.example.test/admin'), null);
+});
+
+/** A stand-in for a Puppeteer page and its DevTools session that records what applySiteAuth does to them. */
+function fakePage() {
+  const page = { cookies: [], fetchPatterns: null, listeners: [] };
+  const session = {
+    on: (event, listener) => { if (event === 'Fetch.requestPaused') page.listeners.push(listener); },
+    send: async (method, params) => {
+      if (method === 'Fetch.enable') page.fetchPatterns = params.patterns;
+      if (method === 'Fetch.continueRequest') page.continued = params;
+    },
+  };
+  page.setCookie = async (...cookies) => { page.cookies.push(...cookies); };
+  page.createCDPSession = async () => session;
+  /** Pause a request as Chrome would (only when it matches a pattern); resolves with how it was continued, or null when it wasn't paused. */
+  page.request = async (url) => {
+    /* applySiteAuth's patterns are a prefix followed by "*". */
+    if (!(page.fetchPatterns || []).some((p) => url.startsWith(p.urlPattern.slice(0, -1)))) return null;
+    page.continued = undefined;
+    for (const listener of page.listeners) listener({ requestId: '1', request: { url, headers: { Accept: '*/*', 'User-Agent': 'Chrome' } } });
+    await new Promise(setImmediate);
+    return page.continued;
+  };
+  return page;
+}
+
+test('a page gets the cookies on the scope only, and only requests in scope are paused for headers', async () => {
+  const page = fakePage();
+  await applySiteAuth(page, login);
+  assert.deepEqual(page.cookies, [{ name: 'session', value: 'abc', url: 'https://app.example.test/', path: '/admin', secure: true }]);
+  assert.deepEqual(page.fetchPatterns, [{ urlPattern: 'https://app.example.test/admin*', requestStage: 'Request' }]);
+
+  assert.deepEqual(await page.request('https://app.example.test/admin/'), {
+    requestId: '1',
+    headers: [
+      { name: 'accept', value: '*/*' },
+      { name: 'user-agent', value: 'Chrome' },
+      { name: 'x-api-key', value: 'secret-key' },
+      { name: 'authorization', value: BASIC },
+    ],
+  });
+  assert.equal(await page.request('https://analytics.example.net/collect'), null);
+  assert.equal(await page.request('https://app.example.test/login'), null);
+  /* Matches the pattern but not the scope: continued unchanged. */
+  assert.deepEqual(await page.request('https://app.example.test/administrator'), { requestId: '1' });
+});
+
+test('a login with only cookies pauses no requests', async () => {
+  const page = fakePage();
+  await applySiteAuth(page, { ...login, headers: {}, basicAuth: null });
+  assert.equal(page.cookies.length, 1);
+  assert.equal(page.fetchPatterns, null);
+  await applySiteAuth(fakePage(), null);
+});
+
+test('the most specific saved login is used, and a project’s login applies to the page’s origin', async () => {
+  const userId = await createTestUser();
+  db.upsertSiteAuth(userId, 'https://app.example.test', encryptSecrets({ headers: { 'X-Site': 'site' }, cookies: [], basicAuth: null }));
+  db.upsertSiteAuth(userId, 'https://app.example.test/admin', encryptSecrets({ headers: { 'X-Site': 'admin' }, cookies: [], basicAuth: null }));
+  db.upsertSiteAuth(userId, 'https://login.example.test', encryptSecrets({ headers: {}, cookies: [{ name: 'sid', value: '1' }], basicAuth: null }));
+  const projectLoginId = db.getSiteAuthsByUserId(userId).find((row) => row.scope === 'https://login.example.test').id;
+
+  assert.equal(siteAuthForUrl(userId, 'https://app.example.test/admin/x').headers['X-Site'], 'admin');
+  assert.equal(siteAuthForUrl(userId, 'https://app.example.test/shop').scope, 'https://app.example.test');
+  assert.equal(siteAuthForUrl(userId, 'https://other.example.test/'), null);
+  const projectLogin = siteAuthForUrl(userId, 'https://www.example.test/pricing', projectLoginId);
+  assert.equal(projectLogin.scope, 'https://www.example.test');
+  assert.deepEqual(projectLogin.cookies, [{ name: 'sid', value: '1' }]);
+});
+
+test('a sitemap redirect to another origin doesn’t carry the login', async () => {
+  const seen = [];
+  const other = createServer((req, res) => {
+    seen.push(req.headers);
+    res.setHeader('Content-Type', 'text/plain');
+    res.end('https://site.example.test/page\n');
+  });
+  const site = createServer((req, res) => {
+    seen.push(req.headers);
+    res.writeHead(302, { Location: `http://localhost:${other.address().port}/sitemap.txt` }).end();
+  });
+  await Promise.all([other, site].map((server) => new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))));
+  after(() => { site.close(); other.close(); });
+
+  const siteLogin = { scope: `http://127.0.0.1:${site.address().port}`, headers: { 'X-Api-Key': 'secret-key' }, cookies: [{ name: 'session', value: 'abc' }], basicAuth: null };
+  const found = await fetchSitemapUrls(`${siteLogin.scope}/sitemap.txt`, { headersFor: (url) => siteAuthHeaders(siteLogin, url, { cookieHeader: true }) });
+  assert.deepEqual(found.urls, ['https://site.example.test/page']);
+  assert.equal(seen[0]['x-api-key'], 'secret-key');
+  assert.equal(seen[0].cookie, 'session=abc');
+  assert.equal(seen[1]['x-api-key'], undefined);
+  assert.equal(seen[1].cookie, undefined);
+});
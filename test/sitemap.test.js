@@ -0,0 +1,85 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { gzipSync } from 'zlib';
+import { fetchSitemapUrls, parseSitemap } from '../src/services/sitemap.js';
+
+const urlset = (locs) => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs.map((l) => `<url><loc>${l}</loc></url>`).join('')}</urlset>`;
+const sitemapIndex = (locs) => `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs.map((l) => `<sitemap><loc>${l}</loc></sitemap>`).join('')}</sitemapindex>`;
+
+const requests = [];
+let base;
+
+const server = http.createServer((req, res) => {
+  requests.push({ url: req.url, authorization: req.headers.authorization || null });
+  const send = (status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml', ...headers });
+    res.end(body);
+  };
+  switch (req.url) {
+    case '/index.xml':
+      return send(200, sitemapIndex([`${base}/nested-index.xml`, `${base}/pages.xml`, `${base}/missing.xml`, `${base}/pages.xml`]));
+    case '/nested-index.xml':
+      return send(200, sitemapIndex([`${base}/blog.xml.gz`, `${base}/index.xml`]));
+    case '/pages.xml':
+      return send(200, urlset(['https://example.test/', 'https://example.test/a?x=1&amp;y=2', 'ftp://example.test/file', 'https://example.test/']));
+    case '/blog.xml.gz':
+      return send(200, gzipSync(urlset(['https://example.test/blog/', 'https://example.test/'])), { 'Content-Type': 'application/gzip' });
+    case '/big.txt':
+      return send(200, Array.from({ length: 50001 }, (_, i) => `https://example.test/p${i}`).join('\n'), { 'Content-Type': 'text/plain' });
+    case '/moved':
+      return send(301, '', { Location: '/pages.xml' });
+    case '/page.html':
+      return send(200, '<!doctype html><title>Home</title>', { 'Content-Type': 'text/html' });
+    default:
+      return send(404, 'Not found');
+  }
+});
+server.listen(0, '127.0.0.1');
+await new Promise((resolve) => server.once('listening', resolve));
+base = `http://127.0.0.1:${server.address().port}`;
+after(() => server.close());
+
+test('sitemaps are read as URL sets, indexes or plain lists', () => {
+  assert.deepEqual(parseSitemap('\uFEFF<urlset><url><loc> <![CDATA[https://example.test/a&b]]> </loc></url><url><loc>https://example.test/&#233;</loc></url></urlset>'), {
+    kind: 'urlset', locs: ['https://example.test/a&b', 'https://example.test/é'],
+  });
+  assert.deepEqual(parseSitemap('<sm:sitemapindex><sm:sitemap><sm:loc>https://example.test/s.xml</sm:loc></sm:sitemap></sm:sitemapindex>'), {
+    kind: 'index', locs: ['https://example.test/s.xml'],
+  });
+  assert.deepEqual(parseSitemap('https://example.test/\r\nnot a url\nhttps://example.test/b\n'), { kind: 'text', locs: ['https://example.test/', 'https://example.test/b'] });
+  assert.deepEqual(parseSitemap('<html><body>Hello</body></html>'), { kind: null, locs: [] });
+});
+
+test('nested indexes are followed once each, and a nested sitemap that fails is skipped', async () => {
+  const found = await fetchSitemapUrls(`${base}/index.xml`);
+  assert.deepEqual(found.urls, ['https://example.test/', 'https://example.test/a?x=1&y=2', 'https://example.test/blog/']);
+  assert.equal(found.sitemapCount, 4);
+  assert.deepEqual(found.skipped, [`${base}/missing.xml returned HTTP 404.`]);
+  assert.equal(found.truncated, false);
+});
+
+test('collection stops at 50,000 URLs', async () => {
+  const found = await fetchSitemapUrls(`${base}/big.txt`);
+  assert.equal(found.urls.length, 50000);
+  assert.equal(found.urls[49999], 'https://example.test/p49999');
+  assert.equal(found.truncated, true);
+});
+
+test('the first sitemap must load and be a sitemap', async () => {
+  await assert.rejects(fetchSitemapUrls(`${base}/missing.xml`), { message: `${base}/missing.xml returned HTTP 404.` });
+  await assert.rejects(fetchSitemapUrls(`${base}/page.html`), /is not a sitemap/);
+});
+
+test('redirects are followed, and headers are asked for at every hop', async () => {
+  const asked = [];
+  const found = await fetchSitemapUrls(`${base}/moved`, {
+    headersFor: (url) => {
+      asked.push(url);
+      return url.endsWith('/pages.xml') ? { Authorization: 'Basic dXNlcjpwYXNz' } : null;
+    },
+  });
+  assert.equal(found.urls.length, 2);
+  assert.deepEqual(asked, [`${base}/moved`, `${base}/pages.xml`]);
+  assert.deepEqual(requests.slice(-2).map((r) => [r.url, r.authorization]), [['/moved', null], ['/pages.xml', 'Basic dXNlcjpwYXNz']]);
+});
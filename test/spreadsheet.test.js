@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, inflateRawSync } from 'zlib';
+import { toCsv, toXlsx } from '../src/services/spreadsheet.js';
+
+const columns = [
+  { header: 'Date', value: (row) => row.date },
+  { header: 'URL', value: (row) => row.url, width: 40 },
+  { header: 'Score', value: (row) => row.score },
+  { header: 'Error', value: (row) => row.error },
+];
+
+test('CSV quotes what needs quoting and defuses formulas', () => {
+  const csv = toCsv(columns, [
+    { date: new Date('2026-03-02T08:05:09.500Z'), url: 'https://example.test/?a=1,b="2"', score: 87, error: null },
+    { date: null, url: 'https://example.test/ünï', score: Number.NaN, error: '=HYPERLINK("http://evil.test")' },
+    { date: null, url: '', score: 0, error: '-1 step failed\nthen another' },
+  ]);
+  assert.ok(csv.startsWith('\uFEFF'));
+  assert.equal(csv.slice(1), [
+    'Date,URL,Score,Error',
+    '2026-03-02 08:05:09,"https://example.test/?a=1,b=""2""",87,',
+    `,https://example.test/ünï,,"'=HYPERLINK(""http://evil.test"")"`,
+    `,,0,"'-1 step failed\nthen another"`,
+    '',
+  ].join('\r\n'));
+});
+
+/** The entries of a zip archive as { name: text }, checking each entry's sizes and CRC against its data. */
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.notEqual(end, -1, 'end of central directory');
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+  assert.equal(pos + buffer.readUInt32LE(end + 12), end, 'central directory size');
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(pos), 0x02014b50);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const size = buffer.readUInt32LE(pos + 24);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const offset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    assert.equal(buffer.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+    assert.equal(buffer.readUInt32LE(offset + 14), crc, `local CRC of ${name}`);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const data = inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(data.length, size, `size of ${name}`);
+    assert.equal(crc32(data), crc, `CRC of ${name}`);
+    files[name] = data.toString('utf8');
+    pos += 46 + nameLength + buffer.readUInt16LE(pos + 30) + buffer.readUInt16LE(pos + 32);
+  }
+  return files;
+}
+
+test('XLSX is a valid zip of the workbook parts', () => {
+  const files = unzip(toXlsx(columns, [{ date: null, url: 'https://example.test/', score: 1, error: null }], 'Scans'));
+  assert.deepEqual(Object.keys(files), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/worksheets/sheet1.xml',
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Scans" sheetId="1" r:id="rId1"\/>/);
+});
+
+test('XLSX cells are typed, escaped and styled', () => {
+  const rows = [
+    { date: new Date('2026-03-02T12:00:00Z'), url: 'https://example.test/?a=1&b=<2>', score: 87, error: 'bad\u0001char' },
+    { date: null, url: '', score: null, error: null },
+  ];
+  const sheet = unzip(toXlsx(columns, rows))['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Date<\/t><\/is><\/c>/);
+  /* 2026-03-02 12:00 UTC is Excel day 46083.5. */
+  assert.match(sheet, /<c r="A2" s="2"><v>46083.5<\/v><\/c>/);
+  assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">https:\/\/example.test\/\?a=1&amp;b=&lt;2&gt;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="C2"><v>87<\/v><\/c>/);
+  assert.match(sheet, /<t xml:space="preserve">badchar<\/t>/);
+  assert.match(sheet, /<row r="3"><\/row>/);
+  assert.match(sheet, /<col min="2" max="2" width="40" customWidth="1"\/>/);
+});
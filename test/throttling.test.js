@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  missingCustomThrottling, resolveThrottling, throttlingFormError, throttlingKey,
+} from '../src/services/throttling.js';
+
+test('presets resolve to their values and unknown profiles to Slow 4G', () => {
+  assert.deepEqual(resolveThrottling({ profile: '3g', method: 'devtools' }), {
+    profile: '3g', method: 'devtools', rttMs: 300, throughputKbps: 700, cpuSlowdownMultiplier: 4,
+  });
+  assert.deepEqual(resolveThrottling({ profile: 'dial-up' }), resolveThrottling(null));
+  assert.equal(resolveThrottling(null).profile, 'slow-4g');
+});
+
+test('custom values are clamped and keep one decimal of throughput', () => {
+  const t = resolveThrottling({ profile: 'custom', rttMs: '99999', throughputKbps: '1638.44', cpuSlowdownMultiplier: '0.5' });
+  assert.deepEqual(t, { profile: 'custom', method: 'simulate', rttMs: 5000, throughputKbps: 1638.4, cpuSlowdownMultiplier: 1 });
+});
+
+test('custom throttling must give every value', () => {
+  assert.deepEqual(missingCustomThrottling({ profile: 'custom', rttMs: 100, throughputKbps: 5000, cpuSlowdownMultiplier: 2 }), []);
+  assert.deepEqual(missingCustomThrottling({ profile: 'custom', rttMs: 100, throughputKbps: 'fast' }), ['throughputKbps', 'cpuSlowdownMultiplier']);
+  assert.deepEqual(missingCustomThrottling({ profile: 'slow-4g' }), []);
+  assert.deepEqual(missingCustomThrottling(null), []);
+
+  assert.equal(throttlingFormError({ throttling: 'custom', rttMs: '', throughputKbps: '', cpuSlowdownMultiplier: '2' }), 'Custom throttling needs RTT and throughput values.');
+  assert.equal(throttlingFormError({ throttling: 'custom', rttMs: '100', throughputKbps: '800', cpuSlowdownMultiplier: '2' }), null);
+  assert.equal(throttlingFormError({ throttling: 'fast-4g' }), null);
+});
+
+test('custom values equal to a preset share its key', () => {
+  const slow4g = { profile: 'custom', rttMs: 150, throughputKbps: 1638.4, cpuSlowdownMultiplier: 4 };
+  assert.equal(throttlingKey(slow4g), throttlingKey({ profile: 'slow-4g' }));
+  assert.equal(throttlingKey(slow4g), 'slow-4g:simulate');
+  assert.equal(throttlingKey({ ...slow4g, method: 'devtools' }), 'slow-4g:devtools');
+  assert.equal(throttlingKey(undefined), 'slow-4g:simulate');
+  assert.equal(throttlingKey({ ...slow4g, throughputKbps: 1638 }), 'custom:150/1638/4:simulate');
+  assert.equal(throttlingKey({ profile: 'none', method: 'devtools' }), 'none');
+});
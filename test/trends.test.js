@@ -0,0 +1,100 @@
+import { createTestUser } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db/index.js';
+import { buildTrends, parseTrendsQuery } from '../src/services/trends.js';
+import { resolveThrottling } from '../src/services/throttling.js';
+
+const MOBILE = { formFactor: 'mobile' };
+const DESKTOP = { formFactor: 'desktop' };
+
+/** Save a completed scan at a given UTC time ("YYYY-MM-DD HH:MM:SS"). */
+function saveScan(userId, url, createdAt, performance, { options = MOBILE, lcp = performance * 40 } = {}) {
+  const summary = { categories: { performance }, metrics: { 'largest-contentful-paint': { value: lcp, displayValue: '' } } };
+  const id = Number(db.createScan(userId, url, options, null, summary));
+  db.getDb().prepare('UPDATE scans SET created_at = ? WHERE id = ?').run(createdAt, id);
+  return id;
+}
+
+function saveFailedScan(userId, url, createdAt) {
+  const id = Number(db.createUnfinishedScan(userId, url, MOBILE, 'failed', { failureReason: 'timeout', error: 'Page timeout' }));
+  db.getDb().prepare('UPDATE scans SET created_at = ? WHERE id = ?').run(createdAt, id);
+  return id;
+}
+
+test('daily buckets hold the median and nearest-rank 75th percentile per device', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/daily';
+  for (const [time, score] of [['08:00', 60], ['09:00', 90], ['10:00', 70], ['23:59', 80]]) saveScan(userId, url, `2026-03-02 ${time}:00`, score);
+  for (const score of [50, 40, 45]) saveScan(userId, url, '2026-03-04 12:00:00', score);
+  saveScan(userId, url, '2026-03-04 12:00:00', 99, { options: DESKTOP });
+  saveFailedScan(userId, url, '2026-03-04 13:00:00');
+
+  const trends = buildTrends(userId, url, { granularity: 'day' });
+  /* Buckets come in date order; devices within a day in no particular one. */
+  const buckets = trends.buckets.map((b) => [b.start, b.device.key, b.count, b.median.performance, b.p75.performance]);
+  assert.equal(buckets.length, 3);
+  assert.deepEqual(buckets.find((b) => b[1] === 'desktop'), ['2026-03-04', 'desktop', 1, 99, 99]);
+  assert.deepEqual(buckets.filter((b) => b[1] === 'mobile'), [['2026-03-02', 'mobile', 4, 75, 80], ['2026-03-04', 'mobile', 3, 45, 50]]);
+  assert.equal(trends.buckets[0].median['largest-contentful-paint'], 3000);
+  /* Failed scans stay on the timeline but not in aggregates. */
+  assert.equal(trends.scans.length, 9);
+  assert.equal(trends.scans.filter((s) => s.status === 'failed').length, 1);
+});
+
+test('weekly buckets start on Monday (UTC)', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/weekly';
+  saveScan(userId, url, '2026-03-02 00:00:00', 60);
+  saveScan(userId, url, '2026-03-08 23:59:59', 80);
+  saveScan(userId, url, '2026-03-09 00:00:00', 90);
+  const buckets = buildTrends(userId, url, { granularity: 'week' }).buckets.map((b) => [b.start, b.count, b.median.performance]);
+  assert.deepEqual(buckets, [['2026-03-02', 2, 70], ['2026-03-09', 1, 90]]);
+});
+
+test('the date range includes both days', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/range';
+  saveScan(userId, url, '2026-02-28 23:59:59', 10);
+  saveScan(userId, url, '2026-03-01 00:00:00', 20);
+  saveScan(userId, url, '2026-03-02 23:59:59', 30);
+  saveScan(userId, url, '2026-03-03 00:00:00', 40);
+  const trends = buildTrends(userId, url, { from: '2026-03-01', to: '2026-03-02' });
+  assert.deepEqual(trends.scans.map((s) => s.categories.performance), [20, 30]);
+});
+
+test('only one throttling profile is charted at a time', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/profiles';
+  saveScan(userId, url, '2026-03-01 10:00:00', 50);
+  saveScan(userId, url, '2026-03-02 10:00:00', 60, { options: { ...MOBILE, throttling: resolveThrottling({ profile: 'slow-4g' }) } });
+  saveScan(userId, url, '2026-03-03 10:00:00', 95, { options: { ...MOBILE, throttling: resolveThrottling({ profile: 'none' }) } });
+
+  const latest = buildTrends(userId, url);
+  assert.equal(latest.throttling.key, 'none');
+  assert.deepEqual(latest.profiles.map((p) => [p.key, p.count]), [['none', 1], ['slow-4g:simulate', 2]]);
+  assert.deepEqual(buildTrends(userId, url, { throttling: 'slow-4g:simulate' }).scans.map((s) => s.categories.performance), [50, 60]);
+});
+
+test('the summary compares the latest scan with one from at least 30 days earlier', async () => {
+  const userId = await createTestUser();
+  const url = 'https://example.test/summary';
+  const old = saveScan(userId, url, '2026-01-10 10:00:00', 70);
+  const best = saveScan(userId, url, '2026-02-01 10:00:00', 95);
+  const worst = saveScan(userId, url, '2026-02-20 10:00:00', 40);
+  const latest = saveScan(userId, url, '2026-03-01 10:00:00', 80);
+
+  const [summary] = buildTrends(userId, url, {}, new Date('2026-03-02T00:00:00Z')).summary;
+  assert.equal(summary.device.key, 'mobile');
+  assert.deepEqual([summary.latest.id, summary.previous.id, summary.best.id, summary.worst.id], [latest, old, best, worst]);
+});
+
+test('the query needs a URL and valid dates and granularity', () => {
+  assert.deepEqual(parseTrendsQuery({ url: 'https://example.test/', from: '2026-03-01', granularity: 'week' }), {
+    url: 'https://example.test/', from: '2026-03-01', to: null, granularity: 'week', throttling: '',
+  });
+  assert.equal(parseTrendsQuery({}).error, 'Missing url');
+  assert.equal(parseTrendsQuery({ url: 'https://example.test/', from: '2026-02-30' }).error, 'Dates must be YYYY-MM-DD');
+  assert.equal(parseTrendsQuery({ url: 'https://example.test/', from: '2026-03-02', to: '2026-03-01' }).error, 'The start date is after the end date');
+  assert.equal(parseTrendsQuery({ url: 'https://example.test/', granularity: 'month' }).error, 'Invalid granularity');
+});
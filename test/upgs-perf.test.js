@@ -0,0 +1,118 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import http from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const CLI = new URL('../bin/upgs-perf.js', import.meta.url).pathname;
+const dir = mkdtempSync(join(tmpdir(), 'upgs-perf-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/* A scan that finished right away, so the client doesn't have to poll. */
+const scan = {
+  id: 1,
+  url: 'https://example.test/',
+  status: 'completed',
+  device: { key: 'mobile', name: 'Mobile' },
+  summary: {
+    categories: { performance: 61, accessibility: 95 },
+    metrics: { 'largest-contentful-paint': { value: 4200, displayValue: '4.2 s' } },
+    recommendations: [{ id: 'render-blocking-resources', title: 'Eliminate render-blocking <link>s', score: 40, displayValue: 'Potential savings of 300 ms' }],
+  },
+  budget: null,
+  failure: null,
+  links: { report: 'http://upgs.test/scans/1' },
+};
+const job = {
+  id: 7,
+  status: 'succeeded',
+  url: scan.url,
+  devices: ['mobile'],
+  deviceNames: ['Mobile'],
+  position: null,
+  error: null,
+  startedAt: '2026-10-19T10:00:00Z',
+  finishedAt: '2026-10-19T10:00:30Z',
+  scans: [{ id: 1, status: 'completed', device: 'mobile' }],
+};
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    if (req.headers.authorization !== 'Bearer upgs_test') return send(401, { error: { code: 'unauthorized', message: 'Invalid API token.' } });
+    if (req.url === '/api/v1/me') return send(200, { data: { user: { email: 'ci@example.test' }, token: { name: 'CI', scopes: ['scans:read', 'scans:write'] } } });
+    if (req.method === 'POST' && req.url === '/api/v1/scans') return send(202, { data: job });
+    if (req.url === '/api/v1/scans/1') return send(200, { data: scan });
+    send(404, { error: { code: 'not_found', message: 'Not found.' } });
+  });
+});
+server.listen(0, '127.0.0.1');
+await new Promise((resolve) => server.once('listening', resolve));
+after(() => server.close());
+
+/** Run the CLI against the mock server; resolves with its exit code and output. */
+function run(args, token = 'upgs_test') {
+  const env = { ...process.env, UPGS_SERVER: `http://127.0.0.1:${server.address().port}`, UPGS_TOKEN: token };
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { env, timeout: 20000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('usage errors exit 2 without calling the server', async () => {
+  const before = requests.length;
+  for (const args of [[], ['--runs', '4', scan.url], ['--runs', 'three', scan.url], ['--min', 'speed=90', scan.url], ['--bogus', scan.url]]) {
+    const { code, stderr } = await run(args);
+    assert.equal(code, 2, `${args.join(' ')}: ${stderr}`);
+    assert.match(stderr, /Run upgs-perf --help/);
+  }
+  assert.match((await run(['--runs', '4', scan.url])).stderr, /--runs must be 1, 3, 5, 7, not "4"/);
+  assert.equal(requests.length, before);
+});
+
+test('an API error exits 2', async () => {
+  const { code, stderr } = await run([scan.url], 'upgs_wrong');
+  assert.equal(code, 2);
+  assert.match(stderr, /Error: Invalid API token\./);
+});
+
+test('scans that meet their thresholds exit 0 and pass the options on', async () => {
+  const { code, stdout } = await run(['--runs', '5', '--min', 'accessibility=90', scan.url]);
+  assert.equal(code, 0);
+  assert.match(stdout, /All 1 scan\(s\) passed\./);
+  const start = requests.findLast((r) => r.method === 'POST');
+  assert.equal(start.body.runs, 5);
+  assert.deepEqual(start.body.devices, ['mobile']);
+});
+
+test('a score under its threshold exits 1 and is a JUnit failure, with the failed audits', async () => {
+  const file = join(dir, 'reports', 'junit.xml');
+  const { code, stdout } = await run(['--min', 'performance=90,accessibility=90', '--junit', file, scan.url]);
+  assert.equal(code, 1);
+  assert.match(stdout, /Performance scored 61, under 90/);
+
+  const xml = readFileSync(file, 'utf8');
+  assert.match(xml, /<testsuites name="upgs-perf" tests="4" failures="2" errors="0"/);
+  assert.match(xml, /<testsuite name="https:\/\/example\.test\/ \(Mobile\)" tests="4" failures="2" errors="0" skipped="0" time="30">/);
+  assert.match(xml, /<testcase classname="https:\/\/example\.test\/ \(Mobile\)" name="Scan completed" time="30"><\/testcase>/);
+  assert.match(xml, /name="Accessibility ≥ 90" time="0"><\/testcase>/);
+  assert.match(xml, /name="Performance ≥ 90" time="0">\n {6}<failure message="Performance scored 61, under 90" type="ThresholdNotMet">/);
+  assert.match(xml, /name="Audit: Eliminate render-blocking &lt;link&gt;s" time="0">\n {6}<failure message="Eliminate render-blocking &lt;link&gt;s: Potential savings of 300 ms \(score 40\)" type="AuditFailed">[^<]*Report: http:\/\/upgs\.test\/scans\/1<\/failure>/);
+});
+
+test('failed audits alone don’t fail the run', async () => {
+  const file = join(dir, 'audits.xml');
+  const { code } = await run(['--junit', file, scan.url]);
+  assert.equal(code, 0);
+  assert.match(readFileSync(file, 'utf8'), /type="AuditFailed"/);
+});
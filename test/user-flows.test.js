@@ -0,0 +1,126 @@
+import { createTestUser } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db/index.js';
+import { cancelScanJob, describeScanJob, enqueueFlowJob } from '../src/services/scan-queue.js';
+import { flowStartUrl, flowStepLabel, parseFlowForm } from '../src/services/user-flows.js';
+
+/** A flow form body from rows of [type, target, value]. */
+function flowForm(rows, fields = {}) {
+  return {
+    name: 'Checkout',
+    device: 'mobile',
+    throttling: 'slow-4g',
+    stepType: rows.map((r) => r[0]),
+    stepTarget: rows.map((r) => r[1] ?? ''),
+    stepValue: rows.map((r) => r[2] ?? ''),
+    ...fields,
+  };
+}
+
+const checkout = [
+  ['navigate', 'https://shop.example.test/', 'Home'],
+  ['type', '#search', ' shoes '],
+  ['timespan-start', '', 'Search'],
+  ['click', ' #go '],
+  ['wait-selector', '.results'],
+  ['timespan-end'],
+  ['click-navigate', '.result a'],
+  ['snapshot', '', 'Product'],
+];
+
+test('a valid flow keeps its steps, device and throttling', async () => {
+  const userId = await createTestUser();
+  const { flow, error } = parseFlowForm(flowForm(checkout), userId);
+  assert.equal(error, undefined);
+  assert.equal(flow.name, 'Checkout');
+  assert.equal(flow.steps.length, 8);
+  /* Typed text keeps its spaces; selectors are trimmed; unused fields are emptied. */
+  assert.deepEqual(flow.steps[1], { type: 'type', target: '#search', value: ' shoes ' });
+  assert.deepEqual(flow.steps[3], { type: 'click', target: '#go', value: '' });
+  assert.deepEqual(flow.steps[5], { type: 'timespan-end', target: '', value: '' });
+  assert.equal(flow.options.device.id, 'mobile');
+  assert.equal(flow.options.throttling.profile, 'slow-4g');
+  assert.equal(flow.projectId, null);
+  assert.equal(flowStartUrl(flow.steps), 'https://shop.example.test/');
+});
+
+test('rows without a type are ignored', async () => {
+  const userId = await createTestUser();
+  const { flow } = parseFlowForm(flowForm([['navigate', 'https://shop.example.test/'], ['', 'ignored']]), userId);
+  assert.equal(flow.steps.length, 1);
+});
+
+test('invalid flows are rejected with the step at fault', async () => {
+  const userId = await createTestUser();
+  const error = (rows, fields) => parseFlowForm(flowForm(rows, fields), userId).error;
+  const start = ['navigate', 'https://shop.example.test/'];
+  assert.match(error([start], { name: ' ' }), /Give the flow a name/);
+  assert.match(error([]), /Add at least one step/);
+  assert.match(error([start, ['teleport', 'x']]), /Choose a step type for every step/);
+  assert.match(error([['click', '#buy']]), /must start with a "Navigate to URL" step/);
+  assert.match(error([['navigate', 'ftp://shop.example.test/']]), /Step 1: enter a valid http or https URL/);
+  assert.match(error([start, ['click', '']]), /Step 2: enter a CSS selector/);
+  assert.match(error([start, ['wait-ms', '30001']]), /Step 2: wait between 0 and 30000 milliseconds/);
+  assert.match(error([start, ['wait-ms', '1.5']]), /Step 2: wait between/);
+  assert.match(error([start, ['type', '#q', 'x'.repeat(1001)]]), /Step 2: text can be up to 1000 characters/);
+  assert.match(error([start, ['snapshot', '', 'x'.repeat(81)]]), /Step 2: step names can be up to 80 characters/);
+  assert.match(error(Array.from({ length: 31 }, () => start)), /up to 30 steps/);
+});
+
+test('timespans must be opened, closed and not contain navigations', async () => {
+  const userId = await createTestUser();
+  const error = (rows) => parseFlowForm(flowForm([['navigate', 'https://shop.example.test/'], ...rows]), userId).error;
+  assert.match(error([['timespan-end']]), /Step 2: there is no timespan to end/);
+  assert.match(error([['timespan-start'], ['timespan-start']]), /Step 3: end the current timespan before starting another/);
+  assert.match(error([['timespan-start'], ['navigate', 'https://shop.example.test/cart']]), /Step 3: end the timespan before a navigation or snapshot/);
+  assert.match(error([['timespan-start'], ['snapshot']]), /Step 3: end the timespan/);
+  assert.match(error([['timespan-start'], ['click', '#go']]), /End the timespan with an "End timespan" step/);
+});
+
+test('the device, project and custom throttling must be usable', async () => {
+  const userId = await createTestUser();
+  const other = await createTestUser();
+  const error = (fields) => parseFlowForm(flowForm([['navigate', 'https://shop.example.test/']], fields), userId).error;
+  assert.match(error({ device: 'custom:999' }), /Select a device/);
+  assert.match(error({ throttling: 'custom', rttMs: '100' }), /Custom throttling needs throughput and CPU slowdown values/);
+  const otherProject = Number(db.createProject(other, { name: 'Theirs', devices: ['mobile'], options: {}, siteAuthId: null, urls: [] }));
+  assert.match(error({ projectId: String(otherProject) }), /That project no longer exists/);
+  const ownProject = Number(db.createProject(userId, { name: 'Ours', devices: ['mobile'], options: {}, siteAuthId: null, urls: [] }));
+  assert.equal(parseFlowForm(flowForm([['navigate', 'https://shop.example.test/']], { projectId: String(ownProject) }), userId).flow.projectId, ownProject);
+});
+
+test('step labels describe what a step does', () => {
+  assert.equal(flowStepLabel({ type: 'navigate', target: 'https://shop.example.test/', value: '' }), 'Navigate to https://shop.example.test/');
+  assert.equal(flowStepLabel({ type: 'wait-ms', target: '500', value: '' }), 'Wait 500 ms');
+  assert.equal(flowStepLabel({ type: 'type', target: '#q', value: 'secret' }), 'Type into "#q"');
+  assert.equal(flowStepLabel({ type: 'snapshot', target: '', value: 'Cart' }), 'Snapshot "Cart"');
+  assert.equal(flowStepLabel({ type: 'timespan-end', target: '', value: '' }), 'End timespan');
+  assert.equal(flowStepLabel({ type: 'click', target: '#buy', value: '' }), 'Click "#buy"');
+  assert.equal(flowStepLabel({ type: 'gone', target: '', value: '' }), 'gone');
+});
+
+test('a queued run keeps a snapshot of the flow, and cancelling it saves a cancelled run', async () => {
+  const userId = await createTestUser();
+  const { flow } = parseFlowForm(flowForm(checkout), userId);
+  const flowId = Number(db.createUserFlow(userId, flow));
+  const jobId = Number(enqueueFlowJob(userId, db.getUserFlowByIdAndUserId(flowId, userId)));
+  db.updateUserFlow(flowId, userId, { ...flow, name: 'Renamed', steps: flow.steps.slice(0, 1) });
+
+  const job = db.getScanJobById(jobId);
+  assert.equal(job.url, 'https://shop.example.test/');
+  assert.equal(job.options.name, 'Checkout');
+  assert.equal(job.options.steps.length, 8);
+  assert.deepEqual(job.devices, ['mobile']);
+  assert.equal(describeScanJob(job).redirect, null);
+
+  assert.equal(cancelScanJob(job), true);
+  const cancelled = describeScanJob(db.getScanJobById(jobId));
+  assert.equal(cancelled.status, 'cancelled');
+  const run = db.getFlowRunByIdAndUserId(db.getFlowRunByJobId(jobId).id, userId);
+  assert.equal(run.status, 'cancelled');
+  assert.equal(run.steps.length, 8);
+  assert.equal(run.options.device.id, 'mobile');
+  assert.equal(cancelled.redirect, `/flows/runs/${run.id}`);
+  assert.equal(cancelScanJob(db.getScanJobById(jobId)), false);
+});
@@ -0,0 +1,88 @@
+import { createTestUser } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+import * as db from '../src/db/index.js';
+import {
+  MAX_ATTEMPTS, generateWebhookSecret, queueScanWebhooks, queueTestDelivery, runDueDeliveries,
+} from '../src/services/webhooks.js';
+
+/* The receiver answers 204 on /ok and 503 anywhere else. */
+const received = [];
+const receiver = createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received.push({ url: req.url, headers: req.headers, body });
+    res.writeHead(req.url === '/ok' ? 204 : 503);
+    res.end(req.url === '/ok' ? undefined : 'Down for maintenance');
+  });
+});
+receiver.listen(0, '127.0.0.1');
+await new Promise((resolve) => receiver.once('listening', resolve));
+after(() => receiver.close());
+
+/** A webhook sending every scan event to path on the receiver. Returns it with its plain secret. */
+async function createReceiverWebhook(path) {
+  const userId = await createTestUser();
+  const { secret, encrypted } = generateWebhookSecret();
+  const url = `http://127.0.0.1:${receiver.address().port}${path}`;
+  const id = Number(db.createWebhook(userId, { url, events: ['scan.completed', 'scan.failed'], secret: encrypted }));
+  return { userId, secret, webhook: db.getWebhookByIdAndUserId(id, userId) };
+}
+
+test('a delivery is signed over "<timestamp>.<body>" and a 2xx marks it delivered', async () => {
+  const { userId, secret, webhook } = await createReceiverWebhook('/ok');
+  queueScanWebhooks(userId, { id: 12, url: 'https://example.test/', options: { formFactor: 'mobile' }, status: 'completed', summary: { categories: { performance: 88 } } });
+  await runDueDeliveries();
+
+  const request = received.at(-1);
+  assert.equal(request.headers['x-upgs-event'], 'scan.completed');
+  const timestamp = request.headers['x-upgs-timestamp'];
+  assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+  const expected = createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.equal(request.headers['x-upgs-signature'], `sha256=${expected}`);
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.scan.id, 12);
+  assert.equal(payload.scan.summary.categories.performance, 88);
+
+  const [delivery] = db.getWebhookDeliveries(webhook.id, userId);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.response_status, 204);
+  assert.equal(delivery.next_attempt_at, null);
+});
+
+test('a non-2xx response is retried after 30 s × 4^n, and delivery stops after six attempts', async () => {
+  const { userId, webhook } = await createReceiverWebhook('/down');
+  const deliveryId = Number(queueTestDelivery(userId, webhook));
+  const delays = [];
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const sentAt = Date.now();
+    await runDueDeliveries();
+    const delivery = db.getWebhookDeliveryByIdAndUserId(deliveryId, userId);
+    assert.equal(delivery.attempts, attempt);
+    assert.equal(delivery.response_status, 503);
+    assert.equal(delivery.error, 'HTTP 503');
+    assert.equal(delivery.response_body, 'Down for maintenance');
+    if (attempt === MAX_ATTEMPTS) {
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.next_attempt_at, null);
+      break;
+    }
+    assert.equal(delivery.status, 'pending');
+    delays.push(Math.round((Date.parse(delivery.next_attempt_at) - sentAt) / 1000));
+    /* Not due yet: another tick leaves it alone. */
+    await runDueDeliveries();
+    assert.equal(db.getWebhookDeliveryByIdAndUserId(deliveryId, userId).attempts, attempt);
+    db.getDb().prepare('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?').run(new Date(0).toISOString(), deliveryId);
+  }
+  assert.deepEqual(delays, [30, 120, 480, 1920, 7680]);
+  assert.equal(received.filter((r) => r.headers['x-upgs-delivery'] === String(deliveryId)).length, MAX_ATTEMPTS);
+
+  /* A failed delivery is never picked up again. */
+  db.getDb().prepare('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?').run(new Date(0).toISOString(), deliveryId);
+  await runDueDeliveries();
+  assert.equal(db.getWebhookDeliveryByIdAndUserId(deliveryId, userId).attempts, MAX_ATTEMPTS);
+});